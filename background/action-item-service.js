@@ -0,0 +1,268 @@
+/**
+ * Action Item Extraction Service
+ * Extracts structured action items ({task, owner, dueDate, sourceMessageIndex}) from email threads
+ *
+ * Uses the Prompt API with a JSON schema response constraint on-device, and falls back to the
+ * regex signals from extractThreadContext when the Prompt API is unavailable or fails.
+ *
+ * Reference: https://developer.chrome.com/docs/ai/structured-output-for-prompt-api
+ */
+
+import { sanitizeString } from '../utils/validation.js';
+import { parseTimestamp, parseDueDate } from '../utils/timestamp-parser.js';
+import { repairJson } from '../utils/json-repair.js';
+import { extractThreadContext } from './api-integrations.js';
+import { OnDeviceLock } from './on-device-lock.js';
+
+/**
+ * Maximum number of action items returned for a thread
+ */
+export const MAX_ACTION_ITEMS = 10;
+
+/**
+ * Characters of each message included in the extraction prompt
+ */
+const MAX_MESSAGE_PROMPT_LENGTH = 3000;
+
+/**
+ * How the action items were produced
+ */
+export const ActionItemMethods = {
+    PROMPT_API: 'prompt-api',
+    HEURISTIC: 'heuristic'
+};
+
+/**
+ * JSON Schema for action items returned by the Prompt API
+ * Empty strings stand in for unknown owners and due dates
+ *
+ * @returns {Object} JSON schema object
+ */
+export function getActionItemsSchema() {
+    return {
+        type: "object",
+        required: ["actionItems"],
+        properties: {
+            actionItems: {
+                type: "array",
+                maxItems: MAX_ACTION_ITEMS,
+                items: {
+                    type: "object",
+                    required: ["task", "owner", "dueDate", "sourceMessageIndex"],
+                    properties: {
+                        task: { type: "string", minLength: 3, maxLength: 200 },
+                        owner: { type: "string", maxLength: 100 },
+                        dueDate: { type: "string", maxLength: 100 },
+                        sourceMessageIndex: { type: "integer", minimum: 0 }
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        additionalProperties: false
+    };
+}
+
+export class ActionItemService {
+    /**
+     * @param {Object} dependencies - Service dependencies
+     * @param {Object} dependencies.aiCapabilities - AI capabilities object
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
+     */
+    constructor(dependencies) {
+        this.aiCapabilities = dependencies.aiCapabilities;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
+    }
+
+    /**
+     * Extract action items from a thread
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object>} Action items and the method used ({actionItems, method})
+     */
+    async extractActionItems(thread) {
+        if (!thread?.messages || thread.messages.length === 0) {
+            throw new Error('No messages to extract action items from');
+        }
+
+        const availability = this.aiCapabilities.promptApi?.available;
+        if (availability === 'readily' || availability === 'available') {
+            try {
+                const actionItems = await this.onDeviceLock.run(() => this.extractWithPromptApi(thread));
+                return { actionItems, method: ActionItemMethods.PROMPT_API };
+            } catch (error) {
+                console.warn('Prompt API action item extraction failed, using heuristics:', error);
+            }
+        } else {
+            console.log('Prompt API not ready for action items, using heuristics');
+        }
+
+        return {
+            actionItems: this.extractWithHeuristics(thread),
+            method: ActionItemMethods.HEURISTIC
+        };
+    }
+
+    /**
+     * Extract action items with the Prompt API, constrained to getActionItemsSchema()
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object[]>} Normalized action items
+     */
+    async extractWithPromptApi(thread) {
+        let session = null;
+        try {
+            session = await LanguageModel.create({
+                initialPrompts: [
+                    {
+                        role: 'system',
+                        content: 'You extract action items from email threads. An action item is a concrete task someone has been asked to do or has committed to do. Do not invent tasks. Use an empty string when the owner or due date is not stated.'
+                    }
+                ],
+                temperature: 0.2,
+                topK: 3
+            });
+
+            const response = await session.prompt(this.createExtractionPrompt(thread), {
+                responseConstraint: getActionItemsSchema()
+            });
+
+            const { value } = repairJson(response);
+            if (!value || !Array.isArray(value.actionItems)) {
+                throw new Error('Response did not contain an actionItems array');
+            }
+
+            return this.normalizeActionItems(value.actionItems, thread);
+        } finally {
+            if (session) {
+                session.destroy();
+            }
+        }
+    }
+
+    /**
+     * Build the extraction prompt with numbered messages so items can cite their source
+     * @param {Object} thread - Email thread data
+     * @returns {string} Prompt text
+     */
+    createExtractionPrompt(thread) {
+        const messages = thread.messages.map((message, index) => {
+            const sender = message.sender?.name || 'Unknown';
+            const sent = message.timestamp ? ` (sent ${message.timestamp})` : '';
+            const content = (message.content || '').substring(0, MAX_MESSAGE_PROMPT_LENGTH);
+            return `[Message ${index}] From: ${sender}${sent}\n${content}`;
+        }).join('\n\n---\n\n');
+
+        return `Subject: ${thread.subject || '(no subject)'}
+
+${messages}
+
+List the action items in this thread. For each one give:
+- task: what needs to be done, as a short imperative sentence
+- owner: the name of the person responsible, or "" if unclear
+- dueDate: the deadline exactly as written (e.g. "Friday", "March 5", "end of month"), or "" if none
+- sourceMessageIndex: the number of the message the task comes from`;
+    }
+
+    /**
+     * Extract action items from the regex signals in extractThreadContext, message by message
+     * @param {Object} thread - Email thread data
+     * @returns {Object[]} Normalized action items
+     */
+    extractWithHeuristics(thread) {
+        const rawItems = [];
+
+        thread.messages.forEach((message, index) => {
+            const content = message.content || '';
+            const sentences = content.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+            const { actionItems } = extractThreadContext(content);
+
+            // The regexes match from the keyword onwards; use the whole sentence so the
+            // subject ("I will...", "Sam, can you...") is available for owner detection
+            const taskSentences = new Set();
+            actionItems.forEach(fragment => {
+                taskSentences.add(sentences.find(s => s.includes(fragment)) || fragment);
+            });
+
+            taskSentences.forEach(sentence => {
+                rawItems.push({
+                    task: sentence,
+                    owner: this.guessOwner(sentence, message),
+                    dueDate: this.findDueDatePhrase(sentence),
+                    sourceMessageIndex: index
+                });
+            });
+        });
+
+        return this.normalizeActionItems(rawItems, thread);
+    }
+
+    /**
+     * Guess who owns a task from how the sentence is phrased
+     * "I will..." belongs to the sender; requests addressed to someone by name belong to them
+     * @param {string} sentence - Sentence containing the task
+     * @param {Object} message - Message the sentence came from
+     * @returns {string} Owner name, or '' if unclear
+     */
+    guessOwner(sentence, message) {
+        if (/\b(I will|I'll|I can|I am going to|I'm going to|let me)\b/i.test(sentence)) {
+            return message.sender?.name && message.sender.name !== 'Unknown' ? message.sender.name : '';
+        }
+
+        const addressedMatch = sentence.match(/^([A-Z][a-z]+),\s/) ||
+                               sentence.match(/\b(?:can|could|would) ([A-Z][a-z]+)\b/);
+        return addressedMatch ? addressedMatch[1] : '';
+    }
+
+    /**
+     * Find a deadline phrase in a sentence ("by Friday", "before March 5", "due tomorrow")
+     * @param {string} sentence - Sentence containing the task
+     * @returns {string} Deadline phrase, or '' if none
+     */
+    findDueDatePhrase(sentence) {
+        const match = sentence.match(/\b(?:by|before|due|until|no later than|on)\s+((?:the\s+)?(?:end of (?:the )?(?:day|week|month)|eod|eow|today|tonight|tomorrow|next week|(?:next\s+)?(?:mon|tues|wednes|thurs|fri|satur|sun)day|[a-z]{3,9}\.?\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s*\d{4})?|\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?[a-z]{3,9}|\d{4}-\d{2}-\d{2}))/i) ||
+                      sentence.match(/\b(in\s+\d+\s+(?:day|week|month)s?)\b/i) ||
+                      sentence.match(/\b(today|tonight|tomorrow|end of (?:the )?(?:day|week|month))\b/i);
+        return match ? match[1] : '';
+    }
+
+    /**
+     * Validate raw items, normalize due dates and drop duplicates
+     * Due dates are resolved relative to the source message's sent time
+     * @param {Object[]} rawItems - Items from the model or heuristics
+     * @param {Object} thread - Email thread data
+     * @returns {Object[]} Action items ({task, owner, dueDate, dueDateText, sourceMessageIndex, done});
+     *   owner and dueDate are null when unknown, dueDate is YYYY-MM-DD
+     */
+    normalizeActionItems(rawItems, thread) {
+        const seen = new Set();
+        const lastIndex = thread.messages.length - 1;
+
+        return rawItems
+            .map(item => {
+                const task = sanitizeString(item?.task, 200);
+                if (!task) return null;
+
+                const index = Number.isInteger(item.sourceMessageIndex)
+                    ? Math.min(Math.max(item.sourceMessageIndex, 0), lastIndex)
+                    : lastIndex;
+                const dueDateText = sanitizeString(item.dueDate, 100);
+                const referenceTime = parseTimestamp(thread.messages[index]?.timestamp) || Date.now();
+
+                return {
+                    task,
+                    owner: sanitizeString(item.owner, 100),
+                    dueDate: dueDateText ? parseDueDate(dueDateText, referenceTime) : null,
+                    dueDateText,
+                    sourceMessageIndex: index,
+                    done: false
+                };
+            })
+            .filter(item => {
+                if (!item) return false;
+                const key = item.task.toLowerCase().replace(/\W+/g, ' ').trim();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_ACTION_ITEMS);
+    }
+}
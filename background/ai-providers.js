@@ -0,0 +1,273 @@
+/**
+ * AI Providers
+ * Registered implementations of the provider interface: Chrome's built-in AI, the three
+ * cloud APIs and a local OpenAI-compatible server
+ *
+ * Reference: background/provider-registry.js - provider interface
+ * Reference: background/api-integrations.js - HTTP clients for external providers
+ */
+
+import {
+    OpenAIAPI,
+    AnthropicAPI,
+    GoogleAIAPI,
+    LocalAPI,
+    OPENAI_DEFAULT_MODEL,
+    ANTHROPIC_DEFAULT_MODEL,
+    GOOGLE_AI_DEFAULT_MODEL,
+    DEFAULT_TEMPERATURE
+} from './api-integrations.js';
+import { DEFAULT_TIMEOUT_SECONDS } from './api-request.js';
+import { ProviderRegistry, ProviderKinds, CHROME_BUILT_IN_PROVIDER_ID } from './provider-registry.js';
+import { DEFAULT_LOCAL_BASE_URL } from '../utils/local-endpoint.js';
+
+/**
+ * Check if a Chrome AI capability reports a ready model
+ * @param {Object|null} capability - Entry from the service worker's aiCapabilities
+ * @returns {boolean} True if the model can be used now
+ */
+function isModelReady(capability) {
+    return capability?.available === 'available' || capability?.available === 'readily';
+}
+
+/**
+ * Label shown on drafts written by Chrome's Prompt API
+ */
+export const ON_DEVICE_MODEL_LABEL = 'Gemini Nano';
+
+/**
+ * Prompt API sampling settings used until the model reports its own limits
+ * Reference: https://developer.chrome.com/docs/ai/prompt-api#model_parameters
+ */
+const ON_DEVICE_DEFAULT_TEMPERATURE = 0.7;
+const ON_DEVICE_DEFAULT_TOP_K = 3;
+
+/**
+ * Read the Prompt API's sampling limits (default and maximum temperature and topK)
+ * Reference: https://developer.chrome.com/docs/ai/prompt-api#model_parameters
+ * @param {Object} [languageModel] - The LanguageModel global
+ * @returns {Promise<Object|null>} Plain copy of LanguageModel.params(), or null if unavailable
+ */
+export async function readLanguageModelParams(languageModel = globalThis.LanguageModel) {
+    try {
+        if (typeof languageModel?.params !== 'function') {
+            return null;
+        }
+        const params = await languageModel.params();
+        if (!params) {
+            return null;
+        }
+        return {
+            defaultTemperature: params.defaultTemperature,
+            maxTemperature: params.maxTemperature,
+            defaultTopK: params.defaultTopK,
+            maxTopK: params.maxTopK
+        };
+    } catch (error) {
+        console.warn('Could not read LanguageModel params:', error);
+        return null;
+    }
+}
+
+/**
+ * Generation settings fields shared by the HTTP providers
+ * @param {Object} limits - Provider limits
+ * @param {number} limits.maxTemperature - Highest temperature the API accepts
+ * @param {number} [limits.timeoutSeconds] - Default timeout
+ * @returns {Object[]} Field metadata
+ */
+function createGenerationFields({ maxTemperature, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS }) {
+    return [
+        { id: 'temperature', label: 'Temperature', type: 'number', required: false, min: 0, max: maxTemperature, step: 0.1, default: DEFAULT_TEMPERATURE },
+        { id: 'maxTokens', label: 'Max output tokens', type: 'number', required: false, min: 1, max: 32000, step: 1, placeholder: 'Default for each request' },
+        { id: 'timeoutSeconds', label: 'Timeout (seconds)', type: 'number', required: false, min: 5, max: 600, step: 1, default: timeoutSeconds }
+    ];
+}
+
+/**
+ * Create a provider backed by one of the HTTP clients in api-integrations.js
+ * @param {Object} definition - Provider definition
+ * @param {string} definition.id - Provider ID
+ * @param {Function} definition.api - Client class with static summarize, generateDrafts and validateKey
+ * @param {Object} definition.metadata - Provider metadata
+ * @returns {Object} Provider
+ */
+function createHttpProvider({ id, api, metadata }) {
+    return {
+        id,
+        metadata,
+        capabilities() {
+            return { available: true, summarize: true, drafts: true, streaming: false, reason: null };
+        },
+        summarize({ text }, config, { signal, onRetry } = {}) {
+            return api.summarize(text, config.apiKey, { ...config, signal, onRetry });
+        },
+        generateDrafts({ text, subject, tone, guidance, context }, config, { signal, onRetry } = {}) {
+            return api.generateDrafts(text, subject, tone, guidance, config.apiKey, context, { ...config, signal, onRetry });
+        },
+        validateKey(config, { signal } = {}) {
+            return api.validateKey(config.apiKey, { ...config, signal });
+        }
+    };
+}
+
+/**
+ * Create the provider for a cloud API that needs a key and offers a choice of models
+ * @param {Object} definition - Provider definition ({id, api, label, description, company, models, defaultModel, maxTemperature})
+ * @returns {Object} Provider
+ */
+function createCloudProvider({ id, api, label, description, company, models, defaultModel, maxTemperature = 2 }) {
+    return createHttpProvider({
+        id,
+        api,
+        metadata: {
+            label,
+            kind: ProviderKinds.CLOUD,
+            description,
+            dataEgressWarning: `Email content will be sent to ${company}'s servers. This is different from Chrome's on-device processing which keeps everything local.`,
+            models,
+            defaultModel,
+            fields: [
+                { id: 'apiKey', label: 'API Key', type: 'password', required: true, placeholder: 'Enter your API key...' },
+                { id: 'model', label: 'Model', type: 'model', required: false, default: defaultModel },
+                ...createGenerationFields({ maxTemperature })
+            ]
+        }
+    });
+}
+
+export const openAIProvider = createCloudProvider({
+    id: 'openai',
+    api: OpenAIAPI,
+    label: 'OpenAI (GPT-4)',
+    description: 'GPT models through the OpenAI API',
+    company: 'OpenAI',
+    models: [OPENAI_DEFAULT_MODEL, 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4-turbo'],
+    defaultModel: OPENAI_DEFAULT_MODEL
+});
+
+export const anthropicProvider = createCloudProvider({
+    id: 'anthropic',
+    api: AnthropicAPI,
+    label: 'Anthropic (Claude)',
+    description: 'Claude models through the Anthropic API',
+    company: 'Anthropic',
+    models: [ANTHROPIC_DEFAULT_MODEL, 'claude-3-5-haiku-20241022', 'claude-3-7-sonnet-20250219', 'claude-sonnet-4-20250514'],
+    defaultModel: ANTHROPIC_DEFAULT_MODEL,
+    maxTemperature: 1
+});
+
+export const googleAIProvider = createCloudProvider({
+    id: 'google',
+    api: GoogleAIAPI,
+    label: 'Google AI (Gemini)',
+    description: 'Gemini models through the Gemini API',
+    company: 'Google',
+    models: [GOOGLE_AI_DEFAULT_MODEL, 'gemini-1.5-pro', 'gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+    defaultModel: GOOGLE_AI_DEFAULT_MODEL
+});
+
+export const localProvider = createHttpProvider({
+    id: 'local',
+    api: LocalAPI,
+    metadata: {
+        label: 'Local server (Ollama, LM Studio, llama.cpp)',
+        kind: ProviderKinds.LOCAL,
+        description: 'Any server with an OpenAI-compatible /chat/completions endpoint. Chrome will ask for permission to access it when you save.',
+        dataEgressWarning: 'Email content will be sent only to the server URL you enter. Make sure it runs on a machine you trust.',
+        models: [],
+        defaultModel: '',
+        fields: [
+            { id: 'baseUrl', label: 'Server URL', type: 'url', required: true, default: DEFAULT_LOCAL_BASE_URL, placeholder: DEFAULT_LOCAL_BASE_URL, hostPermission: true },
+            { id: 'model', label: 'Model', type: 'model', required: true, placeholder: 'e.g. llama3.1' },
+            { id: 'apiKey', label: 'API Key', type: 'password', required: false, placeholder: 'Optional for most local servers...' },
+            // Local models load on first use and run on consumer hardware, so allow them longer
+            ...createGenerationFields({ maxTemperature: 2, timeoutSeconds: 120 })
+        ]
+    }
+});
+
+/**
+ * Create the provider for Chrome's built-in Summarizer and Prompt APIs
+ * The model work stays in the summary and draft services, which also own chunking and status broadcasts.
+ * Its temperature and topK fields are bounded by the limits the Prompt API reports
+ * (aiCapabilities.promptApi.params), so the metadata is rebuilt on every read.
+ * @param {Object} services - Services that run the on-device models
+ * @param {Object} services.summaryService - SummaryService instance
+ * @param {Object} [services.draftService] - DraftService instance (needed for drafts)
+ * @returns {Object} Provider
+ */
+export function createChromeBuiltInProvider({ summaryService, draftService = null }) {
+    const getModelParams = () => (draftService || summaryService)?.aiCapabilities?.promptApi?.params || null;
+
+    return {
+        id: CHROME_BUILT_IN_PROVIDER_ID,
+        get metadata() {
+            const params = getModelParams();
+            const maxTemperature = params?.maxTemperature ?? 2;
+            const maxTopK = params?.maxTopK ?? 128;
+            return {
+                label: 'Chrome built-in AI (Gemini Nano)',
+                kind: ProviderKinds.ON_DEVICE,
+                description: 'Runs on this device with Chrome\'s Summarizer and Prompt APIs',
+                dataEgressWarning: null,
+                models: [],
+                defaultModel: '',
+                params,
+                fields: [
+                    { id: 'temperature', label: 'Reply draft temperature', type: 'number', required: false, min: 0, max: maxTemperature, step: 0.1, default: Math.min(ON_DEVICE_DEFAULT_TEMPERATURE, maxTemperature) },
+                    { id: 'topK', label: 'Reply draft top-K', type: 'number', required: false, min: 1, max: maxTopK, step: 1, default: Math.min(ON_DEVICE_DEFAULT_TOP_K, maxTopK) }
+                ]
+            };
+        },
+        capabilities() {
+            const summarize = isModelReady(summaryService?.aiCapabilities?.summarizer);
+            const drafts = isModelReady((draftService || summaryService)?.aiCapabilities?.promptApi);
+            return {
+                available: summarize || drafts,
+                summarize,
+                drafts,
+                streaming: true,
+                reason: summarize || drafts ? null : 'Chrome AI models are not ready on this device'
+            };
+        },
+        summarize(request, config, options = {}) {
+            return summaryService.summarizeOnDevice(request, options);
+        },
+        generateDrafts(request, config, options = {}) {
+            if (!draftService) {
+                throw new Error('Draft generation is not available');
+            }
+            return draftService.generateDraftsOnDevice(request, {
+                ...options,
+                temperature: config.temperature,
+                topK: config.topK
+            });
+        },
+        async validateKey() {
+            // Nothing to validate: on-device models need no key
+            return { valid: true, status: null, error: null };
+        }
+    };
+}
+
+/**
+ * Register Chrome's built-in AI and every external provider
+ * @param {ProviderRegistry} registry - Registry to fill
+ * @param {Object} services - Services for the built-in provider ({summaryService, draftService})
+ * @returns {ProviderRegistry} The registry
+ */
+export function registerDefaultProviders(registry, services) {
+    registry.register(createChromeBuiltInProvider(services));
+    [openAIProvider, anthropicProvider, googleAIProvider, localProvider].forEach(provider => registry.register(provider));
+    return registry;
+}
+
+/**
+ * Create a registry with the default providers
+ * @param {Object} services - Services for the built-in provider ({summaryService, draftService})
+ * @returns {ProviderRegistry} New registry
+ */
+export function createDefaultProviderRegistry(services) {
+    return registerDefaultProviders(new ProviderRegistry(), services);
+}
@@ -1,10 +1,45 @@
 /**
  * External API Integrations Module
- * Handles all external AI API calls (OpenAI, Anthropic, Google AI)
+ * Handles all external AI API calls (OpenAI, Anthropic, Google AI, local OpenAI-compatible servers)
  * 
  * This module encapsulates all external API integrations to keep service_worker.js focused
  * on orchestration and Chrome AI APIs.
+ * 
+ * Reference: background/api-request.js - timeouts, retries and error classification
+ */
+
+import { getReplyDraftsSchema, stripSchemaKeywords } from '../utils/validation.js';
+import { repairDraftsResponse } from '../utils/json-repair.js';
+import { ApiError, ApiErrorTypes } from '../utils/error-handler.js';
+import { normalizeLocalBaseUrl } from '../utils/local-endpoint.js';
+import { sendApiRequest } from './api-request.js';
+
+/**
+ * Models used when the user has not chosen one
+ */
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o';
+export const ANTHROPIC_DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+export const GOOGLE_AI_DEFAULT_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Temperature used when the provider settings leave it empty
+ * Output token limits default per request type (summaries need fewer tokens than drafts)
+ */
+export const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * OpenAI models released before structured outputs: JSON mode arrived with gpt-3.5-turbo-1106
+ * and gpt-4-turbo, and earlier models (gpt-4, gpt-4-0613, gpt-3.5-turbo-0613) reject
+ * response_format altogether, so they rely on the prompt and repairDraftsResponse
+ * Reference: https://platform.openai.com/docs/guides/structured-outputs#supported-models
  */
+const OPENAI_JSON_MODE_ONLY_MODELS = /^(gpt-3\.5-turbo(-1106|-0125)?$|gpt-4-turbo|gpt-4-(1106|0125)-preview|gpt-4o-2024-05-13)/;
+const OPENAI_NO_RESPONSE_FORMAT_MODELS = /^(gpt-3\.5|gpt-4(-\d{4}|-32k|$))/;
+
+/**
+ * Tool name used to force Anthropic structured output for reply drafts
+ */
+const ANTHROPIC_DRAFTS_TOOL = 'submit_reply_drafts';
 
 /**
  * Create system prompt with JSON schema constraints
@@ -209,19 +244,144 @@ function parseSummaryResponse(content) {
 }
 
 /**
- * Parse JSON response that may be wrapped in markdown code blocks
+ * Parse a drafts response that may be wrapped in markdown code blocks or malformed
+ * 
+ * Reference: utils/json-repair.js - repairDraftsResponse
+ * 
  * @param {string} content - Raw response content
- * @returns {Object} Parsed JSON object
+ * @returns {{drafts: Array<Object>, repairs: Array<string>}} Drafts and any JSON repairs applied
  */
-function parseJsonResponse(content) {
-    let jsonContent = content.trim();
-    if (jsonContent.startsWith('```json')) {
-        jsonContent = jsonContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (jsonContent.startsWith('```')) {
-        jsonContent = jsonContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
+function parseDraftsResponse(content) {
+    const result = repairDraftsResponse(content);
+    if (result.repairs.length > 0) {
+        console.info('Repaired malformed drafts JSON:', result.repairs.join(', '));
     }
+    return result;
+}
+
+/**
+ * Read the token counts a provider reports for a request
+ * OpenAI-compatible servers report usage.prompt_tokens/completion_tokens, Anthropic
+ * usage.input_tokens/output_tokens and Gemini usageMetadata.promptTokenCount/candidatesTokenCount
+ * 
+ * Reference: background/usage-tracker.js - records these per day, provider and model
+ * 
+ * @param {Object} data - Parsed response body
+ * @returns {{inputTokens: number, outputTokens: number}|null} Token counts, or null if the response has none
+ */
+export function readTokenUsage(data) {
+    const usage = data?.usage;
+    const metadata = data?.usageMetadata;
+    const inputTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? metadata?.promptTokenCount;
+    const outputTokens = usage?.completion_tokens ?? usage?.output_tokens ?? metadata?.candidatesTokenCount;
     
-    return JSON.parse(jsonContent);
+    if (!Number.isFinite(inputTokens) && !Number.isFinite(outputTokens)) {
+        return null;
+    }
+    return {
+        inputTokens: Number.isFinite(inputTokens) ? inputTokens : 0,
+        outputTokens: Number.isFinite(outputTokens) ? outputTokens : 0
+    };
+}
+
+/**
+ * Pick the drafts response format an OpenAI model accepts
+ * @param {string} model - Model ID
+ * @returns {Object|undefined} OpenAI response_format object, or undefined for models without one
+ */
+function getOpenAIDraftsResponseFormatForModel(model) {
+    if (OPENAI_JSON_MODE_ONLY_MODELS.test(model)) {
+        return getOpenAIDraftsResponseFormat(false);
+    }
+    if (OPENAI_NO_RESPONSE_FORMAT_MODELS.test(model)) {
+        return undefined;
+    }
+    return getOpenAIDraftsResponseFormat();
+}
+
+/**
+ * Reply drafts schema in the form accepted by OpenAI strict structured outputs
+ * 
+ * Reference: https://platform.openai.com/docs/guides/structured-outputs
+ * 
+ * Strict mode rejects length and item-count limits, so those are left to validateDraftsSchema.
+ * Servers and models without structured outputs get JSON mode, which only guarantees valid JSON;
+ * the system prompt describes the shape.
+ * 
+ * @param {boolean} [structured] - False to request JSON mode instead of the strict schema
+ * @returns {Object} OpenAI response_format object
+ */
+function getOpenAIDraftsResponseFormat(structured = true) {
+    if (!structured) {
+        return { type: 'json_object' };
+    }
+    return {
+        type: 'json_schema',
+        json_schema: {
+            name: 'reply_drafts',
+            strict: true,
+            schema: stripSchemaKeywords(getReplyDraftsSchema(), ['minLength', 'maxLength', 'minItems', 'maxItems'])
+        }
+    };
+}
+
+/**
+ * Reply drafts schema in the OpenAPI subset accepted by Gemini responseSchema
+ * 
+ * Reference: https://ai.google.dev/gemini-api/docs/structured-output
+ * 
+ * @returns {Object} Gemini responseSchema object
+ */
+function getGeminiDraftsSchema() {
+    const toGeminiTypes = (schema) => {
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+        const result = { ...schema };
+        if (typeof result.type === 'string') {
+            result.type = result.type.toUpperCase();
+        }
+        if (result.items) {
+            result.items = toGeminiTypes(result.items);
+        }
+        if (result.properties) {
+            result.properties = Object.fromEntries(
+                Object.entries(result.properties).map(([name, propertySchema]) => [name, toGeminiTypes(propertySchema)])
+            );
+        }
+        return result;
+    };
+    
+    return toGeminiTypes(stripSchemaKeywords(getReplyDraftsSchema(), ['additionalProperties', 'minLength', 'maxLength']));
+}
+
+/**
+ * Send a cheap authenticated GET request to check that an API key is accepted
+ * Sent once without retries; failures are classified by the request layer
+ * @param {string} url - Endpoint that requires authentication (usually the model list)
+ * @param {Object} headers - Authentication headers
+ * @param {Object} options - Request options
+ * @param {string} options.provider - Provider name used in error messages
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} [options.networkErrorMessage] - Message for a server that cannot be reached
+ * @returns {Promise<{valid: boolean, status: number|null, error: string|null, errorType: string|null}>} Key check result
+ */
+async function checkKeyRequest(url, headers, { provider, signal, networkErrorMessage = null }) {
+    try {
+        const response = await sendApiRequest(url, { method: 'GET', headers }, {
+            provider,
+            signal,
+            timeoutSeconds: 15,
+            maxRetries: 0,
+            networkErrorMessage
+        });
+        return { valid: true, status: response.status, error: null, errorType: null };
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            throw error;
+        }
+        return { valid: false, status: error.status, error: error.message, errorType: error.type };
+    }
 }
 
 /**
@@ -232,17 +392,25 @@ export class OpenAIAPI {
      * Call OpenAI API for summarization
      * @param {string} text - Text to summarize
      * @param {string} apiKey - OpenAI API key
-     * @returns {Object} Summary and key points
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Summary, key points, the model that produced them and its token usage
      */
-    static async summarize(text, apiKey) {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    static async summarize(text, apiKey, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
+        const requestModel = model || OPENAI_DEFAULT_MODEL;
+        const response = await sendApiRequest('https://api.openai.com/v1/chat/completions', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${apiKey}`
             },
             body: JSON.stringify({
-                model: 'gpt-4-turbo-preview',
+                model: requestModel,
                 messages: [
                     {
                         role: 'system',
@@ -253,18 +421,14 @@ export class OpenAIAPI {
                         content: `Summarize this email thread:\n\n${text}\n\nProvide:\n1. A TL;DR summary (under 100 words)\n2. 3-5 key points as a bullet list`
                     }
                 ],
-                temperature: 0.7,
-                max_tokens: 500
+                temperature: temperature ?? DEFAULT_TEMPERATURE,
+                max_tokens: maxTokens || 500
             })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
+        }, { provider: 'OpenAI', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         const content = data.choices[0].message.content;
-        return parseSummaryResponse(content);
+        return { ...parseSummaryResponse(content), model: data.model || requestModel, usage: readTokenUsage(data) };
     }
     
     /**
@@ -275,19 +439,27 @@ export class OpenAIAPI {
      * @param {string} guidance - User guidance
      * @param {string} apiKey - OpenAI API key
      * @param {Object} context - Optional context object with keyPoints, questions, etc.
-     * @returns {Array} Draft objects
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Object with drafts array, repairs array (JSON repairs applied, if any), the model that produced them and its token usage
      */
-    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null) {
+    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
         const prompt = createReplyPrompt(text, subject, tone, guidance, context);
         
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        const requestModel = model || OPENAI_DEFAULT_MODEL;
+        const response = await sendApiRequest('https://api.openai.com/v1/chat/completions', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${apiKey}`
             },
             body: JSON.stringify({
-                model: 'gpt-4-turbo-preview',
+                model: requestModel,
                 messages: [
                     {
                         role: 'system',
@@ -298,20 +470,32 @@ export class OpenAIAPI {
                         content: prompt
                     }
                 ],
-                temperature: 0.7,
-                max_tokens: 1500,
-                response_format: { type: 'json_object' }
+                temperature: temperature ?? DEFAULT_TEMPERATURE,
+                max_tokens: maxTokens || 1500,
+                response_format: getOpenAIDraftsResponseFormatForModel(requestModel)
             })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
+        }, { provider: 'OpenAI', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         const content = data.choices[0].message.content;
-        const parsed = parseJsonResponse(content);
-        return parsed.drafts || [];
+        return { ...parseDraftsResponse(content), model: data.model || requestModel, usage: readTokenUsage(data) };
+    }
+    
+    /**
+     * Check an OpenAI API key with a cheap authenticated request
+     * Reference: https://platform.openai.com/docs/api-reference/models/list
+     * @param {string} apiKey - OpenAI API key
+     * @param {Object} options - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} Key check result ({valid, status, error})
+     */
+    static async validateKey(apiKey, { signal } = {}) {
+        if (!apiKey) {
+            return { valid: false, status: null, error: 'OpenAI API key is required' };
+        }
+        return checkKeyRequest('https://api.openai.com/v1/models', {
+            'Authorization': `Bearer ${apiKey}`
+        }, { provider: 'OpenAI', signal });
     }
 }
 
@@ -329,15 +513,23 @@ export class AnthropicAPI {
      * 
      * @param {string} text - Text to summarize
      * @param {string} apiKey - Anthropic API key
-     * @returns {Object} Summary and key points
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Summary, key points, the model that produced them and its token usage
      * @throws {Error} If API call fails or response is invalid
      */
-    static async summarize(text, apiKey) {
+    static async summarize(text, apiKey, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
         if (!apiKey) {
             throw new Error('Anthropic API key is required');
         }
         
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
+        const requestModel = model || ANTHROPIC_DEFAULT_MODEL;
+        const response = await sendApiRequest('https://api.anthropic.com/v1/messages', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -345,8 +537,9 @@ export class AnthropicAPI {
                 'anthropic-version': '2023-06-01'
             },
             body: JSON.stringify({
-                model: 'claude-3-5-sonnet-20241022',
-                max_tokens: 500,
+                model: requestModel,
+                max_tokens: maxTokens || 500,
+                temperature: temperature ?? DEFAULT_TEMPERATURE,
                 messages: [
                     {
                         role: 'user',
@@ -355,21 +548,7 @@ export class AnthropicAPI {
                 ],
                 system: 'You are a helpful assistant that summarizes email threads. Provide a concise TL;DR summary and extract 3-5 key points.'
             })
-        });
-        
-        if (!response.ok) {
-            let errorMessage = `Anthropic API error: ${response.status} ${response.statusText}`;
-            try {
-                const errorData = await response.json();
-                if (errorData.error) {
-                    errorMessage += ` - ${errorData.error.message || errorData.error.type || JSON.stringify(errorData.error)}`;
-                }
-            } catch (parseError) {
-                // If JSON parsing fails, use status text only
-                console.error('Failed to parse Anthropic API error response:', parseError);
-            }
-            throw new Error(errorMessage);
-        }
+        }, { provider: 'Anthropic', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         
@@ -382,7 +561,7 @@ export class AnthropicAPI {
             throw new Error('Invalid response format from Anthropic API: content is not a string');
         }
         
-        return parseSummaryResponse(content);
+        return { ...parseSummaryResponse(content), model: data.model || requestModel, usage: readTokenUsage(data) };
     }
     
     /**
@@ -390,6 +569,10 @@ export class AnthropicAPI {
      * 
      * Uses Anthropic's Messages API to generate reply drafts
      * Reference: https://docs.anthropic.com/claude/reference/messages_post
+     * Reference: https://docs.anthropic.com/en/docs/build-with-claude/tool-use
+     * 
+     * Structured output is obtained by forcing a single tool call whose
+     * input_schema is the reply drafts schema.
      * 
      * Privacy: Only sends extracted email text, never attachments or personal identifiers
      * 
@@ -399,10 +582,17 @@ export class AnthropicAPI {
      * @param {string} guidance - User guidance
      * @param {string} apiKey - Anthropic API key
      * @param {Object} context - Optional context object with keyPoints, questions, etc.
-     * @returns {Array} Draft objects
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Object with drafts array, repairs array (JSON repairs applied, if any), the model that produced them and its token usage
      * @throws {Error} If API call fails or response is invalid
      */
-    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null) {
+    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
         if (!apiKey) {
             throw new Error('Anthropic API key is required');
         }
@@ -410,7 +600,8 @@ export class AnthropicAPI {
         const prompt = createReplyPrompt(text, subject, tone, guidance, context);
         const systemPrompt = createSystemPrompt(tone);
         
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
+        const requestModel = model || ANTHROPIC_DEFAULT_MODEL;
+        const response = await sendApiRequest('https://api.anthropic.com/v1/messages', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -418,31 +609,26 @@ export class AnthropicAPI {
                 'anthropic-version': '2023-06-01'
             },
             body: JSON.stringify({
-                model: 'claude-3-5-sonnet-20241022',
-                max_tokens: 2000,
+                model: requestModel,
+                max_tokens: maxTokens || 2000,
+                temperature: temperature ?? DEFAULT_TEMPERATURE,
                 messages: [
                     {
                         role: 'user',
                         content: prompt
                     }
                 ],
-                system: systemPrompt
+                system: systemPrompt,
+                tools: [
+                    {
+                        name: ANTHROPIC_DRAFTS_TOOL,
+                        description: 'Submit exactly 3 reply drafts for the email thread',
+                        input_schema: getReplyDraftsSchema()
+                    }
+                ],
+                tool_choice: { type: 'tool', name: ANTHROPIC_DRAFTS_TOOL }
             })
-        });
-        
-        if (!response.ok) {
-            let errorMessage = `Anthropic API error: ${response.status} ${response.statusText}`;
-            try {
-                const errorData = await response.json();
-                if (errorData.error) {
-                    errorMessage += ` - ${errorData.error.message || errorData.error.type || JSON.stringify(errorData.error)}`;
-                }
-            } catch (parseError) {
-                // If JSON parsing fails, use status text only
-                console.error('Failed to parse Anthropic API error response:', parseError);
-            }
-            throw new Error(errorMessage);
-        }
+        }, { provider: 'Anthropic', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         
@@ -450,17 +636,37 @@ export class AnthropicAPI {
             throw new Error('Invalid response format from Anthropic API: missing or empty content array');
         }
         
-        const content = data.content[0].text;
+        // Prefer the forced tool call; fall back to a JSON text block
+        const toolUse = data.content.find(block => block.type === 'tool_use' && block.name === ANTHROPIC_DRAFTS_TOOL);
+        if (toolUse && toolUse.input && Array.isArray(toolUse.input.drafts)) {
+            return { drafts: toolUse.input.drafts, repairs: [], model: data.model || requestModel, usage: readTokenUsage(data) };
+        }
+        
+        const textBlock = data.content.find(block => block.type === 'text');
+        const content = textBlock ? textBlock.text : null;
         if (!content || typeof content !== 'string') {
             throw new Error('Invalid response format from Anthropic API: content is not a string');
         }
         
-        const parsed = parseJsonResponse(content);
-        if (!parsed || !parsed.drafts || !Array.isArray(parsed.drafts)) {
-            throw new Error('Invalid JSON structure: drafts array not found');
+        return { ...parseDraftsResponse(content), model: data.model || requestModel, usage: readTokenUsage(data) };
+    }
+    
+    /**
+     * Check an Anthropic API key with a cheap authenticated request
+     * Reference: https://docs.anthropic.com/en/api/models-list
+     * @param {string} apiKey - Anthropic API key
+     * @param {Object} options - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} Key check result ({valid, status, error})
+     */
+    static async validateKey(apiKey, { signal } = {}) {
+        if (!apiKey) {
+            return { valid: false, status: null, error: 'Anthropic API key is required' };
         }
-        
-        return parsed.drafts;
+        return checkKeyRequest('https://api.anthropic.com/v1/models?limit=1', {
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        }, { provider: 'Anthropic', signal });
     }
 }
 
@@ -478,15 +684,23 @@ export class GoogleAIAPI {
      * 
      * @param {string} text - Text to summarize
      * @param {string} apiKey - Google AI API key
-     * @returns {Object} Summary and key points
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Summary, key points, the model that produced them and its token usage
      * @throws {Error} If API call fails or response is invalid
      */
-    static async summarize(text, apiKey) {
+    static async summarize(text, apiKey, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
         if (!apiKey) {
             throw new Error('Google AI API key is required');
         }
         
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
+        const requestModel = model || GOOGLE_AI_DEFAULT_MODEL;
+        const response = await sendApiRequest(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(requestModel)}:generateContent?key=${apiKey}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -498,25 +712,11 @@ export class GoogleAIAPI {
                     }]
                 }],
                 generationConfig: {
-                    temperature: 0.7,
-                    maxOutputTokens: 500
+                    temperature: temperature ?? DEFAULT_TEMPERATURE,
+                    maxOutputTokens: maxTokens || 500
                 }
             })
-        });
-        
-        if (!response.ok) {
-            let errorMessage = `Google AI API error: ${response.status} ${response.statusText}`;
-            try {
-                const errorData = await response.json();
-                if (errorData.error) {
-                    errorMessage += ` - ${errorData.error.message || errorData.error.status || JSON.stringify(errorData.error)}`;
-                }
-            } catch (parseError) {
-                // If JSON parsing fails, use status text only
-                console.error('Failed to parse Google AI API error response:', parseError);
-            }
-            throw new Error(errorMessage);
-        }
+        }, { provider: 'Google AI', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         
@@ -533,7 +733,7 @@ export class GoogleAIAPI {
             throw new Error('Invalid response format from Google AI API: content is not a string');
         }
         
-        return parseSummaryResponse(content);
+        return { ...parseSummaryResponse(content), model: data.modelVersion || requestModel, usage: readTokenUsage(data) };
     }
     
     /**
@@ -550,10 +750,17 @@ export class GoogleAIAPI {
      * @param {string} guidance - User guidance
      * @param {string} apiKey - Google AI API key
      * @param {Object} context - Optional context object with keyPoints, questions, etc.
-     * @returns {Array} Draft objects
+     * @param {Object} options - Request options
+     * @param {string} [options.model] - Model ID (defaults to the provider's default model)
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Object with drafts array, repairs array (JSON repairs applied, if any), the model that produced them and its token usage
      * @throws {Error} If API call fails or response is invalid
      */
-    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null) {
+    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null, { model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
         if (!apiKey) {
             throw new Error('Google AI API key is required');
         }
@@ -561,7 +768,8 @@ export class GoogleAIAPI {
         const prompt = createReplyPrompt(text, subject, tone, guidance, context);
         const systemPrompt = createSystemPrompt(tone);
         
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
+        const requestModel = model || GOOGLE_AI_DEFAULT_MODEL;
+        const response = await sendApiRequest(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(requestModel)}:generateContent?key=${apiKey}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -573,26 +781,13 @@ export class GoogleAIAPI {
                     }]
                 }],
                 generationConfig: {
-                    temperature: 0.7,
-                    maxOutputTokens: 2000,
-                    responseMimeType: 'application/json'
+                    temperature: temperature ?? DEFAULT_TEMPERATURE,
+                    maxOutputTokens: maxTokens || 2000,
+                    responseMimeType: 'application/json',
+                    responseSchema: getGeminiDraftsSchema()
                 }
             })
-        });
-        
-        if (!response.ok) {
-            let errorMessage = `Google AI API error: ${response.status} ${response.statusText}`;
-            try {
-                const errorData = await response.json();
-                if (errorData.error) {
-                    errorMessage += ` - ${errorData.error.message || errorData.error.status || JSON.stringify(errorData.error)}`;
-                }
-            } catch (parseError) {
-                // If JSON parsing fails, use status text only
-                console.error('Failed to parse Google AI API error response:', parseError);
-            }
-            throw new Error(errorMessage);
-        }
+        }, { provider: 'Google AI', signal, timeoutSeconds, onRetry });
         
         const data = await response.json();
         
@@ -609,12 +804,203 @@ export class GoogleAIAPI {
             throw new Error('Invalid response format from Google AI API: content is not a string');
         }
         
-        const parsed = parseJsonResponse(content);
-        if (!parsed || !parsed.drafts || !Array.isArray(parsed.drafts)) {
-            throw new Error('Invalid JSON structure: drafts array not found');
+        return { ...parseDraftsResponse(content), model: data.modelVersion || requestModel, usage: readTokenUsage(data) };
+    }
+    
+    /**
+     * Check an Google AI API key with a cheap authenticated request
+     * Reference: https://ai.google.dev/api/models#method:-models.list
+     * @param {string} apiKey - Google AI API key
+     * @param {Object} options - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} Key check result ({valid, status, error})
+     */
+    static async validateKey(apiKey, { signal } = {}) {
+        if (!apiKey) {
+            return { valid: false, status: null, error: 'Google AI API key is required' };
+        }
+        // An invalid Gemini API key is reported as 400 API_KEY_INVALID, which the request layer treats as an auth error
+        return checkKeyRequest(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1&key=${apiKey}`, {}, {
+            provider: 'Google AI',
+            signal
+        });
+    }
+}
+
+
+/**
+ * Name of the local server in error messages
+ */
+const LOCAL_SERVER_NAME = 'The local model server';
+
+/**
+ * Message for a local server that cannot be reached
+ * @param {string} url - Request URL
+ * @returns {string} User-facing message naming the server
+ */
+function getLocalNetworkErrorMessage(url) {
+    return `Could not reach the local model server at ${new URL(url).origin}. Check that it is running and the extension has permission to access it.`;
+}
+
+/**
+ * Local OpenAI-compatible server integration (Ollama, LM Studio, llama.cpp server)
+ * 
+ * Sends the same chat completions requests as OpenAIAPI to a user-configured base URL,
+ * so email content stays on the user's machine or network.
+ * Reference: https://github.com/ollama/ollama/blob/main/docs/openai.md
+ * Reference: docs/spec.md - Local Model Server
+ */
+export class LocalAPI {
+    /**
+     * Call the local server for summarization
+     * @param {string} text - Text to summarize
+     * @param {string} apiKey - Optional API key (most local servers do not need one)
+     * @param {Object} options - Request options
+     * @param {string} options.baseUrl - Server base URL, e.g. http://localhost:11434/v1
+     * @param {string} options.model - Model name, e.g. llama3.1
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Summary, key points, the model that produced them and its token usage
+     * @throws {Error} If the server cannot be reached or returns an error
+     */
+    static async summarize(text, apiKey, { baseUrl, model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
+        const data = await LocalAPI.createChatCompletion(apiKey, { baseUrl, model, timeoutSeconds, signal, onRetry }, {
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You are a helpful assistant that summarizes email threads. Provide a concise TL;DR summary and extract 3-5 key points.'
+                },
+                {
+                    role: 'user',
+                    content: `Summarize this email thread:\n\n${text}\n\nProvide:\n1. A TL;DR summary (under 100 words)\n2. 3-5 key points as a bullet list`
+                }
+            ],
+            temperature: temperature ?? DEFAULT_TEMPERATURE,
+            max_tokens: maxTokens || 500
+        });
+        
+        return { ...parseSummaryResponse(LocalAPI.getMessageContent(data)), model: data.model || model, usage: readTokenUsage(data) };
+    }
+    
+    /**
+     * Call the local server for draft generation
+     * @param {string} text - Thread text
+     * @param {string} subject - Email subject
+     * @param {string} tone - Selected tone
+     * @param {string} guidance - User guidance
+     * @param {string} apiKey - Optional API key (most local servers do not need one)
+     * @param {Object} context - Optional context object with keyPoints, questions, etc.
+     * @param {Object} options - Request options
+     * @param {string} options.baseUrl - Server base URL, e.g. http://localhost:11434/v1
+     * @param {string} options.model - Model name, e.g. llama3.1
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum output tokens
+     * @param {number} [options.timeoutSeconds] - Seconds to wait for a response
+     * @param {AbortSignal} [options.signal] - Aborts the request when the operation is cancelled
+     * @param {Function} [options.onRetry] - Called before each retry (see sendApiRequest)
+     * @returns {Object} Object with drafts array, repairs array (JSON repairs applied, if any), the model that produced them and its token usage
+     * @throws {Error} If the server cannot be reached or returns an error
+     */
+    static async generateDrafts(text, subject, tone, guidance, apiKey, context = null, { baseUrl, model, temperature, maxTokens, timeoutSeconds, signal, onRetry } = {}) {
+        const serverOptions = { baseUrl, model, timeoutSeconds, signal, onRetry };
+        const body = {
+            messages: [
+                {
+                    role: 'system',
+                    content: createSystemPrompt(tone)
+                },
+                {
+                    role: 'user',
+                    content: createReplyPrompt(text, subject, tone, guidance, context)
+                }
+            ],
+            temperature: temperature ?? DEFAULT_TEMPERATURE,
+            max_tokens: maxTokens || 1500
+        };
+        
+        let data;
+        try {
+            data = await LocalAPI.createChatCompletion(apiKey, serverOptions, { ...body, response_format: getOpenAIDraftsResponseFormat() });
+        } catch (error) {
+            // Older Ollama and llama.cpp servers reject json_schema; ask them for JSON mode instead
+            if (!(error instanceof ApiError) || error.type !== ApiErrorTypes.REQUEST) {
+                throw error;
+            }
+            console.warn('Local server rejected the drafts JSON schema, retrying with JSON mode:', error.detail || error.message);
+            data = await LocalAPI.createChatCompletion(apiKey, serverOptions, { ...body, response_format: getOpenAIDraftsResponseFormat(false) });
+        }
+        
+        // Smaller local models often wrap or truncate JSON, so the content always goes through repair
+        return { ...parseDraftsResponse(LocalAPI.getMessageContent(data)), model: data.model || model, usage: readTokenUsage(data) };
+    }
+    
+    /**
+     * Check that the local server is reachable and accepts the key, by listing its models
+     * @param {string} apiKey - Optional API key (most local servers do not need one)
+     * @param {Object} options - Request options
+     * @param {string} options.baseUrl - Server base URL
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} Key check result ({valid, status, error})
+     */
+    static async validateKey(apiKey, { baseUrl, signal } = {}) {
+        const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+        const url = `${normalizeLocalBaseUrl(baseUrl)}/models`;
+        return checkKeyRequest(url, headers, {
+            provider: LOCAL_SERVER_NAME,
+            signal,
+            networkErrorMessage: getLocalNetworkErrorMessage(url)
+        });
+    }
+    
+    /**
+     * POST a chat completions request to the local server
+     * @param {string} apiKey - Optional API key, sent as a Bearer token when set
+     * @param {Object} options - Server options ({baseUrl, model, timeoutSeconds, signal, onRetry})
+     * @param {Object} body - Request body without the model
+     * @returns {Promise<Object>} Parsed response body
+     * @throws {Error} If the server is not configured, cannot be reached or returns an error
+     */
+    static async createChatCompletion(apiKey, { baseUrl, model, timeoutSeconds, signal, onRetry }, body) {
+        if (!model) {
+            throw new Error('Enter the model name to use on your local model server');
         }
         
-        return parsed.drafts;
+        const endpoint = `${normalizeLocalBaseUrl(baseUrl)}/chat/completions`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        
+        const response = await sendApiRequest(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model, ...body })
+        }, {
+            provider: LOCAL_SERVER_NAME,
+            signal,
+            timeoutSeconds,
+            onRetry,
+            networkErrorMessage: getLocalNetworkErrorMessage(endpoint)
+        });
+        
+        return response.json();
+    }
+    
+    /**
+     * Get the assistant message text from a chat completions response
+     * @param {Object} data - Response body
+     * @returns {string} Message content
+     * @throws {Error} If the response has no message content
+     */
+    static getMessageContent(data) {
+        const content = data?.choices?.[0]?.message?.content;
+        if (!content || typeof content !== 'string') {
+            throw new Error('Invalid response format from local model server: missing message content');
+        }
+        return content;
     }
 }
 
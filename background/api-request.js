@@ -0,0 +1,290 @@
+/**
+ * API Request Layer
+ * Shared HTTP handling for the external AI providers in api-integrations.js
+ *
+ * Every request is limited by a timeout. Rate limits, server errors and network failures are
+ * retried with exponential backoff and jitter, waiting as long as the provider's Retry-After
+ * header asks, and failures are classified into the error classes in utils/error-handler.js
+ * (auth, quota, rate limit, server, network) so the user is told what to do next.
+ *
+ * Reference: utils/error-handler.js - ApiError and its subclasses
+ * Reference: docs/spec.md - Retries and Rate Limits
+ * Reference: https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Retry-After
+ */
+
+import {
+    ApiError,
+    AuthError,
+    QuotaError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    ApiErrorTypes
+} from '../utils/error-handler.js';
+
+/**
+ * Seconds to wait for a response when the provider settings leave the timeout empty
+ */
+export const DEFAULT_TIMEOUT_SECONDS = 60;
+
+/**
+ * Retries after the first attempt
+ */
+export const DEFAULT_MAX_RETRIES = 3;
+
+/**
+ * Backoff for retries without Retry-After: 1s, 2s, 4s... (half of it random), capped
+ */
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Longest Retry-After that is waited out; longer waits fail right away with the error
+ */
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Error codes that mean the account is out of quota or credit rather than briefly rate limited
+ * (OpenAI insufficient_quota, Anthropic "credit balance is too low")
+ * Wording such as Gemini's "check your plan and billing details" is not used: Gemini sends it
+ * with per-minute rate limits too
+ */
+const QUOTA_PATTERN = /insufficient_quota|credit balance/i;
+
+/**
+ * Gemini answers 429 RESOURCE_EXHAUSTED for per-minute and daily limits alike; only a daily
+ * quota ID (e.g. GenerateRequestsPerDayPerProjectPerModel-FreeTier) will not reset by retrying
+ */
+const DAILY_QUOTA_PATTERN = /"quotaId"\s*:\s*"[^"]*PerDay/i;
+
+/**
+ * Error details that mean the API key is invalid even though the status is not 401/403
+ * (Gemini answers 400 API_KEY_INVALID)
+ */
+const INVALID_KEY_PATTERN = /api_key_invalid|api key not valid|invalid[_ ]api[_ ]key|invalid x-api-key/i;
+
+const RETRY_REASONS = {
+    [ApiErrorTypes.RATE_LIMIT]: 'is rate limiting requests',
+    [ApiErrorTypes.SERVER]: 'is temporarily unavailable',
+    [ApiErrorTypes.NETWORK]: 'could not be reached'
+};
+
+/**
+ * Read how long the provider asked us to wait before retrying
+ * Supports Retry-After in seconds or as an HTTP date, and OpenAI's retry-after-ms
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Wait in milliseconds, or null if the provider did not say
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+    const milliseconds = Number(headers?.get?.('retry-after-ms'));
+    if (headers?.get?.('retry-after-ms') && Number.isFinite(milliseconds)) {
+        return Math.max(0, milliseconds);
+    }
+
+    const value = headers?.get?.('retry-after');
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+/**
+ * Exponential backoff with jitter: half of each delay is fixed and half random, so requests
+ * retried at the same time by several operations spread out
+ * @param {number} attempt - Attempt that failed (1 for the first request)
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, random = Math.random) {
+    const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Classify an unsuccessful HTTP response
+ * @param {string} provider - Provider name, e.g. "OpenAI"
+ * @param {Object} response - Response details
+ * @param {number} response.status - HTTP status
+ * @param {string} [response.statusText] - HTTP status text
+ * @param {string|null} [response.detail] - Error message from the response body
+ * @param {string} [response.body] - Raw error body, checked for quota and invalid key codes
+ * @param {number|null} [response.retryAfterMs] - Parsed Retry-After
+ * @returns {ApiError} Classified error
+ */
+export function classifyHttpError(provider, { status, statusText = '', detail = null, body = '', retryAfterMs = null }) {
+    const details = { status, detail, retryAfterMs };
+    const text = `${detail || ''} ${body || ''}`;
+
+    const dailyQuotaExhausted = /RESOURCE_EXHAUSTED/.test(text) && DAILY_QUOTA_PATTERN.test(text);
+    if (status === 402 || QUOTA_PATTERN.test(text) || dailyQuotaExhausted) {
+        return new QuotaError(provider, details);
+    }
+    if (status === 401 || status === 403 || INVALID_KEY_PATTERN.test(text)) {
+        return new AuthError(provider, details);
+    }
+    if (status === 429) {
+        return new RateLimitError(provider, details);
+    }
+    if (status === 408 || status >= 500) {
+        return new ServerError(provider, details);
+    }
+
+    const suffix = detail ? ` - ${detail}` : '';
+    return new ApiError(`${provider} returned an error: ${status} ${statusText}`.trim() + suffix, { provider, ...details });
+}
+
+/**
+ * Read the error message from an unsuccessful response body
+ * Handles {error: "..."} and {error: {message, code, type, status}} bodies
+ * @param {Response} response - Unsuccessful response
+ * @returns {Promise<{detail: string|null, body: string}>} Error message and raw body
+ */
+async function readErrorBody(response) {
+    let body = '';
+    try {
+        body = await response.text();
+        const error = JSON.parse(body)?.error;
+        const detail = typeof error === 'string'
+            ? error
+            : error?.message || error?.code || error?.status || error?.type || null;
+        return { detail, body };
+    } catch {
+        // Not JSON (or no body): classify by status alone
+        return { detail: null, body };
+    }
+}
+
+/**
+ * Wait before a retry, stopping early if the operation is cancelled
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Send one attempt of a request
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options without the signal
+ * @param {Object} options - See sendApiRequest
+ * @returns {Promise<Response>} Successful response
+ * @throws {ApiError} Classified failure (AbortError when cancelled)
+ */
+async function sendOnce(url, init, { provider, signal, timeoutSeconds, networkErrorMessage }) {
+    const seconds = timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+    const timeoutSignal = AbortSignal.timeout(seconds * 1000);
+    const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+    let response;
+    try {
+        response = await fetch(url, { ...init, signal: requestSignal });
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+        if (timeoutSignal.aborted) {
+            throw new NetworkError(provider, { timeoutSeconds: seconds });
+        }
+        // fetch() rejects with a TypeError when the server cannot be reached
+        throw new NetworkError(provider, { message: networkErrorMessage, detail: error.message });
+    }
+
+    if (!response.ok) {
+        const { detail, body } = await readErrorBody(response);
+        throw classifyHttpError(provider, {
+            status: response.status,
+            statusText: response.statusText,
+            detail,
+            body,
+            retryAfterMs: parseRetryAfter(response.headers)
+        });
+    }
+
+    return response;
+}
+
+/**
+ * Send a request to an AI provider with a timeout, retries and classified errors
+ *
+ * Rate limits (429), server errors (5xx, including Anthropic's 529 "overloaded") and network
+ * failures are retried up to maxRetries times. Auth, quota, timeout and other request errors
+ * fail immediately because sending the same request again would not help.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options without the signal (method, headers, body)
+ * @param {Object} options - Request options
+ * @param {string} options.provider - Provider name used in error messages, e.g. "OpenAI"
+ * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+ * @param {number} [options.timeoutSeconds] - Seconds to wait for each attempt
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {Function} [options.onRetry] - Called before each retry with
+ *   {attempt, maxAttempts, delayMs, errorType, status, message}
+ * @param {string} [options.networkErrorMessage] - Message for a server that cannot be reached
+ * @returns {Promise<Response>} Successful response
+ * @throws {ApiError} Classified failure once retries are used up (AbortError when cancelled)
+ */
+export async function sendApiRequest(url, init, {
+    provider,
+    signal,
+    timeoutSeconds,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    onRetry = null,
+    networkErrorMessage = null
+}) {
+    const maxAttempts = maxRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await sendOnce(url, init, { provider, signal, timeoutSeconds, networkErrorMessage });
+        } catch (error) {
+            if (!(error instanceof ApiError) || !error.retryable || attempt >= maxAttempts) {
+                throw error;
+            }
+
+            const delayMs = error.retryAfterMs ?? getBackoffDelay(attempt);
+            if (delayMs > MAX_RETRY_AFTER_MS) {
+                throw error;
+            }
+
+            const seconds = Math.max(1, Math.round(delayMs / 1000));
+            const retry = {
+                attempt: attempt + 1,
+                maxAttempts,
+                delayMs,
+                errorType: error.type,
+                status: error.status,
+                message: `${provider} ${RETRY_REASONS[error.type]}. Retrying in ${seconds}s (attempt ${attempt + 1} of ${maxAttempts})...`
+            };
+            console.warn(`${provider} request failed (${error.type}${error.status ? ` ${error.status}` : ''}):`, error.detail || error.message, `- retrying in ${delayMs}ms`);
+            if (typeof onRetry === 'function') {
+                onRetry(retry);
+            }
+
+            await waitForRetry(delayMs, signal);
+        }
+    }
+}
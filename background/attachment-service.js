@@ -8,6 +8,13 @@
 
 import { sanitizeErrorMessage } from '../utils/error-handler.js';
 import { createSuccessResponse, createErrorResponseForService } from '../utils/response-utils.js';
+import { extractPdfText } from '../utils/pdf-text.js';
+import { OnDeviceLock } from './on-device-lock.js';
+
+/**
+ * Maximum characters of extracted document text passed on for AI processing
+ */
+const MAX_EXTRACTED_TEXT_CHARS = 32000;
 
 /**
  * Attachment Processing Service
@@ -17,9 +24,11 @@ export class AttachmentService {
     /**
      * @param {Object} dependencies - Service dependencies
      * @param {Object} dependencies.aiCapabilities - AI capabilities object
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
      */
     constructor(dependencies) {
         this.aiCapabilities = dependencies.aiCapabilities;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
     }
 
     /**
@@ -29,7 +38,7 @@ export class AttachmentService {
      * 
      * Processes attachments (images, PDFs, DOCX, XLSX) entirely on-device.
      * For images: uses multimodal Prompt API (triggered via UI button)
-     * For documents: basic text extraction attempted where possible (advanced parsing requires external libraries)
+     * For documents: PDF text is read with the built-in PDF reader; DOCX and XLSX parsing requires external libraries
      * 
      * @param {Object} attachment - Attachment metadata and content
      * @param {Function} sendResponse - Response callback
@@ -71,9 +80,9 @@ export class AttachmentService {
             if (hasExtractedText && (this.aiCapabilities.summarizer?.available === 'readily' || 
                                      this.aiCapabilities.summarizer?.available === 'available')) {
                 // Extract just the text portion (remove the "Extracted text from..." prefix)
-                const textMatch = processedContent.match(/Extracted text from .+:\n\n(.+)/s);
+                const textMatch = processedContent.match(/Extracted text from .+?:\n\n(.+)/s);
                 const textContent = textMatch ? textMatch[1] : processedContent;
-                summary = await this.generateAttachmentSummary(textContent, attachment);
+                summary = await this.onDeviceLock.run(() => this.generateAttachmentSummary(textContent, attachment));
             } else {
                 // Use processed content as summary (includes informative messages for DOCX/XLSX)
                 summary = processedContent || `${attachment.name} (${attachment.type.toUpperCase()}) - Processing completed.`;
@@ -155,7 +164,7 @@ export class AttachmentService {
      * for AI summarization. Implementation uses native browser APIs where possible.
      * 
      * Processing strategy:
-     * - PDF: Attempts basic text extraction using native APIs (limited success for complex PDFs)
+     * - PDF: Reads the text layer with the built-in PDF reader (utils/pdf-text.js)
      * - DOCX: Requires parsing library (mammoth.js) - currently documents limitation
      * - XLSX: Requires parsing library (SheetJS) - currently documents limitation
      * 
@@ -247,18 +256,11 @@ export class AttachmentService {
      * Extract text from PDF file
      * 
      * Reference: docs/spec.md - Attachment Content Processing requirements
-     * Reference: docs/chrome-ai-api-compliance.md - Chrome AI API patterns
-     * 
-     * ATTEMPT: Uses native browser APIs to extract text from PDF files.
-     * LIMITATION: Native text extraction has limited success with complex PDFs.
-     * For full PDF support, PDF.js library would be required but conflicts with
-     * project "no external dependencies" constraint.
+     * Reference: utils/pdf-text.js - Built-in PDF reader
      * 
-     * Current implementation:
-     * - Attempts to read PDF as text (works for text-based PDFs)
-     * - Falls back to informative message for binary/complex PDFs
-     * 
-     * Future enhancement: Integrate PDF.js when dependency constraints allow
+     * Reads the PDF's text layer page by page with the built-in reader, which inflates
+     * FlateDecode streams with the native DecompressionStream, so PDF.js is not needed.
+     * Scanned PDFs have no text layer, and encrypted PDFs cannot be read.
      * 
      * @param {Blob} fileBlob - PDF file blob
      * @param {Object} attachment - Attachment metadata
@@ -273,38 +275,21 @@ export class AttachmentService {
                 return `PDF file ${attachment.name} is too large for processing (${Math.round(fileBlob.size / 1024 / 1024)}MB). Maximum size: 10MB.`;
             }
 
-            // Attempt to extract text using FileReader API
-            // Note: This works for text-based PDFs but not binary/encoded PDFs
-            const text = await new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                    try {
-                        const result = reader.result;
-                        if (typeof result === 'string') {
-                            // Try to extract readable text from PDF structure
-                            // PDFs have text streams that may be partially readable
-                            const extractedText = this.extractReadableTextFromPDF(result);
-                            resolve(extractedText);
-                        } else {
-                            reject(new Error('Unable to read PDF as text'));
-                        }
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                reader.onerror = () => reject(new Error('FileReader error'));
-                reader.readAsText(fileBlob, 'utf-8');
+            // Pages past the character limit are not read
+            const { pageCount, pages } = await extractPdfText(await fileBlob.arrayBuffer(), {
+                maxChars: MAX_EXTRACTED_TEXT_CHARS
             });
+            const text = pages
+                .map((pageText, index) => (pageText ? `[Page ${index + 1}]\n${pageText}` : ''))
+                .filter(Boolean)
+                .join('\n\n')
+                .substring(0, MAX_EXTRACTED_TEXT_CHARS);
 
-            // Validate extracted text
-            if (text && text.trim().length > 50) {
-                // Successfully extracted meaningful text
-                return `Extracted text from ${attachment.name}:\n\n${text}`;
-            } else {
-                // PDF is binary/encoded - native extraction didn't find readable text
-                // Return a brief status message without implementation details
-                return `PDF file ${attachment.name}: Text extraction attempted but file appears to be binary/encoded. Advanced parsing libraries are required for full text extraction.`;
+            if (text) {
+                return `Extracted text from ${attachment.name} (${pageCount} ${pageCount === 1 ? 'page' : 'pages'}):\n\n${text}`;
             }
+            // No text layer: usually a scanned document
+            return `PDF file ${attachment.name}: No text found in ${pageCount} ${pageCount === 1 ? 'page' : 'pages'}. The PDF may be a scanned document.`;
 
         } catch (error) {
             console.error('PDF extraction error:', error);
@@ -312,49 +297,6 @@ export class AttachmentService {
         }
     }
 
-    /**
-     * Extract readable text from PDF data string
-     * 
-     * Attempts to find readable text patterns in PDF content.
-     * PDFs store text in streams that may be partially readable as plain text.
-     * 
-     * @param {string} pdfData - PDF file content as string
-     * @returns {string} Extracted readable text
-     */
-    extractReadableTextFromPDF(pdfData) {
-        // PDF text streams are often between parentheses or marked with BT/ET
-        // Try to extract readable sequences
-        const textMatches = [];
-        
-        // Pattern 1: Text between parentheses (common PDF text encoding)
-        const parenthesesPattern = /\(([^)]+)\)/g;
-        let match;
-        while ((match = parenthesesPattern.exec(pdfData)) !== null) {
-            const text = match[1];
-            // Filter out non-readable content (control chars, very short strings)
-            if (text.length > 3 && /[a-zA-Z0-9]/.test(text)) {
-                textMatches.push(text);
-            }
-        }
-        
-        // Pattern 2: Look for readable text sequences (3+ consecutive letters/numbers)
-        const readablePattern = /[a-zA-Z0-9]{3,}/g;
-        const readableMatches = pdfData.match(readablePattern);
-        if (readableMatches) {
-            textMatches.push(...readableMatches);
-        }
-        
-        // Combine and deduplicate
-        const uniqueText = [...new Set(textMatches)].join(' ');
-        
-        // Return if we found meaningful content
-        if (uniqueText.length > 50) {
-            return uniqueText.substring(0, 32000); // Limit to 32KB for AI processing
-        }
-        
-        return '';
-    }
-
     /**
      * Extract text from DOCX file
      * 
@@ -0,0 +1,401 @@
+/**
+ * Batch Queue
+ * Persistent queue of summary and draft jobs for threads selected in the side panel
+ *
+ * Jobs run one at a time, and their model calls share the service worker's on-device lock with
+ * side panel requests (background/on-device-lock.js), so only a single on-device model session
+ * is active. The queue is mirrored to chrome.storage.local so it survives the service worker
+ * being terminated.
+ * A job that was running when the worker stopped is picked up again from the start, up to
+ * MAX_BATCH_JOB_ATTEMPTS times.
+ *
+ * Reference: docs/spec.md - Batch Processing Queue
+ * Reference: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers/lifecycle
+ */
+
+import { getUserErrorMessage } from '../utils/error-handler.js';
+import { broadcastOperationStatus, StatusStages } from '../utils/status-utils.js';
+import { getThreadKey } from '../utils/thread-history.js';
+
+/**
+ * chrome.storage.local key holding the job list
+ */
+export const BATCH_QUEUE_STORAGE_KEY = 'batchJobQueue';
+
+/**
+ * Alarm that wakes the service worker while jobs are pending
+ */
+export const BATCH_QUEUE_ALARM = 'batch-queue-resume';
+
+/**
+ * Maximum number of jobs kept in the queue, including finished ones
+ */
+export const MAX_BATCH_JOBS = 50;
+
+/**
+ * Times a job is started before it is marked failed instead of being resumed; a thread that
+ * crashes or hangs the service worker would otherwise be retried on every wake-up
+ */
+export const MAX_BATCH_JOB_ATTEMPTS = 3;
+
+/**
+ * Job lifecycle states
+ */
+export const BatchJobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Work a job can include, run in this order
+ */
+export const BatchJobTasks = {
+    SUMMARY: 'summary',
+    DRAFTS: 'drafts'
+};
+
+const PENDING_STATUSES = [BatchJobStatus.QUEUED, BatchJobStatus.RUNNING];
+
+/**
+ * Check if a job has not finished yet
+ * @param {Object} job - Batch job
+ * @returns {boolean} True if the job is queued or running
+ */
+export function isPendingJob(job) {
+    return PENDING_STATUSES.includes(job.status);
+}
+
+export class BatchQueue {
+    /**
+     * @param {Object} dependencies - Service dependencies
+     * @param {chrome.storage.StorageArea} dependencies.storage - Storage area the queue is persisted in
+     * @param {Function} dependencies.runJob - Runs a job: async (job, {isCancelled, reportStage, signal}) => void
+     * @param {Function} dependencies.broadcastStatus - Status broadcaster from createStatusBroadcaster
+     * @param {Object} dependencies.alarms - chrome.alarms, used to wake the worker while jobs are pending
+     */
+    constructor({ storage, runJob, broadcastStatus, alarms = null }) {
+        this.storage = storage;
+        this.runJob = runJob;
+        this.broadcastStatus = broadcastStatus;
+        this.alarms = alarms;
+        this.jobs = [];
+        this.loadPromise = null;
+        this.started = false;
+        this.isProcessing = false;
+        this.runningController = null;
+        this.nextJobNumber = 0;
+    }
+
+    /**
+     * Load the persisted queue once; jobs interrupted by a worker restart go back to queued,
+     * unless they have already been started MAX_BATCH_JOB_ATTEMPTS times
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                try {
+                    const result = await this.storage.get(BATCH_QUEUE_STORAGE_KEY);
+                    const jobs = Array.isArray(result?.[BATCH_QUEUE_STORAGE_KEY]) ? result[BATCH_QUEUE_STORAGE_KEY] : [];
+                    this.jobs = jobs.map(job => (job.status === BatchJobStatus.RUNNING ? this.resumeInterruptedJob(job) : job));
+                } catch (error) {
+                    console.error('Failed to load batch queue:', error);
+                    this.jobs = [];
+                }
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Queue a job that was running when the worker stopped, or fail it once it has used its attempts
+     * @param {Object} job - Persisted job with status running
+     * @returns {Object} Updated job
+     */
+    resumeInterruptedJob(job) {
+        if ((job.attempts || 0) >= MAX_BATCH_JOB_ATTEMPTS) {
+            return {
+                ...job,
+                status: BatchJobStatus.FAILED,
+                stage: StatusStages.ERROR,
+                error: `Processing stopped before finishing ${MAX_BATCH_JOB_ATTEMPTS} times. Open the thread in the side panel instead.`,
+                updatedAt: Date.now()
+            };
+        }
+        return { ...job, status: BatchJobStatus.QUEUED, stage: StatusStages.QUEUED };
+    }
+
+    /**
+     * Allow jobs to run (called once AI capabilities are known) and resume pending work
+     */
+    async start() {
+        await this.load();
+        this.started = true;
+        this.processNext();
+    }
+
+    /**
+     * Get a copy of every job, oldest first
+     * @returns {Promise<Object[]>} Jobs
+     */
+    async getJobs() {
+        await this.load();
+        return this.jobs.map(job => ({ ...job }));
+    }
+
+    /**
+     * Add threads to the queue
+     * Threads that already have a pending job are skipped
+     * @param {Array<{threadUrl: string, subject: string}>} items - Threads to process
+     * @param {Object} options - Job options
+     * @param {string} options.source - Where the threads were selected ('inbox' or 'history')
+     * @param {string[]} options.tasks - Tasks to run (BatchJobTasks values)
+     * @param {string} options.tone - Tone for reply drafts
+     * @returns {Promise<Object[]>} Jobs that were added
+     */
+    async enqueue(items, { source = 'inbox', tasks = Object.values(BatchJobTasks), tone = 'neutral' } = {}) {
+        await this.load();
+
+        const validTasks = Object.values(BatchJobTasks).filter(task => tasks.includes(task));
+        if (validTasks.length === 0) {
+            throw new Error('Choose at least one task to run');
+        }
+
+        const pendingKeys = new Set(this.jobs.filter(isPendingJob).map(job => getThreadKey(job.threadUrl)));
+        const newItems = [];
+        (items || []).forEach(item => {
+            const threadKey = getThreadKey(item?.threadUrl);
+            if (threadKey && !pendingKeys.has(threadKey)) {
+                pendingKeys.add(threadKey);
+                newItems.push(item);
+            }
+        });
+
+        if (newItems.length === 0) {
+            return [];
+        }
+
+        this.pruneFinishedJobs(newItems.length);
+        if (this.jobs.length + newItems.length > MAX_BATCH_JOBS) {
+            throw new Error(`The batch queue holds up to ${MAX_BATCH_JOBS} threads. Wait for queued threads to finish first.`);
+        }
+
+        const now = Date.now();
+        const added = newItems.map(item => ({
+            id: `${now.toString(36)}-${(this.nextJobNumber++).toString(36)}`,
+            threadUrl: item.threadUrl,
+            subject: item.subject || 'No subject',
+            source,
+            tasks: validTasks,
+            tone,
+            status: BatchJobStatus.QUEUED,
+            stage: StatusStages.QUEUED,
+            error: null,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now
+        }));
+
+        this.jobs.push(...added);
+        await this.persist();
+        added.forEach(job => this.broadcast(job));
+        this.processNext();
+        return added;
+    }
+
+    /**
+     * Drop the oldest finished jobs to make room for new ones
+     * @param {number} needed - Number of slots required
+     */
+    pruneFinishedJobs(needed) {
+        let excess = this.jobs.length + needed - MAX_BATCH_JOBS;
+        if (excess <= 0) return;
+
+        this.jobs = this.jobs.filter(job => {
+            if (excess > 0 && !isPendingJob(job)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Cancel a queued or running job
+     * A running job's model or API call is aborted and its partial results are discarded
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Updated job
+     */
+    async cancel(jobId) {
+        const job = await this.findJob(jobId);
+        if (!isPendingJob(job)) {
+            throw new Error('Only queued or running jobs can be cancelled');
+        }
+
+        const wasRunning = job.status === BatchJobStatus.RUNNING;
+        await this.updateJob(job, { status: BatchJobStatus.CANCELLED, stage: StatusStages.CANCELLED });
+        if (wasRunning) {
+            this.runningController?.abort();
+        }
+        return { ...job };
+    }
+
+    /**
+     * Queue a failed or cancelled job again
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Updated job
+     */
+    async retry(jobId) {
+        const job = await this.findJob(jobId);
+        if (job.status !== BatchJobStatus.FAILED && job.status !== BatchJobStatus.CANCELLED) {
+            throw new Error('Only failed or cancelled jobs can be retried');
+        }
+
+        await this.updateJob(job, { status: BatchJobStatus.QUEUED, stage: StatusStages.QUEUED, error: null });
+        this.processNext();
+        return { ...job };
+    }
+
+    /**
+     * Remove finished, failed and cancelled jobs
+     * @returns {Promise<Object[]>} Remaining jobs
+     */
+    async clearFinished() {
+        await this.load();
+        this.jobs = this.jobs.filter(isPendingJob);
+        await this.persist();
+        return this.getJobs();
+    }
+
+    /**
+     * Find a job by ID
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Job
+     */
+    async findJob(jobId) {
+        await this.load();
+        const job = this.jobs.find(candidate => candidate.id === jobId);
+        if (!job) {
+            throw new Error('Batch job not found');
+        }
+        return job;
+    }
+
+    /**
+     * Run queued jobs one after another until none are left
+     * Safe to call at any time; does nothing while a job is already running
+     */
+    async processNext() {
+        if (!this.started || this.isProcessing) return;
+
+        this.isProcessing = true;
+        try {
+            let job;
+            while ((job = this.jobs.find(candidate => candidate.status === BatchJobStatus.QUEUED))) {
+                await this.runQueuedJob(job);
+            }
+        } finally {
+            this.isProcessing = false;
+            await this.updateResumeAlarm();
+        }
+    }
+
+    /**
+     * Run a single job and record how it ended
+     * @param {Object} job - Queued job
+     */
+    async runQueuedJob(job) {
+        await this.updateJob(job, {
+            status: BatchJobStatus.RUNNING,
+            stage: StatusStages.EXTRACTING,
+            attempts: job.attempts + 1
+        });
+        await this.updateResumeAlarm();
+
+        const isCancelled = () => job.status === BatchJobStatus.CANCELLED;
+        this.runningController = new AbortController();
+
+        try {
+            await this.runJob({ ...job }, {
+                isCancelled,
+                signal: this.runningController.signal,
+                reportStage: async (stage) => {
+                    if (!isCancelled()) {
+                        await this.updateJob(job, { stage });
+                    }
+                }
+            });
+
+            if (!isCancelled()) {
+                await this.updateJob(job, { status: BatchJobStatus.DONE, stage: StatusStages.COMPLETED });
+            }
+        } catch (error) {
+            console.error(`Batch job for "${job.subject}" failed:`, error);
+            if (!isCancelled()) {
+                await this.updateJob(job, {
+                    status: BatchJobStatus.FAILED,
+                    stage: StatusStages.ERROR,
+                    error: getUserErrorMessage(error)
+                });
+            }
+        } finally {
+            this.runningController = null;
+        }
+    }
+
+    /**
+     * Apply changes to a job, persist the queue and broadcast the job's new state
+     * @param {Object} job - Job in this.jobs
+     * @param {Object} changes - Fields to update
+     */
+    async updateJob(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        await this.persist();
+        this.broadcast(job);
+    }
+
+    /**
+     * Write the queue to storage
+     */
+    async persist() {
+        try {
+            await this.storage.set({ [BATCH_QUEUE_STORAGE_KEY]: this.jobs });
+        } catch (error) {
+            console.error('Failed to persist batch queue:', error);
+        }
+    }
+
+    /**
+     * Broadcast a job update to the side panel
+     * @param {Object} job - Job that changed
+     */
+    broadcast(job) {
+        broadcastOperationStatus(this.broadcastStatus, 'batchJob', job.stage, {
+            job: { ...job },
+            pending: this.jobs.filter(isPendingJob).length
+        });
+    }
+
+    /**
+     * Keep an alarm scheduled while jobs are pending so a terminated worker restarts and resumes
+     */
+    async updateResumeAlarm() {
+        if (!this.alarms) return;
+
+        try {
+            if (this.jobs.some(isPendingJob)) {
+                const existing = await this.alarms.get(BATCH_QUEUE_ALARM);
+                if (!existing) {
+                    await this.alarms.create(BATCH_QUEUE_ALARM, { periodInMinutes: 1 });
+                }
+            } else {
+                await this.alarms.clear(BATCH_QUEUE_ALARM);
+            }
+        } catch (error) {
+            console.warn('Failed to update batch queue alarm:', error);
+        }
+    }
+}
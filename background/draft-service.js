@@ -6,10 +6,17 @@
  * on orchestration and coordination.
  */
 
-import { sanitizeErrorMessage } from '../utils/error-handler.js';
+import { sanitizeErrorMessage, isAbortError, CloudConsentRequiredError } from '../utils/error-handler.js';
 import { createSuccessResponse, createErrorResponseForService } from '../utils/response-utils.js';
-import { validateDraftsSchema, validateAndFormatDrafts } from '../utils/validation.js';
-import { OpenAIAPI, AnthropicAPI, GoogleAIAPI, createSystemPrompt, createReplyPrompt, extractThreadContext } from './api-integrations.js';
+import { validateDraftsSchema, validateAndFormatDrafts, getReplyDraftsSchema } from '../utils/validation.js';
+import { readTextStream, parsePartialDrafts } from '../utils/stream-utils.js';
+import { broadcastOperationStatus, StatusStages } from '../utils/status-utils.js';
+import { repairDraftsResponse } from '../utils/json-repair.js';
+import { createSystemPrompt, createReplyPrompt, extractThreadContext } from './api-integrations.js';
+import { ProviderKinds } from './provider-registry.js';
+import { estimateRequestUsage, DRAFTS_OUTPUT_TOKEN_ESTIMATE } from './usage-tracker.js';
+import { createDefaultProviderRegistry, ON_DEVICE_MODEL_LABEL } from './ai-providers.js';
+import { OnDeviceLock } from './on-device-lock.js';
 
 /**
  * Draft Generation Service
@@ -19,86 +26,65 @@ export class DraftService {
     /**
      * @param {Object} dependencies - Service dependencies
      * @param {Object} dependencies.aiCapabilities - AI capabilities object
+     * @param {Function} [dependencies.broadcastModelStatus] - Function to broadcast status updates (retries)
      * @param {Function} dependencies.shouldUseCloudFallback - Function to check fallback decision
      * @param {Object} dependencies.summaryService - SummaryService instance for combining thread messages
+     * @param {ProviderRegistry} [dependencies.providerRegistry] - Provider registry (defaults to one with the built-in providers)
+     * @param {UsageTracker} [dependencies.usageTracker] - Records token usage and enforces the monthly budget
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
      */
     constructor(dependencies) {
         this.aiCapabilities = dependencies.aiCapabilities;
+        this.broadcastModelStatus = dependencies.broadcastModelStatus || null;
         this.shouldUseCloudFallback = dependencies.shouldUseCloudFallback;
         this.summaryService = dependencies.summaryService;
+        this.providerRegistry = dependencies.providerRegistry ||
+            createDefaultProviderRegistry({ summaryService: this.summaryService, draftService: this });
+        this.usageTracker = dependencies.usageTracker || null;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
     }
 
     /**
-     * Generate reply drafts using Prompt API with JSON schema
+     * Generate reply drafts
      * 
      * Reference: docs/spec.md - Reply Draft Generation requirements
-     * Reference: https://developer.chrome.com/docs/ai/prompt-api
+     * Reference: docs/spec.md - AI Provider Registry
      * 
-     * Generates exactly 3 reply drafts in selected tone:
+     * Generates exactly 3 reply drafts in selected tone with the provider resolved from the
+     * user settings (Chrome's Prompt API by default):
      * 1. Short answer (quick acknowledgment)
      * 2. Medium with clarifications (detailed response)
      * 3. Polite with next steps (comprehensive response)
      * 
+     * In hybrid mode, threads the on-device model cannot handle go to the configured cloud
+     * provider once the user has consented (see SummaryService.resolveCloudFallback).
+     * When onPartial is provided and the provider can stream, the drafts parsed so far are
+     * reported field by field as the JSON arrives.
+     * Aborting the signal stops the model or request mid-generation and responds with `cancelled: true`.
+     * 
      * @param {Object} thread - Email thread data
      * @param {string} tone - Selected tone (neutral, friendly, assertive, formal)
      * @param {string} guidance - User-provided guidance for drafts
      * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings (processing mode, API key)
+     * @param {Object} userSettings - User settings (processing mode, provider, API key)
+     * @param {Function} onPartial - Optional callback for streamed output ({field: 'drafts', drafts})
+     * @param {AbortSignal} [signal] - Optional signal to cancel the operation
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.cloudConsent] - True once the user agreed to cloud fallback, false to stay on-device
      */
-    async generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings = null) {
+    async generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings = null, onPartial = null, signal, { cloudConsent } = {}) {
         try {
-            const processingMode = userSettings?.processingMode || 'device-only';
-            const useApiKey = userSettings?.useApiKey || false;
-            let usedFallback = false;
-            
-            // If user has configured a custom API key, use it
-            if (useApiKey && userSettings?.apiKey) {
-                return await this.generateDraftsWithExternalAPI(thread, tone, guidance, sendResponse, userSettings);
-            }
-            
-            // Apply hybrid fallback decision rules as documented in docs/spec.md  
-            const fallbackDecision = this.shouldUseCloudFallback('drafting', processingMode, thread);
-            
-            if (fallbackDecision.shouldFallback && processingMode === 'hybrid') {
-                // Cloud fallback would be implemented here
-                // For now, show privacy-preserving error message
-                throw new Error(`${fallbackDecision.reason}. Cloud fallback is not implemented to maintain privacy guarantees.`);
-            }
-            
-            if (!this.aiCapabilities.promptApi) {
-                if (processingMode === 'hybrid') {
-                    throw new Error('Language Model API not available. Cloud fallback is not implemented to maintain privacy guarantees. Please enable AI features in Chrome.');
-                } else {
-                    throw new Error('Language Model API not available. Please enable AI features in Chrome.');
-                }
-            }
-            
-            // Check if model is ready
-            const capabilities = this.aiCapabilities.promptApi;
-            const availability = capabilities.available;
+            let { provider, config } = this.providerRegistry.resolve(userSettings);
+            const fallback = provider.metadata.kind === ProviderKinds.ON_DEVICE
+                ? this.summaryService.resolveCloudFallback('drafting', thread, userSettings, cloudConsent)
+                : null;
             
-            // Handle 'available' status same as 'readily' (both mean ready to use)
-            if (availability === 'after-download') {
-                if (processingMode === 'hybrid') {
-                    throw new Error('AI model is downloading. Cloud fallback is not implemented to maintain privacy guarantees. Please wait for download to complete.');
-                } else {
-                    throw new Error('AI model is downloading. This may take a few minutes. Please try again later.');
-                }
-            } else if (availability === 'no' || availability === 'unavailable') {
-                if (processingMode === 'hybrid') {
-                    throw new Error('Language Model API is not available. Cloud fallback is not implemented to maintain privacy guarantees. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
-                } else {
-                    throw new Error('Language Model API is not available. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
-                }
-            } else if (availability === 'error') {
-                const errorMsg = capabilities.error || 'Unknown error';
-                throw new Error(`Language Model API error: ${errorMsg}. Please reload the extension and try again.`);
-            } else if (availability !== 'readily' && availability !== 'available') {
-                // Unknown status - log it but try to proceed if it's not clearly unavailable
-                console.warn('Unknown Prompt API availability status:', availability);
-                // Don't throw error for unknown statuses - let it try to use the API
-                // The API call itself will fail if it's truly unavailable
+            if (fallback) {
+                ({ provider, config } = fallback);
+            } else if (provider.metadata.kind === ProviderKinds.ON_DEVICE) {
+                this.checkOnDeviceAvailability();
             }
+            const usedFallback = provider.metadata.kind === ProviderKinds.CLOUD;
             
             const fullText = this.summaryService.combineThreadMessages(thread);
             const subject = thread.subject || 'Re: Email Thread';
@@ -107,151 +93,67 @@ export class DraftService {
                 throw new Error('Not enough content to generate meaningful replies');
             }
             
+            // Personal data is replaced with placeholders before text goes to a cloud provider
+            const cloudContent = usedFallback
+                ? this.summaryService.prepareContentForCloudProcessing(thread, userSettings?.redaction)
+                : null;
+            const request = cloudContent
+                ? { text: cloudContent.content, subject: cloudContent.subject || subject, guidance: cloudContent.redactor.redact(guidance) }
+                : { text: fullText, subject, guidance };
+            
+            if (fallback) {
+                this.summaryService.requireCloudConsent(fallback, [request.subject, request.text, request.guidance], cloudConsent);
+            }
+            
             // Extract context for better reply drafting (key points, questions, action items)
-            const context = extractThreadContext(fullText);
+            const context = extractThreadContext(request.text);
             
-            // Create language model session - matching docs pattern exactly
-            // Following same pattern as Summarizer API
-            // Reference: https://developer.chrome.com/docs/ai/prompt-api
-            // Example: const session = await LanguageModel.create({...})
-            let session = null;
-            try {
-                session = await LanguageModel.create({
-                    initialPrompts: [
-                        { role: 'system', content: createSystemPrompt(tone) }
-                    ],
-                    temperature: 0.7,
-                    topK: 3
-                });
-                
-                // Generate drafts using structured prompt with context preservation
-                const prompt = createReplyPrompt(fullText, subject, tone, guidance, context);
-                const response = await session.prompt(prompt);
-                
-                // Clean up session immediately
-                session.destroy();
-                session = null;
-                
-                // Parse and validate JSON response
-                let drafts;
-                try {
-                    // Clean the response - remove any non-JSON text
-                    const cleanedResponse = this.cleanJsonResponse(response);
-                    drafts = JSON.parse(cleanedResponse);
-                    
-                    // Validate against schema
-                    const validation = validateDraftsSchema(drafts);
-                    if (!validation.isValid) {
-                        console.warn('Schema validation failed:', validation.errors);
-                        throw new Error(`Invalid response format: ${validation.errors.join(', ')}`);
-                    }
-                    
-                } catch (parseError) {
-                    console.warn('JSON parsing failed, using fallback:', parseError.message);
-                    // Enhanced fallback with original response
-                    drafts = this.createFallbackDrafts(response, subject, tone);
-                }
-                
-                // Validate and format drafts
-                const signature = userSettings?.signature || '';
-                const formattedDrafts = validateAndFormatDrafts(drafts, subject, signature);
-                
-                // Ensure we always have exactly 3 drafts
-                if (formattedDrafts.length !== 3) {
-                    console.warn(`Expected 3 drafts, got ${formattedDrafts.length}, using fallback`);
-                    const fallback = this.createFallbackDrafts('', subject, tone);
-                    const fallbackFormatted = validateAndFormatDrafts(fallback, subject, signature);
-                    
-                    sendResponse(createSuccessResponse(
-                        { drafts: fallbackFormatted },
-                        { 
-                            warning: 'AI response was incomplete, using fallback drafts',
-                            usedFallback: usedFallback
+            const generate = () => provider.generateDrafts(
+                { thread, ...request, tone, context },
+                config,
+                {
+                    signal,
+                    onPartial,
+                    onRetry: (retry) => {
+                        if (this.broadcastModelStatus) {
+                            broadcastOperationStatus(this.broadcastModelStatus, 'drafting', StatusStages.RETRYING, retry);
                         }
-                    ));
-                    return;
-                }
-                
-                sendResponse(createSuccessResponse(
-                    { drafts: formattedDrafts },
-                    { usedFallback: usedFallback }
-                ));
-            } catch (apiError) {
-                // Ensure session is destroyed even on error
-                if (session) {
-                    try {
-                        session.destroy();
-                    } catch (destroyError) {
-                        console.warn('Error destroying session:', destroyError);
                     }
                 }
-                // Re-throw to be caught by outer catch block
-                throw apiError;
-            }
-            
-        } catch (error) {
-            console.error('Draft generation error:', error);
-            sendResponse(createErrorResponseForService(error, 'Draft generation'));
-        }
-    }
-
-    /**
-     * Generate drafts using external API (OpenAI, Anthropic, Google)
-     * @param {Object} thread - Email thread data
-     * @param {string} tone - Selected tone
-     * @param {string} guidance - User guidance
-     * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings including API key
-     */
-    async generateDraftsWithExternalAPI(thread, tone, guidance, sendResponse, userSettings) {
-        try {
-            const fullText = this.summaryService.combineThreadMessages(thread);
-            const subject = thread.subject || 'Re: Email Thread';
-            
-            if (!fullText || fullText.length < 20) {
-                throw new Error('Not enough content to generate meaningful replies');
-            }
-            
-            // Extract context for better reply drafting
-            const context = extractThreadContext(fullText);
+            );
+            const result = this.usageTracker
+                ? await this.usageTracker.track(provider, generate,
+                    estimateRequestUsage(config.model, [request.subject, request.text, request.guidance], config.maxTokens || DRAFTS_OUTPUT_TOKEN_ESTIMATE))
+                : await generate();
             
-            const provider = userSettings.apiProvider || 'openai';
-            const apiKey = userSettings.apiKey;
+            const drafts = this.filterDraftsWithBody(cloudContent ? cloudContent.redactor.restoreAll(result.drafts) : result.drafts);
+            const repairs = result.repairs || [];
             
-            let drafts = [];
-            
-            // Call appropriate API based on provider with context preservation
-            switch (provider) {
-                case 'openai':
-                    drafts = await OpenAIAPI.generateDrafts(fullText, subject, tone, guidance, apiKey, context);
-                    break;
-                    
-                case 'anthropic':
-                    drafts = await AnthropicAPI.generateDrafts(fullText, subject, tone, guidance, apiKey, context);
-                    break;
-                    
-                case 'google':
-                    drafts = await GoogleAIAPI.generateDrafts(fullText, subject, tone, guidance, apiKey, context);
-                    break;
-                    
-                default:
-                    throw new Error(`Unsupported API provider: ${provider}`);
+            // Providers return schema-constrained output; anything that still slips through
+            // is logged here and repaired by validateAndFormatDrafts below
+            const validation = validateDraftsSchema({ drafts });
+            if (!validation.isValid) {
+                console.warn('Schema validation failed, formatting repaired drafts:', validation.errors);
             }
             
-            // Validate and format drafts with signature
+            // Validate and format drafts with signature, labelled with the model that wrote them
             const signature = userSettings?.signature || '';
-            const formattedDrafts = validateAndFormatDrafts({ drafts }, subject, signature);
+            const model = result.model || null;
+            const formattedDrafts = validateAndFormatDrafts({ drafts }, subject, signature)
+                .map(draft => ({ ...draft, model }));
             
+            // Ensure we always have exactly 3 drafts
             if (formattedDrafts.length !== 3) {
-                console.warn(`Expected 3 drafts, got ${formattedDrafts.length}`);
+                console.warn(`Expected 3 drafts, got ${formattedDrafts.length}, using fallback`);
                 const fallback = this.createFallbackDrafts('', subject, tone);
                 const fallbackFormatted = validateAndFormatDrafts(fallback, subject, signature);
                 
                 sendResponse(createSuccessResponse(
                     { drafts: fallbackFormatted },
                     { 
-                        warning: 'External API response was incomplete, using fallback drafts',
-                        usedFallback: true
+                        warning: 'AI response was incomplete, using fallback drafts',
+                        usedFallback,
+                        repairs
                     }
                 ));
                 return;
@@ -259,30 +161,149 @@ export class DraftService {
             
             sendResponse(createSuccessResponse(
                 { drafts: formattedDrafts },
-                { usedFallback: true } // Indicate external API was used
+                { usedFallback, repairs }
             ));
             
         } catch (error) {
-            console.error('External API draft generation error:', error);
-            sendResponse(createErrorResponseForService(error, 'External API draft generation'));
+            if (isAbortError(error)) {
+                console.log('Draft generation cancelled');
+            } else if (error instanceof CloudConsentRequiredError) {
+                console.log('Drafts waiting for cloud fallback consent');
+            } else {
+                console.error('Draft generation error:', error);
+            }
+            sendResponse(createErrorResponseForService(error, 'Draft generation'));
+        }
+    }
+
+    /**
+     * Check the on-device Prompt API is ready
+     * @throws {Error} If drafts cannot be generated on-device
+     */
+    checkOnDeviceAvailability() {
+        if (!this.aiCapabilities.promptApi) {
+            throw new Error('Language Model API not available. Please enable AI features in Chrome.');
+        }
+        
+        // Check if model is ready
+        const capabilities = this.aiCapabilities.promptApi;
+        const availability = capabilities.available;
+        
+        // Handle 'available' status same as 'readily' (both mean ready to use)
+        if (availability === 'after-download') {
+            throw new Error('AI model is downloading. This may take a few minutes. Please try again later.');
+        } else if (availability === 'no' || availability === 'unavailable') {
+            throw new Error('Language Model API is not available. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
+        } else if (availability === 'error') {
+            const errorMsg = capabilities.error || 'Unknown error';
+            throw new Error(`Language Model API error: ${errorMsg}. Please reload the extension and try again.`);
+        } else if (availability !== 'readily' && availability !== 'available') {
+            // Unknown status - log it but try to proceed if it's not clearly unavailable
+            console.warn('Unknown Prompt API availability status:', availability);
+            // Don't throw error for unknown statuses - let it try to use the API
+            // The API call itself will fail if it's truly unavailable
         }
     }
 
     /**
-     * Clean JSON response by removing non-JSON text
+     * Generate reply drafts with Chrome's Prompt API and the drafts JSON schema
+     * Used by the Chrome built-in provider (background/ai-providers.js)
+     * 
+     * Reference: https://developer.chrome.com/docs/ai/prompt-api
+     * 
+     * @param {Object} request - Draft request ({text, subject, tone, guidance, context})
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} [options.signal] - Stops the Prompt API mid-generation
+     * @param {Function} [options.onPartial] - Callback for streamed output ({field: 'drafts', drafts})
+     * @param {number} [options.temperature] - Sampling temperature (within the model's reported params)
+     * @param {number} [options.topK] - Sampling top-K (within the model's reported params)
+     * @returns {Promise<{drafts: Array<Object>, repairs: Array<string>, model: string|null}>} Drafts, the JSON
+     *   repairs applied and the model label (null when the template fallback was used)
+     */
+    generateDraftsOnDevice(request, options = {}) {
+        // Waits for any other on-device summary or draft, so only one model session is active
+        return this.onDeviceLock.run(() => this.runLanguageModel(request, options), options.signal);
+    }
+
+    /**
+     * Create the LanguageModel session for generateDraftsOnDevice, which holds the on-device lock
+     * @param {Object} request - Draft request ({text, subject, tone, guidance, context})
+     * @param {Object} options - Generation options ({signal, onPartial, temperature, topK})
+     * @returns {Promise<{drafts: Array<Object>, repairs: Array<string>, model: string|null}>} Drafts
+     */
+    async runLanguageModel({ text, subject, tone, guidance, context }, { signal, onPartial = null, temperature = 0.7, topK = 3 } = {}) {
+        // Create language model session - matching docs pattern exactly
+        // Following same pattern as Summarizer API
+        // Reference: https://developer.chrome.com/docs/ai/prompt-api
+        // Example: const session = await LanguageModel.create({...})
+        const session = await LanguageModel.create({
+            initialPrompts: [
+                { role: 'system', content: createSystemPrompt(tone) }
+            ],
+            // The Prompt API needs temperature and topK together
+            temperature,
+            topK,
+            signal
+        });
+        
+        let response;
+        try {
+            // Generate drafts using structured prompt with context preservation
+            // The schema is passed as a responseConstraint so the model can only emit valid JSON
+            // Reference: https://developer.chrome.com/docs/ai/structured-output-for-prompt-api
+            const prompt = createReplyPrompt(text, subject, tone, guidance, context);
+            const promptOptions = { responseConstraint: getReplyDraftsSchema(), signal };
+            const canStream = typeof onPartial === 'function' && typeof session.promptStreaming === 'function';
+            response = canStream
+                ? await readTextStream(session.promptStreaming(prompt, promptOptions), (partialText) => {
+                    onPartial({ field: 'drafts', drafts: parsePartialDrafts(partialText) });
+                })
+                : await session.prompt(prompt, promptOptions);
+        } finally {
+            // Ensure session is destroyed even on error
+            try {
+                session.destroy();
+            } catch (destroyError) {
+                console.warn('Error destroying session:', destroyError);
+            }
+        }
+        
+        // Parse JSON response, repairing malformed or truncated output
+        try {
+            return { ...this.parseDrafts(response), model: ON_DEVICE_MODEL_LABEL };
+        } catch (parseError) {
+            console.warn('JSON parsing failed, using fallback:', parseError.message);
+            // Enhanced fallback with original response
+            return { drafts: this.createFallbackDrafts(response, subject, tone).drafts, repairs: [], model: null };
+        }
+    }
+
+    /**
+     * Parse drafts from a model response, repairing malformed JSON
+     * 
+     * Reference: utils/json-repair.js - repairDraftsResponse
+     * 
      * @param {string} response - Raw response from AI
-     * @returns {string} Cleaned JSON string
+     * @returns {{drafts: Array<Object>, repairs: Array<string>}} Drafts with a body and the repairs applied
+     * @throws {Error} If no drafts could be recovered
      */
-    cleanJsonResponse(response) {
-        // Find JSON object boundaries
-        const startIndex = response.indexOf('{');
-        const lastIndex = response.lastIndexOf('}');
+    parseDrafts(response) {
+        const { drafts, repairs } = repairDraftsResponse(response);
         
-        if (startIndex === -1 || lastIndex === -1) {
-            throw new Error('No JSON object found in response');
+        if (repairs.length > 0) {
+            console.info('Repaired malformed drafts JSON:', repairs.join(', '));
         }
         
-        return response.substring(startIndex, lastIndex + 1);
+        return { drafts: this.filterDraftsWithBody(drafts), repairs };
+    }
+
+    /**
+     * Drop drafts whose body never arrived (e.g. cut off by truncated output)
+     * @param {Array<Object>} drafts - Parsed drafts
+     * @returns {Array<Object>} Drafts with a non-empty body
+     */
+    filterDraftsWithBody(drafts) {
+        return (drafts || []).filter(draft => draft && typeof draft.body === 'string' && draft.body.trim().length > 0);
     }
 
     /**
@@ -0,0 +1,138 @@
+/**
+ * API Key Health
+ * Checks that the selected provider accepts the saved API key, so a bad key is reported in the
+ * settings panel instead of on the first summary
+ *
+ * The check is the provider's validateKey call, a cheap authenticated request such as listing
+ * models, made when the key is saved and again every hour while the browser runs. The last result
+ * is kept in chrome.storage.local so the settings panel can show it when it opens.
+ *
+ * Reference: background/api-integrations.js - checkKeyRequest
+ * Reference: docs/spec.md - API Key Health Check
+ */
+
+import { ApiErrorTypes } from '../utils/error-handler.js';
+import { getMissingProviderFields, getProviderConfig, ProviderKinds } from './provider-registry.js';
+
+/**
+ * chrome.storage.local key holding the last check result
+ */
+export const KEY_HEALTH_STORAGE_KEY = 'apiKeyHealth';
+
+/**
+ * Alarm that re-checks the key while the browser runs
+ */
+export const KEY_HEALTH_ALARM = 'api-key-health-check';
+
+/**
+ * Minutes between periodic checks
+ */
+export const KEY_HEALTH_CHECK_MINUTES = 60;
+
+/**
+ * Check outcomes shown in the settings panel
+ */
+export const KeyHealthStatus = {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    NO_QUOTA: 'no_quota',
+    NETWORK: 'network'
+};
+
+/**
+ * Classify a validateKey result
+ * A rate-limited request still means the key was accepted. Server errors, timeouts and rejected
+ * requests count as network failures: they say nothing about the key itself
+ * @param {{valid: boolean, errorType: string|null}} result - Result of a provider's validateKey
+ * @returns {string} KeyHealthStatus value
+ */
+export function classifyKeyCheck(result) {
+    if (result?.valid || result?.errorType === ApiErrorTypes.RATE_LIMIT) {
+        return KeyHealthStatus.VALID;
+    }
+    if (result?.errorType === ApiErrorTypes.AUTH) {
+        return KeyHealthStatus.INVALID;
+    }
+    if (result?.errorType === ApiErrorTypes.QUOTA) {
+        return KeyHealthStatus.NO_QUOTA;
+    }
+    return KeyHealthStatus.NETWORK;
+}
+
+export class KeyHealthChecker {
+    /**
+     * @param {Object} dependencies - Checker dependencies
+     * @param {ProviderRegistry} dependencies.providerRegistry - Registered providers
+     * @param {chrome.storage.StorageArea} dependencies.storage - Where the last result is kept (chrome.storage.local)
+     * @param {Function} dependencies.loadUserSettings - Async function resolving to the current user settings
+     */
+    constructor({ providerRegistry, storage, loadUserSettings }) {
+        this.providerRegistry = providerRegistry;
+        this.storage = storage;
+        this.loadUserSettings = loadUserSettings;
+    }
+
+    /**
+     * Get the provider whose key should be checked
+     * That is the selected provider when it is used: with "Use custom API key" on, or as the
+     * hybrid mode fallback
+     * @param {Object} userSettings - User settings
+     * @returns {{provider: Object, config: Object}|null} Provider and its configuration, or null if there is nothing to check
+     */
+    getCheckTarget(userSettings) {
+        if (!this.providerRegistry.has(userSettings?.apiProvider)) {
+            return null;
+        }
+        const provider = this.providerRegistry.get(userSettings.apiProvider);
+        if (provider.metadata.kind === ProviderKinds.ON_DEVICE) {
+            return null;
+        }
+        if (!userSettings.useApiKey && userSettings.processingMode !== 'hybrid') {
+            return null;
+        }
+
+        const config = getProviderConfig(provider, userSettings);
+        return getMissingProviderFields(provider, config).length === 0 ? { provider, config } : null;
+    }
+
+    /**
+     * Check the selected provider's key and store the result
+     * Nothing is sent while the key is missing or locked; the last result is kept while it is locked
+     * @param {Object} [options] - Check options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object|null>} Result ({provider, providerLabel, status, message, httpStatus, checkedAt}),
+     *   or null if there is no key to check
+     */
+    async check({ signal } = {}) {
+        const userSettings = await this.loadUserSettings();
+        const target = this.getCheckTarget(userSettings);
+        if (!target) {
+            if (!userSettings.apiKeyLocked) {
+                await this.storage.remove(KEY_HEALTH_STORAGE_KEY);
+            }
+            return null;
+        }
+
+        const { provider, config } = target;
+        const result = await provider.validateKey(config, { signal });
+        const health = {
+            provider: provider.id,
+            providerLabel: provider.metadata.label,
+            status: classifyKeyCheck(result),
+            message: result.error || null,
+            httpStatus: result.status ?? null,
+            checkedAt: new Date().toISOString()
+        };
+        await this.storage.set({ [KEY_HEALTH_STORAGE_KEY]: health });
+        return health;
+    }
+
+    /**
+     * Get the last stored result
+     * @returns {Promise<Object|null>} Last result, or null if the key has not been checked
+     */
+    async getLastResult() {
+        const stored = await this.storage.get(KEY_HEALTH_STORAGE_KEY);
+        return stored[KEY_HEALTH_STORAGE_KEY] || null;
+    }
+}
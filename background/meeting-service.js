@@ -0,0 +1,252 @@
+/**
+ * Meeting Proposal Detection Service
+ * Finds proposed meeting dates and times in email threads ("Tuesday 3pm or Thursday 10am?")
+ *
+ * The Prompt API (with a JSON schema response constraint) finds the date and time phrases;
+ * the phrases are always resolved to timestamps locally with the timestamp parser, relative
+ * to when the proposing message was sent. A regex scan is used when the Prompt API is unavailable.
+ *
+ * Reference: utils/timestamp-parser.js - parseProposedTime()
+ * Reference: https://developer.chrome.com/docs/ai/structured-output-for-prompt-api
+ */
+
+import { sanitizeString } from '../utils/validation.js';
+import { parseTimestamp, parseProposedTime } from '../utils/timestamp-parser.js';
+import { repairJson } from '../utils/json-repair.js';
+import { OnDeviceLock } from './on-device-lock.js';
+
+/**
+ * Maximum number of proposals returned for a thread
+ */
+export const MAX_MEETING_PROPOSALS = 6;
+
+/**
+ * Meeting length used when the thread doesn't state one
+ */
+export const DEFAULT_MEETING_DURATION_MINUTES = 30;
+
+/**
+ * Characters of each message included in the detection prompt
+ */
+const MAX_MESSAGE_PROMPT_LENGTH = 3000;
+
+/**
+ * How the proposals were found
+ */
+export const MeetingDetectionMethods = {
+    PROMPT_API: 'prompt-api',
+    HEURISTIC: 'heuristic'
+};
+
+const MONTH_NAMES = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERN = `(?:today|tomorrow|(?:(?:next|this)\\s+)?(?:mon|tues|wednes|thurs|fri|satur|sun)day|${MONTH_NAMES}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s*\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAMES}(?:,?\\s*\\d{4})?|\\d{4}-\\d{2}-\\d{2})`;
+const TIME_PATTERN = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?)(?!\\w)|\\d{1,2}:\\d{2}|noon)';
+
+/**
+ * "Tuesday 3pm", "March 5 at 10:30am", "tomorrow @ noon"
+ */
+const DATE_THEN_TIME = new RegExp(`\\b(${DATE_PATTERN})(?:,)?\\s+(?:at\\s+|@\\s*)?(?:around\\s+|about\\s+)?(${TIME_PATTERN})`, 'gi');
+
+/**
+ * "3pm on Tuesday", "10:00 tomorrow"
+ */
+const TIME_THEN_DATE = new RegExp(`\\b(${TIME_PATTERN})\\s+(?:on\\s+)?(${DATE_PATTERN})\\b`, 'gi');
+
+/**
+ * Meeting length stated in the text ("30 min", "1 hour", "45-minute")
+ */
+const DURATION_PATTERN = /\b(\d{1,3})[\s-]*(min(?:ute)?s?|h(?:ou)?rs?)\b/i;
+
+/**
+ * JSON Schema for meeting proposals returned by the Prompt API
+ * @returns {Object} JSON schema object
+ */
+export function getMeetingProposalsSchema() {
+    return {
+        type: "object",
+        required: ["proposals"],
+        properties: {
+            proposals: {
+                type: "array",
+                maxItems: MAX_MEETING_PROPOSALS,
+                items: {
+                    type: "object",
+                    required: ["date", "time", "durationMinutes", "sourceMessageIndex"],
+                    properties: {
+                        date: { type: "string", maxLength: 60 },
+                        time: { type: "string", maxLength: 30 },
+                        durationMinutes: { type: "integer", minimum: 0, maximum: 600 },
+                        sourceMessageIndex: { type: "integer", minimum: 0 }
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        additionalProperties: false
+    };
+}
+
+export class MeetingDetectionService {
+    /**
+     * @param {Object} dependencies - Service dependencies
+     * @param {Object} dependencies.aiCapabilities - AI capabilities object
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
+     */
+    constructor(dependencies) {
+        this.aiCapabilities = dependencies.aiCapabilities;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
+    }
+
+    /**
+     * Detect proposed meeting times in a thread
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object>} Proposals and the method used ({proposals, method})
+     */
+    async detectMeetingProposals(thread) {
+        if (!thread?.messages || thread.messages.length === 0) {
+            throw new Error('No messages to detect meeting times in');
+        }
+
+        const availability = this.aiCapabilities.promptApi?.available;
+        if (availability === 'readily' || availability === 'available') {
+            try {
+                const proposals = await this.onDeviceLock.run(() => this.detectWithPromptApi(thread));
+                return { proposals, method: MeetingDetectionMethods.PROMPT_API };
+            } catch (error) {
+                console.warn('Prompt API meeting detection failed, using heuristics:', error);
+            }
+        } else {
+            console.log('Prompt API not ready for meeting detection, using heuristics');
+        }
+
+        return {
+            proposals: this.detectWithHeuristics(thread),
+            method: MeetingDetectionMethods.HEURISTIC
+        };
+    }
+
+    /**
+     * Find proposed date/time phrases with the Prompt API
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object[]>} Normalized proposals
+     */
+    async detectWithPromptApi(thread) {
+        let session = null;
+        try {
+            session = await LanguageModel.create({
+                initialPrompts: [
+                    {
+                        role: 'system',
+                        content: 'You find meeting times proposed in email threads. Only include specific dates with a time of day that someone suggests for a meeting or call. Copy the date and time exactly as written; do not convert them.'
+                    }
+                ],
+                temperature: 0.1,
+                topK: 3
+            });
+
+            const response = await session.prompt(this.createDetectionPrompt(thread), {
+                responseConstraint: getMeetingProposalsSchema()
+            });
+
+            const { value } = repairJson(response);
+            if (!value || !Array.isArray(value.proposals)) {
+                throw new Error('Response did not contain a proposals array');
+            }
+
+            return this.normalizeProposals(value.proposals, thread);
+        } finally {
+            if (session) {
+                session.destroy();
+            }
+        }
+    }
+
+    /**
+     * Build the detection prompt with numbered messages
+     * @param {Object} thread - Email thread data
+     * @returns {string} Prompt text
+     */
+    createDetectionPrompt(thread) {
+        const messages = thread.messages.map((message, index) => {
+            const sender = message.sender?.name || 'Unknown';
+            const sent = message.timestamp ? ` (sent ${message.timestamp})` : '';
+            const content = (message.content || '').substring(0, MAX_MESSAGE_PROMPT_LENGTH);
+            return `[Message ${index}] From: ${sender}${sent}\n${content}`;
+        }).join('\n\n---\n\n');
+
+        return `Subject: ${thread.subject || '(no subject)'}
+
+${messages}
+
+List every proposed meeting time. For each one give:
+- date: the day exactly as written (e.g. "Tuesday", "March 5", "tomorrow")
+- time: the time of day exactly as written (e.g. "3pm", "10:30")
+- durationMinutes: the meeting length in minutes if stated, otherwise 0
+- sourceMessageIndex: the number of the message that proposes it`;
+    }
+
+    /**
+     * Find proposed date/time phrases with regexes
+     * @param {Object} thread - Email thread data
+     * @returns {Object[]} Normalized proposals
+     */
+    detectWithHeuristics(thread) {
+        const rawProposals = [];
+
+        thread.messages.forEach((message, index) => {
+            const content = message.content || '';
+            const durationMatch = content.match(DURATION_PATTERN);
+            const durationMinutes = durationMatch
+                ? parseInt(durationMatch[1], 10) * (/^h/i.test(durationMatch[2]) ? 60 : 1)
+                : 0;
+
+            for (const match of content.matchAll(DATE_THEN_TIME)) {
+                rawProposals.push({ date: match[1], time: match[2], durationMinutes, sourceMessageIndex: index });
+            }
+            for (const match of content.matchAll(TIME_THEN_DATE)) {
+                rawProposals.push({ date: match[2], time: match[1], durationMinutes, sourceMessageIndex: index });
+            }
+        });
+
+        return this.normalizeProposals(rawProposals, thread);
+    }
+
+    /**
+     * Resolve phrases to timestamps, drop unparseable entries and duplicates, and sort by start
+     * @param {Object[]} rawProposals - Proposals from the model or heuristics
+     * @param {Object} thread - Email thread data
+     * @returns {Object[]} Proposals ({start, end, label, proposedBy, sourceMessageIndex})
+     */
+    normalizeProposals(rawProposals, thread) {
+        const lastIndex = thread.messages.length - 1;
+        const byStart = new Map();
+
+        rawProposals.forEach(proposal => {
+            const date = sanitizeString(proposal?.date, 60);
+            const time = sanitizeString(proposal?.time, 30);
+            if (!date || !time) return;
+
+            const index = Number.isInteger(proposal.sourceMessageIndex)
+                ? Math.min(Math.max(proposal.sourceMessageIndex, 0), lastIndex)
+                : lastIndex;
+            const message = thread.messages[index];
+            const referenceTime = parseTimestamp(message?.timestamp) || Date.now();
+
+            const start = parseProposedTime(date, time, referenceTime);
+            if (!start || byStart.has(start)) return;
+
+            const duration = proposal.durationMinutes > 0 ? proposal.durationMinutes : DEFAULT_MEETING_DURATION_MINUTES;
+            byStart.set(start, {
+                start,
+                end: start + duration * 60 * 1000,
+                label: `${date} ${time}`,
+                proposedBy: message?.sender || null,
+                sourceMessageIndex: index
+            });
+        });
+
+        return [...byStart.values()]
+            .sort((a, b) => a.start - b.start)
+            .slice(0, MAX_MEETING_PROPOSALS);
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * On-Device Model Lock
+ * Lets one piece of on-device model work run at a time across the service worker
+ *
+ * Summaries, reply drafts, action items, meeting times, triage and attachment summaries, whether
+ * asked for in the side panel or run by the batch queue, all create Summarizer or LanguageModel
+ * sessions; taking this lock around each one keeps at most one session active. Work waits its
+ * turn in the order it asked for the lock.
+ *
+ * Reference: docs/spec.md - Batch Processing Queue
+ */
+
+export class OnDeviceLock {
+    constructor() {
+        // Each task is chained after the previous one; failures do not break the chain
+        this.chain = Promise.resolve();
+    }
+
+    /**
+     * Run a task once every task that asked for the lock before it has finished
+     * @param {Function} task - Async function that uses an on-device model
+     * @param {AbortSignal} [signal] - Stops waiting for the lock (the task is then never run)
+     * @returns {Promise<*>} Result of the task
+     * @throws The task's error, or the signal's reason if it is aborted while waiting
+     */
+    run(task, signal) {
+        const turn = this.chain.then(() => {
+            signal?.throwIfAborted();
+            return task();
+        });
+        this.chain = turn.catch(() => {});
+
+        if (!signal) {
+            return turn;
+        }
+        // A cancelled request should not sit behind a long batch job until its turn comes
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            turn.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+}
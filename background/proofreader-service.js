@@ -0,0 +1,155 @@
+/**
+ * ProofreaderService - Handles grammar and spelling correction using Chrome's Proofreader API
+ * Reference: https://developer.chrome.com/docs/ai/proofreader-api
+ */
+export class ProofreaderService {
+    constructor() {
+        this.session = null;
+        this.isAvailable = false;
+    }
+
+    async initialize() {
+        if ('Proofreader' in self) {
+            this.isAvailable = true;
+            console.log('Proofreader API detected in browser');
+            return true;
+        }
+        console.log('Proofreader API not available in this browser');
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Check if the proofreading model can be used
+     * @returns {Promise<Object>} Availability status with details
+     */
+    async checkAvailability() {
+        if (!this.isAvailable) {
+            await this.initialize();
+        }
+
+        if (!this.isAvailable) {
+            return {
+                available: false,
+                state: 'no',
+                reason: 'Proofreader API not available in this browser',
+                needsDownload: false
+            };
+        }
+
+        try {
+            const availability = await Proofreader.availability({
+                expectedInputLanguages: ['en']
+            });
+
+            console.log(`Proofreader availability: ${availability}`);
+
+            const needsDownload = availability === 'after-download' ||
+                                 availability === 'downloadable' ||
+                                 availability === 'downloading';
+            const isAvailable = availability === 'readily' ||
+                               availability === 'available' ||
+                               needsDownload;
+
+            return {
+                available: isAvailable,
+                state: availability,
+                needsDownload: needsDownload,
+                reason: isAvailable ? null : 'Proofreading is not supported in your Chrome version. Enable the Proofreader API in chrome://flags.'
+            };
+        } catch (error) {
+            console.error('Error checking proofreader availability:', error);
+            return {
+                available: false,
+                state: 'error',
+                reason: error.message,
+                needsDownload: false
+            };
+        }
+    }
+
+    /**
+     * Proofread text and return each correction with its position in the input
+     * @param {string} text - Text to proofread
+     * @returns {Promise<Object>} { correctedText, corrections: [{ startIndex, endIndex, original, correction, type, explanation }] }
+     */
+    async proofread(text) {
+        const availabilityCheck = await this.checkAvailability();
+        if (!availabilityCheck.available) {
+            throw new Error(availabilityCheck.reason || 'Proofreader API not available');
+        }
+
+        if (!this.session) {
+            try {
+                console.log('Creating proofreader session...');
+                this.session = await Proofreader.create({
+                    expectedInputLanguages: ['en'],
+                    monitor(m) {
+                        m.addEventListener('downloadprogress', (e) => {
+                            console.log(`Proofreader model download progress: ${Math.round(e.loaded * 100)}%`);
+                        });
+                    }
+                });
+            } catch (error) {
+                console.error('Error creating proofreader:', error);
+                throw new Error(`Failed to create proofreader: ${error.message}`);
+            }
+        }
+
+        try {
+            const result = await this.session.proofread(text);
+            const corrections = this.normalizeCorrections(text, result?.corrections || []);
+            console.log(`Proofreading complete (${corrections.length} corrections)`);
+
+            return {
+                correctedText: result?.correctedInput ?? result?.correctedText ?? text,
+                corrections
+            };
+        } catch (error) {
+            console.error('Proofreading error:', error);
+            // Drop the session so the next request starts fresh
+            this.cleanup();
+            throw new Error(`Proofreading failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sort corrections by position and drop any that overlap or fall outside the text
+     * @param {string} text - Original text
+     * @param {Array<Object>} corrections - Corrections reported by the Proofreader API
+     * @returns {Array<Object>} Non-overlapping corrections in input order
+     */
+    normalizeCorrections(text, corrections) {
+        let lastEnd = 0;
+
+        return [...corrections]
+            .filter(item => Number.isInteger(item.startIndex) && Number.isInteger(item.endIndex))
+            .sort((a, b) => a.startIndex - b.startIndex)
+            .filter(item => {
+                const valid = item.startIndex >= lastEnd && item.endIndex <= text.length && item.startIndex <= item.endIndex;
+                if (valid) {
+                    lastEnd = item.endIndex;
+                }
+                return valid;
+            })
+            .map(item => ({
+                startIndex: item.startIndex,
+                endIndex: item.endIndex,
+                original: text.substring(item.startIndex, item.endIndex),
+                correction: item.correction ?? '',
+                type: item.type || item.types?.[0] || null,
+                explanation: item.explanation || null
+            }));
+    }
+
+    cleanup() {
+        if (this.session) {
+            try {
+                this.session.destroy();
+            } catch (error) {
+                console.error('Error destroying proofreader session:', error);
+            }
+            this.session = null;
+        }
+    }
+}
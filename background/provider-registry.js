@@ -0,0 +1,191 @@
+/**
+ * AI Provider Registry
+ * Looks up the provider that handles summaries and reply drafts for the user's settings
+ *
+ * Every provider, including Chrome's built-in AI, implements the same interface, so adding
+ * one means registering it here instead of editing the summary and draft services:
+ *
+ * - `id` - Value stored in the `apiProvider` setting
+ * - `metadata` - Serializable description the settings panel is generated from
+ *   ({label, kind, description, dataEgressWarning, models, defaultModel, fields})
+ * - `capabilities(config)` - What the provider can do right now ({available, summarize, drafts, streaming, reason})
+ * - `summarize(request, config, options)` - Resolves to {summary, keyPoints} for {thread, text}
+ * - `generateDrafts(request, config, options)` - Resolves to {drafts, repairs} for
+ *   {thread, text, subject, tone, guidance, context}
+ * - `validateKey(config, options)` - Resolves to {valid, status, error}
+ *
+ * `options` carries `signal` (AbortSignal), `onPartial`, the streaming hook: providers whose
+ * capabilities report `streaming: true` call it with partial output as it is generated, and
+ * `onRetry`, which HTTP providers call before retrying a failed request (see background/api-request.js).
+ * `config` is built by getProviderConfig from the provider's field metadata. Providers that take
+ * generation settings declare them as fields too (model, temperature, maxTokens, timeoutSeconds,
+ * or temperature and topK on-device), so each provider keeps its own values.
+ *
+ * Reference: background/ai-providers.js - registered implementations
+ * Reference: docs/spec.md - AI Provider Registry
+ */
+
+import { normalizeProviderFieldValue } from '../utils/provider-fields.js';
+
+/**
+ * Provider ID of Chrome's built-in (on-device) AI, used when no other provider is configured
+ */
+export const CHROME_BUILT_IN_PROVIDER_ID = 'chrome-built-in';
+
+/**
+ * Where a provider runs, which decides whether email content leaves the device
+ */
+export const ProviderKinds = {
+    ON_DEVICE: 'on-device',
+    LOCAL: 'local',
+    CLOUD: 'cloud'
+};
+
+const REQUIRED_METHODS = ['capabilities', 'summarize', 'generateDrafts', 'validateKey'];
+
+/**
+ * Build the configuration a provider is called with from the user settings
+ * The shared API key comes from `apiKey`; every other field from `providerSettings[provider.id]`,
+ * falling back to the field's default
+ * @param {Object} provider - Registered provider
+ * @param {Object} userSettings - User settings
+ * @returns {Object} Provider configuration keyed by field ID
+ */
+export function getProviderConfig(provider, userSettings) {
+    const saved = userSettings?.providerSettings?.[provider.id] || {};
+    const config = {};
+    (provider.metadata.fields || []).forEach(field => {
+        const value = field.id === 'apiKey' ? userSettings?.apiKey : saved[field.id];
+        config[field.id] = normalizeProviderFieldValue(field, value);
+    });
+    return config;
+}
+
+/**
+ * List the required fields a provider configuration is missing
+ * @param {Object} provider - Registered provider
+ * @param {Object} config - Provider configuration
+ * @returns {Object[]} Field metadata of each missing field
+ */
+export function getMissingProviderFields(provider, config) {
+    return (provider.metadata.fields || []).filter(field => {
+        if (!field.required) return false;
+        const value = config?.[field.id];
+        return typeof value === 'string' ? !value.trim() : value === undefined || value === null;
+    });
+}
+
+export class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Register a provider
+     * @param {Object} provider - Provider implementing the interface described above
+     * @returns {Object} The provider
+     * @throws {Error} If the provider is incomplete or its ID is already registered
+     */
+    register(provider) {
+        if (!provider?.id || !provider.metadata) {
+            throw new Error('Providers need an id and metadata');
+        }
+        const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Provider "${provider.id}" does not implement: ${missing.join(', ')}`);
+        }
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Provider "${provider.id}" is already registered`);
+        }
+
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * Check if a provider is registered
+     * @param {string} id - Provider ID
+     * @returns {boolean} True if registered
+     */
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * Get a registered provider
+     * @param {string} id - Provider ID
+     * @returns {Object} Provider
+     * @throws {Error} If no provider has this ID
+     */
+    get(id) {
+        const provider = this.providers.get(id);
+        if (!provider) {
+            throw new Error(`Unsupported API provider: ${id}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Get every registered provider in registration order
+     * @returns {Object[]} Providers
+     */
+    list() {
+        return [...this.providers.values()];
+    }
+
+    /**
+     * Pick the provider for a request
+     * The selected provider is used when "Use custom API key" is on and its required fields are
+     * filled in; otherwise requests go to Chrome's built-in AI
+     * @param {Object} userSettings - User settings (`apiKeyLocked` when the encrypted key is not unlocked)
+     * @returns {{provider: Object, config: Object}} Provider and its configuration
+     * @throws {Error} If the selected provider needs the API key and it is locked
+     */
+    resolve(userSettings) {
+        if (userSettings?.useApiKey && this.providers.has(userSettings.apiProvider)) {
+            const provider = this.providers.get(userSettings.apiProvider);
+            const config = getProviderConfig(provider, userSettings);
+            const missing = getMissingProviderFields(provider, config);
+            if (missing.length === 0) {
+                return { provider, config };
+            }
+            // Falling back to Chrome's built-in AI here would hide why the provider was not used
+            if (userSettings.apiKeyLocked && missing.some(field => field.id === 'apiKey')) {
+                throw new Error(`Your ${provider.metadata.label} API key is locked. Enter your passphrase under API Settings to unlock it.`);
+            }
+        }
+
+        const builtIn = this.get(CHROME_BUILT_IN_PROVIDER_ID);
+        return { provider: builtIn, config: getProviderConfig(builtIn, userSettings) };
+    }
+
+    /**
+     * Pick the cloud provider hybrid mode falls back to
+     * This is the selected provider, whether or not "Use custom API key" is on, as long as it is a
+     * cloud provider and its required fields are filled in
+     * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+     * @param {Object} userSettings - User settings
+     * @returns {{provider: Object, config: Object}|null} Provider and its configuration, or null if none is configured
+     */
+    resolveFallback(userSettings) {
+        const provider = this.providers.get(userSettings?.apiProvider);
+        if (provider?.metadata.kind !== ProviderKinds.CLOUD) {
+            return null;
+        }
+
+        const config = getProviderConfig(provider, userSettings);
+        return getMissingProviderFields(provider, config).length === 0 ? { provider, config } : null;
+    }
+
+    /**
+     * Describe every provider for the settings panel
+     * @returns {Object[]} Metadata with the provider ID and current capabilities
+     */
+    describe() {
+        return this.list().map(provider => ({
+            id: provider.id,
+            ...provider.metadata,
+            capabilities: provider.capabilities({})
+        }));
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * RewriterService - Handles rewriting individual drafts using Chrome's Rewriter API
+ * Reference: https://developer.chrome.com/docs/ai/rewriter-api
+ */
+
+/**
+ * Tone and length presets accepted by Rewriter.create()
+ */
+export const REWRITE_TONES = ['as-is', 'more-casual', 'more-formal'];
+export const REWRITE_LENGTHS = ['as-is', 'shorter', 'longer'];
+
+export class RewriterService {
+    constructor() {
+        this.sessions = new Map();
+        this.isAvailable = false;
+    }
+
+    async initialize() {
+        if ('Rewriter' in self) {
+            this.isAvailable = true;
+            console.log('Rewriter API detected in browser');
+            return true;
+        }
+        console.log('Rewriter API not available in this browser');
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Check if the rewriting model can be used
+     * @returns {Promise<Object>} Availability status with details
+     */
+    async checkAvailability() {
+        if (!this.isAvailable) {
+            await this.initialize();
+        }
+
+        if (!this.isAvailable) {
+            return {
+                available: false,
+                state: 'no',
+                reason: 'Rewriter API not available in this browser',
+                needsDownload: false
+            };
+        }
+
+        try {
+            const availability = await Rewriter.availability();
+
+            console.log(`Rewriter availability: ${availability}`);
+
+            const needsDownload = availability === 'after-download' ||
+                                 availability === 'downloadable' ||
+                                 availability === 'downloading';
+            const isAvailable = availability === 'readily' ||
+                               availability === 'available' ||
+                               needsDownload;
+
+            return {
+                available: isAvailable,
+                state: availability,
+                needsDownload: needsDownload,
+                reason: isAvailable ? null : 'Rewriting is not supported in your Chrome version. Enable the Rewriter API in chrome://flags.'
+            };
+        } catch (error) {
+            console.error('Error checking rewriter availability:', error);
+            return {
+                available: false,
+                state: 'error',
+                reason: error.message,
+                needsDownload: false
+            };
+        }
+    }
+
+    /**
+     * Rewrite text with a tone/length preset and optional free-text instruction
+     * @param {string} text - Text to rewrite
+     * @param {Object} options - Rewrite options
+     * @param {string} options.tone - One of REWRITE_TONES
+     * @param {string} options.length - One of REWRITE_LENGTHS
+     * @param {string} options.instruction - Free-text instruction (e.g. "less apologetic")
+     * @returns {Promise<string>} Rewritten text
+     */
+    async rewrite(text, { tone = 'as-is', length = 'as-is', instruction = '' } = {}) {
+        if (!REWRITE_TONES.includes(tone)) {
+            throw new Error(`Unsupported rewrite tone: ${tone}`);
+        }
+        if (!REWRITE_LENGTHS.includes(length)) {
+            throw new Error(`Unsupported rewrite length: ${length}`);
+        }
+
+        const availabilityCheck = await this.checkAvailability();
+        if (!availabilityCheck.available) {
+            throw new Error(availabilityCheck.reason || 'Rewriter API not available');
+        }
+
+        const sessionKey = `${tone}-${length}`;
+
+        // Create or reuse a rewriter for this preset combination
+        if (!this.sessions.has(sessionKey)) {
+            try {
+                console.log(`Creating rewriter for ${sessionKey}...`);
+                const rewriter = await Rewriter.create({
+                    tone,
+                    length,
+                    format: 'plain-text',
+                    sharedContext: 'Reply drafts to email threads. Keep the greeting, facts, commitments and sign-off intact.',
+                    monitor(m) {
+                        m.addEventListener('downloadprogress', (e) => {
+                            console.log(`Rewriter model download progress: ${Math.round(e.loaded * 100)}%`);
+                        });
+                    }
+                });
+                this.sessions.set(sessionKey, rewriter);
+            } catch (error) {
+                console.error('Error creating rewriter:', error);
+                throw new Error(`Failed to create rewriter: ${error.message}`);
+            }
+        }
+
+        const rewriter = this.sessions.get(sessionKey);
+        try {
+            const trimmedInstruction = instruction.trim();
+            const result = trimmedInstruction
+                ? await rewriter.rewrite(text, { context: trimmedInstruction })
+                : await rewriter.rewrite(text);
+            console.log(`Rewrite successful (${text.length} chars → ${result.length} chars)`);
+            return result.trim();
+        } catch (error) {
+            console.error('Rewrite error:', error);
+            // Remove failed session
+            this.destroySession(sessionKey);
+            throw new Error(`Rewrite failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Destroy and forget a single rewriter session
+     * @param {string} sessionKey - Session key (tone-length)
+     */
+    destroySession(sessionKey) {
+        const rewriter = this.sessions.get(sessionKey);
+        if (rewriter) {
+            try {
+                rewriter.destroy();
+            } catch (error) {
+                console.error(`Error destroying rewriter session ${sessionKey}:`, error);
+            }
+        }
+        this.sessions.delete(sessionKey);
+    }
+
+    cleanup() {
+        for (const key of [...this.sessions.keys()]) {
+            this.destroySession(key);
+        }
+    }
+}
@@ -4,15 +4,38 @@
  */
 
 import { TranslationService } from './translation-service.js';
+import { ProofreaderService } from './proofreader-service.js';
+import { RewriterService } from './rewriter-service.js';
+import { WriterService } from './writer-service.js';
 import { MultimodalAnalysisService } from './multimodal-service.js';
-import { sanitizeErrorMessage } from '../utils/error-handler.js';
-import { createStatusBroadcaster } from '../utils/status-utils.js';
+import { sanitizeErrorMessage, ApiError, ApiErrorTypes } from '../utils/error-handler.js';
+import { createStatusBroadcaster, StatusStages } from '../utils/status-utils.js';
+import { STREAM_PORT_NAME, StreamMessageTypes } from '../utils/stream-utils.js';
 import { createSuccessResponse, createErrorResponseForService } from '../utils/response-utils.js';
 import { validateDraftsSchema, validateAndFormatDrafts } from '../utils/validation.js';
 import { OpenAIAPI, AnthropicAPI, GoogleAIAPI, createSystemPrompt, createReplyPrompt } from './api-integrations.js';
 import { SummaryService } from './summary-service.js';
 import { DraftService } from './draft-service.js';
 import { AttachmentService } from './attachment-service.js';
+import { ActionItemService } from './action-item-service.js';
+import { MeetingDetectionService } from './meeting-service.js';
+import { TriageService, applyTriageBadge } from './triage-service.js';
+import { BatchQueue, BatchJobTasks, BATCH_QUEUE_ALARM } from './batch-queue.js';
+import { OnDeviceLock } from './on-device-lock.js';
+import { ThreadHistoryStore } from '../utils/thread-history.js';
+import { normalizeRedactionSettings } from '../utils/pii-redaction.js';
+import { ApiKeyVault } from '../utils/api-key-vault.js';
+import { ProviderRegistry } from './provider-registry.js';
+import { registerDefaultProviders, readLanguageModelParams } from './ai-providers.js';
+import { UsageTracker } from './usage-tracker.js';
+import { KeyHealthChecker, KEY_HEALTH_ALARM, KEY_HEALTH_CHECK_MINUTES } from './key-health.js';
+
+/**
+ * Limits for loading a thread in a background tab during batch processing
+ */
+const BATCH_TAB_LOAD_TIMEOUT_MS = 30000;
+const BATCH_EXTRACT_ATTEMPTS = 5;
+const BATCH_EXTRACT_RETRY_MS = 1500;
 
 class InboxTriageServiceWorker {
     constructor() {
@@ -20,6 +43,9 @@ class InboxTriageServiceWorker {
             summarizer: null,
             promptApi: null,
             translator: null,
+            proofreader: null,
+            rewriter: null,
+            writer: null,
             multimodal: null,
             available: false
         };
@@ -32,20 +58,77 @@ class InboxTriageServiceWorker {
         this.statusBroadcaster = statusBroadcaster;
         
         this.translationService = new TranslationService();
+        this.proofreaderService = new ProofreaderService();
+        this.rewriterService = new RewriterService();
+        this.writerService = new WriterService();
         this.multimodalService = new MultimodalAnalysisService();
+        this.providerRegistry = new ProviderRegistry();
+        // Token counts stay on this device; prices and the budget sync with the other settings
+        this.usageTracker = new UsageTracker({
+            storage: chrome.storage.local,
+            settingsStorage: chrome.storage.sync
+        });
+        // An encrypted API key is readable only while the side panel has unlocked it this session
+        this.apiKeyVault = new ApiKeyVault({
+            storage: chrome.storage.sync,
+            sessionStorage: chrome.storage.session
+        });
+        // Side panel requests and batch jobs take turns with the on-device models
+        this.onDeviceLock = new OnDeviceLock();
         this.summaryService = new SummaryService({
             aiCapabilities: this.aiCapabilities,
             broadcastModelStatus: statusBroadcaster,
-            shouldUseCloudFallback: (operation, processingMode, thread) => this.shouldUseCloudFallback(operation, processingMode, thread)
+            shouldUseCloudFallback: (operation, processingMode, thread) => this.shouldUseCloudFallback(operation, processingMode, thread),
+            providerRegistry: this.providerRegistry,
+            usageTracker: this.usageTracker,
+            onDeviceLock: this.onDeviceLock
         });
         this.draftService = new DraftService({
             aiCapabilities: this.aiCapabilities,
+            broadcastModelStatus: statusBroadcaster,
             shouldUseCloudFallback: (operation, processingMode, thread) => this.shouldUseCloudFallback(operation, processingMode, thread),
-            summaryService: this.summaryService
+            summaryService: this.summaryService,
+            providerRegistry: this.providerRegistry,
+            usageTracker: this.usageTracker,
+            onDeviceLock: this.onDeviceLock
+        });
+        registerDefaultProviders(this.providerRegistry, {
+            summaryService: this.summaryService,
+            draftService: this.draftService
+        });
+        this.keyHealthChecker = new KeyHealthChecker({
+            providerRegistry: this.providerRegistry,
+            storage: chrome.storage.local,
+            loadUserSettings: () => this.loadUserSettings()
         });
         this.attachmentService = new AttachmentService({
-            aiCapabilities: this.aiCapabilities
+            aiCapabilities: this.aiCapabilities,
+            onDeviceLock: this.onDeviceLock
         });
+        this.actionItemService = new ActionItemService({
+            aiCapabilities: this.aiCapabilities,
+            onDeviceLock: this.onDeviceLock
+        });
+        this.meetingDetectionService = new MeetingDetectionService({
+            aiCapabilities: this.aiCapabilities,
+            onDeviceLock: this.onDeviceLock
+        });
+        this.triageService = new TriageService({
+            aiCapabilities: this.aiCapabilities,
+            onDeviceLock: this.onDeviceLock
+        });
+        
+        // Batch jobs save into the same per-thread history the side panel restores from
+        this.threadHistory = new ThreadHistoryStore();
+        this.batchQueue = new BatchQueue({
+            storage: chrome.storage.local,
+            runJob: (job, context) => this.runBatchJob(job, context),
+            broadcastStatus: statusBroadcaster,
+            alarms: chrome.alarms
+        });
+        
+        // Abort controllers for in-flight summary and draft requests, keyed by operation ID
+        this.activeOperations = new Map();
         
         // Periodic check interval (30 seconds)
         this.modelCheckInterval = null;
@@ -62,6 +145,9 @@ class InboxTriageServiceWorker {
         // Initialize AI capabilities
         await this.initializeAI();
         
+        // Resume batch jobs left over from before the worker was terminated
+        await this.batchQueue.start();
+        
         // Set up side panel
         this.setupSidePanel();
     }
@@ -78,10 +164,36 @@ class InboxTriageServiceWorker {
             return true; // Keep message channel open for async responses
         });
         
+        // Handle streaming requests from the side panel over a long-lived port
+        chrome.runtime.onConnect.addListener((port) => {
+            if (port.name === STREAM_PORT_NAME) {
+                this.handleStreamPort(port);
+            }
+        });
+        
         // Handle action button clicks (open side panel)
         chrome.action.onClicked.addListener((tab) => {
             this.openSidePanel(tab);
         });
+        
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            this.handleAlarm(alarm);
+        });
+    }
+    
+    /**
+     * Handle the worker's alarms
+     * The batch queue alarm is a wake-up scheduled while jobs are pending (loading the worker
+     * resumes the queue); the key health alarm re-checks the API key every hour
+     * @param {chrome.alarms.Alarm} alarm - Alarm that fired
+     * @returns {Promise<void>} Resolves when the alarm's work is done
+     */
+    async handleAlarm(alarm) {
+        if (alarm.name === BATCH_QUEUE_ALARM) {
+            await this.batchQueue.processNext();
+        } else if (alarm.name === KEY_HEALTH_ALARM) {
+            await this.checkApiKeyHealth().catch(error => console.warn('Periodic API key check failed:', error));
+        }
     }
     
     /**
@@ -141,7 +253,8 @@ class InboxTriageServiceWorker {
                 try {
                     const languageModelAvailability = await LanguageModel.availability();
                     this.aiCapabilities.promptApi = {
-                        available: languageModelAvailability
+                        available: languageModelAvailability,
+                        params: await readLanguageModelParams()
                     };
                     console.log('Language Model API (Prompt API) available:', languageModelAvailability);
                     
@@ -197,6 +310,56 @@ class InboxTriageServiceWorker {
                 console.log('Translator API not available');
             }
             
+            // Check Proofreader API
+            // Reference: https://developer.chrome.com/docs/ai/proofreader-api
+            if ('Proofreader' in self) {
+                try {
+                    const proofreaderAvailability = await Proofreader.availability({
+                        expectedInputLanguages: ['en']
+                    });
+                    this.aiCapabilities.proofreader = {
+                        available: proofreaderAvailability
+                    };
+                    console.log('Proofreader API available:', proofreaderAvailability);
+                } catch (error) {
+                    console.error('Error checking Proofreader availability:', error);
+                }
+            } else {
+                console.log('Proofreader API not available');
+            }
+            
+            // Check Rewriter API
+            // Reference: https://developer.chrome.com/docs/ai/rewriter-api
+            if ('Rewriter' in self) {
+                try {
+                    const rewriterAvailability = await Rewriter.availability();
+                    this.aiCapabilities.rewriter = {
+                        available: rewriterAvailability
+                    };
+                    console.log('Rewriter API available:', rewriterAvailability);
+                } catch (error) {
+                    console.error('Error checking Rewriter availability:', error);
+                }
+            } else {
+                console.log('Rewriter API not available');
+            }
+            
+            // Check Writer API
+            // Reference: https://developer.chrome.com/docs/ai/writer-api
+            if ('Writer' in self) {
+                try {
+                    const writerAvailability = await Writer.availability();
+                    this.aiCapabilities.writer = {
+                        available: writerAvailability
+                    };
+                    console.log('Writer API available:', writerAvailability);
+                } catch (error) {
+                    console.error('Error checking Writer availability:', error);
+                }
+            } else {
+                console.log('Writer API not available');
+            }
+            
             this.aiCapabilities.available = !!(
                 this.aiCapabilities.summarizer || 
                 this.aiCapabilities.promptApi ||
@@ -223,8 +386,9 @@ class InboxTriageServiceWorker {
             this.statusBroadcaster('error', { error: sanitizeErrorMessage(error.message) });
         }
         
-        // Start periodic checks for model availability
+        // Start periodic checks for model availability and the API key
         this.startPeriodicModelCheck();
+        this.startPeriodicKeyCheck();
     }
     
     /**
@@ -255,6 +419,32 @@ class InboxTriageServiceWorker {
         }, 30000);
     }
     
+    /**
+     * Schedule the hourly API key check
+     * An alarm rather than an interval, so the check still runs after the worker has been stopped
+     * Reference: background/key-health.js
+     */
+    async startPeriodicKeyCheck() {
+        try {
+            const existing = await chrome.alarms.get(KEY_HEALTH_ALARM);
+            if (!existing) {
+                await chrome.alarms.create(KEY_HEALTH_ALARM, { periodInMinutes: KEY_HEALTH_CHECK_MINUTES });
+            }
+        } catch (error) {
+            console.warn('Failed to schedule API key check:', error);
+        }
+    }
+    
+    /**
+     * Check the selected provider's API key and tell the side panel the result
+     * @returns {Promise<Object|null>} Check result, or null if there is no key to check
+     */
+    async checkApiKeyHealth() {
+        const health = await this.keyHealthChecker.check();
+        this.statusBroadcaster('apiKeyHealth', health);
+        return health;
+    }
+    
     /**
      * Stop periodic model checking
      */
@@ -295,12 +485,16 @@ class InboxTriageServiceWorker {
             if ('LanguageModel' in self) {
                 try {
                     const newAvailability = await LanguageModel.availability();
-                    const newCapabilities = { available: newAvailability };
                     
                     // Check if status changed
                     if (!this.aiCapabilities.promptApi || 
                         this.aiCapabilities.promptApi.available !== newAvailability) {
                         
+                        // The sampling limits can only be read once the model is downloaded
+                        const newCapabilities = {
+                            available: newAvailability,
+                            params: await readLanguageModelParams()
+                        };
                         this.aiCapabilities.promptApi = newCapabilities;
                         this.statusBroadcaster('promptApi', newCapabilities);
                         hasUpdates = true;
@@ -378,15 +572,23 @@ class InboxTriageServiceWorker {
             console.log('Service worker received message:', message.action);
             switch (message.action) {
                 case 'generateSummary':
-                    await this.generateSummary(message.thread, sendResponse, message.userSettings);
+                    await this.runCancellableOperation(message.operationId, (signal) =>
+                        this.generateSummary(message.thread, sendResponse, message.userSettings, null, signal, { cloudConsent: message.cloudConsent }));
                     break;
                     
                 case 'generateDrafts':
                     console.log('Service worker: Starting draft generation');
-                    await this.generateReplyDrafts(message.thread, message.tone, message.guidance, sendResponse, message.userSettings);
+                    await this.runCancellableOperation(message.operationId, (signal) =>
+                        this.generateReplyDrafts(message.thread, message.tone, message.guidance, sendResponse, message.userSettings, null, signal, { cloudConsent: message.cloudConsent }));
                     console.log('Service worker: Draft generation completed');
                     break;
                     
+                case 'cancelOperation':
+                    sendResponse(createSuccessResponse({
+                        cancelled: this.cancelOperation(message.operationId)
+                    }));
+                    break;
+                    
                 case 'processAttachment':
                     await this.processAttachment(message.attachment, sendResponse);
                     break;
@@ -395,6 +597,59 @@ class InboxTriageServiceWorker {
                     await this.handleTranslation(message, sendResponse);
                     break;
                     
+                case 'proofreadText':
+                    await this.handleProofreading(message, sendResponse);
+                    break;
+                    
+                case 'rewriteText':
+                    await this.handleRewrite(message, sendResponse);
+                    break;
+                    
+                case 'composeEmail':
+                    await this.handleCompose(message, sendResponse);
+                    break;
+                    
+                case 'extractActionItems':
+                    await this.handleActionItemExtraction(message, sendResponse);
+                    break;
+                    
+                case 'detectMeetings':
+                    await this.handleMeetingDetection(message, sendResponse);
+                    break;
+                    
+                case 'classifyThread':
+                    await this.handleTriageClassification(message, sendResponse);
+                    break;
+                    
+                case 'triageInbox':
+                    await this.handleInboxTriage(message, sendResponse);
+                    break;
+                    
+                case 'updateTriageBadge':
+                    await applyTriageBadge(message.triage || null, message.tabId);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'enqueueBatchJobs':
+                    await this.handleEnqueueBatchJobs(message, sendResponse);
+                    break;
+                    
+                case 'getBatchQueue':
+                    sendResponse(createSuccessResponse({ jobs: await this.batchQueue.getJobs() }));
+                    break;
+                    
+                case 'cancelBatchJob':
+                    await this.handleBatchJobAction(() => this.batchQueue.cancel(message.jobId), sendResponse);
+                    break;
+                    
+                case 'retryBatchJob':
+                    await this.handleBatchJobAction(() => this.batchQueue.retry(message.jobId), sendResponse);
+                    break;
+                    
+                case 'clearFinishedBatchJobs':
+                    sendResponse(createSuccessResponse({ jobs: await this.batchQueue.clearFinished() }));
+                    break;
+                    
                 case 'checkTranslationAvailability':
                     await this.handleTranslationAvailabilityCheck(message, sendResponse);
                     break;
@@ -410,6 +665,41 @@ class InboxTriageServiceWorker {
                     });
                     break;
                     
+                case 'getAIProviders':
+                    sendResponse(createSuccessResponse({ providers: this.providerRegistry.describe() }));
+                    break;
+                    
+                case 'previewCloudRequest':
+                    await this.handleCloudRequestPreview(message, sendResponse);
+                    break;
+                    
+                case 'getUsageSummary':
+                    await this.handleUsageRequest(() => this.usageTracker.getMonthlySummary(message.month), sendResponse);
+                    break;
+                    
+                case 'saveUsageSettings':
+                    await this.handleUsageRequest(async () => {
+                        await this.usageTracker.saveSettings({
+                            priceTable: message.priceTable,
+                            monthlyBudget: message.monthlyBudget
+                        });
+                        return this.usageTracker.getMonthlySummary();
+                    }, sendResponse);
+                    break;
+                    
+                case 'checkApiKey':
+                    try {
+                        sendResponse(createSuccessResponse({ health: await this.checkApiKeyHealth() }));
+                    } catch (error) {
+                        console.error('API key check error:', error);
+                        sendResponse(createErrorResponseForService(error, 'API key check'));
+                    }
+                    break;
+                    
+                case 'getApiKeyHealth':
+                    sendResponse(createSuccessResponse({ health: await this.keyHealthChecker.getLastResult() }));
+                    break;
+                    
                 case 'openSidePanel':
                     await this.openSidePanel(sender.tab);
                     sendResponse({ success: true });
@@ -430,6 +720,119 @@ class InboxTriageServiceWorker {
         }
     }
     
+    /**
+     * Handle streaming summary and draft requests on a runtime port
+     * 
+     * Reference: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
+     * 
+     * Partial output is posted as {type: 'partial', field, ...} while the model is
+     * generating, followed by a single {type: 'result', response} carrying the same
+     * response object the one-shot message handlers return.
+     * 
+     * @param {chrome.runtime.Port} port - Port opened by the side panel
+     */
+    handleStreamPort(port) {
+        let disconnected = false;
+        const portOperations = new Set();
+        port.onDisconnect.addListener(() => {
+            disconnected = true;
+            // Nobody is listening for the result any more; stop the model instead of finishing
+            portOperations.forEach(operationId => this.cancelOperation(operationId));
+        });
+        
+        const post = (payload) => {
+            if (disconnected) return;
+            try {
+                port.postMessage(payload);
+            } catch (error) {
+                // Side panel closed mid-stream
+                disconnected = true;
+                console.debug('Stream port closed:', error.message);
+            }
+        };
+        
+        const sendResponse = (response) => post({ type: StreamMessageTypes.RESULT, response });
+        const onPartial = (partial) => post({ type: StreamMessageTypes.PARTIAL, ...partial });
+        
+        port.onMessage.addListener(async (message) => {
+            try {
+                console.log('Service worker received stream request:', message.action);
+                if (message.operationId) {
+                    portOperations.add(message.operationId);
+                }
+                
+                switch (message.action) {
+                    case 'generateSummary':
+                        await this.runCancellableOperation(message.operationId, (signal) =>
+                            this.generateSummary(message.thread, sendResponse, message.userSettings, onPartial, signal, { cloudConsent: message.cloudConsent }));
+                        break;
+                        
+                    case 'generateDrafts':
+                        await this.runCancellableOperation(message.operationId, (signal) =>
+                            this.generateReplyDrafts(message.thread, message.tone, message.guidance, sendResponse, message.userSettings, onPartial, signal, { cloudConsent: message.cloudConsent }));
+                        break;
+                        
+                    default:
+                        sendResponse({ 
+                            success: false, 
+                            error: `Unknown stream action: ${message.action}` 
+                        });
+                }
+            } catch (error) {
+                console.error('Error handling stream request:', error);
+                sendResponse({ 
+                    success: false, 
+                    error: sanitizeErrorMessage(error.message)
+                });
+            } finally {
+                portOperations.delete(message.operationId);
+            }
+        });
+    }
+    
+    /**
+     * Run an operation that can be cancelled with a cancelOperation message
+     * 
+     * The operation receives an AbortSignal that is passed down to the Summarizer,
+     * LanguageModel and fetch calls. Requests without an operation ID run uncancellable.
+     * 
+     * @param {string} operationId - ID chosen by the side panel for this request
+     * @param {Function} run - Called with the AbortSignal (or undefined)
+     * @returns {Promise<*>} Result of run
+     */
+    async runCancellableOperation(operationId, run) {
+        if (!operationId) {
+            return await run(undefined);
+        }
+        
+        const controller = new AbortController();
+        this.activeOperations.set(operationId, controller);
+        try {
+            return await run(controller.signal);
+        } finally {
+            if (this.activeOperations.get(operationId) === controller) {
+                this.activeOperations.delete(operationId);
+            }
+        }
+    }
+    
+    /**
+     * Abort an in-flight operation
+     * @param {string} operationId - ID of the operation to cancel
+     * @returns {boolean} True if the operation was still running
+     */
+    cancelOperation(operationId) {
+        const controller = this.activeOperations.get(operationId);
+        if (!controller) {
+            return false;
+        }
+        
+        console.log('Cancelling operation:', operationId);
+        this.activeOperations.delete(operationId);
+        controller.abort();
+        return true;
+    }
+    
     /**
      * Handle translation availability check requests
      * @param {Object} message - Availability check request message
@@ -539,6 +942,518 @@ class InboxTriageServiceWorker {
         }
     }
     
+    /**
+     * Handle proofreading requests from side panel
+     * @param {Object} message - Proofreading request message
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleProofreading(message, sendResponse) {
+        try {
+            const { text } = message;
+            
+            // Validate input
+            if (!text || typeof text !== 'string' || text.trim().length === 0) {
+                throw new Error('Invalid text for proofreading');
+            }
+            
+            const availabilityCheck = await this.proofreaderService.checkAvailability();
+            if (!availabilityCheck.available) {
+                throw new Error(availabilityCheck.reason || 'Proofreader API not available. Please ensure Chrome 141+ with proofreading features enabled.');
+            }
+            
+            if (availabilityCheck.needsDownload) {
+                this.broadcastModelStatus('proofreader', { status: 'downloading' });
+            }
+            
+            const { correctedText, corrections } = await this.proofreaderService.proofread(text);
+            
+            sendResponse(createSuccessResponse({
+                correctedText,
+                corrections
+            }));
+            
+        } catch (error) {
+            console.error('Proofreading error:', error);
+            sendResponse(createErrorResponseForService(error, 'Proofreading'));
+        }
+    }
+    
+    /**
+     * Handle rewrite requests for a single draft from side panel
+     * @param {Object} message - Rewrite request message ({text, tone, length, instruction})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleRewrite(message, sendResponse) {
+        try {
+            const { text, tone = 'as-is', length = 'as-is', instruction = '' } = message;
+            
+            // Validate input
+            if (!text || typeof text !== 'string' || text.trim().length === 0) {
+                throw new Error('Invalid text for rewriting');
+            }
+            
+            if (tone === 'as-is' && length === 'as-is' && !instruction.trim()) {
+                throw new Error('Choose a tone, length, or instruction for the rewrite');
+            }
+            
+            const availabilityCheck = await this.rewriterService.checkAvailability();
+            if (!availabilityCheck.available) {
+                throw new Error(availabilityCheck.reason || 'Rewriter API not available. Please ensure Chrome 137+ with rewriting features enabled.');
+            }
+            
+            if (availabilityCheck.needsDownload) {
+                this.broadcastModelStatus('rewriter', { status: 'downloading' });
+            }
+            
+            const rewrittenText = await this.rewriterService.rewrite(text, { tone, length, instruction });
+            
+            sendResponse(createSuccessResponse({
+                rewrittenText
+            }));
+            
+        } catch (error) {
+            console.error('Rewrite error:', error);
+            sendResponse(createErrorResponseForService(error, 'Rewrite'));
+        }
+    }
+    
+    /**
+     * Handle compose requests for a new email or a forward from side panel
+     * @param {Object} message - Compose request message ({mode, purpose, recipientRole, tone, length, thread, summary})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleCompose(message, sendResponse) {
+        try {
+            const { mode = 'new', purpose, recipientRole = '', tone = 'neutral', length = 'medium', thread = null, summary = '' } = message;
+            
+            // Validate input
+            if (!purpose || typeof purpose !== 'string' || purpose.trim().length === 0) {
+                throw new Error('Describe the purpose of the email to compose');
+            }
+            
+            if (mode === 'forward' && !thread) {
+                throw new Error('Extract the thread you want to forward first');
+            }
+            
+            const availabilityCheck = await this.writerService.checkAvailability();
+            if (!availabilityCheck.available) {
+                throw new Error(availabilityCheck.reason || 'Writer API not available. Please ensure Chrome 137+ with writing features enabled.');
+            }
+            
+            if (availabilityCheck.needsDownload) {
+                this.broadcastModelStatus('writer', { status: 'downloading' });
+            }
+            
+            // Prefer the summary as context; fall back to the raw thread text
+            const threadContext = thread
+                ? (summary || this.summaryService.combineThreadMessages(thread))
+                : '';
+            
+            const { subject, body } = await this.writerService.compose({
+                mode,
+                purpose,
+                recipientRole,
+                tone,
+                length,
+                threadSubject: thread?.subject || '',
+                threadContext
+            });
+            
+            sendResponse(createSuccessResponse({
+                mode,
+                subject,
+                body
+            }));
+            
+        } catch (error) {
+            console.error('Compose error:', error);
+            sendResponse(createErrorResponseForService(error, 'Compose'));
+        }
+    }
+    
+    /**
+     * Handle action item extraction requests from side panel
+     * @param {Object} message - Extraction request message ({thread})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleActionItemExtraction(message, sendResponse) {
+        try {
+            const { thread } = message;
+            
+            // Validate input
+            if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+                throw new Error('No thread content available to extract action items from');
+            }
+            
+            const { actionItems, method } = await this.actionItemService.extractActionItems(thread);
+            
+            sendResponse(createSuccessResponse({
+                actionItems,
+                method
+            }));
+            
+        } catch (error) {
+            console.error('Action item extraction error:', error);
+            sendResponse(createErrorResponseForService(error, 'Action items'));
+        }
+    }
+    
+    /**
+     * Handle meeting time detection requests from side panel
+     * @param {Object} message - Detection request message ({thread})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleMeetingDetection(message, sendResponse) {
+        try {
+            const { thread } = message;
+            
+            // Validate input
+            if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+                throw new Error('No thread content available to detect meeting times in');
+            }
+            
+            const { proposals, method } = await this.meetingDetectionService.detectMeetingProposals(thread);
+            
+            sendResponse(createSuccessResponse({
+                proposals,
+                method
+            }));
+            
+        } catch (error) {
+            console.error('Meeting detection error:', error);
+            sendResponse(createErrorResponseForService(error, 'Meeting detection'));
+        }
+    }
+    
+    /**
+     * Handle triage classification requests from side panel
+     * Sets the action badge on the thread's tab once classified
+     * @param {Object} message - Classification request message ({thread, tabId})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleTriageClassification(message, sendResponse) {
+        try {
+            const { thread, tabId } = message;
+            
+            // Validate input
+            if (!thread || !Array.isArray(thread.messages) || thread.messages.length === 0) {
+                throw new Error('No thread content available to classify');
+            }
+            
+            const triage = await this.triageService.classifyThread(thread);
+            
+            try {
+                await applyTriageBadge(triage, tabId);
+            } catch (badgeError) {
+                // The tab may have closed; the classification is still valid
+                console.warn('Failed to set triage badge:', badgeError);
+            }
+            
+            sendResponse(createSuccessResponse({ triage }));
+            
+        } catch (error) {
+            console.error('Triage classification error:', error);
+            sendResponse(createErrorResponseForService(error, 'Triage'));
+        }
+    }
+    
+    /**
+     * Handle message list triage requests from side panel
+     * @param {Object} message - Triage request message ({rows})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleInboxTriage(message, sendResponse) {
+        try {
+            const { rows } = message;
+            
+            // Validate input
+            if (!Array.isArray(rows) || rows.length === 0) {
+                throw new Error('No message list rows to triage');
+            }
+            
+            const result = await this.triageService.classifyInboxRows(rows);
+            
+            sendResponse(createSuccessResponse({
+                rows: result.rows,
+                method: result.method
+            }));
+            
+        } catch (error) {
+            console.error('Inbox triage error:', error);
+            sendResponse(createErrorResponseForService(error, 'Inbox triage'));
+        }
+    }
+    
+    /**
+     * Handle requests to queue threads for batch processing
+     * @param {Object} message - Request message ({threads: [{threadUrl, subject}], source, tasks, tone})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleEnqueueBatchJobs(message, sendResponse) {
+        try {
+            const { threads, source, tasks, tone } = message;
+            
+            // Validate input
+            if (!Array.isArray(threads) || threads.length === 0) {
+                throw new Error('No threads selected to queue');
+            }
+            
+            const added = await this.batchQueue.enqueue(threads, { source, tasks, tone });
+            
+            sendResponse(createSuccessResponse({
+                added,
+                jobs: await this.batchQueue.getJobs()
+            }));
+            
+        } catch (error) {
+            console.error('Batch queue error:', error);
+            sendResponse(createErrorResponseForService(error, 'Batch queue'));
+        }
+    }
+    
+    /**
+     * Run a cancel or retry action on a batch job and respond with the updated job
+     * @param {Function} action - Async action returning the updated job
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleBatchJobAction(action, sendResponse) {
+        try {
+            const job = await action();
+            sendResponse(createSuccessResponse({ job }));
+        } catch (error) {
+            console.error('Batch job action error:', error);
+            sendResponse(createErrorResponseForService(error, 'Batch queue'));
+        }
+    }
+    
+    /**
+     * Show the thread text exactly as it would be sent to a cloud provider, with the personal
+     * data that was replaced by placeholders
+     * @param {Object} message - Request message ({thread, userSettings})
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleCloudRequestPreview(message, sendResponse) {
+        try {
+            const { thread, userSettings } = message;
+            if (!thread?.messages?.length) {
+                throw new Error('No thread data provided');
+            }
+            
+            const { content, subject, redactor } = this.prepareContentForCloudProcessing(thread, userSettings?.redaction);
+            sendResponse(createSuccessResponse({
+                content,
+                subject,
+                replacements: redactor.getReplacements()
+            }));
+        } catch (error) {
+            console.error('Cloud request preview error:', error);
+            sendResponse(createErrorResponseForService(error, 'Cloud request preview'));
+        }
+    }
+    
+    /**
+     * Respond with a monthly usage summary, labelling each row with its provider's name
+     * @param {Function} getSummary - Async function resolving to a UsageTracker summary
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleUsageRequest(getSummary, sendResponse) {
+        try {
+            const summary = await getSummary();
+            const rows = summary.rows.map(row => ({
+                ...row,
+                providerLabel: this.providerRegistry.has(row.provider)
+                    ? this.providerRegistry.get(row.provider).metadata.label
+                    : row.provider
+            }));
+            sendResponse(createSuccessResponse({ usage: { ...summary, rows } }));
+        } catch (error) {
+            console.error('API usage error:', error);
+            sendResponse(createErrorResponseForService(error, 'API usage'));
+        }
+    }
+    
+    /**
+     * Run one batch job: load the thread, generate the requested output and save it to history
+     * 
+     * Reference: docs/spec.md - Batch Processing Queue
+     * 
+     * Uses the same summary and draft services as the side panel, so processing mode and
+     * cloud fallback rules apply unchanged. Cloud fallback needs consent the queue cannot ask
+     * for, so jobs run without it and fail when hybrid mode would fall back. Results are only
+     * saved if the job was not cancelled.
+     * 
+     * @param {Object} job - Batch job ({threadUrl, tasks, tone})
+     * @param {Object} context - Queue context ({isCancelled, reportStage, signal})
+     */
+    async runBatchJob(job, { isCancelled, reportStage, signal }) {
+        const userSettings = await this.loadUserSettings();
+        const saved = await this.threadHistory.get(job.threadUrl);
+        const thread = saved?.thread || await this.extractThreadInBackgroundTab(job.threadUrl, signal);
+        
+        let summary = saved?.summary || null;
+        let drafts = saved?.drafts || [];
+        
+        if (job.tasks.includes(BatchJobTasks.SUMMARY)) {
+            if (isCancelled()) return;
+            await reportStage(StatusStages.GENERATING);
+            this.requireNoBatchCloudFallback('summarization', thread, userSettings);
+            const result = await this.callWithResponse(sendResponse => this.generateSummary(thread, sendResponse, userSettings, null, signal, { cloudConsent: false }));
+            summary = result.summary;
+            // Restoring a thread reads key points from the saved thread
+            thread.keyPoints = result.keyPoints || [];
+        }
+        
+        if (job.tasks.includes(BatchJobTasks.DRAFTS)) {
+            if (isCancelled()) return;
+            await reportStage(StatusStages.GENERATING_DRAFTS);
+            this.requireNoBatchCloudFallback('drafting', thread, userSettings);
+            const result = await this.callWithResponse(sendResponse => this.generateReplyDrafts(thread, job.tone, '', sendResponse, userSettings, null, signal, { cloudConsent: false }));
+            drafts = result.drafts || [];
+        }
+        
+        if (isCancelled()) return;
+        
+        await this.threadHistory.setMaxEntries(userSettings.historyLimit);
+        await this.threadHistory.save(job.threadUrl, {
+            ...saved,
+            thread,
+            summary,
+            drafts,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Stop a batch job that hybrid mode would send to a cloud provider
+     * 
+     * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+     * 
+     * @param {string} operation - 'summarization' or 'drafting'
+     * @param {Object} thread - Email thread data
+     * @param {Object} userSettings - User settings
+     * @throws {ApiError} With the fallback reason and how to approve it from the side panel
+     */
+    requireNoBatchCloudFallback(operation, thread, userSettings) {
+        const fallback = this.summaryService.resolveCloudFallback(operation, thread, userSettings);
+        if (!fallback) {
+            return;
+        }
+        const provider = fallback.provider.metadata.label;
+        const reason = fallback.decision.reason.charAt(0).toUpperCase() + fallback.decision.reason.slice(1);
+        throw new ApiError(
+            `${reason}, so this thread would be sent to ${provider}. Queued jobs do not ask for cloud consent; open the thread in the side panel to approve it.`,
+            { provider, type: ApiErrorTypes.CONSENT }
+        );
+    }
+    
+    /**
+     * Call a handler that reports through a sendResponse callback and resolve with its response
+     * @param {Function} invoke - Called with a sendResponse callback
+     * @returns {Promise<Object>} Successful response
+     */
+    async callWithResponse(invoke) {
+        let response = null;
+        await invoke((result) => {
+            response = result;
+        });
+        
+        if (!response?.success) {
+            // Error message is already sanitized by the service
+            throw new Error(response?.error || 'Processing failed');
+        }
+        return response;
+    }
+    
+    /**
+     * Load the settings the side panel passes with each request
+     * @returns {Promise<Object>} User settings (processing mode, API key, redaction, history limit)
+     */
+    async loadUserSettings() {
+        const settings = await chrome.storage.sync.get([
+            'processingMode',
+            'useApiKey',
+            'apiProvider',
+            'providerSettings',
+            'redaction',
+            'historyLimit'
+        ]);
+        const keyState = await this.apiKeyVault.getState();
+        
+        return {
+            processingMode: settings.processingMode || 'device-only',
+            useApiKey: settings.useApiKey || false,
+            apiKey: await this.apiKeyVault.getApiKey(),
+            apiKeyLocked: keyState.locked,
+            apiProvider: settings.apiProvider || 'google',
+            providerSettings: settings.providerSettings || {},
+            redaction: normalizeRedactionSettings(settings.redaction),
+            historyLimit: settings.historyLimit
+        };
+    }
+    
+    /**
+     * Open a thread in an inactive tab, extract it with the content script and close the tab
+     * @param {string} threadUrl - URL of the thread
+     * @param {AbortSignal} [signal] - Stops retrying when the job is cancelled
+     * @returns {Promise<Object>} Extracted thread
+     */
+    async extractThreadInBackgroundTab(threadUrl, signal) {
+        const tab = await chrome.tabs.create({ url: threadUrl, active: false });
+        
+        try {
+            await this.waitForTabComplete(tab.id, BATCH_TAB_LOAD_TIMEOUT_MS);
+            
+            // Webmail renders the thread after the document loads; retry until the content script can read it
+            let lastError = null;
+            for (let attempt = 0; attempt < BATCH_EXTRACT_ATTEMPTS; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, BATCH_EXTRACT_RETRY_MS));
+                signal?.throwIfAborted();
+                try {
+                    const response = await chrome.tabs.sendMessage(tab.id, { action: 'extractThread' });
+                    if (response?.success && response.thread?.messages?.length > 0) {
+                        return response.thread;
+                    }
+                    lastError = new Error(response?.error || 'No messages found in thread');
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            
+            throw new Error(`Could not read the thread: ${lastError?.message || 'page did not load'}`);
+        } finally {
+            chrome.tabs.remove(tab.id).catch(() => {
+                // Tab was already closed by the user
+            });
+        }
+    }
+    
+    /**
+     * Wait for a tab to finish loading
+     * @param {number} tabId - Tab ID
+     * @param {number} timeoutMs - Maximum time to wait
+     * @returns {Promise<void>}
+     */
+    waitForTabComplete(tabId, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const finish = (error) => {
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(listener);
+                error ? reject(error) : resolve();
+            };
+            const listener = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    finish();
+                }
+            };
+            const timer = setTimeout(() => finish(new Error('Timed out loading the thread')), timeoutMs);
+            
+            chrome.tabs.onUpdated.addListener(listener);
+            chrome.tabs.get(tabId).then(tab => {
+                if (tab.status === 'complete') finish();
+            }).catch(finish);
+        });
+    }
+    
     /**
      * Handle image analysis requests from side panel
      * @param {Object} message - Image analysis request message
@@ -616,9 +1531,12 @@ class InboxTriageServiceWorker {
      * @param {Object} thread - Email thread data
      * @param {Function} sendResponse - Response callback
      * @param {Object} userSettings - User settings (processing mode, API key)
+     * @param {Function} onPartial - Optional callback for streamed output
+     * @param {AbortSignal} [signal] - Optional signal to cancel the operation
+     * @param {Object} [options] - Request options ({cloudConsent} for hybrid mode's cloud fallback)
      */
-    async generateSummary(thread, sendResponse, userSettings = null) {
-        return await this.summaryService.generateSummary(thread, sendResponse, userSettings);
+    async generateSummary(thread, sendResponse, userSettings = null, onPartial = null, signal, options = {}) {
+        return await this.summaryService.generateSummary(thread, sendResponse, userSettings, onPartial, signal, options);
     }
     
     /**
@@ -634,9 +1552,12 @@ class InboxTriageServiceWorker {
      * @param {string} guidance - User-provided guidance for drafts
      * @param {Function} sendResponse - Response callback
      * @param {Object} userSettings - User settings (processing mode, API key)
+     * @param {Function} onPartial - Optional callback for streamed output
+     * @param {AbortSignal} [signal] - Optional signal to cancel the operation
+     * @param {Object} [options] - Request options ({cloudConsent} for hybrid mode's cloud fallback)
      */
-    async generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings = null) {
-        return await this.draftService.generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings);
+    async generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings = null, onPartial = null, signal, options = {}) {
+        return await this.draftService.generateReplyDrafts(thread, tone, guidance, sendResponse, userSettings, onPartial, signal, options);
     }
     
     /**
@@ -741,37 +1662,14 @@ class InboxTriageServiceWorker {
     }
     
     /**
-     * Prepare content for cloud processing (text only, no attachments)
+     * Prepare content for cloud processing (text only, no attachments, personal data redacted)
      * Delegates to SummaryService
      * @param {Object} thread - Email thread data
+     * @param {Object} [redactionSettings] - Categories to redact, keyed by category ID
      * @returns {Object} Sanitized content for cloud processing
      */
-    prepareContentForCloudProcessing(thread) {
-        return this.summaryService.prepareContentForCloudProcessing(thread);
-    }
-    
-    /**
-     * Generate summary using external API (OpenAI, Anthropic, Google)
-     * Delegates to SummaryService
-     * @param {Object} thread - Email thread data
-     * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings including API key
-     */
-    async generateSummaryWithExternalAPI(thread, sendResponse, userSettings) {
-        return await this.summaryService.generateSummaryWithExternalAPI(thread, sendResponse, userSettings);
-    }
-    
-    /**
-     * Generate drafts using external API (OpenAI, Anthropic, Google)
-     * Delegates to DraftService
-     * @param {Object} thread - Email thread data
-     * @param {string} tone - Selected tone
-     * @param {string} guidance - User guidance
-     * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings including API key
-     */
-    async generateDraftsWithExternalAPI(thread, tone, guidance, sendResponse, userSettings) {
-        return await this.draftService.generateDraftsWithExternalAPI(thread, tone, guidance, sendResponse, userSettings);
+    prepareContentForCloudProcessing(thread, redactionSettings) {
+        return this.summaryService.prepareContentForCloudProcessing(thread, redactionSettings);
     }
     
     async openSidePanel(tab) {
@@ -6,10 +6,26 @@
  * on orchestration and coordination.
  */
 
-import { sanitizeErrorMessage } from '../utils/error-handler.js';
+import { getUserErrorMessage, isAbortError, CloudConsentRequiredError } from '../utils/error-handler.js';
 import { createSuccessResponse, createErrorResponseForService } from '../utils/response-utils.js';
 import { broadcastOperationStatus, StatusStages } from '../utils/status-utils.js';
-import { OpenAIAPI, AnthropicAPI, GoogleAIAPI } from './api-integrations.js';
+import { readTextStream } from '../utils/stream-utils.js';
+import { createThreadRedactor } from '../utils/pii-redaction.js';
+import { ProviderKinds } from './provider-registry.js';
+import { estimateRequestUsage, SUMMARY_OUTPUT_TOKEN_ESTIMATE } from './usage-tracker.js';
+import { createDefaultProviderRegistry } from './ai-providers.js';
+import { OnDeviceLock } from './on-device-lock.js';
+
+/**
+ * Maximum characters sent to the on-device Summarizer in a single call
+ * Reference: docs/spec.md - Hybrid Fallback Decision Rules (Content Size Limits)
+ */
+export const MAX_ON_DEVICE_CONTENT_LENGTH = 32000;
+
+/**
+ * Separator placed between messages and partial summaries when combining text
+ */
+const MESSAGE_SEPARATOR = '\n\n---\n\n';
 
 /**
  * Summary Generation Service
@@ -21,223 +37,466 @@ export class SummaryService {
      * @param {Object} dependencies.aiCapabilities - AI capabilities object
      * @param {Function} dependencies.broadcastModelStatus - Function to broadcast status updates
      * @param {Function} dependencies.shouldUseCloudFallback - Function to check fallback decision
+     * @param {ProviderRegistry} [dependencies.providerRegistry] - Provider registry (defaults to one with the built-in providers)
+     * @param {UsageTracker} [dependencies.usageTracker] - Records token usage and enforces the monthly budget
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
      */
     constructor(dependencies) {
         this.aiCapabilities = dependencies.aiCapabilities;
         this.broadcastModelStatus = dependencies.broadcastModelStatus;
         this.shouldUseCloudFallback = dependencies.shouldUseCloudFallback;
+        this.providerRegistry = dependencies.providerRegistry || createDefaultProviderRegistry({ summaryService: this });
+        this.usageTracker = dependencies.usageTracker || null;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
     }
 
     /**
-     * Generate summary of email thread using Summarizer API
+     * Generate summary of email thread
      * 
      * Reference: docs/spec.md - AI-Powered Summarization requirements
-     * Reference: https://developer.chrome.com/docs/ai/summarizer-api
+     * Reference: docs/spec.md - AI Provider Registry
      * 
-     * Generates TL;DR summary (under 100 words) and up to 5 key points.
-     * Handles model availability checks, content size limits, and fallback logic.
+     * Generates TL;DR summary (under 100 words) and up to 5 key points with the provider
+     * resolved from the user settings: Chrome's Summarizer API by default, or the configured
+     * external provider. Handles model availability checks, content size limits, and fallback logic.
+     * In hybrid mode, threads the on-device model cannot handle go to the configured cloud provider
+     * once the user has consented; until then the response has `errorType: 'consent'` and the
+     * fallback reason and payload size.
+     * When onPartial is provided and the provider can stream, the TL;DR and key points are
+     * reported as they are generated.
+     * Aborting the signal stops the model or request mid-generation and responds with `cancelled: true`.
      * 
      * @param {Object} thread - Email thread data
      * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings (processing mode, API key)
+     * @param {Object} userSettings - User settings (processing mode, provider, API key)
+     * @param {Function} onPartial - Optional callback for streamed output ({field, text|keyPoints})
+     * @param {AbortSignal} [signal] - Optional signal to cancel the operation
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.cloudConsent] - True once the user agreed to cloud fallback, false to stay on-device
      */
-    async generateSummary(thread, sendResponse, userSettings = null) {
+    async generateSummary(thread, sendResponse, userSettings = null, onPartial = null, signal, { cloudConsent } = {}) {
         try {
-            const processingMode = userSettings?.processingMode || 'device-only';
-            const useApiKey = userSettings?.useApiKey || false;
-            let usedFallback = false;
+            let { provider, config } = this.providerRegistry.resolve(userSettings);
+            const fallback = provider.metadata.kind === ProviderKinds.ON_DEVICE
+                ? this.resolveCloudFallback('summarization', thread, userSettings, cloudConsent)
+                : null;
             
-            // If user has configured a custom API key, use it
-            if (useApiKey && userSettings?.apiKey) {
-                return await this.generateSummaryWithExternalAPI(thread, sendResponse, userSettings);
+            if (fallback) {
+                ({ provider, config } = fallback);
+            } else if (provider.metadata.kind === ProviderKinds.ON_DEVICE) {
+                this.checkOnDeviceAvailability();
             }
             
-            // Apply hybrid fallback decision rules as documented in docs/spec.md
-            const fallbackDecision = this.shouldUseCloudFallback('summarization', processingMode, thread);
+            // Combine all message content
+            const fullText = this.combineThreadMessages(thread);
             
-            if (fallbackDecision.shouldFallback && processingMode === 'hybrid') {
-                // Cloud fallback would be implemented here
-                // For now, show privacy-preserving error message
-                throw new Error(`${fallbackDecision.reason}. Cloud fallback is not implemented to maintain privacy guarantees.`);
+            if (!fullText || fullText.length < 50) {
+                throw new Error('Not enough content to summarize');
             }
             
-            // Check AI capabilities first
-            if (!this.aiCapabilities.summarizer) {
-                if (processingMode === 'hybrid') {
-                    throw new Error('AI summarization is not available in this browser. Cloud fallback is not implemented to maintain privacy guarantees. Please use Chrome 120+ with AI features enabled.');
-                } else {
-                    throw new Error('AI summarization is not available in this browser. Please use Chrome 120+ with AI features enabled.');
-                }
-            }
+            // Personal data is replaced with placeholders before text goes to a cloud provider
+            const cloudContent = provider.metadata.kind === ProviderKinds.CLOUD
+                ? this.prepareContentForCloudProcessing(thread, userSettings?.redaction)
+                : null;
+            const text = cloudContent ? cloudContent.content : fullText;
             
-            // Check if model is ready  
-            const capabilities = this.aiCapabilities.summarizer;
-            if (capabilities.available === 'after-download') {
-                if (processingMode === 'hybrid') {
-                    throw new Error('AI model is downloading. Cloud fallback is not implemented to maintain privacy guarantees. Please wait for download to complete.');
-                } else {
-                    throw new Error('AI model is downloading. This may take a few minutes. Please try again later.');
-                }
-            } else if (capabilities.available === 'no') {
-                if (processingMode === 'hybrid') {
-                    throw new Error('AI summarization is not available. Cloud fallback is not implemented to maintain privacy guarantees. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
-                } else {
-                    throw new Error('AI summarization is not available. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
-                }
+            if (fallback) {
+                this.requireCloudConsent(fallback, [cloudContent.subject, text], cloudConsent);
             }
             
-            // Combine all message content and apply content size limits
-            let fullText = this.combineThreadMessages(thread);
+            const summarize = () => provider.summarize({ thread, text }, config, {
+                signal,
+                onPartial,
+                // Rate limits and server errors are retried by the request layer; tell the user why it is taking longer
+                onRetry: (retry) => broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.RETRYING, retry)
+            });
+            const result = this.usageTracker
+                ? await this.usageTracker.track(provider, summarize,
+                    estimateRequestUsage(config.model, [text], config.maxTokens || SUMMARY_OUTPUT_TOKEN_ESTIMATE))
+                : await summarize();
+            const { summary, keyPoints } = cloudContent ? cloudContent.redactor.restoreAll(result) : result;
             
-            // Apply content size limits as per docs/spec.md (32,000 characters max)
-            if (fullText && fullText.length > 32000) {
-                console.warn('Content exceeds 32,000 character limit, truncating for on-device processing');
-                fullText = this.truncateContentForProcessing(fullText, 32000);
-            }
+            // Broadcast completion
+            broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.COMPLETED);
             
-            if (!fullText || fullText.length < 50) {
-                throw new Error('Not enough content to summarize');
-            }
+            sendResponse(createSuccessResponse(
+                { summary, keyPoints },
+                { usedFallback: provider.metadata.kind === ProviderKinds.CLOUD } // Indicate a cloud API was used
+            ));
             
-            // Broadcast progress update
-            broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.GENERATING_TLDR);
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Summary generation cancelled');
+                broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.CANCELLED);
+            } else if (error instanceof CloudConsentRequiredError) {
+                // Not a failure: the side panel asks the user and sends the request again
+                console.log('Summary waiting for cloud fallback consent');
+            } else {
+                console.error('Summary generation error:', error);
+                
+                // Broadcast error status
+                broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.ERROR, {
+                    error: getUserErrorMessage(error)
+                });
+            }
             
-            // Create TL;DR summarizer session - matching docs exactly
-            // Reference: https://developer.chrome.com/docs/ai/summarizer-api
-            // Example from docs: const summarizer = await Summarizer.create({...})
-            const tldrSummarizer = await Summarizer.create({
-                type: 'tldr',
+            sendResponse(createErrorResponseForService(error, 'Summary generation'));
+        }
+    }
+
+    /**
+     * Pick the cloud provider to fall back to when hybrid mode's decision rules say so
+     * 
+     * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+     * 
+     * @param {string} operation - 'summarization' or 'drafting'
+     * @param {Object} thread - Email thread data
+     * @param {Object} userSettings - User settings (processing mode, provider, API key)
+     * @param {boolean} [cloudConsent] - False when the user chose to stay on-device
+     * @returns {{provider: Object, config: Object, decision: Object}|null} Fallback provider, its
+     *   configuration and the fallback decision, or null to process on-device
+     */
+    resolveCloudFallback(operation, thread, userSettings, cloudConsent) {
+        if (cloudConsent === false) {
+            return null;
+        }
+        
+        const decision = this.shouldUseCloudFallback(operation, userSettings?.processingMode || 'device-only', thread);
+        if (!decision.shouldFallback) {
+            return null;
+        }
+        
+        // Without a configured cloud provider the on-device model is tried anyway
+        const fallback = this.providerRegistry.resolveFallback(userSettings);
+        return fallback ? { ...fallback, decision } : null;
+    }
+
+    /**
+     * Stop a cloud fallback request the user has not agreed to
+     * @param {Object} fallback - Result of resolveCloudFallback
+     * @param {Array<string>} payload - Redacted text that would be sent
+     * @param {boolean} [cloudConsent] - True once the user agreed
+     * @throws {CloudConsentRequiredError} With the reason and payload size, unless consented
+     */
+    requireCloudConsent(fallback, payload, cloudConsent) {
+        if (cloudConsent === true) {
+            return;
+        }
+        
+        const text = payload.filter(Boolean).join('\n\n');
+        throw new CloudConsentRequiredError(fallback.provider.metadata.label, {
+            reason: fallback.decision.reason,
+            trigger: fallback.decision.trigger,
+            payloadChars: text.length,
+            payloadBytes: new TextEncoder().encode(text).length,
+            // Same rough approximation as the fallback decision: 1 token ≈ 4 characters
+            estimatedTokens: Math.ceil(text.length / 4)
+        });
+    }
+
+    /**
+     * Check the on-device Summarizer is ready
+     * @throws {Error} If the thread cannot be summarized on-device
+     */
+    checkOnDeviceAvailability() {
+        // Check AI capabilities first
+        if (!this.aiCapabilities.summarizer) {
+            throw new Error('AI summarization is not available in this browser. Please use Chrome 120+ with AI features enabled.');
+        }
+        
+        // Check if model is ready  
+        const capabilities = this.aiCapabilities.summarizer;
+        if (capabilities.available === 'after-download') {
+            throw new Error('AI model is downloading. This may take a few minutes. Please try again later.');
+        } else if (capabilities.available === 'no') {
+            throw new Error('AI summarization is not available. Please enable Chrome AI features in Settings > Privacy and security > Experimental AI.');
+        }
+    }
+
+    /**
+     * Summarize a thread with Chrome's Summarizer API
+     * Used by the Chrome built-in provider (background/ai-providers.js)
+     * 
+     * Reference: https://developer.chrome.com/docs/ai/summarizer-api
+     * 
+     * @param {Object} request - Summary request
+     * @param {Object} request.thread - Email thread data
+     * @param {string} request.text - Combined thread text
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} [options.signal] - Stops the Summarizer mid-generation
+     * @param {Function} [options.onPartial] - Callback for streamed output ({field, text|keyPoints})
+     * @returns {Promise<{summary: string, keyPoints: string[]}>} Summary and key points
+     */
+    summarizeOnDevice(request, options = {}) {
+        // Waits for any other on-device summary or draft, so only one model session is active
+        return this.onDeviceLock.run(() => this.runSummarizers(request, options), options.signal);
+    }
+
+    /**
+     * Create the Summarizer sessions for summarizeOnDevice, which holds the on-device lock
+     * @param {Object} request - Summary request ({thread, text})
+     * @param {Object} options - Generation options ({signal, onPartial})
+     * @returns {Promise<{summary: string, keyPoints: string[]}>} Summary and key points
+     */
+    async runSummarizers({ thread, text }, { signal, onPartial = null } = {}) {
+        let fullText = text;
+        
+        // Threads over the on-device limit (32,000 characters as per docs/spec.md) are
+        // summarized chunk by chunk; the final TL;DR and key points are then generated
+        // from the combined partial summaries instead of the raw thread
+        if (fullText.length > MAX_ON_DEVICE_CONTENT_LENGTH) {
+            console.log(`Content exceeds ${MAX_ON_DEVICE_CONTENT_LENGTH} characters, using chunked summarization`);
+            fullText = await this.summarizeInChunks(this.getThreadMessageSections(thread), 1, signal);
+        }
+        
+        // Broadcast progress update
+        broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.GENERATING_TLDR);
+        
+        // Create TL;DR summarizer session - matching docs exactly
+        // Reference: https://developer.chrome.com/docs/ai/summarizer-api
+        // Example from docs: const summarizer = await Summarizer.create({...})
+        const tldrSummarizer = await Summarizer.create({
+            type: 'tldr',
+            format: 'plain-text',
+            length: 'short',
+            signal,
+            monitor(m) {
+                m.addEventListener('downloadprogress', (e) => {
+                    console.log(`Summarizer download progress: ${e.loaded * 100}%`);
+                });
+            }
+        });
+        
+        // Generate TL;DR summary, streaming tokens to the side panel when requested
+        let summary;
+        try {
+            summary = this.canStream(tldrSummarizer, onPartial)
+                ? await readTextStream(tldrSummarizer.summarizeStreaming(fullText, { signal }), (partialText) => {
+                    onPartial({ field: 'summary', text: partialText });
+                })
+                : await tldrSummarizer.summarize(fullText, { signal });
+        } finally {
+            tldrSummarizer.destroy();
+        }
+        
+        // Broadcast progress update
+        broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.GENERATING_KEY_POINTS);
+        
+        let keyPoints = [];
+        
+        // Try to use key-points summarizer if available, fallback to manual extraction
+        try {
+            const keyPointsSummarizer = await Summarizer.create({
+                type: 'key-points',
                 format: 'plain-text',
                 length: 'short',
+                signal,
                 monitor(m) {
                     m.addEventListener('downloadprogress', (e) => {
-                        console.log(`Summarizer download progress: ${e.loaded * 100}%`);
+                        console.log(`Key-points summarizer download: ${e.loaded * 100}%`);
                     });
                 }
             });
             
-            // Generate TL;DR summary
-            const summary = await tldrSummarizer.summarize(fullText);
-            tldrSummarizer.destroy();
-            
-            // Broadcast progress update
-            broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.GENERATING_KEY_POINTS);
-            
-            let keyPoints = [];
-            
-            // Try to use key-points summarizer if available, fallback to manual extraction
+            let keyPointsText;
             try {
-                const keyPointsSummarizer = await Summarizer.create({
-                    type: 'key-points',
-                    format: 'plain-text',
-                    length: 'short',
-                    monitor(m) {
-                        m.addEventListener('downloadprogress', (e) => {
-                            console.log(`Key-points summarizer download: ${e.loaded * 100}%`);
-                        });
-                    }
-                });
-                
-                const keyPointsText = await keyPointsSummarizer.summarize(fullText);
+                keyPointsText = this.canStream(keyPointsSummarizer, onPartial)
+                    ? await readTextStream(keyPointsSummarizer.summarizeStreaming(fullText, { signal }), (partialText) => {
+                        onPartial({ field: 'keyPoints', keyPoints: this.parseKeyPointsFromText(partialText) });
+                    })
+                    : await keyPointsSummarizer.summarize(fullText, { signal });
+            } finally {
                 keyPointsSummarizer.destroy();
-                
-                // Parse the key points text into an array
-                keyPoints = this.parseKeyPointsFromText(keyPointsText);
-                
-            } catch (keyPointsError) {
-                console.warn('Key-points summarizer not available, using fallback extraction:', keyPointsError.message);
-                // Fallback to manual extraction
-                keyPoints = this.extractKeyPoints(fullText, 5);
             }
             
-            // Broadcast completion
-            broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.COMPLETED);
-            
-            sendResponse(createSuccessResponse(
-                { summary, keyPoints },
-                { usedFallback: usedFallback }
-            ));
-            
-        } catch (error) {
-            console.error('Summary generation error:', error);
-            
-            // Broadcast error status
-            broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.ERROR, {
-                error: sanitizeErrorMessage(error.message)
-            });
+            // Parse the key points text into an array
+            keyPoints = this.parseKeyPointsFromText(keyPointsText);
             
-            sendResponse(createErrorResponseForService(error, 'Summary generation'));
+        } catch (keyPointsError) {
+            // Cancellation must not fall through to heuristic key points
+            if (isAbortError(keyPointsError)) {
+                throw keyPointsError;
+            }
+            console.warn('Key-points summarizer not available, using fallback extraction:', keyPointsError.message);
+            // Fallback to manual extraction
+            keyPoints = this.extractKeyPoints(fullText, 5);
         }
+        
+        return { summary, keyPoints };
     }
 
     /**
-     * Generate summary using external API (OpenAI, Anthropic, Google)
-     * @param {Object} thread - Email thread data
-     * @param {Function} sendResponse - Response callback
-     * @param {Object} userSettings - User settings including API key
+     * Check whether a summarizer session can stream output to a listener
+     * @param {Object} summarizer - Summarizer session
+     * @param {Function|null} onPartial - Streaming callback
+     * @returns {boolean} True if summarizeStreaming should be used
      */
-    async generateSummaryWithExternalAPI(thread, sendResponse, userSettings) {
+    canStream(summarizer, onPartial) {
+        return typeof onPartial === 'function' && typeof summarizer.summarizeStreaming === 'function';
+    }
+
+    /**
+     * Summarize content that exceeds the on-device limit using map-reduce
+     * 
+     * Reference: https://developer.chrome.com/docs/ai/summarizer-api
+     * 
+     * Packs the sections into chunks on section boundaries, summarizes each chunk
+     * with a single Summarizer session, and returns the partial summaries joined
+     * together. If the joined partials are still too long, they are reduced again.
+     * Progress for each chunk is broadcast so the side panel can show "chunk 3 of 7".
+     * 
+     * @param {Array<string>} sections - Text sections (messages or partial summaries)
+     * @param {number} pass - Reduction pass number (1 for the raw thread)
+     * @param {AbortSignal} [signal] - Optional signal to cancel summarization
+     * @returns {Promise<string>} Combined partial summaries within the on-device limit
+     */
+    async summarizeInChunks(sections, pass = 1, signal) {
+        const chunks = this.splitIntoChunks(sections, MAX_ON_DEVICE_CONTENT_LENGTH);
+        const partialSummaries = [];
+        
+        const chunkSummarizer = await Summarizer.create({
+            type: 'tldr',
+            format: 'plain-text',
+            length: 'medium',
+            sharedContext: 'Consecutive parts of a single email thread, in chronological order',
+            signal,
+            monitor(m) {
+                m.addEventListener('downloadprogress', (e) => {
+                    console.log(`Chunk summarizer download progress: ${e.loaded * 100}%`);
+                });
+            }
+        });
+        
         try {
-            const fullText = this.combineThreadMessages(thread);
-            
-            if (!fullText || fullText.length < 50) {
-                throw new Error('Not enough content to summarize');
+            for (let index = 0; index < chunks.length; index++) {
+                broadcastOperationStatus(this.broadcastModelStatus, 'summarizing', StatusStages.SUMMARIZING_CHUNK, {
+                    chunk: index + 1,
+                    totalChunks: chunks.length,
+                    pass
+                });
+                
+                const partial = await chunkSummarizer.summarize(chunks[index], {
+                    context: `Part ${index + 1} of ${chunks.length} of the thread`,
+                    signal
+                });
+                partialSummaries.push(`Part ${index + 1} of ${chunks.length}:\n${partial.trim()}`);
             }
-            
-            const provider = userSettings.apiProvider || 'openai';
-            const apiKey = userSettings.apiKey;
-            
-            let summary = '';
-            let keyPoints = [];
-            
-            // Call appropriate API based on provider
-            switch (provider) {
-                case 'openai':
-                    const openaiResult = await OpenAIAPI.summarize(fullText, apiKey);
-                    summary = openaiResult.summary;
-                    keyPoints = openaiResult.keyPoints;
-                    break;
-                    
-                case 'anthropic':
-                    const claudeResult = await AnthropicAPI.summarize(fullText, apiKey);
-                    summary = claudeResult.summary;
-                    keyPoints = claudeResult.keyPoints;
-                    break;
-                    
-                case 'google':
-                    const geminiResult = await GoogleAIAPI.summarize(fullText, apiKey);
-                    summary = geminiResult.summary;
-                    keyPoints = geminiResult.keyPoints;
-                    break;
-                    
-                default:
-                    throw new Error(`Unsupported API provider: ${provider}`);
+        } finally {
+            chunkSummarizer.destroy();
+        }
+        
+        const combined = partialSummaries.join(MESSAGE_SEPARATOR);
+        
+        // Guard against partials that do not shrink (e.g. a single oversized chunk)
+        if (combined.length > MAX_ON_DEVICE_CONTENT_LENGTH && chunks.length > 1) {
+            return await this.summarizeInChunks(partialSummaries, pass + 1, signal);
+        }
+        
+        return this.truncateContentForProcessing(combined, MAX_ON_DEVICE_CONTENT_LENGTH);
+    }
+
+    /**
+     * Pack text sections into chunks no longer than maxLength
+     * 
+     * Sections are kept whole where possible so chunks break on message boundaries.
+     * A single section longer than maxLength is split on paragraph, then sentence,
+     * then hard character boundaries.
+     * 
+     * @param {Array<string>} sections - Text sections in order
+     * @param {number} maxLength - Maximum characters per chunk
+     * @returns {Array<string>} Chunks in original order
+     */
+    splitIntoChunks(sections, maxLength) {
+        const chunks = [];
+        let current = '';
+        
+        const pushSection = (section) => {
+            const candidate = current ? `${current}${MESSAGE_SEPARATOR}${section}` : section;
+            if (candidate.length <= maxLength) {
+                current = candidate;
+                return;
             }
-            
-            sendResponse(createSuccessResponse(
-                { summary, keyPoints },
-                { usedFallback: true } // Indicate external API was used
-            ));
-            
-        } catch (error) {
-            console.error('External API summary generation error:', error);
-            sendResponse(createErrorResponseForService(error, 'External API summary generation'));
+            if (current) {
+                chunks.push(current);
+            }
+            current = section;
+        };
+        
+        sections
+            .filter(section => section && section.trim().length > 0)
+            .forEach(section => {
+                if (section.length <= maxLength) {
+                    pushSection(section);
+                } else {
+                    this.splitOversizedSection(section, maxLength).forEach(pushSection);
+                }
+            });
+        
+        if (current) {
+            chunks.push(current);
         }
+        
+        return chunks;
     }
 
     /**
-     * Combine all messages from a thread into a single text string
+     * Split a single section that exceeds maxLength into smaller pieces
+     * @param {string} section - Oversized text section
+     * @param {number} maxLength - Maximum characters per piece
+     * @returns {Array<string>} Pieces no longer than maxLength
+     */
+    splitOversizedSection(section, maxLength) {
+        const pieces = [];
+        let current = '';
+        
+        // Paragraphs first, then sentences; anything still too long is hard-split
+        const units = section
+            .split(/\n\s*\n/)
+            .flatMap(paragraph => paragraph.length <= maxLength ? [paragraph] : paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph])
+            .flatMap(unit => {
+                const parts = [];
+                for (let start = 0; start < unit.length; start += maxLength) {
+                    parts.push(unit.substring(start, start + maxLength));
+                }
+                return parts;
+            });
+        
+        units.forEach(unit => {
+            if (current && current.length + unit.length + 2 > maxLength) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${unit}` : unit;
+        });
+        
+        if (current) {
+            pieces.push(current);
+        }
+        
+        return pieces;
+    }
+
+    /**
+     * Format each message of a thread as a text section
      * @param {Object} thread - Email thread data
-     * @returns {string} Combined thread text
+     * @returns {Array<string>} One "From: sender" section per message
      */
-    combineThreadMessages(thread) {
+    getThreadMessageSections(thread) {
         if (!thread.messages || thread.messages.length === 0) {
-            return '';
+            return [];
         }
         
         return thread.messages
-            .map(msg => `From: ${msg.sender?.name || 'Unknown'}\n${msg.content}`)
-            .join('\n\n---\n\n');
+            .map(msg => `From: ${msg.sender?.name || 'Unknown'}\n${msg.content}`);
+    }
+
+    /**
+     * Combine all messages from a thread into a single text string
+     * @param {Object} thread - Email thread data
+     * @returns {string} Combined thread text
+     */
+    combineThreadMessages(thread) {
+        return this.getThreadMessageSections(thread).join(MESSAGE_SEPARATOR);
     }
 
     /**
@@ -329,19 +588,26 @@ export class SummaryService {
 
     /**
      * Prepare content for cloud processing (text only, no attachments)
-     * This ensures only extracted text is sent, never raw files or images
+     * This ensures only extracted text is sent, never raw files or images, and replaces
+     * personal data with placeholders (see utils/pii-redaction.js)
      * @param {Object} thread - Email thread data
-     * @returns {Object} Sanitized content for cloud processing
+     * @param {Object} [redactionSettings] - Categories to redact, keyed by category ID (all by default)
+     * @returns {Object} Redacted content and subject, the redactor that restores the response, and metadata
      */
-    prepareContentForCloudProcessing(thread) {
+    prepareContentForCloudProcessing(thread, redactionSettings) {
         // Extract only text content, never attachments or images
         const textContent = this.combineThreadMessages(thread);
+        const redactor = createThreadRedactor(thread, redactionSettings);
+        const content = redactor.redact(textContent);
+        const subject = redactor.redact(thread.subject || '');
         
         return {
-            content: textContent,
+            content,
+            subject,
+            redactor,
             metadata: {
                 threadLength: thread.messages?.length || 0,
-                subject: thread.subject || '',
+                subject,
                 // Never include attachment content or personal identifiers
                 hasAttachments: (thread.attachments?.length || 0) > 0,
                 attachmentCount: thread.attachments?.length || 0
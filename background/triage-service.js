@@ -0,0 +1,411 @@
+/**
+ * Triage Classification Service
+ * Classifies an extracted thread as needs-reply, FYI, waiting-on-others or urgent,
+ * with an urgency score (0-100) and a one-line rationale
+ *
+ * Uses the Prompt API with a JSON schema response constraint on-device, and falls back to
+ * heuristics over the extractThreadContext signals when the Prompt API is unavailable or fails.
+ *
+ * Reference: https://developer.chrome.com/docs/ai/structured-output-for-prompt-api
+ */
+
+import { sanitizeString } from '../utils/validation.js';
+import { repairJson } from '../utils/json-repair.js';
+import { parseTimestamp } from '../utils/timestamp-parser.js';
+import { extractThreadContext } from './api-integrations.js';
+import { OnDeviceLock } from './on-device-lock.js';
+
+/**
+ * Triage categories, in the order they are listed to the model
+ */
+export const TriageCategories = {
+    NEEDS_REPLY: 'needs-reply',
+    FYI: 'fyi',
+    WAITING_ON_OTHERS: 'waiting-on-others',
+    URGENT: 'urgent'
+};
+
+/**
+ * Display label, action badge text and badge colour for each category
+ */
+export const TRIAGE_CATEGORY_DETAILS = {
+    [TriageCategories.NEEDS_REPLY]: { label: 'Needs reply', badgeText: 'RE', badgeColor: '#1976d2' },
+    [TriageCategories.FYI]: { label: 'FYI', badgeText: 'FYI', badgeColor: '#757575' },
+    [TriageCategories.WAITING_ON_OTHERS]: { label: 'Waiting on others', badgeText: 'WAIT', badgeColor: '#f57c00' },
+    [TriageCategories.URGENT]: { label: 'Urgent', badgeText: '!', badgeColor: '#d32f2f' }
+};
+
+/**
+ * How the classification was produced
+ */
+export const TriageMethods = {
+    PROMPT_API: 'prompt-api',
+    HEURISTIC: 'heuristic'
+};
+
+/**
+ * Characters of the thread included in the classification prompt (most recent messages kept)
+ */
+const MAX_PROMPT_THREAD_LENGTH = 6000;
+
+const URGENT_PATTERN = /\b(urgent(ly)?|asap|as soon as possible|immediately|right away|critical|emergency|blocker|blocking|time[- ]sensitive|by (end of )?(today|tonight|eod)|within the hour)\b/i;
+const REQUEST_PATTERN = /\b(can you|could you|would you|will you|please(?! (find|see|note)\b)|let me know|thoughts\??|what do you think|are you able|do you have)\b/i;
+const WAITING_PATTERN = /\b(i('ll| will) (get back|follow up|check|look into|circle back|let you know)|will (get back|follow up|revert)|waiting (for|on)|pending (approval|review|response)|once i hear|haven't heard back|let you know (by|when))\b/i;
+const DEADLINE_PATTERN = /\b(today|tonight|tomorrow|eod|end of (the )?(day|week)|deadline|due)\b/i;
+
+/**
+ * JSON Schema for the triage result returned by the Prompt API
+ * @returns {Object} JSON schema object
+ */
+export function getTriageSchema() {
+    return {
+        type: "object",
+        required: ["category", "urgency", "rationale"],
+        properties: {
+            category: { type: "string", enum: Object.values(TriageCategories) },
+            urgency: { type: "integer", minimum: 0, maximum: 100 },
+            rationale: { type: "string", minLength: 5, maxLength: 160 }
+        },
+        additionalProperties: false
+    };
+}
+
+/**
+ * JSON Schema for batch classification of message list rows
+ * @param {number} rowCount - Number of rows being classified
+ * @returns {Object} JSON schema object
+ */
+export function getInboxTriageSchema(rowCount) {
+    const rowSchema = getTriageSchema();
+    return {
+        type: "object",
+        required: ["rows"],
+        properties: {
+            rows: {
+                type: "array",
+                maxItems: rowCount,
+                items: {
+                    type: "object",
+                    required: ["index", ...rowSchema.required],
+                    properties: {
+                        index: { type: "integer", minimum: 0, maximum: Math.max(rowCount - 1, 0) },
+                        ...rowSchema.properties
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        additionalProperties: false
+    };
+}
+
+/**
+ * Set the extension action badge for a triage result
+ * @param {Object|null} triage - Triage result, or null to clear the badge
+ * @param {number} [tabId] - Tab to set the badge on (all tabs when omitted)
+ */
+export async function applyTriageBadge(triage, tabId) {
+    if (!chrome?.action?.setBadgeText) return;
+
+    const target = Number.isInteger(tabId) ? { tabId } : {};
+    const details = triage ? TRIAGE_CATEGORY_DETAILS[triage.category] : null;
+
+    await chrome.action.setBadgeText({ ...target, text: details ? details.badgeText : '' });
+    if (details) {
+        await chrome.action.setBadgeBackgroundColor({ ...target, color: details.badgeColor });
+        await chrome.action.setTitle({ ...target, title: `Inbox Triage: ${details.label} (urgency ${triage.urgency}/100)` });
+    } else {
+        await chrome.action.setTitle({ ...target, title: chrome.runtime.getManifest().action?.default_title || '' });
+    }
+}
+
+export class TriageService {
+    /**
+     * @param {Object} dependencies - Service dependencies
+     * @param {Object} dependencies.aiCapabilities - AI capabilities object
+     * @param {OnDeviceLock} [dependencies.onDeviceLock] - Lock shared by all on-device model work
+     */
+    constructor(dependencies) {
+        this.aiCapabilities = dependencies.aiCapabilities;
+        this.onDeviceLock = dependencies.onDeviceLock || new OnDeviceLock();
+    }
+
+    /**
+     * Classify a thread
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object>} Triage result ({category, urgency, rationale, method})
+     */
+    async classifyThread(thread) {
+        if (!thread?.messages || thread.messages.length === 0) {
+            throw new Error('No messages to classify');
+        }
+
+        const availability = this.aiCapabilities.promptApi?.available;
+        if (availability === 'readily' || availability === 'available') {
+            try {
+                return { ...(await this.onDeviceLock.run(() => this.classifyWithPromptApi(thread))), method: TriageMethods.PROMPT_API };
+            } catch (error) {
+                console.warn('Prompt API triage failed, using heuristics:', error);
+            }
+        } else {
+            console.log('Prompt API not ready for triage, using heuristics');
+        }
+
+        return { ...this.classifyWithHeuristics(thread), method: TriageMethods.HEURISTIC };
+    }
+
+    /**
+     * Classify with the Prompt API, constrained to getTriageSchema()
+     * @param {Object} thread - Email thread data
+     * @returns {Promise<Object>} Triage result ({category, urgency, rationale})
+     */
+    async classifyWithPromptApi(thread) {
+        let session = null;
+        try {
+            session = await LanguageModel.create({
+                initialPrompts: [
+                    {
+                        role: 'system',
+                        content: `You triage email threads for the person reading them. Categories:
+- needs-reply: the latest message asks the reader a question or for something
+- fyi: informational, no action expected from the reader
+- waiting-on-others: the reader is waiting for someone else to respond or deliver
+- urgent: needs the reader's attention today (explicit urgency or an imminent deadline)
+Urgency is 0 (can be ignored) to 100 (drop everything). The rationale is one short sentence.`
+                    }
+                ],
+                temperature: 0.1,
+                topK: 3
+            });
+
+            const response = await session.prompt(this.createClassificationPrompt(thread), {
+                responseConstraint: getTriageSchema()
+            });
+
+            const { value } = repairJson(response);
+            return this.normalizeResult(value);
+        } finally {
+            if (session) {
+                session.destroy();
+            }
+        }
+    }
+
+    /**
+     * Build the classification prompt, keeping the most recent messages within the length budget
+     * @param {Object} thread - Email thread data
+     * @returns {string} Prompt text
+     */
+    createClassificationPrompt(thread) {
+        const sections = [];
+        let remaining = MAX_PROMPT_THREAD_LENGTH;
+
+        for (let i = thread.messages.length - 1; i >= 0 && remaining > 0; i--) {
+            const message = thread.messages[i];
+            const sender = message.sender?.name || 'Unknown';
+            const sent = message.timestamp ? ` (sent ${message.timestamp})` : '';
+            const label = i === thread.messages.length - 1 ? 'Latest message' : `Message ${i + 1}`;
+            const section = `[${label}] From: ${sender}${sent}\n${message.content || ''}`.substring(0, remaining);
+            sections.unshift(section);
+            remaining -= section.length;
+        }
+
+        return `Subject: ${thread.subject || '(no subject)'}
+
+${sections.join('\n\n---\n\n')}
+
+Classify this thread.`;
+    }
+
+    /**
+     * Classify from the regex signals in extractThreadContext, weighted towards the latest message
+     * @param {Object} thread - Email thread data
+     * @returns {Object} Triage result ({category, urgency, rationale})
+     */
+    classifyWithHeuristics(thread) {
+        const latest = thread.messages[thread.messages.length - 1];
+        const latestText = latest.content || '';
+        const latestSignals = extractThreadContext(latestText);
+        const threadText = `${thread.subject || ''}\n${latestText}`;
+
+        const sender = latest.sender?.name && latest.sender.name !== 'Unknown' ? latest.sender.name : 'The sender';
+        const hasDeadline = latestSignals.actionItems.some(item => DEADLINE_PATTERN.test(item)) ||
+                            DEADLINE_PATTERN.test(latestText);
+        const questionCount = latestSignals.questions.length;
+        const isRequest = questionCount > 0 || REQUEST_PATTERN.test(latestText);
+
+        if (URGENT_PATTERN.test(threadText)) {
+            return this.normalizeResult({
+                category: TriageCategories.URGENT,
+                urgency: 85 + (hasDeadline ? 10 : 0),
+                rationale: `${sender} flags this as urgent${isRequest ? ' and is asking for a response' : ''}.`
+            });
+        }
+
+        if (isRequest) {
+            return this.normalizeResult({
+                category: TriageCategories.NEEDS_REPLY,
+                urgency: 50 + Math.min(questionCount, 3) * 5 + (hasDeadline ? 15 : 0),
+                rationale: questionCount > 0
+                    ? `${sender} asked ${questionCount === 1 ? 'a question' : `${questionCount} questions`} in the latest message.`
+                    : `${sender} is asking you for something in the latest message.`
+            });
+        }
+
+        if (WAITING_PATTERN.test(latestText)) {
+            return this.normalizeResult({
+                category: TriageCategories.WAITING_ON_OTHERS,
+                urgency: 25 + (hasDeadline ? 10 : 0),
+                rationale: `${sender} said they will follow up; nothing to do until they do.`
+            });
+        }
+
+        return this.normalizeResult({
+            category: TriageCategories.FYI,
+            urgency: 10 + (latestSignals.decisions.length > 0 ? 10 : 0),
+            rationale: latestSignals.decisions.length > 0
+                ? 'Shares a decision; no questions or requests for you.'
+                : 'No questions or requests for you in the latest message.'
+        });
+    }
+
+    /**
+     * Classify message list rows and rank them by what to handle first
+     * Rows only carry a sender, subject and snippet, so this works without opening any thread
+     * @param {Object[]} rows - Rows from the content script ({index, sender, subject, snippet, timestamp, unread})
+     * @returns {Promise<Object>} Ranked rows with a triage result each, and the method used ({rows, method})
+     */
+    async classifyInboxRows(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new Error('No message list rows to classify');
+        }
+
+        let results = new Map();
+        let method = TriageMethods.HEURISTIC;
+
+        const availability = this.aiCapabilities.promptApi?.available;
+        if (availability === 'readily' || availability === 'available') {
+            try {
+                results = await this.onDeviceLock.run(() => this.classifyRowsWithPromptApi(rows));
+                method = TriageMethods.PROMPT_API;
+            } catch (error) {
+                console.warn('Prompt API inbox triage failed, using heuristics:', error);
+            }
+        } else {
+            console.log('Prompt API not ready for inbox triage, using heuristics');
+        }
+
+        // Rows the model skipped are classified heuristically
+        const classified = rows.map((row, position) => ({
+            ...row,
+            triage: results.get(position) || this.classifyWithHeuristics(this.rowToThread(row))
+        }));
+
+        return { rows: this.rankInboxRows(classified), method };
+    }
+
+    /**
+     * Classify all rows in a single Prompt API call
+     * @param {Object[]} rows - Message list rows
+     * @returns {Promise<Map<number, Object>>} Triage results keyed by row position
+     */
+    async classifyRowsWithPromptApi(rows) {
+        let session = null;
+        try {
+            session = await LanguageModel.create({
+                initialPrompts: [
+                    {
+                        role: 'system',
+                        content: `You triage an email inbox from the message list. For each row, classify the email for the person reading it:
+- needs-reply: asks the reader a question or for something
+- fyi: informational, newsletters, notifications, receipts
+- waiting-on-others: the reader is waiting for someone else to respond or deliver
+- urgent: needs the reader's attention today
+Urgency is 0 (can be ignored) to 100 (drop everything). The rationale is one short sentence.`
+                    }
+                ],
+                temperature: 0.1,
+                topK: 3
+            });
+
+            const list = rows.map((row, position) => {
+                const sender = row.sender?.name || 'Unknown';
+                const unread = row.unread ? ' (unread)' : '';
+                return `[${position}] From: ${sender}${unread}\nSubject: ${row.subject || '(no subject)'}\nPreview: ${row.snippet || ''}`;
+            }).join('\n\n');
+
+            const response = await session.prompt(`${list}\n\nClassify every row by its number.`, {
+                responseConstraint: getInboxTriageSchema(rows.length)
+            });
+
+            const { value } = repairJson(response);
+            if (!value || !Array.isArray(value.rows)) {
+                throw new Error('Response did not contain a rows array');
+            }
+
+            const results = new Map();
+            value.rows.forEach(result => {
+                if (!Number.isInteger(result?.index) || result.index < 0 || result.index >= rows.length) return;
+                try {
+                    results.set(result.index, this.normalizeResult(result));
+                } catch (error) {
+                    // Leave invalid rows to the heuristic fallback
+                }
+            });
+            return results;
+        } finally {
+            if (session) {
+                session.destroy();
+            }
+        }
+    }
+
+    /**
+     * Present a message list row as a one-message thread for the heuristics
+     * @param {Object} row - Message list row
+     * @returns {Object} Thread-shaped object
+     */
+    rowToThread(row) {
+        return {
+            subject: row.subject || '',
+            messages: [{ content: `${row.subject || ''}. ${row.snippet || ''}`, sender: row.sender }]
+        };
+    }
+
+    /**
+     * Order rows by urgency, then unread before read, then newest first
+     * @param {Object[]} rows - Classified rows
+     * @returns {Object[]} Ranked rows with their 1-based rank
+     */
+    rankInboxRows(rows) {
+        const timeOf = (row) => parseTimestamp(row.timestamp || row.date) || 0;
+
+        return [...rows]
+            .sort((a, b) =>
+                (b.triage.urgency - a.triage.urgency) ||
+                (Number(!!b.unread) - Number(!!a.unread)) ||
+                (timeOf(b) - timeOf(a)))
+            .map((row, position) => ({ ...row, rank: position + 1 }));
+    }
+
+    /**
+     * Validate a raw result and clamp it to the schema
+     * @param {Object} raw - Result from the model or heuristics
+     * @returns {Object} Triage result ({category, urgency, rationale})
+     */
+    normalizeResult(raw) {
+        if (!raw || !Object.values(TriageCategories).includes(raw.category)) {
+            throw new Error('Invalid triage category');
+        }
+
+        const urgency = Number.isFinite(raw.urgency) ? Math.round(raw.urgency) : 50;
+        const rationale = sanitizeString(raw.rationale, 160) || TRIAGE_CATEGORY_DETAILS[raw.category].label;
+
+        return {
+            category: raw.category,
+            urgency: Math.min(Math.max(urgency, 0), 100),
+            // Keep it to one line
+            rationale: rationale.replace(/\s*\n+\s*/g, ' ')
+        };
+    }
+}
@@ -0,0 +1,381 @@
+/**
+ * Usage Tracker
+ * Token and cost accounting for requests sent to external AI providers
+ *
+ * Every summary and draft request that goes to a cloud API or a local server records the input
+ * and output tokens the provider reported, per day, provider and model, in chrome.storage.local.
+ * Costs are calculated when usage is read, from a price table the user can edit, so changing a
+ * price also corrects the months already recorded. An optional monthly budget blocks cloud
+ * requests once this month's cost reaches it.
+ *
+ * Reference: background/api-integrations.js - readTokenUsage
+ * Reference: docs/spec.md - API Usage and Budget
+ */
+
+import { BudgetExceededError } from '../utils/error-handler.js';
+import { ProviderKinds } from './provider-registry.js';
+
+/**
+ * chrome.storage.local key holding token counts: {'YYYY-MM-DD': {providerId: {model: counts}}}
+ */
+export const USAGE_STORAGE_KEY = 'apiUsage';
+
+/**
+ * chrome.storage.sync keys for the user's price table and monthly budget
+ */
+export const USAGE_PRICES_KEY = 'usagePrices';
+export const MONTHLY_BUDGET_KEY = 'monthlyBudget';
+
+/**
+ * Months of daily usage kept, including the current one
+ */
+export const USAGE_RETENTION_MONTHS = 13;
+
+/**
+ * Published list prices in US dollars per million tokens, matched by model ID prefix
+ * Reference: https://openai.com/api/pricing/
+ * Reference: https://www.anthropic.com/pricing#api
+ * Reference: https://ai.google.dev/gemini-api/docs/pricing
+ */
+export const DEFAULT_PRICE_TABLE = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4-0125-preview': { input: 10, output: 30 },
+    'gpt-4-1106-preview': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 }
+};
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * Output tokens assumed when reserving budget for a request without a max tokens setting:
+ * the largest default the HTTP clients send for each operation
+ * Reference: background/api-integrations.js - max_tokens defaults
+ */
+export const SUMMARY_OUTPUT_TOKEN_ESTIMATE = 500;
+export const DRAFTS_OUTPUT_TOKEN_ESTIMATE = 2000;
+
+/**
+ * Estimate the tokens of a request before it is sent (about 4 characters per token)
+ * @param {string} model - Model the request asks for
+ * @param {string[]} texts - Text sent to the provider
+ * @param {number} outputTokens - Most output tokens the request can use
+ * @returns {{model: string, inputTokens: number, outputTokens: number}} Estimated usage
+ */
+export function estimateRequestUsage(model, texts, outputTokens) {
+    const chars = texts.reduce((sum, text) => sum + (text?.length || 0), 0);
+    return { model, inputTokens: Math.ceil(chars / 4), outputTokens };
+}
+
+/**
+ * Get the local calendar day of a date
+ * @param {Date} date - Date
+ * @returns {string} Day key, e.g. "2025-03-07"
+ */
+export function getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the local calendar month of a date
+ * @param {Date} date - Date
+ * @returns {string} Month key, e.g. "2025-03"
+ */
+export function getMonthKey(date) {
+    return getDayKey(date).slice(0, 7);
+}
+
+/**
+ * Clean a price table entered by the user: drop unnamed models and invalid prices
+ * @param {Object} table - Prices keyed by model ID prefix ({input, output} per million tokens)
+ * @returns {Object} Valid entries with non-negative numeric prices
+ */
+export function normalizePriceTable(table) {
+    const prices = {};
+    Object.entries(table || {}).forEach(([model, price]) => {
+        const key = model.trim();
+        const input = Number(price?.input);
+        const output = Number(price?.output);
+        if (key && Number.isFinite(input) && Number.isFinite(output) && input >= 0 && output >= 0) {
+            prices[key] = { input, output };
+        }
+    });
+    return prices;
+}
+
+/**
+ * Clean a monthly budget entered by the user
+ * @param {*} value - Budget in US dollars
+ * @returns {number|null} Positive budget rounded to cents, or null for no budget
+ */
+export function normalizeBudget(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const budget = Math.round(Number(value) * 100) / 100;
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Find the price of a model: the entry whose ID is the longest prefix of the model name,
+ * so "gpt-4o-mini-2024-07-18" uses "gpt-4o-mini" rather than "gpt-4o"
+ * @param {Object} priceTable - Prices keyed by model ID prefix
+ * @param {string} model - Model name reported by the provider
+ * @returns {{input: number, output: number}|null} Price per million tokens, or null if unpriced
+ */
+export function findModelPrice(priceTable, model) {
+    const name = (model || '').toLowerCase();
+    let match = null;
+    Object.keys(priceTable).forEach(prefix => {
+        if (name.startsWith(prefix.toLowerCase()) && (!match || prefix.length > match.length)) {
+            match = prefix;
+        }
+    });
+    return match ? priceTable[match] : null;
+}
+
+/**
+ * Calculate the cost of token counts
+ * @param {{inputTokens: number, outputTokens: number}} counts - Token counts
+ * @param {{input: number, output: number}|null} price - Price per million tokens
+ * @returns {number} Cost in US dollars (0 when unpriced)
+ */
+export function calculateCost(counts, price) {
+    if (!price) {
+        return 0;
+    }
+    return (counts.inputTokens * price.input + counts.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+}
+
+export class UsageTracker {
+    /**
+     * @param {Object} dependencies - Service dependencies
+     * @param {chrome.storage.StorageArea} dependencies.storage - Storage area usage is recorded in
+     * @param {chrome.storage.StorageArea} dependencies.settingsStorage - Storage area holding prices and budget
+     * @param {Function} [dependencies.now] - Current date, for tests
+     */
+    constructor({ storage, settingsStorage, now = () => new Date() }) {
+        this.storage = storage;
+        this.settingsStorage = settingsStorage;
+        this.now = now;
+        // Writes are chained so concurrent requests do not overwrite each other's counts
+        this.writeChain = Promise.resolve();
+        // Estimated cost of cloud requests in flight; budget checks are chained so each one
+        // sees the reservations made before it
+        this.reservedCost = 0;
+        this.budgetChain = Promise.resolve();
+    }
+
+    /**
+     * Run a provider call, checking the budget first and recording the usage it reports
+     * On-device providers are not tracked; the budget only applies to cloud providers, which
+     * reserve the estimated cost of the request until its usage is recorded.
+     * @param {Object} provider - Registered provider
+     * @param {Function} call - Async function that calls the provider and resolves to its result
+     * @param {{model: string, inputTokens: number, outputTokens: number}} [estimate] - Expected usage,
+     *   from estimateRequestUsage; the model also prices replies from a model without a price
+     * @returns {Promise<Object>} The provider's result
+     * @throws {BudgetExceededError} If the provider is a cloud API and the request would go over the monthly budget
+     */
+    async track(provider, call, estimate = {}) {
+        const kind = provider.metadata.kind;
+        if (kind === ProviderKinds.ON_DEVICE) {
+            return call();
+        }
+        const reservation = kind === ProviderKinds.CLOUD
+            ? await this.reserveBudget(provider.metadata.label, estimate)
+            : 0;
+
+        try {
+            const result = await call();
+            await this.record(provider.id, result?.model, result?.usage, estimate.model);
+            return result;
+        } finally {
+            this.reservedCost = Math.max(0, this.reservedCost - reservation);
+        }
+    }
+
+    /**
+     * Check this month's cost, plus requests in flight, against the budget and reserve the
+     * estimated cost of a request
+     * @param {string} providerName - Provider name for the error message
+     * @param {{model: string, inputTokens: number, outputTokens: number}} [estimate] - Expected usage
+     * @returns {Promise<number>} Reserved cost in US dollars, to release once the usage is recorded
+     * @throws {BudgetExceededError} If a budget is set and the request would go over it
+     */
+    reserveBudget(providerName, { model, inputTokens = 0, outputTokens = 0 } = {}) {
+        const reservation = this.budgetChain.then(async () => {
+            const summary = await this.getMonthlySummary();
+            const cost = calculateCost({ inputTokens, outputTokens }, findModelPrice(summary.priceTable, model));
+            if (summary.budget !== null) {
+                const committed = summary.totals.cost + this.reservedCost;
+                if (committed >= summary.budget || committed + cost > summary.budget) {
+                    throw new BudgetExceededError(providerName, { spent: committed, budget: summary.budget, requested: cost });
+                }
+            }
+            this.reservedCost += cost;
+            return cost;
+        });
+        this.budgetChain = reservation.catch(() => {});
+        return reservation;
+    }
+
+    /**
+     * Add a request to today's usage
+     * Failures are logged and not thrown: the request itself already succeeded.
+     * @param {string} providerId - Provider ID
+     * @param {string} [model] - Model that handled the request
+     * @param {{inputTokens: number, outputTokens: number}|null} [usage] - Tokens reported by the provider
+     * @param {string} [requestedModel] - Model the request asked for, priced when the reported one is not
+     * @returns {Promise<void>}
+     */
+    record(providerId, model, usage, requestedModel) {
+        this.writeChain = this.writeChain.then(async () => {
+            const today = this.now();
+            const data = await this.loadUsage();
+            const day = getDayKey(today);
+            const modelKey = model || 'unknown';
+
+            data[day] = data[day] || {};
+            data[day][providerId] = data[day][providerId] || {};
+            const counts = data[day][providerId][modelKey] || { requests: 0, inputTokens: 0, outputTokens: 0 };
+            counts.requests += 1;
+            counts.inputTokens += usage?.inputTokens || 0;
+            counts.outputTokens += usage?.outputTokens || 0;
+            if (requestedModel && requestedModel !== modelKey) {
+                counts.requestedModel = requestedModel;
+            }
+            data[day][providerId][modelKey] = counts;
+
+            await this.storage.set({ [USAGE_STORAGE_KEY]: this.pruneUsage(data, today) });
+        }).catch(error => {
+            console.error('Failed to record API usage:', error);
+        });
+        return this.writeChain;
+    }
+
+    /**
+     * Drop days older than the retention period
+     * @param {Object} data - Usage keyed by day
+     * @param {Date} today - Current date
+     * @returns {Object} Usage for the retained months
+     */
+    pruneUsage(data, today) {
+        const oldest = getMonthKey(new Date(today.getFullYear(), today.getMonth() - (USAGE_RETENTION_MONTHS - 1), 1));
+        return Object.fromEntries(Object.entries(data).filter(([day]) => day.slice(0, 7) >= oldest));
+    }
+
+    /**
+     * Load the recorded usage
+     * @returns {Promise<Object>} Usage keyed by day
+     */
+    async loadUsage() {
+        const result = await this.storage.get(USAGE_STORAGE_KEY);
+        return result?.[USAGE_STORAGE_KEY] || {};
+    }
+
+    /**
+     * Load the price table and the monthly budget
+     * @returns {Promise<{priceTable: Object, monthlyBudget: number|null}>} Usage settings
+     */
+    async getSettings() {
+        const result = await this.settingsStorage.get([USAGE_PRICES_KEY, MONTHLY_BUDGET_KEY]);
+        const saved = result?.[USAGE_PRICES_KEY];
+        return {
+            // Until the user edits the prices, the defaults shipped with the extension apply
+            priceTable: saved ? normalizePriceTable(saved) : { ...DEFAULT_PRICE_TABLE },
+            monthlyBudget: normalizeBudget(result?.[MONTHLY_BUDGET_KEY])
+        };
+    }
+
+    /**
+     * Save the price table and monthly budget
+     * @param {Object} settings - Usage settings
+     * @param {Object} [settings.priceTable] - Full price table; models left out are no longer priced
+     * @param {number|string|null} [settings.monthlyBudget] - Budget in US dollars; empty for none
+     * @returns {Promise<{priceTable: Object, monthlyBudget: number|null}>} Saved settings
+     */
+    async saveSettings({ priceTable, monthlyBudget } = {}) {
+        const updates = {};
+        if (priceTable !== undefined) {
+            updates[USAGE_PRICES_KEY] = normalizePriceTable(priceTable);
+        }
+        if (monthlyBudget !== undefined) {
+            updates[MONTHLY_BUDGET_KEY] = normalizeBudget(monthlyBudget);
+        }
+        await this.settingsStorage.set(updates);
+        return this.getSettings();
+    }
+
+    /**
+     * Summarize a month of usage per provider and model, with costs from the current prices
+     * @param {string} [month] - Month key, e.g. "2025-03" (defaults to the current month)
+     * @returns {Promise<Object>} {month, rows, totals, budget, remaining, exceeded, priceTable}
+     */
+    async getMonthlySummary(month = getMonthKey(this.now())) {
+        const [data, { priceTable, monthlyBudget }] = await Promise.all([this.loadUsage(), this.getSettings()]);
+        const rowsByKey = new Map();
+
+        Object.entries(data)
+            .filter(([day]) => day.startsWith(`${month}-`))
+            .forEach(([, providers]) => {
+                Object.entries(providers).forEach(([provider, models]) => {
+                    Object.entries(models).forEach(([model, counts]) => {
+                        const key = `${provider}\n${model}`;
+                        const row = rowsByKey.get(key) || { provider, model, requests: 0, inputTokens: 0, outputTokens: 0 };
+                        row.requests += counts.requests || 0;
+                        row.inputTokens += counts.inputTokens || 0;
+                        row.outputTokens += counts.outputTokens || 0;
+                        row.requestedModel = counts.requestedModel || row.requestedModel;
+                        rowsByKey.set(key, row);
+                    });
+                });
+            });
+
+        const rows = [...rowsByKey.values()].map(({ requestedModel, ...row }) => {
+            // Dated or preview names the table does not list are priced as the model that was requested
+            const price = findModelPrice(priceTable, row.model) || findModelPrice(priceTable, requestedModel);
+            return { ...row, priced: Boolean(price), cost: calculateCost(row, price) };
+        }).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+
+        const totals = rows.reduce((sum, row) => ({
+            requests: sum.requests + row.requests,
+            inputTokens: sum.inputTokens + row.inputTokens,
+            outputTokens: sum.outputTokens + row.outputTokens,
+            cost: sum.cost + row.cost
+        }), { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+        return {
+            month,
+            rows,
+            totals,
+            budget: monthlyBudget,
+            remaining: monthlyBudget === null ? null : Math.max(0, monthlyBudget - totals.cost),
+            exceeded: monthlyBudget !== null && totals.cost >= monthlyBudget,
+            priceTable
+        };
+    }
+
+    /**
+     * Delete all recorded usage
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.writeChain;
+        await this.storage.remove(USAGE_STORAGE_KEY);
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * WriterService - Composes new emails and forward notes using Chrome's Writer API
+ * Reference: https://developer.chrome.com/docs/ai/writer-api
+ */
+
+/**
+ * Compose modes, tones and lengths accepted by the compose UI
+ * Tones and lengths are passed straight through to Writer.create()
+ */
+export const COMPOSE_MODES = ['new', 'forward'];
+export const WRITER_TONES = ['formal', 'neutral', 'casual'];
+export const WRITER_LENGTHS = ['short', 'medium', 'long'];
+
+/**
+ * Thread context passed to write() is capped so it stays well inside the model's input quota
+ */
+export const MAX_WRITER_CONTEXT_LENGTH = 8000;
+
+const MAX_SUBJECT_LENGTH = 120;
+
+export class WriterService {
+    constructor() {
+        this.sessions = new Map();
+        this.isAvailable = false;
+    }
+
+    async initialize() {
+        if ('Writer' in self) {
+            this.isAvailable = true;
+            console.log('Writer API detected in browser');
+            return true;
+        }
+        console.log('Writer API not available in this browser');
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Check if the writing model can be used
+     * @returns {Promise<Object>} Availability status with details
+     */
+    async checkAvailability() {
+        if (!this.isAvailable) {
+            await this.initialize();
+        }
+
+        if (!this.isAvailable) {
+            return {
+                available: false,
+                state: 'no',
+                reason: 'Writer API not available in this browser',
+                needsDownload: false
+            };
+        }
+
+        try {
+            const availability = await Writer.availability();
+
+            console.log(`Writer availability: ${availability}`);
+
+            const needsDownload = availability === 'after-download' ||
+                                 availability === 'downloadable' ||
+                                 availability === 'downloading';
+            const isAvailable = availability === 'readily' ||
+                               availability === 'available' ||
+                               needsDownload;
+
+            return {
+                available: isAvailable,
+                state: availability,
+                needsDownload: needsDownload,
+                reason: isAvailable ? null : 'Email composition is not supported in your Chrome version. Enable the Writer API in chrome://flags.'
+            };
+        } catch (error) {
+            console.error('Error checking writer availability:', error);
+            return {
+                available: false,
+                state: 'error',
+                reason: error.message,
+                needsDownload: false
+            };
+        }
+    }
+
+    /**
+     * Compose a new email, or the note that goes on top of a forwarded thread
+     * @param {Object} options - Compose options
+     * @param {string} options.mode - One of COMPOSE_MODES
+     * @param {string} options.purpose - What the email should achieve
+     * @param {string} options.recipientRole - Who the email is for (e.g. "my manager")
+     * @param {string} options.tone - One of WRITER_TONES
+     * @param {string} options.length - One of WRITER_LENGTHS
+     * @param {string} options.threadSubject - Subject of the current thread, if any
+     * @param {string} options.threadContext - Current thread text or summary, if any
+     * @returns {Promise<Object>} Composed email with subject and body
+     */
+    async compose({
+        mode = 'new',
+        purpose,
+        recipientRole = '',
+        tone = 'neutral',
+        length = 'medium',
+        threadSubject = '',
+        threadContext = ''
+    } = {}) {
+        if (!COMPOSE_MODES.includes(mode)) {
+            throw new Error(`Unsupported compose mode: ${mode}`);
+        }
+        if (!WRITER_TONES.includes(tone)) {
+            throw new Error(`Unsupported writer tone: ${tone}`);
+        }
+        if (!WRITER_LENGTHS.includes(length)) {
+            throw new Error(`Unsupported writer length: ${length}`);
+        }
+
+        const availabilityCheck = await this.checkAvailability();
+        if (!availabilityCheck.available) {
+            throw new Error(availabilityCheck.reason || 'Writer API not available');
+        }
+
+        const context = this.buildContext(threadSubject, threadContext);
+        const recipient = recipientRole.trim() || 'the recipient';
+
+        const bodyPrompt = mode === 'forward'
+            ? `Write a brief note to ${recipient} to go above a forwarded email thread. Explain why it is being forwarded: ${purpose.trim()}. Do not repeat the thread itself and do not include a subject line.`
+            : `Write an email to ${recipient}. Purpose: ${purpose.trim()}. Include a greeting and sign-off but no subject line.`;
+
+        const body = await this.write(bodyPrompt, { tone, length, context });
+
+        // Forwards keep the thread's own subject, matching what the email client pre-fills
+        const subject = mode === 'forward'
+            ? this.getForwardSubject(threadSubject)
+            : await this.writeSubject(purpose, recipient, tone);
+
+        return { subject, body };
+    }
+
+    /**
+     * Generate a subject line for a new email
+     * @param {string} purpose - What the email should achieve
+     * @param {string} recipient - Who the email is for
+     * @param {string} tone - One of WRITER_TONES
+     * @returns {Promise<string>} Single-line subject
+     */
+    async writeSubject(purpose, recipient, tone) {
+        const subjectText = await this.write(
+            `Write only a subject line of under ten words for an email to ${recipient} with this purpose: ${purpose.trim()}`,
+            { tone, length: 'short' }
+        );
+        return this.cleanSubject(subjectText);
+    }
+
+    /**
+     * Reduce model output to a single clean subject line
+     * @param {string} text - Raw subject text from the model
+     * @returns {string} Cleaned subject
+     */
+    cleanSubject(text) {
+        const firstLine = (text || '').split('\n').map(line => line.trim()).find(line => line.length > 0) || '';
+        return firstLine
+            .replace(/^subject\s*:\s*/i, '')
+            .replace(/^["'*]+|["'*]+$/g, '')
+            .trim()
+            .slice(0, MAX_SUBJECT_LENGTH);
+    }
+
+    /**
+     * Build the subject used when forwarding a thread
+     * @param {string} threadSubject - Original thread subject
+     * @returns {string} Subject with a single Fwd: prefix
+     */
+    getForwardSubject(threadSubject) {
+        const subject = (threadSubject || '').trim();
+        if (!subject) {
+            return 'Fwd:';
+        }
+        return /^fwd?:/i.test(subject) ? subject : `Fwd: ${subject}`;
+    }
+
+    /**
+     * Build write() context from the current thread, truncated to MAX_WRITER_CONTEXT_LENGTH
+     * @param {string} threadSubject - Thread subject
+     * @param {string} threadContext - Thread text or summary
+     * @returns {string} Context string, empty when there is no thread
+     */
+    buildContext(threadSubject, threadContext) {
+        const text = (threadContext || '').trim();
+        if (!text) {
+            return '';
+        }
+
+        const header = threadSubject ? `Email thread "${threadSubject}":\n` : 'Email thread:\n';
+        const budget = MAX_WRITER_CONTEXT_LENGTH - header.length;
+        const body = text.length > budget ? `${text.substring(0, budget - 1)}…` : text;
+        return header + body;
+    }
+
+    /**
+     * Run a write() call on a cached writer session for the given tone and length
+     * @param {string} prompt - Writing task
+     * @param {Object} options - Session options
+     * @returns {Promise<string>} Written text
+     */
+    async write(prompt, { tone, length, context = '' }) {
+        const sessionKey = `${tone}-${length}`;
+
+        // Create or reuse a writer for this tone/length combination
+        if (!this.sessions.has(sessionKey)) {
+            try {
+                console.log(`Creating writer for ${sessionKey}...`);
+                const writer = await Writer.create({
+                    tone,
+                    length,
+                    format: 'plain-text',
+                    sharedContext: 'Emails written by the user of an email client. Write in the first person, ready to send.',
+                    monitor(m) {
+                        m.addEventListener('downloadprogress', (e) => {
+                            console.log(`Writer model download progress: ${Math.round(e.loaded * 100)}%`);
+                        });
+                    }
+                });
+                this.sessions.set(sessionKey, writer);
+            } catch (error) {
+                console.error('Error creating writer:', error);
+                throw new Error(`Failed to create writer: ${error.message}`);
+            }
+        }
+
+        const writer = this.sessions.get(sessionKey);
+        try {
+            const result = context
+                ? await writer.write(prompt, { context })
+                : await writer.write(prompt);
+            console.log(`Write successful (${result.length} chars)`);
+            return result.trim();
+        } catch (error) {
+            console.error('Write error:', error);
+            // Remove failed session
+            this.destroySession(sessionKey);
+            throw new Error(`Writing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Destroy and forget a single writer session
+     * @param {string} sessionKey - Session key (tone-length)
+     */
+    destroySession(sessionKey) {
+        const writer = this.sessions.get(sessionKey);
+        if (writer) {
+            try {
+                writer.destroy();
+            } catch (error) {
+                console.error(`Error destroying writer session ${sessionKey}:`, error);
+            }
+        }
+        this.sessions.delete(sessionKey);
+    }
+
+    cleanup() {
+        for (const key of [...this.sessions.keys()]) {
+            this.destroySession(key);
+        }
+    }
+}
@@ -15,6 +15,9 @@ let createThreadObserver, setupUrlChangeMonitor, detectUITheme;
 // Global instance reference - set up immediately so message listener can access it
 let globalExtractorInstance = null;
 
+// Maximum number of message list rows read for inbox triage
+const MAX_INBOX_ROWS = 50;
+
 // Set up message listener IMMEDIATELY so ping works even before initialization
 // This is critical for the side panel to detect content script presence
 try {
@@ -268,6 +271,17 @@ class EmailThreadExtractor {
                     });
                 return true; // Keep message channel open for async response
                 
+            case 'extractInboxList':
+                try {
+                    const rows = this.extractInboxRows();
+                    console.log(`Extracted ${rows.length} message list rows`);
+                    sendResponse({ success: true, provider: this.siteConfig.provider, rows });
+                } catch (error) {
+                    console.error('Message list extraction failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+                return true;
+                
             case 'checkPageReady':
                 sendResponse({ success: true, ready: this.isPageReady() });
                 return true;
@@ -284,6 +298,18 @@ class EmailThreadExtractor {
                     });
                 return true; // Keep message channel open for async response
                 
+            case 'openCompose':
+                console.log(`Opening ${message.mode === 'forward' ? 'forward' : 'new compose'} window in email client...`);
+                this.openComposeInEmailUI(message.mode, message.subject, message.body)
+                    .then(() => {
+                        sendResponse({ success: true });
+                    })
+                    .catch(error => {
+                        console.error('Failed to open compose window:', error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+                return true; // Keep message channel open for async response
+                
             default:
                 console.warn('Unknown action received:', message.action);
                 sendResponse({ success: false, error: `Unknown action: ${message.action}` });
@@ -688,6 +714,104 @@ class EmailThreadExtractor {
         return null;
     }
     
+    /**
+     * Extract sender, subject, snippet and date from each visible row of the message list
+     * Works on the inbox (or any folder) without opening the threads
+     * 
+     * Reference: docs/spec.md - Inbox List Triage requirements
+     * 
+     * @returns {Array<Object>} Row objects ({index, threadId, threadUrl, sender, subject, snippet, date, timestamp, unread})
+     * @throws {Error} If no message list is visible
+     */
+    extractInboxRows() {
+        const listConfig = typeof getListSelectorsForCurrentSite === 'function'
+            ? getListSelectorsForCurrentSite()
+            : null;
+        if (!listConfig?.selectors) {
+            throw new Error('Message list selectors are not available for this site');
+        }
+        
+        const rowElements = Array.from(document.querySelectorAll(listConfig.selectors.rows))
+            .filter(row => {
+                const style = window.getComputedStyle(row);
+                return style.display !== 'none' && style.visibility !== 'hidden' && row.getClientRects().length > 0;
+            });
+        
+        if (rowElements.length === 0) {
+            throw new Error('No message list found. Open your inbox or a folder to triage it.');
+        }
+        
+        return rowElements
+            .slice(0, MAX_INBOX_ROWS)
+            .map((row, index) => this.extractInboxRow(row, index, listConfig))
+            .filter(Boolean);
+    }
+    
+    /**
+     * Extract a single message list row
+     * @param {Element} row - Row element
+     * @param {number} index - Position of the row in the list
+     * @param {Object} listConfig - Provider and list selectors
+     * @returns {Object|null} Row object, or null if the row has no subject or snippet
+     */
+    extractInboxRow(row, index, listConfig) {
+        const { provider, selectors } = listConfig;
+        const getText = (element) => {
+            if (!element) return '';
+            return cleanText ? cleanText(element.textContent) : element.textContent.trim();
+        };
+        
+        // Sender: Gmail puts name/email attributes on the span, Outlook a title
+        const senderEl = row.querySelector(selectors.sender);
+        const senderTitle = senderEl?.getAttribute('title') || '';
+        const senderName = senderEl?.getAttribute('name') ||
+                           getText(senderEl) ||
+                           getText(row.querySelector(selectors.senderAlt));
+        const senderEmail = senderEl?.getAttribute('email') ||
+                            (extractEmailFromText ? extractEmailFromText(senderTitle) : '') ||
+                            '';
+        
+        const subject = getText(row.querySelector(selectors.subject));
+        // Gmail prefixes the snippet with a dash separator
+        const snippet = getText(row.querySelector(selectors.snippet)).replace(/^[\s\-–—]+/, '');
+        
+        if (!subject && !snippet) {
+            return null;
+        }
+        
+        // Date: prefer the full date in the title over the short display text
+        const dateEl = row.querySelector(selectors.date);
+        const date = dateEl?.getAttribute('title') || getText(dateEl);
+        
+        let threadId = null;
+        let threadUrl = null;
+        if (provider === 'gmail') {
+            threadId = row.querySelector(selectors.threadId)?.getAttribute('data-legacy-thread-id') || null;
+            if (threadId) {
+                // Keep the current label/folder so the thread opens in context
+                const label = window.location.hash.split('/')[0] || '#inbox';
+                threadUrl = `${window.location.origin}${window.location.pathname}${label}/${threadId}`;
+            }
+        } else {
+            threadId = row.getAttribute('data-convid') || null;
+        }
+        
+        return {
+            index,
+            threadId,
+            threadUrl,
+            sender: {
+                name: senderName || 'Unknown',
+                email: senderEmail
+            },
+            subject,
+            snippet,
+            date,
+            timestamp: normalizeTimestamp ? normalizeTimestamp(date) : date,
+            unread: row.matches(selectors.unreadRow)
+        };
+    }
+    
     /**
      * Extract attachments from the current email thread
      * @returns {Array<Object>} Array of attachment objects with metadata
@@ -1301,6 +1425,202 @@ class EmailThreadExtractor {
 
         console.log('Draft content inserted into Outlook compose window');
     }
+
+    /**
+     * Open a new-compose or forward window in the email client and fill it
+     * Forwards keep the client's quoted thread and subject; the body is inserted above the quote
+     * @param {string} mode - 'new' or 'forward'
+     * @param {string} subject - Subject for new emails
+     * @param {string} body - Email body or forward note
+     * @returns {Promise<void>}
+     */
+    async openComposeInEmailUI(mode, subject, body) {
+        const { provider } = this.siteConfig;
+        const isForward = mode === 'forward';
+        
+        if (provider === 'gmail') {
+            await this.openGmailCompose(isForward, subject, body);
+        } else if (provider === 'outlook') {
+            await this.openOutlookCompose(isForward, subject, body);
+        } else {
+            throw new Error(`Unsupported email provider: ${provider}`);
+        }
+    }
+
+    /**
+     * Open and fill a compose or forward window in Gmail
+     */
+    async openGmailCompose(isForward, subject, body) {
+        const button = isForward
+            ? this.findVisibleButton([
+                '[aria-label*="Forward"]',
+                '[data-tooltip*="Forward"]',
+                'div[role="button"][aria-label*="Forward"]'
+            ], 'forward')
+            : this.findVisibleButton([
+                '[gh="cm"]', // Gmail compose button
+                'div[role="button"][aria-label*="Compose"]',
+                '.T-I.T-I-KE'
+            ], 'compose');
+
+        if (!button) {
+            throw new Error(`Could not find ${isForward ? 'Forward' : 'Compose'} button in Gmail`);
+        }
+
+        button.click();
+
+        // Wait for compose window to open
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        const composeBody = await this.waitForVisibleElement([
+            '.Am.Al.editable[contenteditable="true"]',
+            'div[contenteditable="true"][aria-label*="Message Body"]',
+            '[contenteditable="true"][aria-label*="Message"]'
+        ], 20);
+
+        if (!composeBody) {
+            throw new Error('Could not find compose body editor in Gmail');
+        }
+
+        if (!isForward) {
+            const subjectInput = await this.waitForVisibleElement(['input[name="subjectbox"]'], 10);
+            if (subjectInput) {
+                this.setComposeSubject(subjectInput, subject);
+            }
+        }
+
+        this.insertComposeBody(composeBody, body, isForward);
+
+        console.log(`${isForward ? 'Forward' : 'New email'} content inserted into Gmail compose window`);
+    }
+
+    /**
+     * Open and fill a compose or forward window in Outlook
+     */
+    async openOutlookCompose(isForward, subject, body) {
+        const button = isForward
+            ? this.findVisibleButton([
+                'button[aria-label*="Forward"]',
+                '[role="button"][aria-label*="Forward"]',
+                '[title*="Forward"]'
+            ], 'forward')
+            : this.findVisibleButton([
+                'button[aria-label*="New mail"]',
+                '[role="button"][aria-label*="New mail"]',
+                '[title*="New mail"]',
+                '[data-testid*="newMail"]'
+            ], 'new');
+
+        if (!button) {
+            throw new Error(`Could not find ${isForward ? 'Forward' : 'New mail'} button in Outlook`);
+        }
+
+        button.click();
+
+        // Wait for compose window to open
+        await new Promise(resolve => setTimeout(resolve, 800));
+
+        const composeBody = await this.waitForVisibleElement([
+            '[data-testid="compose-body"]',
+            '[aria-label*="Message body"]',
+            '[contenteditable="true"][aria-label*="Message"]',
+            '[contenteditable="true"][data-testid*="compose"]'
+        ], 25);
+
+        if (!composeBody) {
+            throw new Error('Could not find compose body editor in Outlook');
+        }
+
+        if (!isForward) {
+            const subjectInput = await this.waitForVisibleElement([
+                'input[aria-label*="subject" i]',
+                'input[placeholder*="subject" i]'
+            ], 10);
+            if (subjectInput) {
+                this.setComposeSubject(subjectInput, subject);
+            }
+        }
+
+        this.insertComposeBody(composeBody, body, isForward);
+
+        console.log(`${isForward ? 'Forward' : 'New email'} content inserted into Outlook compose window`);
+    }
+
+    /**
+     * Find the first visible button whose label, tooltip or text contains a keyword
+     * @param {string[]} selectors - Candidate selectors, in priority order
+     * @param {string} keyword - Lowercase keyword the button must mention
+     * @returns {HTMLElement|null} Matching button
+     */
+    findVisibleButton(selectors, keyword) {
+        for (const selector of selectors) {
+            for (const btn of document.querySelectorAll(selector)) {
+                const label = [
+                    btn.textContent,
+                    btn.getAttribute('aria-label'),
+                    btn.getAttribute('data-tooltip'),
+                    btn.getAttribute('title')
+                ].join(' ').toLowerCase();
+                if (label.includes(keyword) && btn.offsetParent !== null) {
+                    return btn;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Poll for the first visible element matching any selector
+     * @param {string[]} selectors - Candidate selectors, in priority order
+     * @param {number} maxRetries - Number of 100ms polls before giving up
+     * @returns {Promise<HTMLElement|null>} Matching element
+     */
+    async waitForVisibleElement(selectors, maxRetries) {
+        for (let retries = 0; retries < maxRetries; retries++) {
+            for (const selector of selectors) {
+                const element = Array.from(document.querySelectorAll(selector))
+                    .find(el => el.offsetParent !== null);
+                if (element) {
+                    return element;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return null;
+    }
+
+    /**
+     * Set a compose subject input so the email client registers the change
+     */
+    setComposeSubject(subjectInput, subject) {
+        if (!subject) return;
+        
+        subjectInput.focus();
+        subjectInput.value = subject;
+        subjectInput.dispatchEvent(new Event('input', { bubbles: true }));
+        subjectInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Insert body text into a compose editor
+     * @param {HTMLElement} composeBody - Contenteditable editor
+     * @param {string} body - Plain text body
+     * @param {boolean} keepQuoted - Insert above existing content (forwarded thread) instead of replacing it
+     */
+    insertComposeBody(composeBody, body, keepQuoted) {
+        composeBody.focus();
+        
+        const formattedBody = this.formatDraftContentForEditor(body);
+        if (keepQuoted) {
+            composeBody.insertAdjacentHTML('afterbegin', `${formattedBody}<br><br>`);
+        } else {
+            composeBody.innerHTML = formattedBody;
+        }
+        
+        // Trigger input and change events so the client saves the draft
+        composeBody.dispatchEvent(new Event('input', { bubbles: true }));
+        composeBody.dispatchEvent(new Event('change', { bubbles: true }));
+    }
 }
 
 // Initialize the extractor when the page loads
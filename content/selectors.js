@@ -182,6 +182,64 @@ function getSelectorsForCurrentSite() {
     return null;
 }
 
+/**
+ * CSS Selectors for the message list (inbox) view
+ * Rows are read in place so the list can be triaged without opening each thread
+ */
+const LIST_SELECTORS = {
+    gmail: {
+        // Message list container and its rows
+        listContainer: 'div[role="main"] table.F',
+        rows: 'div[role="main"] tr.zA',
+        
+        // Row fields
+        sender: '.yX span[email], .yW span[email]',
+        senderAlt: '.yX .zF, .yW .yP',
+        subject: '.bog span, .bog',
+        snippet: '.y2',
+        date: 'td.xW span[title], .xW span[title]',
+        
+        // Unread rows use a different class from read rows
+        unreadRow: 'tr.zE',
+        
+        // Thread ID used to build the thread URL
+        threadId: '[data-legacy-thread-id]'
+    },
+    
+    outlook: {
+        // Message list container and its rows
+        listContainer: '[role="listbox"]',
+        rows: '[role="listbox"] [role="option"][data-convid]',
+        
+        // Row fields (Outlook uses generated class names, so these lean on titles and test IDs)
+        sender: '[data-testid="SenderName"] span[title], span[title*="@"]',
+        senderAlt: '[data-testid="SenderName"]',
+        subject: '[data-testid="SubjectLine"], [data-testid="subject"]',
+        snippet: '[data-testid="PreviewText"], [data-testid="preview"]',
+        date: '[data-testid="DateLine"], [data-testid="ReceivedTime"], span[title*=":"]',
+        
+        // Unread rows are marked in the row's aria-label
+        unreadRow: '[role="option"][aria-label^="Unread"]',
+        
+        // Conversation ID
+        threadId: '[data-convid]'
+    }
+};
+
+/**
+ * Get the message list selectors for the current email provider
+ * All Outlook variants share one message list layout
+ * @returns {Object|null} Provider and list selectors ({provider, selectors})
+ */
+function getListSelectorsForCurrentSite() {
+    const site = getSelectorsForCurrentSite();
+    if (!site) {
+        return null;
+    }
+    
+    return { provider: site.provider, selectors: LIST_SELECTORS[site.provider] };
+}
+
 /**
  * Additional utility selectors that might be useful
  */
@@ -207,5 +265,7 @@ const UTILITY_SELECTORS = {
 // Expose globally for use in content script
 // (content.js uses getSelectorsForCurrentSite as a global)
 window.getSelectorsForCurrentSite = getSelectorsForCurrentSite;
+window.getListSelectorsForCurrentSite = getListSelectorsForCurrentSite;
 window.EMAIL_SELECTORS = EMAIL_SELECTORS;
+window.LIST_SELECTORS = LIST_SELECTORS;
 window.UTILITY_SELECTORS = UTILITY_SELECTORS;
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * Action Items UI Module
+ * Requests structured action items for the current thread and renders them as a checklist
+ *
+ * Reference: background/action-item-service.js
+ */
+
+import { buildCalendar, buildTodo, downloadCalendarFile } from '../utils/ical.js';
+
+export class ActionItemsUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} onChange - Called when items or their done state change, to persist them
+     */
+    constructor(elements, updateStatusCallback, onChange) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.onChange = onChange;
+        this.items = [];
+        this.isExtracting = false;
+    }
+
+    /**
+     * Initialize action items UI event listeners
+     */
+    initialize() {
+        this.elements.actionItemsExportBtn?.addEventListener('click', () => this.exportTodos());
+    }
+
+    /**
+     * Get the current action items
+     * @returns {Object[]} Action items ({task, owner, dueDate, dueDateText, sourceMessageIndex, done})
+     */
+    getItems() {
+        return this.items;
+    }
+
+    /**
+     * Extract action items for a thread via the background service
+     * @param {Object} thread - Extracted email thread
+     */
+    async extract(thread) {
+        if (!thread || this.isExtracting) return;
+
+        this.isExtracting = true;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'extractActionItems',
+                thread
+            });
+
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to extract action items');
+            }
+
+            this.setItems(this.mergeDoneState(response.actionItems || []));
+            this.onChange();
+        } catch (error) {
+            console.error('Error extracting action items:', error);
+            this.updateStatus(`Action items error: ${error.message}`, 'error');
+        } finally {
+            this.isExtracting = false;
+        }
+    }
+
+    /**
+     * Carry over ticked items from the previous extraction so re-analysing a thread keeps progress
+     * @param {Object[]} newItems - Freshly extracted items
+     * @returns {Object[]} Items with done state merged in
+     */
+    mergeDoneState(newItems) {
+        const doneTasks = new Set(this.items
+            .filter(item => item.done)
+            .map(item => this.normalizeTask(item.task)));
+
+        return newItems.map(item => ({
+            ...item,
+            done: doneTasks.has(this.normalizeTask(item.task))
+        }));
+    }
+
+    /**
+     * Normalize task text for matching across extractions
+     * @param {string} task - Task text
+     * @returns {string} Lowercase task with punctuation collapsed
+     */
+    normalizeTask(task) {
+        return (task || '').toLowerCase().replace(/\W+/g, ' ').trim();
+    }
+
+    /**
+     * Replace the current items and render them (used when restoring a saved thread)
+     * @param {Object[]} items - Action items
+     */
+    setItems(items) {
+        this.items = Array.isArray(items) ? items : [];
+        this.render();
+    }
+
+    /**
+     * Clear items and hide the section
+     */
+    clear() {
+        this.items = [];
+        if (this.elements.actionItems) this.elements.actionItems.innerHTML = '';
+        this.elements.actionItemsSection?.classList.add('hidden');
+    }
+
+    /**
+     * Render the checklist
+     */
+    render() {
+        const container = this.elements.actionItems;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'action-items-empty';
+            empty.textContent = 'No action items found in this thread.';
+            container.appendChild(empty);
+        } else {
+            const list = document.createElement('ul');
+            list.setAttribute('role', 'list');
+            this.items.forEach((item, index) => list.appendChild(this.createItemElement(item, index)));
+            container.appendChild(list);
+        }
+
+        const openCount = this.items.filter(item => !item.done).length;
+        container.setAttribute('aria-label', `${openCount} of ${this.items.length} action items open`);
+
+        if (this.elements.actionItemsExportBtn) {
+            this.elements.actionItemsExportBtn.disabled = !this.items.some(item => item.dueDate);
+        }
+        this.elements.actionItemsSection?.classList.remove('hidden');
+    }
+
+    /**
+     * Create a checklist entry
+     * @param {Object} item - Action item
+     * @param {number} index - Position in the list
+     * @returns {HTMLElement} List item
+     */
+    createItemElement(item, index) {
+        const li = document.createElement('li');
+        li.className = 'action-item';
+        li.classList.toggle('done', !!item.done);
+
+        const checkboxId = `action-item-${index}`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = checkboxId;
+        checkbox.checked = !!item.done;
+        checkbox.addEventListener('change', () => {
+            item.done = checkbox.checked;
+            li.classList.toggle('done', item.done);
+            this.onChange();
+        });
+        li.appendChild(checkbox);
+
+        const label = document.createElement('label');
+        label.htmlFor = checkboxId;
+
+        const task = document.createElement('span');
+        task.className = 'action-item-task';
+        task.textContent = item.task;
+        label.appendChild(task);
+
+        const meta = document.createElement('span');
+        meta.className = 'action-item-meta';
+        meta.textContent = this.formatMeta(item);
+        label.appendChild(meta);
+
+        li.appendChild(label);
+        return li;
+    }
+
+    /**
+     * Format owner, due date and source message for display
+     * @param {Object} item - Action item
+     * @returns {string} Meta line, e.g. "Sam · due Fri, Oct 16 · Message 2"
+     */
+    formatMeta(item) {
+        const parts = [];
+
+        if (item.owner) {
+            parts.push(item.owner);
+        }
+
+        if (item.dueDate) {
+            // Due dates are calendar days; parse as local noon so the weekday doesn't shift
+            const due = new Date(`${item.dueDate}T12:00:00`);
+            parts.push(`due ${due.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`);
+        } else if (item.dueDateText) {
+            parts.push(`due ${item.dueDateText}`);
+        }
+
+        parts.push(`Message ${item.sourceMessageIndex + 1}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Download dated action items as VTODO entries
+     * Items without a due date are left out since calendars can't place them
+     */
+    exportTodos() {
+        const datedItems = this.items.filter(item => item.dueDate);
+        if (datedItems.length === 0) {
+            this.updateStatus('No action items with due dates to export', 'info');
+            return;
+        }
+
+        try {
+            const content = buildCalendar(datedItems.map(item => buildTodo({
+                task: item.task,
+                dueDate: item.dueDate,
+                description: item.owner ? `Owner: ${item.owner}` : '',
+                done: item.done
+            })));
+
+            downloadCalendarFile('action-items.ics', content);
+            this.updateStatus(`✓ Exported ${datedItems.length} action item${datedItems.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Error exporting action items:', error);
+            this.updateStatus(`Failed to export action items: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * Batch Queue UI Module
+ * Queues threads selected in the inbox triage list or history for background summaries and
+ * drafts, and shows each job's progress with cancel and retry controls
+ *
+ * Reference: background/batch-queue.js
+ */
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const STAGE_LABELS = {
+    extracting: 'Reading thread...',
+    generating: 'Summarizing...',
+    generating_drafts: 'Drafting replies...'
+};
+
+export class BatchQueueUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} onJobDone - Called with a job once its results are saved to history
+     */
+    constructor(elements, updateStatusCallback, onJobDone) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.onJobDone = onJobDone;
+        this.jobs = [];
+    }
+
+    /**
+     * Initialize batch queue UI event listeners and load the current queue
+     */
+    initialize() {
+        this.elements.batchClearBtn?.addEventListener('click', () => this.clearFinished());
+        this.refresh();
+    }
+
+    /**
+     * Load the queue from the service worker
+     */
+    async refresh() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getBatchQueue' });
+            if (response?.success) {
+                this.jobs = response.jobs;
+                this.render();
+            }
+        } catch (error) {
+            console.error('Failed to load batch queue:', error);
+        }
+    }
+
+    /**
+     * Queue threads for summaries and reply drafts
+     * @param {Array<{threadUrl: string, subject: string}>} threads - Selected threads
+     * @param {string} source - Where the threads were selected ('inbox' or 'history')
+     * @returns {Promise<number>} Number of threads added
+     */
+    async enqueue(threads, source) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'enqueueBatchJobs',
+                threads,
+                source,
+                tone: this.elements.batchToneSelect?.value || 'neutral'
+            });
+
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to queue threads');
+            }
+
+            this.jobs = response.jobs;
+            this.render();
+
+            const count = response.added.length;
+            if (count === 0) {
+                this.updateStatus('Selected threads are already queued', 'info');
+            } else {
+                this.updateStatus(`✓ Queued ${count} thread${count === 1 ? '' : 's'} for summaries and drafts`, 'success');
+            }
+            return count;
+        } catch (error) {
+            console.error('Error queueing threads:', error);
+            this.updateStatus(`Batch queue error: ${error.message}`, 'error');
+            return 0;
+        }
+    }
+
+    /**
+     * Apply a job update broadcast by the service worker
+     * @param {Object} status - Status update ({stage, job, pending})
+     */
+    handleStatus(status) {
+        const job = status?.job;
+        if (!job) return;
+
+        const index = this.jobs.findIndex(candidate => candidate.id === job.id);
+        const previous = index >= 0 ? this.jobs[index] : null;
+        if (index >= 0) {
+            this.jobs[index] = job;
+        } else {
+            this.jobs.push(job);
+        }
+        this.render();
+
+        if (job.status === 'done' && previous?.status !== 'done') {
+            this.onJobDone(job);
+        }
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     */
+    async cancelJob(jobId) {
+        await this.sendJobAction('cancelBatchJob', jobId, 'cancel');
+    }
+
+    /**
+     * Queue a failed or cancelled job again
+     * @param {string} jobId - Job ID
+     */
+    async retryJob(jobId) {
+        await this.sendJobAction('retryBatchJob', jobId, 'retry');
+    }
+
+    /**
+     * Send a job action to the service worker and show the updated job
+     * @param {string} action - Message action
+     * @param {string} jobId - Job ID
+     * @param {string} verb - Action name for error messages
+     */
+    async sendJobAction(action, jobId, verb) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, jobId });
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || `Failed to ${verb} job`);
+            }
+            this.handleStatus({ job: response.job });
+        } catch (error) {
+            console.error(`Failed to ${verb} batch job:`, error);
+            this.updateStatus(`Failed to ${verb} job: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Remove finished, failed and cancelled jobs from the queue
+     */
+    async clearFinished() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'clearFinishedBatchJobs' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to clear jobs');
+            }
+            this.jobs = response.jobs;
+            this.render();
+        } catch (error) {
+            console.error('Failed to clear batch jobs:', error);
+            this.updateStatus(`Failed to clear jobs: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the job list
+     */
+    render() {
+        const list = this.elements.batchQueueList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.jobs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'placeholder';
+            empty.textContent = 'Select threads in Inbox Triage or History to queue them.';
+            list.appendChild(empty);
+        } else {
+            this.jobs.forEach(job => list.appendChild(this.createJobElement(job)));
+        }
+
+        if (this.elements.batchClearBtn) {
+            this.elements.batchClearBtn.disabled = !this.jobs.some(job => job.status !== 'queued' && job.status !== 'running');
+        }
+    }
+
+    /**
+     * Create a job entry with its status and controls
+     * @param {Object} job - Batch job
+     * @returns {HTMLElement} List item
+     */
+    createJobElement(job) {
+        const item = document.createElement('li');
+        item.className = 'batch-job';
+        item.dataset.status = job.status;
+
+        const details = document.createElement('div');
+        details.className = 'batch-job-details';
+
+        const subject = document.createElement('span');
+        subject.className = 'batch-job-subject';
+        subject.textContent = job.subject;
+        details.appendChild(subject);
+
+        const state = document.createElement('span');
+        state.className = 'batch-job-status';
+        state.textContent = job.status === 'running'
+            ? STAGE_LABELS[job.stage] || STATUS_LABELS.running
+            : STATUS_LABELS[job.status] || job.status;
+        if (job.status === 'failed' && job.error) {
+            state.textContent += `: ${job.error}`;
+        }
+        details.appendChild(state);
+
+        item.appendChild(details);
+
+        if (job.status === 'queued' || job.status === 'running') {
+            item.appendChild(this.createActionButton('Cancel', `Cancel processing ${job.subject}`, () => this.cancelJob(job.id)));
+        } else if (job.status === 'failed' || job.status === 'cancelled') {
+            item.appendChild(this.createActionButton('Retry', `Retry processing ${job.subject}`, () => this.retryJob(job.id)));
+        } else if (job.status === 'done') {
+            item.appendChild(this.createActionButton('Open', `Open ${job.subject}`, () => this.openThread(job.threadUrl)));
+        }
+
+        item.setAttribute('aria-label', `${job.subject}: ${state.textContent}`);
+        return item;
+    }
+
+    /**
+     * Create a small outlined job action button
+     * @param {string} text - Button text
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    createActionButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'calendar-export-btn batch-job-action';
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Open a processed thread in the active tab; its saved analysis is restored when the URL loads
+     * @param {string} threadUrl - URL of the thread
+     */
+    async openThread(threadUrl) {
+        try {
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tabs[0]) {
+                await chrome.tabs.update(tabs[0].id, { url: threadUrl });
+            } else {
+                await chrome.tabs.create({ url: threadUrl });
+            }
+        } catch (error) {
+            console.error('Failed to open thread:', error);
+            this.updateStatus(`Failed to open thread: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Cloud Consent UI Module
+ * Asks before a hybrid mode summary or draft request falls back to a cloud provider, showing why
+ * the on-device model is not used and how much text would be sent
+ *
+ * Reference: background/summary-service.js - resolveCloudFallback, requireCloudConsent
+ * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+ */
+
+/**
+ * Plain-language explanations of the fallback decision triggers
+ */
+const TRIGGER_DESCRIPTIONS = {
+    model_unavailable: 'Chrome\'s built-in AI is not available in this browser.',
+    content_size_limit: 'This thread is longer than the on-device model can take in one go.',
+    token_limit: 'This thread is longer than the on-device model\'s context window.'
+};
+
+export class CloudConsentUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.resolveAnswer = null;
+    }
+
+    /**
+     * Initialize consent dialog event listeners
+     */
+    initialize() {
+        this.elements.cloudConsentSendBtn?.addEventListener('click', () => this.answer(true));
+        this.elements.cloudConsentLocalBtn?.addEventListener('click', () => this.answer(false));
+        this.elements.cloudConsentClose?.addEventListener('click', () => this.answer(null));
+        this.elements.cloudConsentOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.elements.cloudConsentOverlay) {
+                this.answer(null);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.resolveAnswer) {
+                this.answer(null);
+            }
+        });
+    }
+
+    /**
+     * Ask whether a request may go to the fallback provider
+     * @param {Object} fallback - Consent details from the service worker
+     *   ({reason, trigger, provider, payloadChars, payloadBytes, estimatedTokens})
+     * @returns {Promise<boolean|null>} True to send it, false to stay on-device, null to cancel
+     */
+    ask(fallback) {
+        // A request already waiting keeps its dialog; the newer one is cancelled
+        if (this.resolveAnswer || !this.elements.cloudConsentOverlay) {
+            return Promise.resolve(null);
+        }
+
+        this.render(fallback);
+        this.elements.cloudConsentOverlay.classList.add('active');
+        this.elements.cloudConsentSendBtn?.focus();
+
+        return new Promise(resolve => {
+            this.resolveAnswer = resolve;
+        });
+    }
+
+    /**
+     * Close the dialog with the user's answer
+     * @param {boolean|null} answer - True to send, false to stay on-device, null to cancel
+     */
+    answer(answer) {
+        if (!this.resolveAnswer) return;
+
+        const resolve = this.resolveAnswer;
+        this.resolveAnswer = null;
+        this.elements.cloudConsentOverlay.classList.remove('active');
+        resolve(answer);
+    }
+
+    /**
+     * Fill the dialog with the reason, provider and payload size
+     * @param {Object} fallback - Consent details from the service worker
+     */
+    render({ reason, trigger, provider, payloadChars, payloadBytes, estimatedTokens }) {
+        if (this.elements.cloudConsentReason) {
+            const text = reason.charAt(0).toUpperCase() + reason.slice(1);
+            this.elements.cloudConsentReason.textContent = TRIGGER_DESCRIPTIONS[trigger]
+                ? `${TRIGGER_DESCRIPTIONS[trigger]} (${text})`
+                : text;
+        }
+        if (this.elements.cloudConsentPayload) {
+            this.elements.cloudConsentPayload.textContent =
+                `${payloadChars.toLocaleString()} characters (${this.formatBytes(payloadBytes)}, about ${estimatedTokens.toLocaleString()} tokens) would be sent to ${provider}, with personal data redacted as set in Personal Data Redaction.`;
+        }
+        if (this.elements.cloudConsentSendBtn) {
+            this.elements.cloudConsentSendBtn.textContent = `Send to ${provider}`;
+        }
+    }
+
+    /**
+     * Format a payload size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size in B or KB
+     */
+    formatBytes(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Cloud Preview UI Module
+ * Shows the current thread exactly as it would be sent to a cloud provider, after PII
+ * redaction, with a list of the values each placeholder stands for
+ *
+ * Reference: utils/pii-redaction.js
+ * Reference: background/summary-service.js - prepareContentForCloudProcessing
+ */
+
+import { PII_CATEGORIES } from '../utils/pii-redaction.js';
+
+export class CloudPreviewUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} getCurrentThread - Returns the extracted thread, or null
+     * @param {Function} getSettings - Returns the current user settings
+     */
+    constructor(elements, updateStatusCallback, getCurrentThread, getSettings) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.getCurrentThread = getCurrentThread;
+        this.getSettings = getSettings;
+    }
+
+    /**
+     * Initialize cloud preview event listeners
+     */
+    initialize() {
+        this.elements.cloudPreviewBtn?.addEventListener('click', () => this.preview());
+    }
+
+    /**
+     * Ask the service worker for the redacted request and show it
+     */
+    async preview() {
+        const thread = this.getCurrentThread();
+        if (!thread) {
+            this.updateStatus('Extract a thread first to preview what would be sent', 'info');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'previewCloudRequest',
+                thread,
+                userSettings: this.getSettings()
+            });
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to build preview');
+            }
+            this.render(response);
+        } catch (error) {
+            console.error('Cloud preview error:', error);
+            this.updateStatus(`Preview failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the redacted subject and text and the placeholder list
+     * @param {Object} preview - {subject, content, replacements}
+     */
+    render({ subject, content, replacements }) {
+        const container = this.elements.cloudPreview;
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.remove('hidden');
+
+        const text = document.createElement('pre');
+        text.className = 'cloud-preview-text';
+        text.textContent = subject ? `Subject: ${subject}\n\n${content}` : content;
+        container.appendChild(text);
+
+        const summary = document.createElement('p');
+        summary.className = 'cloud-preview-summary';
+        summary.textContent = replacements.length === 0
+            ? 'Nothing was redacted.'
+            : `${replacements.length} value${replacements.length === 1 ? '' : 's'} replaced; they are put back in the summary and drafts on this device:`;
+        container.appendChild(summary);
+
+        if (replacements.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'cloud-preview-replacements';
+            replacements.forEach(({ placeholder, category, value }) => {
+                const item = document.createElement('li');
+                const label = PII_CATEGORIES.find(candidate => candidate.id === category)?.label || category;
+                item.textContent = `${placeholder} ${value}`;
+                item.title = label;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+    }
+}
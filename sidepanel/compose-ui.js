@@ -0,0 +1,170 @@
+/**
+ * Compose UI Module
+ * Writes new emails and forward notes with the Writer API and opens them in the email client
+ *
+ * Reference: todo/004_writer_api_integration.md
+ */
+
+export class ComposeUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} getThreadContext - Returns {thread, summary} for the current thread
+     */
+    constructor(elements, updateStatusCallback, getThreadContext) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.getThreadContext = getThreadContext;
+        this.isComposing = false;
+    }
+
+    /**
+     * Initialize compose UI event listeners
+     */
+    initialize() {
+        if (!this.elements.composeGenerateBtn) {
+            return;
+        }
+
+        this.elements.composeMode.addEventListener('change', () => this.updateThreadOption());
+        this.elements.composeGenerateBtn.addEventListener('click', () => this.compose());
+        this.elements.composeOpenBtn.addEventListener('click', () => this.openInEmailClient());
+        this.updateThreadOption();
+    }
+
+    /**
+     * Enable the thread context option when a thread has been extracted
+     * Forwarding always uses the current thread
+     */
+    updateThreadOption() {
+        const checkbox = this.elements.composeIncludeThread;
+        if (!checkbox) return;
+
+        const hasThread = !!this.getThreadContext().thread;
+        const isForward = this.elements.composeMode.value === 'forward';
+
+        checkbox.disabled = !hasThread || isForward;
+        if (isForward) {
+            checkbox.checked = hasThread;
+        } else if (!hasThread) {
+            checkbox.checked = false;
+        }
+    }
+
+    /**
+     * Ask the background Writer service for a new email or forward note
+     */
+    async compose() {
+        if (this.isComposing) return;
+
+        const mode = this.elements.composeMode.value;
+        const purpose = this.elements.composePurpose.value.trim();
+
+        if (!purpose) {
+            this.updateStatus('Describe the purpose of the email first', 'error');
+            this.elements.composePurpose.focus();
+            return;
+        }
+
+        const { thread, summary } = this.getThreadContext();
+        if (mode === 'forward' && !thread) {
+            this.updateStatus('Extract the thread you want to forward first', 'error');
+            return;
+        }
+
+        const includeThread = mode === 'forward' || this.elements.composeIncludeThread.checked;
+        const button = this.elements.composeGenerateBtn;
+        const originalText = button.textContent;
+
+        this.isComposing = true;
+        button.disabled = true;
+        button.textContent = 'Writing...';
+        this.updateStatus(mode === 'forward' ? 'Writing forward note...' : 'Writing email...', 'loading');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'composeEmail',
+                mode,
+                purpose,
+                recipientRole: this.elements.composeRecipient.value.trim(),
+                tone: this.elements.composeTone.value,
+                length: this.elements.composeLength.value,
+                thread: includeThread ? thread : null,
+                summary: includeThread ? (summary || '') : ''
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to write email');
+            }
+
+            this.showResult(response.subject, response.body);
+            this.updateStatus('✓ Email written - review it before opening in your email client', 'success');
+        } catch (error) {
+            console.error('Compose failed:', error);
+            this.updateStatus(error.message, 'error');
+        } finally {
+            this.isComposing = false;
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
+    /**
+     * Show the composed email for review and editing
+     * @param {string} subject - Email subject
+     * @param {string} body - Email body
+     */
+    showResult(subject, body) {
+        this.elements.composeSubject.value = subject || '';
+        this.elements.composeBody.value = body || '';
+        this.elements.composeResult.classList.remove('hidden');
+    }
+
+    /**
+     * Open a new-compose or forward window in the active Gmail/Outlook tab and fill it
+     */
+    async openInEmailClient() {
+        const button = this.elements.composeOpenBtn;
+        const originalText = button.textContent;
+        const mode = this.elements.composeMode.value;
+
+        try {
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tabs[0]) {
+                throw new Error('No active tab found');
+            }
+
+            const url = tabs[0].url || '';
+            const isGmail = url.includes('mail.google.com');
+            const isOutlook = url.includes('outlook.live.com') ||
+                             url.includes('outlook.office.com') ||
+                             url.includes('outlook.office365.com');
+
+            if (!isGmail && !isOutlook) {
+                throw new Error('Please navigate to Gmail or Outlook to open the email');
+            }
+
+            button.textContent = 'Opening...';
+            button.disabled = true;
+
+            const response = await chrome.tabs.sendMessage(tabs[0].id, {
+                action: 'openCompose',
+                mode,
+                subject: this.elements.composeSubject.value,
+                body: this.elements.composeBody.value
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to open compose window');
+            }
+
+            this.updateStatus(mode === 'forward' ? '✓ Forward opened in email client' : '✓ New email opened in email client', 'success');
+        } catch (error) {
+            console.error('Failed to open compose window:', error);
+            this.updateStatus(`Failed to open email: ${error.message}`, 'error');
+        } finally {
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    }
+}
@@ -174,13 +174,15 @@ export class DisplayManager {
             indicator.innerHTML = `
                 <span class="cloud-icon">☁️</span>
                 <span class="indicator-text">Cloud processing used</span>
-                <button class="info-button" onclick="window.sidePanelInstance.showCloudInfo()" aria-label="Learn more about cloud processing">ⓘ</button>
+                <button class="info-button" type="button" aria-label="Learn more about cloud processing">ⓘ</button>
             `;
+            // Inline handlers are blocked by the extension's content security policy
+            indicator.querySelector('.info-button').addEventListener('click', () => window.sidePanelInstance?.showCloudInfo());
             
             // Add to the appropriate section
             const targetSection = operation === 'summarization' ? 
                 document.getElementById('summary') : 
-                document.getElementById('drafts');
+                document.getElementById('reply-drafts');
                 
             if (targetSection) {
                 targetSection.insertBefore(indicator, targetSection.firstChild);
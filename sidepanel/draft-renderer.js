@@ -4,18 +4,32 @@
  */
 
 export class DraftRenderer {
-    constructor(elements, updateStatusCallback) {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar update callback
+     * @param {Function} onDraftChange - Called after a draft body is edited or corrected
+     */
+    constructor(elements, updateStatusCallback, onDraftChange = null) {
         this.elements = elements;
         this.updateStatus = updateStatusCallback;
+        this.onDraftChange = onDraftChange;
     }
 
     /**
      * Render drafts to the UI
      * @param {Array} drafts - Array of draft objects
      * @param {Function} onDisplay - Callback after drafts are displayed
+     * @param {boolean} isPartial - True while drafts are still streaming in
      */
-    render(drafts, onDisplay = null) {
+    render(drafts, onDisplay = null, isPartial = false) {
+        if (isPartial) {
+            this.renderPartial(drafts);
+            return;
+        }
+
         this.elements.replyDrafts.innerHTML = '';
+        this.elements.replyDrafts.classList.remove('streaming');
+        this.elements.replyDrafts.removeAttribute('aria-busy');
 
         if (drafts && drafts.length > 0) {
             this.elements.replyDrafts.setAttribute('aria-label', `${drafts.length} reply drafts generated`);
@@ -37,6 +51,57 @@ export class DraftRenderer {
         }
     }
 
+    /**
+     * Update drafts in place while they stream in
+     * 
+     * Existing draft elements are updated field by field so the accordion state and
+     * scroll position survive each update. Actions stay disabled until the final render.
+     * 
+     * @param {Array} drafts - Drafts parsed so far (fields may be missing or incomplete)
+     */
+    renderPartial(drafts) {
+        if (!drafts || drafts.length === 0) {
+            return;
+        }
+
+        const container = this.elements.replyDrafts;
+
+        // Clear previous drafts when a new stream starts
+        if (!container.classList.contains('streaming')) {
+            container.innerHTML = '';
+            container.classList.add('streaming');
+            container.setAttribute('aria-busy', 'true');
+            container.setAttribute('aria-label', 'Reply drafts are being generated');
+        }
+
+        drafts.forEach((draft, index) => {
+            let draftElement = container.children[index];
+
+            if (!draftElement) {
+                draftElement = this.createDraftElement({ type: '', body: '' }, index);
+                draftElement.querySelectorAll('.draft-actions button').forEach(button => {
+                    button.disabled = true;
+                });
+                draftElement.querySelector('.draft-text').contentEditable = 'false';
+                container.appendChild(draftElement);
+            }
+
+            draftElement._draftData = draft;
+
+            const title = draftElement.querySelector(`#draft-title-${index}`);
+            if (title) {
+                title.textContent = draft.type || `Draft ${index + 1}`;
+            }
+
+            const bodyText = draftElement.querySelector('.draft-text');
+            if (bodyText) {
+                bodyText.textContent = draft.body || '';
+            }
+        });
+
+        this.showSection(this.elements.replyDraftsSection);
+    }
+
     /**
      * Create a draft element
      * @param {Object} draft - Draft object
@@ -91,8 +156,15 @@ export class DraftRenderer {
         toggleSpan.setAttribute('aria-hidden', 'true');
         toggleSpan.textContent = '▼';
 
-        // Assemble header (only title and toggle)
+        // Assemble header (title, the model that wrote the draft if known, and toggle)
         header.appendChild(title);
+        if (draft.model) {
+            const modelSpan = document.createElement('span');
+            modelSpan.className = 'draft-model';
+            modelSpan.title = `Written by ${draft.model}`;
+            modelSpan.textContent = draft.model;
+            header.appendChild(modelSpan);
+        }
         header.appendChild(toggleSpan);
 
         return header;
@@ -110,9 +182,15 @@ export class DraftRenderer {
         bodyDiv.className = 'draft-body';
 
         // Body (subject removed - only show body text)
+        // Editable so users can adjust the draft before copying or creating it
         const bodyP = document.createElement('p');
         bodyP.className = 'draft-text';
         bodyP.textContent = draft.body;
+        bodyP.contentEditable = 'plaintext-only';
+        bodyP.spellcheck = true;
+        bodyP.setAttribute('role', 'textbox');
+        bodyP.setAttribute('aria-multiline', 'true');
+        bodyP.setAttribute('aria-label', `Reply draft ${index + 1} text (editable)`);
         bodyDiv.appendChild(bodyP);
 
         // Actions container (moved from header to below content)
@@ -133,6 +211,29 @@ export class DraftRenderer {
         createDraftBtn.textContent = 'Create Draft';
         createDraftBtn.setAttribute('aria-describedby', `create-draft-help-${index}`);
 
+        // Rewrite button (toggles the rewrite options panel)
+        const rewriteBtn = document.createElement('button');
+        rewriteBtn.type = 'button';
+        rewriteBtn.className = 'rewrite-draft-btn';
+        rewriteBtn.textContent = 'Rewrite';
+        rewriteBtn.setAttribute('aria-expanded', 'false');
+        rewriteBtn.setAttribute('aria-controls', `draft-rewrite-${index}`);
+
+        // Undo rewrite button (only shown once the draft has been rewritten)
+        const undoRewriteBtn = document.createElement('button');
+        undoRewriteBtn.type = 'button';
+        undoRewriteBtn.className = 'undo-rewrite-btn';
+        undoRewriteBtn.textContent = 'Undo rewrite';
+        undoRewriteBtn.setAttribute('aria-label', 'Restore the draft text from before the last rewrite');
+        undoRewriteBtn.hidden = !(draft.rewriteHistory && draft.rewriteHistory.length > 0);
+
+        // Proofread button
+        const proofreadBtn = document.createElement('button');
+        proofreadBtn.type = 'button';
+        proofreadBtn.className = 'proofread-draft-btn';
+        proofreadBtn.textContent = 'Proofread';
+        proofreadBtn.setAttribute('aria-describedby', `proofread-help-${index}`);
+
         // Screen reader help text
         const helpSpan = document.createElement('span');
         helpSpan.id = `copy-help-${index}`;
@@ -144,15 +245,25 @@ export class DraftRenderer {
         createDraftHelpSpan.className = 'sr-only';
         createDraftHelpSpan.textContent = 'Create draft in email client';
 
+        const proofreadHelpSpan = document.createElement('span');
+        proofreadHelpSpan.id = `proofread-help-${index}`;
+        proofreadHelpSpan.className = 'sr-only';
+        proofreadHelpSpan.textContent = 'Check grammar and spelling, then accept or reject each suggestion';
+
         // Assemble actions
         actionsDiv.appendChild(copyBtn);
         actionsDiv.appendChild(createDraftBtn);
+        actionsDiv.appendChild(rewriteBtn);
+        actionsDiv.appendChild(undoRewriteBtn);
+        actionsDiv.appendChild(proofreadBtn);
         actionsDiv.appendChild(helpSpan);
         actionsDiv.appendChild(createDraftHelpSpan);
+        actionsDiv.appendChild(proofreadHelpSpan);
 
-        // Assemble content: body first, then actions
+        // Assemble content: body first, then actions, then rewrite options
         content.appendChild(bodyDiv);
         content.appendChild(actionsDiv);
+        content.appendChild(this.createRewritePanel(index));
         
         return content;
     }
@@ -202,6 +313,435 @@ export class DraftRenderer {
                 this.createDraftInEmailUI(draftDiv._draftData, createDraftBtn);
             });
         }
+
+        // Rewrite handlers: toggle options, apply a rewrite, undo the last rewrite
+        const rewriteBtn = content.querySelector('.rewrite-draft-btn');
+        const rewritePanel = content.querySelector('.draft-rewrite-panel');
+        if (rewriteBtn && rewritePanel) {
+            rewriteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isOpen = rewritePanel.classList.toggle('hidden') === false;
+                rewriteBtn.setAttribute('aria-expanded', isOpen.toString());
+                if (isOpen) {
+                    rewritePanel.querySelector('.rewrite-tone')?.focus();
+                }
+            });
+
+            const applyRewrite = () => {
+                this.rewriteDraft(draftDiv, {
+                    tone: rewritePanel.querySelector('.rewrite-tone').value,
+                    length: rewritePanel.querySelector('.rewrite-length').value,
+                    instruction: rewritePanel.querySelector('.rewrite-instruction').value
+                }, rewritePanel.querySelector('.apply-rewrite-btn'));
+            };
+
+            rewritePanel.querySelector('.apply-rewrite-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                applyRewrite();
+            });
+            rewritePanel.querySelector('.rewrite-instruction').addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    applyRewrite();
+                }
+            });
+        }
+
+        const undoRewriteBtn = content.querySelector('.undo-rewrite-btn');
+        if (undoRewriteBtn) {
+            undoRewriteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.undoRewrite(draftDiv);
+            });
+        }
+
+        // Proofread button handler
+        const proofreadBtn = content.querySelector('.proofread-draft-btn');
+        if (proofreadBtn) {
+            proofreadBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.proofreadDraft(draftDiv, proofreadBtn);
+            });
+        }
+
+        // Keep draft data in sync with hand edits; edited drafts are flagged for proofreading
+        const bodyText = content.querySelector('.draft-text');
+        if (bodyText) {
+            bodyText.addEventListener('input', () => {
+                if (bodyText.querySelector('.proofread-correction')) {
+                    return; // Reviewing corrections, body is not editable
+                }
+                draftDiv._draftData.body = bodyText.innerText;
+                draftDiv._draftData.edited = true;
+                draftDiv.classList.add('edited');
+                if (proofreadBtn) {
+                    proofreadBtn.classList.add('proofread-suggested');
+                    proofreadBtn.textContent = 'Proofread edits';
+                }
+            });
+            bodyText.addEventListener('blur', () => {
+                if (draftDiv._draftData.edited && this.onDraftChange) {
+                    this.onDraftChange(draftDiv._draftData);
+                }
+            });
+        }
+    }
+
+    /**
+     * Create the rewrite options panel for a draft
+     * 
+     * Presets map to the Rewriter API tone/length options; the free-text
+     * instruction is passed as rewrite context.
+     * 
+     * @param {number} index - Draft index
+     * @returns {HTMLElement} Hidden rewrite panel
+     */
+    createRewritePanel(index) {
+        const panel = document.createElement('div');
+        panel.id = `draft-rewrite-${index}`;
+        panel.className = 'draft-rewrite-panel hidden';
+        panel.setAttribute('role', 'group');
+        panel.setAttribute('aria-label', `Rewrite options for draft ${index + 1}`);
+
+        const createSelect = (className, labelText, options) => {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+
+            const select = document.createElement('select');
+            select.className = className;
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+
+            label.appendChild(select);
+            return label;
+        };
+
+        const instruction = document.createElement('input');
+        instruction.type = 'text';
+        instruction.className = 'rewrite-instruction';
+        instruction.placeholder = 'e.g. less apologetic';
+        instruction.maxLength = 200;
+        instruction.setAttribute('aria-label', 'Rewrite instruction (optional)');
+
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.className = 'apply-rewrite-btn';
+        applyBtn.textContent = 'Apply';
+
+        panel.appendChild(createSelect('rewrite-tone', 'Tone', [
+            ['as-is', 'Keep tone'],
+            ['more-casual', 'More casual'],
+            ['more-formal', 'More formal']
+        ]));
+        panel.appendChild(createSelect('rewrite-length', 'Length', [
+            ['as-is', 'Keep length'],
+            ['shorter', 'Shorter'],
+            ['longer', 'Longer']
+        ]));
+        panel.appendChild(instruction);
+        panel.appendChild(applyBtn);
+
+        return panel;
+    }
+
+    /**
+     * Rewrite a single draft, keeping the previous text for undo
+     * 
+     * Reference: background/rewriter-service.js - RewriterService
+     * 
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {Object} options - {tone, length, instruction}
+     * @param {HTMLElement} buttonElement - Apply button element
+     */
+    async rewriteDraft(draftDiv, options, buttonElement) {
+        const draft = draftDiv._draftData;
+        const bodyText = draftDiv.querySelector('.draft-text');
+        if (!draft || !bodyText || !draft.body || !draft.body.trim()) {
+            return;
+        }
+
+        if (bodyText.querySelector('.proofread-correction')) {
+            this.updateStatus('Accept or reject the proofreading suggestions before rewriting', 'error');
+            return;
+        }
+
+        if (options.tone === 'as-is' && options.length === 'as-is' && !options.instruction.trim()) {
+            this.updateStatus('Choose a tone, length, or instruction for the rewrite', 'error');
+            return;
+        }
+
+        const originalText = buttonElement.textContent;
+        buttonElement.disabled = true;
+        buttonElement.textContent = 'Rewriting...';
+        buttonElement.setAttribute('aria-busy', 'true');
+        this.updateStatus('Rewriting draft...', 'loading');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'rewriteText',
+                text: draft.body,
+                tone: options.tone,
+                length: options.length,
+                instruction: options.instruction
+            });
+
+            if (!response || !response.success || !response.rewrittenText) {
+                throw new Error(response?.error || 'Rewrite failed');
+            }
+
+            draft.rewriteHistory = [...(draft.rewriteHistory || []), draft.body];
+            this.setDraftBody(draftDiv, response.rewrittenText);
+
+            this.updateStatus('✓ Draft rewritten', 'success');
+        } catch (error) {
+            console.error('Failed to rewrite draft:', error);
+            this.updateStatus(`Rewrite failed: ${error.message}`, 'error');
+        } finally {
+            buttonElement.textContent = originalText;
+            buttonElement.disabled = false;
+            buttonElement.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Restore the draft text from before the most recent rewrite
+     * @param {HTMLElement} draftDiv - Draft element
+     */
+    undoRewrite(draftDiv) {
+        const draft = draftDiv._draftData;
+        if (!draft || !draft.rewriteHistory || draft.rewriteHistory.length === 0) {
+            return;
+        }
+
+        const previousBody = draft.rewriteHistory[draft.rewriteHistory.length - 1];
+        draft.rewriteHistory = draft.rewriteHistory.slice(0, -1);
+        this.setDraftBody(draftDiv, previousBody);
+
+        this.updateStatus('✓ Rewrite undone', 'success');
+    }
+
+    /**
+     * Replace a draft body after a rewrite or undo and refresh related controls
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {string} body - New draft body
+     */
+    setDraftBody(draftDiv, body) {
+        const draft = draftDiv._draftData;
+        draft.body = body;
+        draft.proofread = false;
+
+        const bodyText = draftDiv.querySelector('.draft-text');
+        if (bodyText) {
+            bodyText.textContent = body;
+        }
+
+        const undoRewriteBtn = draftDiv.querySelector('.undo-rewrite-btn');
+        if (undoRewriteBtn) {
+            undoRewriteBtn.hidden = !(draft.rewriteHistory && draft.rewriteHistory.length > 0);
+        }
+
+        const proofreadBtn = draftDiv.querySelector('.proofread-draft-btn');
+        if (proofreadBtn) {
+            proofreadBtn.textContent = 'Proofread';
+        }
+
+        if (this.onDraftChange) {
+            this.onDraftChange(draft);
+        }
+    }
+
+    /**
+     * Proofread a draft body and show the suggested corrections inline
+     * 
+     * Reference: background/proofreader-service.js - ProofreaderService
+     * 
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {HTMLElement} buttonElement - Proofread button element
+     */
+    async proofreadDraft(draftDiv, buttonElement) {
+        const draft = draftDiv._draftData;
+        const bodyText = draftDiv.querySelector('.draft-text');
+        if (!draft || !bodyText || !draft.body || !draft.body.trim()) {
+            return;
+        }
+
+        const originalText = buttonElement.textContent;
+        buttonElement.disabled = true;
+        buttonElement.textContent = 'Checking...';
+        buttonElement.setAttribute('aria-busy', 'true');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'proofreadText',
+                text: draft.body
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Proofreading failed');
+            }
+
+            if (!response.corrections || response.corrections.length === 0) {
+                this.markProofread(draftDiv, buttonElement);
+                this.updateStatus('✓ No corrections needed', 'success');
+                return;
+            }
+
+            this.showCorrections(draftDiv, draft.body, response.corrections, buttonElement);
+            const count = response.corrections.length;
+            this.updateStatus(`${count} suggestion${count !== 1 ? 's' : ''} found - accept or reject each one`, 'info');
+        } catch (error) {
+            console.error('Failed to proofread draft:', error);
+            buttonElement.textContent = originalText;
+            buttonElement.disabled = false;
+            this.updateStatus(`Proofreading unavailable: ${error.message}`, 'error');
+        } finally {
+            buttonElement.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Render corrections inline in the draft body with accept/reject controls
+     * 
+     * The body is read-only while suggestions are pending. Each decision replaces
+     * the suggestion with the chosen text; once none remain the body becomes
+     * editable again and the draft data is updated.
+     * 
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {string} text - Text that was proofread
+     * @param {Array<Object>} corrections - Corrections with startIndex, endIndex, original, correction
+     * @param {HTMLElement} buttonElement - Proofread button element
+     */
+    showCorrections(draftDiv, text, corrections, buttonElement) {
+        const bodyText = draftDiv.querySelector('.draft-text');
+        bodyText.contentEditable = 'false';
+        bodyText.innerHTML = '';
+
+        let cursor = 0;
+        corrections.forEach((correction, index) => {
+            if (correction.startIndex > cursor) {
+                bodyText.appendChild(document.createTextNode(text.substring(cursor, correction.startIndex)));
+            }
+            bodyText.appendChild(this.createCorrectionElement(correction, index, () => {
+                this.finishCorrectionsIfDone(draftDiv, buttonElement);
+            }));
+            cursor = correction.endIndex;
+        });
+
+        if (cursor < text.length) {
+            bodyText.appendChild(document.createTextNode(text.substring(cursor)));
+        }
+
+        buttonElement.textContent = 'Reviewing...';
+        bodyText.querySelector('.proofread-correction button')?.focus();
+    }
+
+    /**
+     * Create a single inline correction with accept/reject buttons
+     * @param {Object} correction - Correction object
+     * @param {number} index - Correction index (for labels)
+     * @param {Function} onResolved - Called after the user accepts or rejects
+     * @returns {HTMLElement} Correction element
+     */
+    createCorrectionElement(correction, index, onResolved) {
+        const span = document.createElement('span');
+        span.className = 'proofread-correction';
+        span.setAttribute('role', 'group');
+
+        const label = correction.original
+            ? `Suggestion ${index + 1}: replace "${correction.original}" with "${correction.correction}"`
+            : `Suggestion ${index + 1}: insert "${correction.correction}"`;
+        span.setAttribute('aria-label', label);
+        if (correction.explanation) {
+            span.title = correction.explanation;
+        }
+
+        const removed = document.createElement('del');
+        removed.textContent = correction.original;
+
+        const inserted = document.createElement('ins');
+        inserted.textContent = correction.correction;
+
+        const resolve = (accepted) => {
+            span.replaceWith(document.createTextNode(accepted ? correction.correction : correction.original));
+            onResolved();
+        };
+
+        const acceptBtn = document.createElement('button');
+        acceptBtn.type = 'button';
+        acceptBtn.className = 'correction-accept-btn';
+        acceptBtn.textContent = '✓';
+        acceptBtn.setAttribute('aria-label', `Accept suggestion ${index + 1}`);
+        acceptBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            resolve(true);
+        });
+
+        const rejectBtn = document.createElement('button');
+        rejectBtn.type = 'button';
+        rejectBtn.className = 'correction-reject-btn';
+        rejectBtn.textContent = '✗';
+        rejectBtn.setAttribute('aria-label', `Reject suggestion ${index + 1}`);
+        rejectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            resolve(false);
+        });
+
+        if (correction.original) {
+            span.appendChild(removed);
+        }
+        span.appendChild(inserted);
+        span.appendChild(acceptBtn);
+        span.appendChild(rejectBtn);
+
+        return span;
+    }
+
+    /**
+     * Apply the reviewed text once every suggestion has been accepted or rejected
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {HTMLElement} buttonElement - Proofread button element
+     */
+    finishCorrectionsIfDone(draftDiv, buttonElement) {
+        const bodyText = draftDiv.querySelector('.draft-text');
+        const pending = bodyText.querySelector('.proofread-correction');
+
+        if (pending) {
+            pending.querySelector('button')?.focus();
+            return;
+        }
+
+        // Merge the text nodes back into a single editable body
+        const reviewedText = bodyText.textContent;
+        bodyText.textContent = reviewedText;
+        bodyText.contentEditable = 'plaintext-only';
+
+        draftDiv._draftData.body = reviewedText;
+        this.markProofread(draftDiv, buttonElement);
+
+        if (this.onDraftChange) {
+            this.onDraftChange(draftDiv._draftData);
+        }
+
+        this.updateStatus('✓ Proofreading complete', 'success');
+    }
+
+    /**
+     * Mark a draft as proofread and reset the Proofread button
+     * @param {HTMLElement} draftDiv - Draft element
+     * @param {HTMLElement} buttonElement - Proofread button element
+     */
+    markProofread(draftDiv, buttonElement) {
+        draftDiv._draftData.edited = false;
+        draftDiv._draftData.proofread = true;
+        draftDiv.classList.remove('edited');
+
+        buttonElement.classList.remove('proofread-suggested');
+        buttonElement.textContent = '✓ Proofread';
+        buttonElement.disabled = false;
     }
 
     /**
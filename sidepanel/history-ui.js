@@ -0,0 +1,240 @@
+/**
+ * History UI Module
+ * Lists and searches saved thread analyses, and reopens a thread from its result
+ *
+ * Reference: utils/thread-history.js - ThreadHistoryStore.search()
+ * Reference: sidepanel/batch-queue-ui.js - results can be queued to regenerate their summaries and drafts
+ */
+
+/**
+ * Number of recent threads listed when the search box is empty
+ */
+const RECENT_THREADS_SHOWN = 10;
+
+/**
+ * Delay before searching after the user stops typing
+ */
+const SEARCH_DEBOUNCE_MS = 200;
+
+const FIELD_LABELS = {
+    subject: 'Subject',
+    participants: 'Participants',
+    summary: 'Summary',
+    keyPoints: 'Key point',
+    drafts: 'Draft'
+};
+
+export class HistoryUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {ThreadHistoryStore} threadHistory - Per-thread analysis store
+     * @param {Function} onQueueSelected - Called with the selected threads ({threadUrl, subject}) to queue them
+     */
+    constructor(elements, updateStatusCallback, threadHistory, onQueueSelected) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.threadHistory = threadHistory;
+        this.onQueueSelected = onQueueSelected;
+        this.searchTimer = null;
+        this.selectedThreads = new Map();
+    }
+
+    /**
+     * Initialize history UI event listeners
+     */
+    initialize() {
+        if (!this.elements.historySearchInput) {
+            return;
+        }
+
+        this.elements.historySearchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.refresh(), SEARCH_DEBOUNCE_MS);
+        });
+        this.elements.historyQueueBtn?.addEventListener('click', () => this.queueSelected());
+
+        this.refresh();
+    }
+
+    /**
+     * Show search results for the current query, or recent threads when it is empty
+     */
+    async refresh() {
+        if (!this.elements.historyResults) return;
+
+        if (!this.threadHistory.isSupported()) {
+            this.renderMessage('History is not available in this browser.');
+            return;
+        }
+
+        const query = this.elements.historySearchInput.value.trim();
+
+        try {
+            if (!query) {
+                const records = await this.threadHistory.list();
+                this.render(records.slice(0, RECENT_THREADS_SHOWN).map(record => ({ record, snippet: null })), query);
+                return;
+            }
+
+            const results = await this.threadHistory.search(query);
+            this.render(results, query);
+        } catch (error) {
+            console.error('History search failed:', error);
+            this.renderMessage('Could not search history.');
+        }
+    }
+
+    /**
+     * Render history results
+     * @param {Object[]} results - Results ({record, snippet})
+     * @param {string} query - Query the results are for
+     */
+    render(results, query) {
+        const list = this.elements.historyResults;
+        list.innerHTML = '';
+        this.selectedThreads.clear();
+        this.updateQueueButton();
+
+        if (results.length === 0) {
+            this.renderMessage(query
+                ? `No saved analyses match "${query}".`
+                : 'Analyzed threads will appear here.');
+            return;
+        }
+
+        results.forEach(({ record, snippet }) => {
+            list.appendChild(this.createResultElement(record, snippet));
+        });
+    }
+
+    /**
+     * Render a single placeholder message in the results list
+     * @param {string} message - Message to show
+     */
+    renderMessage(message) {
+        const list = this.elements.historyResults;
+        list.innerHTML = '';
+        this.selectedThreads.clear();
+        this.updateQueueButton();
+
+        const item = document.createElement('li');
+        item.className = 'placeholder';
+        item.textContent = message;
+        list.appendChild(item);
+    }
+
+    /**
+     * Create a result element linking back to the thread
+     * @param {Object} record - Thread history record
+     * @param {Object|null} snippet - Matching snippet ({field, text})
+     * @returns {HTMLElement} Result list item
+     */
+    createResultElement(record, snippet) {
+        const item = document.createElement('li');
+        item.className = 'history-result';
+
+        const subject = record.thread?.subject || 'No subject';
+        const header = document.createElement('div');
+        header.className = 'history-result-header';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'batch-select';
+        checkbox.setAttribute('aria-label', `Select ${subject} for batch processing`);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selectedThreads.set(record.threadUrl, { threadUrl: record.threadUrl, subject });
+            } else {
+                this.selectedThreads.delete(record.threadUrl);
+            }
+            this.updateQueueButton();
+        });
+        header.appendChild(checkbox);
+
+        const link = document.createElement('a');
+        link.className = 'history-result-link';
+        link.href = record.threadUrl;
+        link.textContent = subject;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openThread(record.threadUrl);
+        });
+        header.appendChild(link);
+        item.appendChild(header);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-result-meta';
+        const participants = [...new Set((record.thread?.messages || [])
+            .map(message => message.sender?.name)
+            .filter(name => name && name !== 'Unknown'))];
+        const savedAt = new Date(record.timestamp).toLocaleDateString();
+        meta.textContent = participants.length > 0
+            ? `${participants.join(', ')} · ${savedAt}`
+            : savedAt;
+        item.appendChild(meta);
+
+        const snippetText = snippet?.text || record.summary;
+        if (snippetText) {
+            const snippetEl = document.createElement('p');
+            snippetEl.className = 'history-result-snippet';
+            if (snippet?.field) {
+                const label = document.createElement('span');
+                label.className = 'history-result-field';
+                label.textContent = `${FIELD_LABELS[snippet.field] || snippet.field}: `;
+                snippetEl.appendChild(label);
+            }
+            snippetEl.appendChild(document.createTextNode(snippetText));
+            item.appendChild(snippetEl);
+        }
+
+        return item;
+    }
+
+    /**
+     * Enable the queue button when results are selected
+     */
+    updateQueueButton() {
+        const button = this.elements.historyQueueBtn;
+        if (!button) return;
+
+        button.disabled = this.selectedThreads.size === 0;
+        button.textContent = this.selectedThreads.size > 0
+            ? `Queue ${this.selectedThreads.size} Selected`
+            : 'Queue Selected';
+    }
+
+    /**
+     * Queue the selected threads to regenerate their summaries and drafts
+     */
+    async queueSelected() {
+        if (this.selectedThreads.size === 0) return;
+
+        const added = await this.onQueueSelected([...this.selectedThreads.values()]);
+        if (added > 0) {
+            this.elements.historyResults
+                .querySelectorAll('.batch-select:checked')
+                .forEach(checkbox => { checkbox.checked = false; });
+            this.selectedThreads.clear();
+            this.updateQueueButton();
+        }
+    }
+
+    /**
+     * Open a saved thread in the active tab; its analysis is restored when the URL loads
+     * @param {string} threadUrl - URL of the thread
+     */
+    async openThread(threadUrl) {
+        try {
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tabs[0]) {
+                await chrome.tabs.update(tabs[0].id, { url: threadUrl });
+            } else {
+                await chrome.tabs.create({ url: threadUrl });
+            }
+        } catch (error) {
+            console.error('Failed to open thread:', error);
+            this.updateStatus(`Failed to open thread: ${error.message}`, 'error');
+        }
+    }
+}
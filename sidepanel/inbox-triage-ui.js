@@ -0,0 +1,236 @@
+/**
+ * Inbox Triage UI Module
+ * Reads the visible message list rows from the email client and shows them ranked by
+ * what to handle first, each with a triage category
+ *
+ * Reference: content/content.js - extractInboxRows()
+ * Reference: background/triage-service.js - classifyInboxRows()
+ * Reference: sidepanel/batch-queue-ui.js - rows with a thread link can be queued for batch processing
+ */
+
+const CATEGORY_LABELS = {
+    'needs-reply': 'Needs reply',
+    'fyi': 'FYI',
+    'waiting-on-others': 'Waiting',
+    'urgent': 'Urgent'
+};
+
+export class InboxTriageUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} onQueueSelected - Called with the selected threads ({threadUrl, subject}) to queue them
+     */
+    constructor(elements, updateStatusCallback, onQueueSelected) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.onQueueSelected = onQueueSelected;
+        this.isTriaging = false;
+        this.selectedRows = new Map();
+    }
+
+    /**
+     * Initialize inbox triage UI event listeners
+     */
+    initialize() {
+        this.elements.inboxTriageBtn?.addEventListener('click', () => this.triageInbox());
+        this.elements.inboxTriageQueueBtn?.addEventListener('click', () => this.queueSelected());
+    }
+
+    /**
+     * Read the message list in the active tab and rank its rows
+     */
+    async triageInbox() {
+        if (this.isTriaging) return;
+
+        const button = this.elements.inboxTriageBtn;
+        const originalText = button.textContent;
+        this.isTriaging = true;
+        button.disabled = true;
+        button.textContent = 'Triaging...';
+
+        try {
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tabs[0]) {
+                throw new Error('No active tab found');
+            }
+
+            const url = tabs[0].url || '';
+            const isGmail = url.includes('mail.google.com');
+            const isOutlook = url.includes('outlook.live.com') ||
+                             url.includes('outlook.office.com') ||
+                             url.includes('outlook.office365.com');
+
+            if (!isGmail && !isOutlook) {
+                throw new Error('Please navigate to your Gmail or Outlook inbox');
+            }
+
+            this.updateStatus('Reading message list...', 'loading');
+            const listResponse = await chrome.tabs.sendMessage(tabs[0].id, { action: 'extractInboxList' });
+            if (!listResponse?.success) {
+                throw new Error(listResponse?.error || 'Failed to read the message list');
+            }
+
+            this.updateStatus(`Triaging ${listResponse.rows.length} emails...`, 'loading');
+            const response = await chrome.runtime.sendMessage({
+                action: 'triageInbox',
+                rows: listResponse.rows
+            });
+
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to triage the message list');
+            }
+
+            this.render(response.rows);
+            this.updateStatus(`✓ Ranked ${response.rows.length} emails`, 'success');
+        } catch (error) {
+            console.error('Inbox triage failed:', error);
+            this.updateStatus(`Inbox triage error: ${error.message}`, 'error');
+        } finally {
+            this.isTriaging = false;
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
+    /**
+     * Render the ranked rows
+     * @param {Object[]} rows - Ranked rows ({rank, sender, subject, snippet, date, unread, threadUrl, triage})
+     */
+    render(rows) {
+        const list = this.elements.inboxTriageResults;
+        list.innerHTML = '';
+        this.selectedRows.clear();
+        this.updateQueueButton(rows.some(row => row.threadUrl));
+
+        if (rows.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'placeholder';
+            empty.textContent = 'No emails found in the message list.';
+            list.appendChild(empty);
+            return;
+        }
+
+        rows.forEach(row => list.appendChild(this.createRowElement(row)));
+    }
+
+    /**
+     * Show the queue button when rows can be selected and enable it when some are
+     * @param {boolean} visible - Whether any row can be queued
+     */
+    updateQueueButton(visible = true) {
+        const button = this.elements.inboxTriageQueueBtn;
+        if (!button) return;
+
+        button.classList.toggle('hidden', !visible);
+        button.disabled = this.selectedRows.size === 0;
+        button.textContent = this.selectedRows.size > 0
+            ? `Queue ${this.selectedRows.size} Selected`
+            : 'Queue Selected';
+    }
+
+    /**
+     * Queue the selected rows for summaries and drafts
+     */
+    async queueSelected() {
+        if (this.selectedRows.size === 0) return;
+
+        const threads = [...this.selectedRows.values()];
+        const added = await this.onQueueSelected(threads);
+        if (added > 0) {
+            this.elements.inboxTriageResults
+                .querySelectorAll('.batch-select:checked')
+                .forEach(checkbox => { checkbox.checked = false; });
+            this.selectedRows.clear();
+            this.updateQueueButton();
+        }
+    }
+
+    /**
+     * Create a ranked list entry
+     * @param {Object} row - Ranked row
+     * @returns {HTMLElement} List item
+     */
+    createRowElement(row) {
+        const item = document.createElement('li');
+        item.className = 'inbox-triage-row';
+        item.classList.toggle('unread', !!row.unread);
+
+        const header = document.createElement('div');
+        header.className = 'inbox-triage-row-header';
+
+        const subjectText = row.subject || 'No subject';
+
+        // Only rows that link to their thread can be opened in the background for batch processing
+        if (row.threadUrl) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'batch-select';
+            checkbox.setAttribute('aria-label', `Select ${subjectText} for batch processing`);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedRows.set(row.threadUrl, { threadUrl: row.threadUrl, subject: subjectText });
+                } else {
+                    this.selectedRows.delete(row.threadUrl);
+                }
+                this.updateQueueButton();
+            });
+            header.appendChild(checkbox);
+        }
+
+        const category = document.createElement('span');
+        category.className = 'inbox-triage-category';
+        category.dataset.category = row.triage.category;
+        category.textContent = CATEGORY_LABELS[row.triage.category] || row.triage.category;
+        category.title = `Urgency ${row.triage.urgency}/100`;
+        header.appendChild(category);
+
+        let subject;
+        if (row.threadUrl) {
+            subject = document.createElement('a');
+            subject.href = row.threadUrl;
+            subject.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openThread(row.threadUrl);
+            });
+        } else {
+            subject = document.createElement('span');
+        }
+        subject.className = 'inbox-triage-subject';
+        subject.textContent = subjectText;
+        header.appendChild(subject);
+
+        item.appendChild(header);
+
+        const meta = document.createElement('div');
+        meta.className = 'inbox-triage-meta';
+        const sender = row.sender?.name && row.sender.name !== 'Unknown' ? row.sender.name : row.sender?.email;
+        meta.textContent = [sender, row.date].filter(Boolean).join(' · ');
+        item.appendChild(meta);
+
+        const rationale = document.createElement('p');
+        rationale.className = 'inbox-triage-rationale';
+        rationale.textContent = row.triage.rationale;
+        item.appendChild(rationale);
+
+        item.setAttribute('aria-label', `${row.rank}. ${category.textContent}: ${subjectText}${sender ? ` from ${sender}` : ''}. ${row.triage.rationale}`);
+        return item;
+    }
+
+    /**
+     * Open a thread from the list in the active tab
+     * @param {string} threadUrl - URL of the thread
+     */
+    async openThread(threadUrl) {
+        try {
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tabs[0]) {
+                await chrome.tabs.update(tabs[0].id, { url: threadUrl });
+            }
+        } catch (error) {
+            console.error('Failed to open thread:', error);
+            this.updateStatus(`Failed to open thread: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Meetings UI Module
+ * Lists meeting times proposed in the current thread and downloads each one as an .ics event
+ *
+ * Reference: background/meeting-service.js
+ * Reference: utils/ical.js
+ */
+
+import { buildCalendar, buildEvent, createIcsFilename, downloadCalendarFile } from '../utils/ical.js';
+
+export class MeetingsUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} getCurrentThread - Returns the extracted thread
+     * @param {Function} onChange - Called when proposals change, to persist them
+     */
+    constructor(elements, updateStatusCallback, getCurrentThread, onChange) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.getCurrentThread = getCurrentThread;
+        this.onChange = onChange;
+        this.proposals = [];
+        this.isDetecting = false;
+    }
+
+    /**
+     * Get the current proposals
+     * @returns {Object[]} Proposals ({start, end, label, proposedBy, sourceMessageIndex})
+     */
+    getProposals() {
+        return this.proposals;
+    }
+
+    /**
+     * Detect proposed meeting times for a thread via the background service
+     * @param {Object} thread - Extracted email thread
+     */
+    async detect(thread) {
+        if (!thread || this.isDetecting) return;
+
+        this.isDetecting = true;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'detectMeetings',
+                thread
+            });
+
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to detect meeting times');
+            }
+
+            this.setProposals(response.proposals || []);
+            this.onChange();
+        } catch (error) {
+            console.error('Error detecting meeting times:', error);
+            this.updateStatus(`Meeting detection error: ${error.message}`, 'error');
+        } finally {
+            this.isDetecting = false;
+        }
+    }
+
+    /**
+     * Replace the current proposals and render them (used when restoring a saved thread)
+     * The section stays hidden when the thread proposes no meeting times
+     * @param {Object[]} proposals - Meeting proposals
+     */
+    setProposals(proposals) {
+        this.proposals = Array.isArray(proposals) ? proposals : [];
+        this.render();
+    }
+
+    /**
+     * Clear proposals and hide the section
+     */
+    clear() {
+        this.proposals = [];
+        if (this.elements.meetings) this.elements.meetings.innerHTML = '';
+        this.elements.meetingsSection?.classList.add('hidden');
+    }
+
+    /**
+     * Render the proposal list
+     */
+    render() {
+        const container = this.elements.meetings;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.proposals.length === 0) {
+            this.elements.meetingsSection?.classList.add('hidden');
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.setAttribute('role', 'list');
+        this.proposals.forEach(proposal => list.appendChild(this.createProposalElement(proposal)));
+        container.appendChild(list);
+        container.setAttribute('aria-label', `${this.proposals.length} proposed meeting times`);
+        this.elements.meetingsSection?.classList.remove('hidden');
+    }
+
+    /**
+     * Create a list entry with a download button
+     * @param {Object} proposal - Meeting proposal
+     * @returns {HTMLElement} List item
+     */
+    createProposalElement(proposal) {
+        const li = document.createElement('li');
+        li.className = 'meeting-proposal';
+
+        const details = document.createElement('div');
+        details.className = 'meeting-proposal-details';
+
+        const when = document.createElement('span');
+        when.className = 'meeting-proposal-time';
+        when.textContent = this.formatTimeRange(proposal);
+        details.appendChild(when);
+
+        const meta = document.createElement('span');
+        meta.className = 'meeting-proposal-meta';
+        const proposer = proposal.proposedBy?.name && proposal.proposedBy.name !== 'Unknown'
+            ? `${proposal.proposedBy.name} · `
+            : '';
+        meta.textContent = `${proposer}"${proposal.label}" · Message ${proposal.sourceMessageIndex + 1}`;
+        details.appendChild(meta);
+
+        li.appendChild(details);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'calendar-export-btn';
+        button.textContent = 'Download .ics';
+        button.setAttribute('aria-label', `Download calendar event for ${when.textContent}`);
+        button.addEventListener('click', () => this.downloadEvent(proposal));
+        li.appendChild(button);
+
+        return li;
+    }
+
+    /**
+     * Format a proposal's start and end for display
+     * @param {Object} proposal - Meeting proposal
+     * @returns {string} e.g. "Tue, Oct 20, 3:00 PM – 3:30 PM"
+     */
+    formatTimeRange(proposal) {
+        const start = new Date(proposal.start);
+        const end = new Date(proposal.end);
+        const day = start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        const timeOptions = { hour: 'numeric', minute: '2-digit' };
+        return `${day}, ${start.toLocaleTimeString(undefined, timeOptions)} – ${end.toLocaleTimeString(undefined, timeOptions)}`;
+    }
+
+    /**
+     * Get the thread participants (sender data from extraction) as attendees, one per email address
+     * @param {Object} thread - Extracted email thread
+     * @returns {Array<{name: string, email: string}>} Attendees
+     */
+    getAttendees(thread) {
+        const attendees = new Map();
+        (thread?.messages || []).forEach(message => {
+            const email = message.sender?.email?.toLowerCase();
+            if (email && !attendees.has(email)) {
+                attendees.set(email, { name: message.sender.name, email });
+            }
+        });
+        return [...attendees.values()];
+    }
+
+    /**
+     * Build the VEVENT for a proposal and download it
+     * @param {Object} proposal - Meeting proposal
+     */
+    downloadEvent(proposal) {
+        try {
+            const thread = this.getCurrentThread();
+            const title = (thread?.subject || 'Meeting').replace(/^((re|fwd?):\s*)+/i, '');
+            const description = `Proposed as "${proposal.label}" in the email thread "${thread?.subject || 'No subject'}".`;
+
+            const content = buildCalendar([buildEvent({
+                title,
+                start: proposal.start,
+                end: proposal.end,
+                description,
+                organizer: proposal.proposedBy,
+                attendees: this.getAttendees(thread)
+            })]);
+
+            downloadCalendarFile(createIcsFilename(title, 'meeting'), content);
+            this.updateStatus('✓ Calendar event downloaded', 'success');
+        } catch (error) {
+            console.error('Error creating calendar event:', error);
+            this.updateStatus(`Failed to create calendar event: ${error.message}`, 'error');
+        }
+    }
+}
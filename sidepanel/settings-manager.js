@@ -3,6 +3,12 @@
  * Handles user settings persistence and UI updates
  */
 
+import { DEFAULT_HISTORY_LIMIT, normalizeHistoryLimit } from '../utils/thread-history.js';
+import { normalizeLocalBaseUrl, getLocalHostPermission } from '../utils/local-endpoint.js';
+import { normalizeProviderFieldValue } from '../utils/provider-fields.js';
+import { PII_CATEGORIES, DEFAULT_REDACTION_SETTINGS, normalizeRedactionSettings } from '../utils/pii-redaction.js';
+import { ApiKeyVault, MIN_PASSPHRASE_LENGTH } from '../utils/api-key-vault.js';
+
 export class SettingsManager {
     constructor(elements, updateStatusCallback) {
         this.elements = elements;
@@ -12,8 +18,33 @@ export class SettingsManager {
             useApiKey: false,
             apiKey: '',
             apiProvider: 'google',
-            signature: ''
+            providerSettings: {},
+            signature: '',
+            redaction: { ...DEFAULT_REDACTION_SETTINGS },
+            historyLimit: DEFAULT_HISTORY_LIMIT
         };
+        // How the API key is stored; `locked` means it is encrypted and not unlocked this session
+        this.apiKeyState = { hasKey: false, encrypted: false, locked: false };
+        this.apiKeyVault = new ApiKeyVault({
+            storage: chrome?.storage?.sync,
+            sessionStorage: chrome?.storage?.session
+        });
+        // Last check of the selected provider's key (background/key-health.js)
+        this.apiKeyHealth = null;
+        this.providers = [];
+        this.onDeviceProvider = null;
+        this.onHistoryLimitChange = null;
+        this.onClearHistory = null;
+    }
+
+    /**
+     * Set callbacks for thread history settings
+     * @param {Function} onHistoryLimitChange - Called with the new size cap
+     * @param {Function} onClearHistory - Called when the user clears history
+     */
+    setHistoryCallbacks(onHistoryLimitChange, onClearHistory) {
+        this.onHistoryLimitChange = onHistoryLimitChange;
+        this.onClearHistory = onClearHistory;
     }
 
     /**
@@ -43,6 +74,8 @@ export class SettingsManager {
             this.elements.processingModeRadios.forEach(radio => {
                 radio.addEventListener('change', (e) => {
                     this.settings.processingMode = e.target.value;
+                    this.updateProcessingModeUI();
+                    this.updateApiKeyUI();
                     this.save();
                 });
             });
@@ -59,17 +92,37 @@ export class SettingsManager {
         if (this.elements.apiProviderSelect) {
             this.elements.apiProviderSelect.addEventListener('change', (e) => {
                 this.settings.apiProvider = e.target.value;
+                this.renderProviderFields();
+                this.renderApiKeyHealth();
             });
         }
 
         if (this.elements.saveApiKeyBtn) {
             this.elements.saveApiKeyBtn.addEventListener('click', () => this.saveApiKey());
         }
+        if (this.elements.unlockApiKeyBtn) {
+            this.elements.unlockApiKeyBtn.addEventListener('click', () => this.unlockApiKey());
+        }
+        if (this.elements.lockApiKeyBtn) {
+            this.elements.lockApiKeyBtn.addEventListener('click', () => this.lockApiKey());
+        }
+
+        if (this.elements.saveOnDeviceBtn) {
+            this.elements.saveOnDeviceBtn.addEventListener('click', () => this.saveOnDeviceSettings());
+        }
         
         // Bind signature events
         if (this.elements.saveSignatureBtn) {
             this.elements.saveSignatureBtn.addEventListener('click', () => this.saveSignature());
         }
+        
+        // Bind thread history events
+        if (this.elements.saveHistoryLimitBtn) {
+            this.elements.saveHistoryLimitBtn.addEventListener('click', () => this.saveHistoryLimit());
+        }
+        if (this.elements.clearHistoryBtn) {
+            this.elements.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        }
     }
 
     /**
@@ -81,9 +134,11 @@ export class SettingsManager {
                 const result = await chrome.storage.sync.get([
                     'processingMode',
                     'useApiKey',
-                    'apiKey',
                     'apiProvider',
-                    'signature'
+                    'providerSettings',
+                    'signature',
+                    'redaction',
+                    'historyLimit'
                 ]);
 
                 if (result.processingMode) {
@@ -92,30 +147,46 @@ export class SettingsManager {
                 if (result.useApiKey !== undefined) {
                     this.settings.useApiKey = result.useApiKey;
                 }
-                if (result.apiKey) {
-                    this.settings.apiKey = result.apiKey;
-                }
+                // The key is read through the vault: empty while an encrypted key is locked
+                this.apiKeyState = await this.apiKeyVault.getState();
+                this.settings.apiKey = await this.apiKeyVault.getApiKey();
                 if (result.apiProvider) {
                     this.settings.apiProvider = result.apiProvider;
                 }
+                if (result.providerSettings) {
+                    this.settings.providerSettings = result.providerSettings;
+                }
                 if (result.signature) {
                     this.settings.signature = result.signature;
                 }
+                if (result.redaction) {
+                    this.settings.redaction = normalizeRedactionSettings(result.redaction);
+                }
+                if (result.historyLimit !== undefined) {
+                    this.settings.historyLimit = normalizeHistoryLimit(result.historyLimit);
+                }
             }
 
+            await this.loadProviders();
+            await this.loadApiKeyHealth();
             this.updateProcessingModeUI();
             this.updateApiKeyUI();
             this.updateSignatureUI();
+            this.updateRedactionUI();
+            this.updateHistoryUI();
         } catch (error) {
             console.error('Error loading settings:', error);
             this.updateProcessingModeUI();
             this.updateApiKeyUI();
             this.updateSignatureUI();
+            this.updateRedactionUI();
+            this.updateHistoryUI();
         }
     }
 
     /**
      * Save settings to Chrome storage
+     * The API key is stored separately by saveApiKey, encrypted if the user set a passphrase
      */
     async save() {
         try {
@@ -123,9 +194,11 @@ export class SettingsManager {
                 await chrome.storage.sync.set({
                     processingMode: this.settings.processingMode,
                     useApiKey: this.settings.useApiKey,
-                    apiKey: this.settings.apiKey,
                     apiProvider: this.settings.apiProvider,
-                    signature: this.settings.signature
+                    providerSettings: this.settings.providerSettings,
+                    signature: this.settings.signature,
+                    redaction: this.settings.redaction,
+                    historyLimit: this.settings.historyLimit
                 });
                 console.log('Settings saved (API key hidden):', {
                     ...this.settings,
@@ -146,6 +219,7 @@ export class SettingsManager {
                 radio.checked = radio.value === this.settings.processingMode;
             });
         }
+        this.elements.privacyNotice?.classList.toggle('hidden', this.settings.processingMode !== 'hybrid');
     }
 
     /**
@@ -161,34 +235,442 @@ export class SettingsManager {
         if (this.elements.apiProviderSelect) {
             this.elements.apiProviderSelect.value = this.settings.apiProvider;
         }
+        // Hybrid mode falls back to the provider configured here, so it can be set up without the override
         if (this.elements.apiKeySection) {
-            this.elements.apiKeySection.style.display = this.settings.useApiKey ? 'block' : 'none';
+            this.elements.apiKeySection.style.display = this.settings.useApiKey || this.settings.processingMode === 'hybrid' ? 'block' : 'none';
+        }
+        this.renderProviderFields();
+        this.updateApiKeyLockUI();
+        this.renderApiKeyHealth();
+    }
+
+    /**
+     * Show whether the API key is encrypted and locked, and the matching unlock or lock action
+     * Reference: utils/api-key-vault.js
+     */
+    updateApiKeyLockUI() {
+        const { hasKey, encrypted, locked } = this.apiKeyState;
+
+        if (this.elements.apiKeyLockStatus) {
+            if (locked) {
+                this.elements.apiKeyLockStatus.textContent = '🔒 Your API key is encrypted and locked. Enter your passphrase and click Unlock to use it.';
+            } else if (encrypted) {
+                this.elements.apiKeyLockStatus.textContent = '🔓 Your API key is encrypted and unlocked until you lock it or close the browser.';
+            } else if (hasKey) {
+                this.elements.apiKeyLockStatus.textContent = 'Your API key is saved unencrypted. Enter a passphrase and click Save API Key to encrypt it.';
+            } else {
+                this.elements.apiKeyLockStatus.textContent = 'Optionally enter a passphrase to encrypt the key. You will need it again after the browser restarts.';
+            }
+        }
+        if (this.elements.apiKeyInput) {
+            this.elements.apiKeyInput.placeholder = locked ? 'Locked - unlock to use the saved key' : this.elements.apiKeyInput.placeholder;
+        }
+        if (this.elements.unlockApiKeyBtn) {
+            this.elements.unlockApiKeyBtn.style.display = locked ? 'block' : 'none';
+        }
+        if (this.elements.lockApiKeyBtn) {
+            this.elements.lockApiKeyBtn.style.display = encrypted && !locked ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Decrypt the API key with the passphrase for the rest of the browser session
+     */
+    async unlockApiKey() {
+        const passphrase = this.elements.apiKeyPassphraseInput?.value || '';
+        if (!passphrase) {
+            this.updateStatus('Please enter your passphrase', 'error');
+            return;
+        }
+
+        try {
+            this.settings.apiKey = await this.apiKeyVault.unlock(passphrase);
+            this.apiKeyState = await this.apiKeyVault.getState();
+            this.elements.apiKeyPassphraseInput.value = '';
+            this.updateApiKeyUI();
+            this.updateStatus('✓ API key unlocked for this browser session', 'success');
+        } catch (error) {
+            console.error('Error unlocking API key:', error);
+            this.updateStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Forget the unlocked API key; the passphrase is needed again before the next request
+     */
+    async lockApiKey() {
+        try {
+            await this.apiKeyVault.lock();
+            this.settings.apiKey = '';
+            this.apiKeyState = await this.apiKeyVault.getState();
+            this.updateApiKeyUI();
+            this.updateStatus('API key locked', 'info');
+        } catch (error) {
+            console.error('Error locking API key:', error);
+            this.updateStatus('Failed to lock API key', 'error');
+        }
+    }
+
+    /**
+     * Load provider metadata from the service worker and list the selectable providers
+     * Chrome's built-in AI is used when "Use custom API key" is off, so it is not listed
+     * Reference: background/provider-registry.js - describe()
+     */
+    async loadProviders() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getAIProviders' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No provider metadata');
+            }
+            this.providers = response.providers.filter(provider => provider.kind !== 'on-device');
+            this.onDeviceProvider = response.providers.find(provider => provider.kind === 'on-device') || null;
+        } catch (error) {
+            // Keep the options in the HTML so settings still work
+            console.warn('Failed to load AI providers:', error);
+            return;
+        }
+
+        this.renderOnDeviceFields();
+
+        const select = this.elements.apiProviderSelect;
+        if (!select || this.providers.length === 0) return;
+
+        select.innerHTML = '';
+        this.providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.capabilities?.available ? `${provider.label} ✓ Available` : provider.label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Get the metadata of the provider selected in the settings panel
+     * @returns {Object|null} Provider metadata, or null if it was not loaded
+     */
+    getSelectedProvider() {
+        const id = this.elements.apiProviderSelect?.value || this.settings.apiProvider;
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+
+    /**
+     * Render inputs for a provider's settings fields
+     * @param {HTMLElement} container - Element the labels and inputs are added to
+     * @param {Object[]} fields - Field metadata ({id, label, type, required, default, placeholder, min, max, step})
+     * @param {Object} saved - Saved values keyed by field ID
+     * @param {string} idPrefix - Prefix for the input IDs
+     * @param {boolean} hasModelList - Attach the model suggestions to model fields
+     */
+    renderFields(container, fields, saved, idPrefix, hasModelList = false) {
+        container.innerHTML = '';
+
+        fields.forEach(field => {
+            const inputId = `${idPrefix}-${field.id}`;
+
+            const label = document.createElement('label');
+            label.className = 'provider-field-label';
+            label.htmlFor = inputId;
+            // Fields with a default are never empty, so only mark the others as optional
+            label.textContent = field.required || field.default !== undefined ? `${field.label}:` : `${field.label} (optional):`;
+            container.appendChild(label);
+
+            const input = document.createElement('input');
+            input.id = inputId;
+            input.className = 'provider-field-input';
+            input.type = ['url', 'password', 'number'].includes(field.type) ? field.type : 'text';
+            input.dataset.fieldId = field.id;
+            input.value = saved[field.id] ?? field.default ?? '';
+            input.placeholder = field.placeholder || field.default || '';
+            input.required = !!field.required;
+            if (field.type === 'number') {
+                ['min', 'max', 'step'].filter(attribute => field[attribute] !== undefined).forEach(attribute => {
+                    input[attribute] = String(field[attribute]);
+                });
+            }
+            if (field.type === 'model' && hasModelList) {
+                input.setAttribute('list', 'provider-model-options');
+            }
+            container.appendChild(input);
+        });
+    }
+
+    /**
+     * Read the values entered for a provider's fields, normalizing numbers to their limits
+     * @param {HTMLElement} container - Element holding the inputs from renderFields
+     * @param {Object[]} fields - Field metadata
+     * @returns {Object} Values keyed by field ID
+     */
+    collectFieldValues(container, fields) {
+        const values = {};
+        container?.querySelectorAll('[data-field-id]').forEach(input => {
+            const field = fields.find(candidate => candidate.id === input.dataset.fieldId);
+            const value = input.value.trim();
+            values[input.dataset.fieldId] = field?.type === 'number' ? normalizeProviderFieldValue(field, value) : value;
+        });
+        return values;
+    }
+
+    /**
+     * Render the selected provider's settings fields, description and data-egress warning
+     * The API key uses the fixed input; every other field is generated from the metadata
+     */
+    renderProviderFields() {
+        const provider = this.getSelectedProvider();
+        const container = this.elements.providerFields;
+        if (!provider || !container) return;
+
+        const saved = this.settings.providerSettings?.[provider.id] || {};
+        const fields = provider.fields.filter(field => field.id !== 'apiKey');
+        this.renderFields(container, fields, saved, 'provider-field', provider.models.length > 0);
+
+        if (this.elements.providerModelOptions) {
+            this.elements.providerModelOptions.innerHTML = '';
+            provider.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model;
+                this.elements.providerModelOptions.appendChild(option);
+            });
+        }
+
+        const keyField = provider.fields.find(field => field.id === 'apiKey');
+        if (this.elements.apiKeyLabel) {
+            this.elements.apiKeyLabel.textContent = keyField?.required === false ? 'API Key (optional):' : 'API Key:';
+        }
+        if (this.elements.apiKeyInput) {
+            this.elements.apiKeyInput.placeholder = keyField?.placeholder || 'Enter your API key...';
+        }
+        if (this.elements.providerDescription) {
+            this.elements.providerDescription.textContent = provider.description || '';
+        }
+        if (this.elements.providerEgressWarning && provider.dataEgressWarning) {
+            this.elements.providerEgressWarning.textContent = provider.dataEgressWarning;
         }
     }
 
     /**
      * Save API key settings
+     * Required fields come from the provider metadata. Host permission for fields that point
+     * at a user-chosen server is requested here because chrome.permissions.request() needs
+     * the click's user gesture. With a passphrase the key is encrypted (also how a key saved
+     * unencrypted is migrated); a new key replacing an encrypted one needs a passphrase too.
+     * An empty key input with a passphrase keeps the saved key and only changes its encryption
      */
     async saveApiKey() {
         try {
-            const apiKey = this.elements.apiKeyInput?.value?.trim() || '';
+            const passphrase = this.elements.apiKeyPassphraseInput?.value || '';
+            const apiKey = this.elements.apiKeyInput?.value?.trim() || (passphrase ? this.settings.apiKey || '' : '');
             const apiProvider = this.elements.apiProviderSelect?.value || 'google';
+            const provider = this.getSelectedProvider();
 
-            if (this.settings.useApiKey && !apiKey) {
-                this.updateStatus('Please enter an API key', 'error');
+            // Without metadata every provider needs a key
+            const fields = provider?.fields || [{ id: 'apiKey', label: 'API Key', required: true }];
+            const values = { apiKey, ...this.collectFieldValues(this.elements.providerFields, fields) };
+
+            // A locked key is kept as it is, so the other fields can be saved without unlocking it
+            const keepLockedKey = this.apiKeyState.locked && !apiKey;
+            if (keepLockedKey && passphrase) {
+                this.updateStatus('Click Unlock to use the saved key, or enter a new key to encrypt', 'error');
+                return;
+            }
+            if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                this.updateStatus(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+                return;
+            }
+            if (this.apiKeyState.encrypted && apiKey && apiKey !== this.settings.apiKey && !passphrase) {
+                this.updateStatus('Enter a passphrase to encrypt the new key', 'error');
                 return;
             }
 
-            this.settings.apiKey = apiKey;
+            if (this.settings.useApiKey) {
+                const missing = fields.find(field => field.required && !values[field.id] && !(field.id === 'apiKey' && keepLockedKey));
+                if (missing) {
+                    this.updateStatus(missing.id === 'apiKey' ? 'Please enter an API key' : `Please enter the ${missing.label.toLowerCase()}`, 'error');
+                    return;
+                }
+            }
+
+            const permissionFields = fields.filter(field => field.hostPermission && values[field.id]);
+            for (const field of permissionFields) {
+                try {
+                    values[field.id] = normalizeLocalBaseUrl(values[field.id]);
+                } catch (error) {
+                    this.updateStatus(error.message, 'error');
+                    return;
+                }
+            }
+            if (permissionFields.length > 0) {
+                // Servers the user enters are not in the manifest's host permissions, so ask for them
+                const origins = permissionFields.map(field => getLocalHostPermission(values[field.id]));
+                const granted = await chrome.permissions.request({ origins });
+                if (!granted) {
+                    this.updateStatus(`Permission to access ${new URL(values[permissionFields[0].id]).host} is needed to use ${provider.label}`, 'error');
+                    return;
+                }
+            }
+
+            const { apiKey: savedKey, ...providerValues } = values;
+            if (!keepLockedKey && (passphrase || !this.apiKeyState.encrypted || savedKey !== this.settings.apiKey)) {
+                await this.apiKeyVault.save(savedKey, passphrase);
+                this.settings.apiKey = savedKey;
+                this.apiKeyState = await this.apiKeyVault.getState();
+            }
+            if (this.elements.apiKeyPassphraseInput) {
+                this.elements.apiKeyPassphraseInput.value = '';
+            }
+            this.updateApiKeyLockUI();
             this.settings.apiProvider = apiProvider;
+            this.settings.providerSettings = {
+                ...this.settings.providerSettings,
+                [apiProvider]: { ...this.settings.providerSettings?.[apiProvider], ...providerValues }
+            };
+            this.renderProviderFields();
 
             await this.save();
 
-            this.updateStatus('✓ API key settings saved', 'success');
+            this.updateStatus(passphrase && savedKey ? '✓ API key encrypted and saved' : '✓ API key settings saved', 'success');
         } catch (error) {
             console.error('Error saving API key:', error);
             this.updateStatus('Failed to save API key settings', 'error');
+            return;
+        }
+
+        await this.checkApiKey();
+    }
+
+    /**
+     * Check the saved key with a cheap request to the selected provider and show the result
+     * Reference: background/key-health.js
+     */
+    async checkApiKey() {
+        if (this.elements.apiKeyHealth) {
+            this.elements.apiKeyHealth.removeAttribute('data-status');
+            this.elements.apiKeyHealth.textContent = 'Checking the key...';
+            this.elements.apiKeyHealth.style.display = 'block';
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'checkApiKey' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response');
+            }
+            this.setApiKeyHealth(response.health);
+        } catch (error) {
+            console.error('Error checking API key:', error);
+            this.setApiKeyHealth({
+                provider: this.settings.apiProvider,
+                status: 'network',
+                message: error.message,
+                checkedAt: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Load the result of the last key check, made on save or by the hourly check
+     */
+    async loadApiKeyHealth() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getApiKeyHealth' });
+            this.apiKeyHealth = response?.success ? response.health : null;
+        } catch (error) {
+            console.warn('Failed to load API key check result:', error);
+            this.apiKeyHealth = null;
+        }
+    }
+
+    /**
+     * Store a key check result and show it
+     * @param {Object|null} health - Check result ({provider, providerLabel, status, message, checkedAt}),
+     *   or null if there is no key to check
+     */
+    setApiKeyHealth(health) {
+        this.apiKeyHealth = health;
+        this.renderApiKeyHealth();
+    }
+
+    /**
+     * Show the last key check in the API settings section
+     * Results for a provider other than the selected one are hidden
+     */
+    renderApiKeyHealth() {
+        const element = this.elements.apiKeyHealth;
+        if (!element) return;
+
+        const health = this.apiKeyHealth;
+        if (!health || health.provider !== this.settings.apiProvider) {
+            element.style.display = 'none';
+            element.textContent = '';
+            return;
+        }
+
+        const label = health.providerLabel || this.getSelectedProvider()?.label || 'The provider';
+        const checkedAt = new Date(health.checkedAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+        const descriptions = {
+            valid: `✓ ${label} accepted the key.`,
+            invalid: `✗ ${health.message || `${label} rejected the key.`}`,
+            no_quota: `⚠️ ${health.message || `The key works but ${label} reports no quota left.`}`,
+            network: `⚠️ The key could not be checked: ${health.message || `${label} could not be reached.`}`
+        };
+
+        element.dataset.status = health.status;
+        element.textContent = `${descriptions[health.status] || descriptions.network} Last checked ${checkedAt}.`;
+        element.style.display = 'block';
+    }
+
+    /**
+     * Render the on-device model's settings (temperature and topK for reply drafts)
+     * The section stays hidden until the service worker describes the built-in provider
+     */
+    renderOnDeviceFields() {
+        const provider = this.onDeviceProvider;
+        const container = this.elements.onDeviceFields;
+        if (!container) return;
+
+        const hasFields = provider?.fields?.length > 0;
+        if (this.elements.onDeviceSettingsSection) {
+            this.elements.onDeviceSettingsSection.style.display = hasFields ? 'block' : 'none';
         }
+        if (!hasFields) return;
+
+        this.renderFields(container, provider.fields, this.settings.providerSettings?.[provider.id] || {}, 'on-device-field');
+    }
+
+    /**
+     * Save the on-device model settings
+     */
+    async saveOnDeviceSettings() {
+        const provider = this.onDeviceProvider;
+        if (!provider) return;
+
+        try {
+            const values = this.collectFieldValues(this.elements.onDeviceFields, provider.fields);
+            this.settings.providerSettings = {
+                ...this.settings.providerSettings,
+                [provider.id]: { ...this.settings.providerSettings?.[provider.id], ...values }
+            };
+            this.renderOnDeviceFields();
+
+            await this.save();
+
+            this.updateStatus('✓ On-device model settings saved', 'success');
+        } catch (error) {
+            console.error('Error saving on-device model settings:', error);
+            this.updateStatus('Failed to save on-device model settings', 'error');
+        }
+    }
+
+    /**
+     * Get the request timeout configured for the provider that handles requests
+     * @returns {number|null} Timeout in seconds, or null when Chrome's built-in AI is used
+     */
+    getRequestTimeoutSeconds() {
+        if (!this.settings.useApiKey) return null;
+
+        const provider = this.providers.find(candidate => candidate.id === this.settings.apiProvider);
+        const field = provider?.fields.find(candidate => candidate.id === 'timeoutSeconds');
+        if (!field) return null;
+
+        return normalizeProviderFieldValue(field, this.settings.providerSettings?.[provider.id]?.timeoutSeconds);
     }
 
     /**
@@ -240,11 +722,102 @@ export class SettingsManager {
         }
     }
     
+    /**
+     * Render a toggle for each PII redaction category
+     */
+    updateRedactionUI() {
+        const container = this.elements.redactionCategories;
+        if (!container) return;
+
+        container.innerHTML = '';
+        PII_CATEGORIES.forEach(category => {
+            const option = document.createElement('div');
+            option.className = 'radio-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `redact-${category.id}`;
+            checkbox.checked = this.settings.redaction?.[category.id] !== false;
+            checkbox.addEventListener('change', () => this.saveRedactionCategory(category, checkbox.checked));
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = `${category.label} → [${category.placeholder}_1]`;
+
+            option.appendChild(checkbox);
+            option.appendChild(label);
+            container.appendChild(option);
+        });
+    }
+
+    /**
+     * Turn redaction of a PII category on or off
+     * @param {Object} category - Category from PII_CATEGORIES
+     * @param {boolean} enabled - Whether the category is redacted
+     */
+    async saveRedactionCategory(category, enabled) {
+        try {
+            this.settings.redaction = { ...normalizeRedactionSettings(this.settings.redaction), [category.id]: enabled };
+            await this.save();
+            this.updateStatus(enabled ? `✓ ${category.label} will be redacted` : `${category.label} will be sent to cloud providers unredacted`, enabled ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error saving redaction settings:', error);
+            this.updateStatus('Failed to save redaction settings', 'error');
+        }
+    }
+    
+    /**
+     * Update thread history UI
+     */
+    updateHistoryUI() {
+        if (this.elements.historyLimitInput) {
+            this.elements.historyLimitInput.value = this.settings.historyLimit;
+        }
+    }
+    
+    /**
+     * Save the thread history size cap
+     */
+    async saveHistoryLimit() {
+        try {
+            const historyLimit = normalizeHistoryLimit(this.elements.historyLimitInput?.value);
+            
+            this.settings.historyLimit = historyLimit;
+            this.updateHistoryUI();
+            
+            await this.save();
+            
+            if (this.onHistoryLimitChange) {
+                await this.onHistoryLimitChange(historyLimit);
+            }
+            
+            this.updateStatus(`✓ Keeping analyses for up to ${historyLimit} threads`, 'success');
+        } catch (error) {
+            console.error('Error saving history limit:', error);
+            this.updateStatus('Failed to save history limit', 'error');
+        }
+    }
+    
+    /**
+     * Delete every saved thread analysis
+     */
+    async clearHistory() {
+        try {
+            if (this.onClearHistory) {
+                await this.onClearHistory();
+            }
+            this.updateStatus('✓ Thread history cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing history:', error);
+            this.updateStatus('Failed to clear thread history', 'error');
+        }
+    }
+    
     /**
      * Get current settings
      */
     getSettings() {
-        return { ...this.settings };
+        return { ...this.settings, apiKeyLocked: this.apiKeyState.locked };
     }
 
     /**
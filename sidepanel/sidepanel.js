@@ -12,6 +12,18 @@ import { SettingsManager } from './settings-manager.js';
 import { DraftRenderer } from './draft-renderer.js';
 import { AttachmentHandler } from './attachment-handler.js';
 import { DisplayManager } from './display-manager.js';
+import { ComposeUI } from './compose-ui.js';
+import { HistoryUI } from './history-ui.js';
+import { ActionItemsUI } from './action-items-ui.js';
+import { MeetingsUI } from './meetings-ui.js';
+import { TriageUI } from './triage-ui.js';
+import { InboxTriageUI } from './inbox-triage-ui.js';
+import { BatchQueueUI } from './batch-queue-ui.js';
+import { UsageUI } from './usage-ui.js';
+import { CloudPreviewUI } from './cloud-preview-ui.js';
+import { CloudConsentUI } from './cloud-consent-ui.js';
+import { STREAM_PORT_NAME, StreamMessageTypes } from '../utils/stream-utils.js';
+import { ThreadHistoryStore, urlsMatch } from '../utils/thread-history.js';
 
 class InboxTriageSidePanel {
     constructor() {
@@ -21,12 +33,18 @@ class InboxTriageSidePanel {
         this.currentContext = {
             isOnEmailThread: false,
             provider: null, // 'gmail' or 'outlook'
-            url: ''
+            url: '',
+            tabId: null
         };
         this.isVisible = document.visibilityState === 'visible';
         this.isExtracting = false; // Track if extraction is in progress
         this.isGenerating = false; // Track if draft generation is in progress
         this.isTranslatingDrafts = false; // Track if draft translation is in progress
+        this.activeOperations = new Set(); // Operation IDs of in-flight summary/draft requests
+        this.regenerateAfterCancel = false; // Restart drafts once a cancelled generation settles
+        
+        // Per-thread analysis history (IndexedDB); size cap is applied once settings load
+        this.threadHistory = new ThreadHistoryStore();
         
         this.initializeElements();
         
@@ -49,10 +67,18 @@ class InboxTriageSidePanel {
             this.elements,
             (msg, type) => this.updateStatus(msg, type)
         );
+        this.settingsManager.setHistoryCallbacks(
+            (limit) => this.threadHistory.setMaxEntries(limit),
+            async () => {
+                await this.threadHistory.clear();
+                this.historyUI.refresh();
+            }
+        );
         
         this.draftRenderer = new DraftRenderer(
             this.elements,
-            (msg, type) => this.updateStatus(msg, type)
+            (msg, type) => this.updateStatus(msg, type),
+            () => this.saveState()
         );
         
         this.attachmentHandler = new AttachmentHandler({
@@ -61,6 +87,65 @@ class InboxTriageSidePanel {
             getCurrentThread: () => this.currentThread
         });
         
+        this.composeUI = new ComposeUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            () => ({ thread: this.currentThread, summary: this.currentSummary })
+        );
+        
+        this.actionItemsUI = new ActionItemsUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            () => this.saveState()
+        );
+        
+        this.meetingsUI = new MeetingsUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            () => this.currentThread,
+            () => this.saveState()
+        );
+        
+        this.triageUI = new TriageUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            () => this.currentContext.tabId,
+            () => this.saveState()
+        );
+        
+        this.batchQueueUI = new BatchQueueUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            (job) => this.onBatchJobDone(job)
+        );
+        
+        this.cloudPreviewUI = new CloudPreviewUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            () => this.currentThread,
+            () => this.settingsManager.getSettings()
+        );
+        
+        this.usageUI = new UsageUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type)
+        );
+        
+        this.cloudConsentUI = new CloudConsentUI(this.elements);
+        
+        this.inboxTriageUI = new InboxTriageUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            (threads) => this.queueThreads(threads, 'inbox')
+        );
+        
+        this.historyUI = new HistoryUI(
+            this.elements,
+            (msg, type) => this.updateStatus(msg, type),
+            this.threadHistory,
+            (threads) => this.queueThreads(threads, 'history')
+        );
+        
         // DisplayManager must be created after settingsManager since it depends on it
         this.displayManager = new DisplayManager({
             elements: this.elements,
@@ -163,6 +248,7 @@ class InboxTriageSidePanel {
             const url = tabs[0].url || '';
             const previousUrl = this.currentContext.url;
             this.currentContext.url = url;
+            this.currentContext.tabId = tabs[0].id;
             
             // Check if URL changed (page navigation or refresh)
             const urlChanged = previousUrl && previousUrl !== url;
@@ -181,6 +267,11 @@ class InboxTriageSidePanel {
             
             this.updateContextUI(urlChanged);
             
+            // Opening a thread we've analyzed before restores its saved analysis
+            if (urlChanged && this.currentContext.isOnEmailThread) {
+                await this.restoreState();
+            }
+            
         } catch (error) {
             console.error('Error checking current context:', error);
             this.currentContext.isOnEmailThread = false;
@@ -212,16 +303,13 @@ class InboxTriageSidePanel {
     }
     
     /**
-     * Reset extraction state and UI to initial state
-     * Called when URL changes or panel is reopened
-     */
-    /**
-     * Save current state to chrome.storage.local for persistence
+     * Save current analysis to the per-thread history store
+     * Reference: utils/thread-history.js - ThreadHistoryStore
      */
     async saveState() {
         try {
-            if (!chrome?.storage?.local) {
-                console.warn('Chrome storage API not available');
+            if (!this.threadHistory.isSupported()) {
+                console.warn('IndexedDB not available - analysis history disabled');
                 return;
             }
 
@@ -230,28 +318,62 @@ class InboxTriageSidePanel {
                 return;
             }
 
-            const stateToSave = {
-                threadUrl: this.currentContext.url || '',
+            const threadUrl = this.currentContext.url || '';
+            if (!threadUrl) {
+                return;
+            }
+
+            await this.threadHistory.save(threadUrl, {
                 thread: this.currentThread,
                 summary: this.currentSummary,
                 drafts: this.currentDrafts,
-                timestamp: Date.now()
-            };
-
-            await chrome.storage.local.set({ inboxTriageState: stateToSave });
-            console.log('State saved to storage');
+                actionItems: this.actionItemsUI.getItems(),
+                meetingProposals: this.meetingsUI.getProposals(),
+                triage: this.triageUI.getTriage()
+            });
+            console.log('State saved to thread history');
+            
+            // Saving re-indexes the thread, so refresh any visible search results
+            this.historyUI.refresh();
         } catch (error) {
             console.error('Error saving state:', error);
         }
     }
 
     /**
-     * Restore persisted state from chrome.storage.local if URL matches
+     * Queue threads for background summaries and drafts and bring the queue into view
+     * @param {Array<{threadUrl: string, subject: string}>} threads - Selected threads
+     * @param {string} source - Where the threads were selected ('inbox' or 'history')
+     * @returns {Promise<number>} Number of threads added
+     */
+    async queueThreads(threads, source) {
+        const added = await this.batchQueueUI.enqueue(threads, source);
+        if (added > 0) {
+            this.showSection(this.elements.batchQueueSection);
+        }
+        return added;
+    }
+
+    /**
+     * Pick up results saved by a finished batch job
+     * @param {Object} job - Finished batch job
+     */
+    onBatchJobDone(job) {
+        this.historyUI.refresh();
+
+        // Show the new analysis right away if the panel is open on that thread
+        if (urlsMatch(job.threadUrl, this.currentContext.url)) {
+            this.restoreState();
+        }
+    }
+
+    /**
+     * Restore the saved analysis for the current thread, if there is one
      */
     async restoreState() {
         try {
-            if (!chrome?.storage?.local) {
-                console.warn('Chrome storage API not available');
+            if (!this.threadHistory.isSupported()) {
+                console.warn('IndexedDB not available - analysis history disabled');
                 return false;
             }
 
@@ -263,29 +385,29 @@ class InboxTriageSidePanel {
                 return false;
             }
 
-            // Get saved state
-            const result = await chrome.storage.local.get('inboxTriageState');
-            const savedState = result.inboxTriageState;
-
-            if (!savedState) {
-                console.log('No saved state found');
+            // Don't overwrite an analysis that is already on screen or in progress
+            if (this.currentThread || this.isExtracting || this.isGenerating) {
                 return false;
             }
 
-            // Check if saved state is for the current URL
-            // For Gmail and Outlook, URLs can change slightly (hash, query params) but still be the same thread
-            // We'll match by checking if the thread ID or conversation ID is in the URL
-            const savedUrl = savedState.threadUrl || '';
-            const urlMatches = this.urlsMatch(savedUrl, currentUrl);
+            // Thread IDs are normalized by the store, so URL variations (hash, query params)
+            // of the same Gmail/Outlook thread resolve to the same record
+            const savedState = await this.threadHistory.get(currentUrl) ||
+                               await this.migrateLegacyState(currentUrl);
 
-            if (!urlMatches) {
-                console.log('Saved state URL does not match current URL - not restoring');
+            if (!savedState) {
+                console.log('No saved analysis for this thread');
                 return false;
             }
 
             // Restore state
             if (savedState.thread) {
                 this.currentThread = savedState.thread;
+                this.composeUI.updateThreadOption();
+            }
+
+            if (savedState.triage) {
+                this.triageUI.setTriage(savedState.triage);
             }
 
             if (savedState.summary) {
@@ -296,6 +418,14 @@ class InboxTriageSidePanel {
                 this.displaySummary(savedState.summary, keyPoints);
             }
 
+            if (savedState.actionItems && savedState.actionItems.length > 0) {
+                this.actionItemsUI.setItems(savedState.actionItems);
+            }
+
+            if (savedState.meetingProposals && savedState.meetingProposals.length > 0) {
+                this.meetingsUI.setProposals(savedState.meetingProposals);
+            }
+
             if (savedState.drafts && savedState.drafts.length > 0) {
                 this.currentDrafts = savedState.drafts;
                 
@@ -317,7 +447,7 @@ class InboxTriageSidePanel {
                 this.elements.extractBtn.disabled = true; // Disable since thread is already extracted
             }
 
-            console.log('State restored from storage');
+            console.log('State restored from thread history');
             this.updateStatus('Restored previous analysis', 'success');
             
             return true;
@@ -328,67 +458,43 @@ class InboxTriageSidePanel {
     }
 
     /**
-     * Check if two URLs match (same thread/conversation)
-     * Handles Gmail and Outlook URL variations
+     * Move the single-slot inboxTriageState record used by earlier versions into thread history
+     * @param {string} currentUrl - URL of the thread being restored
+     * @returns {Promise<Object|null>} Migrated record if it belongs to the current thread
      */
-    urlsMatch(url1, url2) {
-        if (!url1 || !url2) return false;
-        if (url1 === url2) return true;
-
-        // Extract thread/conversation IDs from URLs
-        const extractThreadId = (url) => {
-            // Gmail: https://mail.google.com/mail/u/0/#inbox/th123 or ?th=thread-id
-            // Pattern: #inbox/th{id} or ?th={id}
-            const gmailHashMatch = url.match(/#inbox\/th([^&/?#]+)/);
-            if (gmailHashMatch) return gmailHashMatch[1];
-            
-            const gmailQueryMatch = url.match(/[?&]th=([^&]+)/);
-            if (gmailQueryMatch) return gmailQueryMatch[1];
-
-            // Outlook: https://outlook.live.com/mail/0/inbox/conversation-id or /mail/id/...
-            const outlookMatch = url.match(/\/(?:conversation|id)\/([^/?#]+)/);
-            if (outlookMatch) return outlookMatch[1];
-
+    async migrateLegacyState(currentUrl) {
+        if (!chrome?.storage?.local) {
             return null;
-        };
-
-        const id1 = extractThreadId(url1);
-        const id2 = extractThreadId(url2);
+        }
 
-        if (id1 && id2) {
-            return id1 === id2;
+        const result = await chrome.storage.local.get('inboxTriageState');
+        const legacyState = result.inboxTriageState;
+        if (!legacyState) {
+            return null;
         }
 
-        // Fallback: compare normalized URLs (remove hash, some query params)
-        try {
-            const u1 = new URL(url1);
-            const u2 = new URL(url2);
-            
-            // Remove common query params that don't affect thread identity
-            const paramsToIgnore = ['tab', 'view', 'refreshed'];
-            paramsToIgnore.forEach(param => {
-                u1.searchParams.delete(param);
-                u2.searchParams.delete(param);
-            });
+        const record = await this.threadHistory.save(legacyState.threadUrl, legacyState);
+        await chrome.storage.local.remove('inboxTriageState');
+        console.log('Migrated saved analysis to thread history');
 
-            return u1.origin + u1.pathname + u1.search === u2.origin + u2.pathname + u2.search;
-        } catch {
-            return false;
-        }
+        return record && urlsMatch(legacyState.threadUrl, currentUrl) ? record : null;
     }
 
+    /**
+     * Reset extraction state and UI to initial state
+     * Called when URL changes or panel is reopened
+     */
     resetExtractionState() {
         // Reset state variables
         this.currentThread = null;
         this.currentDrafts = [];
         this.currentSummary = null;
+        this.composeUI.updateThreadOption();
+        this.actionItemsUI.clear();
+        this.meetingsUI.clear();
+        this.triageUI.clear();
         
-        // Clear saved state
-        if (chrome?.storage?.local) {
-            chrome.storage.local.remove('inboxTriageState').catch(err => {
-                console.error('Error clearing saved state:', err);
-            });
-        }
+        // The previous thread's analysis stays in thread history so it can be restored later
         
         // Show extract button again (but keep disabled if extraction or generation is in progress)
         this.showSection(this.elements.extractSection, false);
@@ -583,10 +689,18 @@ class InboxTriageSidePanel {
     initializeElements() {
         this.elements = {
             status: document.getElementById('status-text'),
+            cancelOperationBtn: document.getElementById('cancel-operation-btn'),
+            triageBadge: document.getElementById('triage-badge'),
+            triageCategory: document.getElementById('triage-category'),
+            triageUrgency: document.getElementById('triage-urgency'),
+            triageRationale: document.getElementById('triage-rationale'),
             extractBtn: document.getElementById('extract-btn'),
             extractSection: document.getElementById('extract-section'),
             summary: document.getElementById('summary'),
             keyPoints: document.getElementById('key-points'),
+            actionItems: document.getElementById('action-items'),
+            actionItemsExportBtn: document.getElementById('action-items-export-btn'),
+            meetings: document.getElementById('meetings'),
             attachments: document.getElementById('attachments'),
             toneSelector: document.getElementById('tone-selector'),
             guidanceText: document.getElementById('guidance-text'),
@@ -597,6 +711,8 @@ class InboxTriageSidePanel {
             // Section containers
             summarySection: document.getElementById('summary-section'),
             keyPointsSection: document.getElementById('key-points-section'),
+            actionItemsSection: document.getElementById('action-items-section'),
+            meetingsSection: document.getElementById('meetings-section'),
             attachmentsSection: document.getElementById('attachments-section'),
             replyDraftsControlsSection: document.getElementById('reply-drafts-controls-section'),
             replyDraftsSection: document.getElementById('reply-drafts-section'),
@@ -608,24 +724,86 @@ class InboxTriageSidePanel {
             // Settings elements
             deviceOnlyRadio: document.getElementById('mode-device-only'),
             hybridRadio: document.getElementById('mode-hybrid'),
+            processingModeRadios: document.querySelectorAll('input[name="processing-mode"]'),
             privacyNotice: document.getElementById('privacy-notice'),
             // API key settings
             useApiKeyCheckbox: document.getElementById('use-api-key'),
             apiKeyInput: document.getElementById('api-key-input'),
             apiProviderSelect: document.getElementById('api-provider'),
+            apiKeyLabel: document.getElementById('api-key-label'),
+            providerDescription: document.getElementById('provider-description'),
+            providerFields: document.getElementById('provider-fields'),
+            providerModelOptions: document.getElementById('provider-model-options'),
+            providerEgressWarning: document.getElementById('provider-egress-warning'),
             apiKeySection: document.getElementById('api-key-section'),
             saveApiKeyBtn: document.getElementById('save-api-key-btn'),
+            apiKeyPassphraseInput: document.getElementById('api-key-passphrase'),
+            apiKeyLockStatus: document.getElementById('api-key-lock-status'),
+            unlockApiKeyBtn: document.getElementById('unlock-api-key-btn'),
+            lockApiKeyBtn: document.getElementById('lock-api-key-btn'),
+            apiKeyHealth: document.getElementById('api-key-health'),
             apiProviderNotice: document.getElementById('api-provider-notice'),
+            // On-device model settings
+            onDeviceSettingsSection: document.getElementById('on-device-settings-section'),
+            onDeviceFields: document.getElementById('on-device-fields'),
+            saveOnDeviceBtn: document.getElementById('save-on-device-btn'),
             // Signature settings
             signatureInput: document.getElementById('signature-input'),
             saveSignatureBtn: document.getElementById('save-signature-btn'),
+            // PII redaction settings
+            redactionCategories: document.getElementById('redaction-categories'),
+            cloudPreviewBtn: document.getElementById('cloud-preview-btn'),
+            cloudPreview: document.getElementById('cloud-preview'),
+            // API usage settings
+            usageSummary: document.getElementById('usage-summary'),
+            monthlyBudgetInput: document.getElementById('monthly-budget-input'),
+            saveBudgetBtn: document.getElementById('save-budget-btn'),
+            usagePriceRows: document.getElementById('usage-price-rows'),
+            addPriceBtn: document.getElementById('add-price-btn'),
+            savePricesBtn: document.getElementById('save-prices-btn'),
+            // Thread history settings
+            historyLimitInput: document.getElementById('history-limit-input'),
+            saveHistoryLimitBtn: document.getElementById('save-history-limit-btn'),
+            clearHistoryBtn: document.getElementById('clear-history-btn'),
             // Translation settings
             targetLanguageSelect: document.getElementById('target-language'),
             // Attachment modal
             attachmentModalOverlay: document.getElementById('attachment-modal-overlay'),
             attachmentModalClose: document.getElementById('attachment-modal-close'),
             attachmentModalTitle: document.getElementById('attachment-modal-title'),
-            attachmentModalBody: document.getElementById('attachment-modal-body')
+            attachmentModalBody: document.getElementById('attachment-modal-body'),
+            // Cloud fallback consent dialog
+            cloudConsentOverlay: document.getElementById('cloud-consent-overlay'),
+            cloudConsentClose: document.getElementById('cloud-consent-close'),
+            cloudConsentReason: document.getElementById('cloud-consent-reason'),
+            cloudConsentPayload: document.getElementById('cloud-consent-payload'),
+            cloudConsentSendBtn: document.getElementById('cloud-consent-send-btn'),
+            cloudConsentLocalBtn: document.getElementById('cloud-consent-local-btn'),
+            // Inbox triage section
+            inboxTriageBtn: document.getElementById('inbox-triage-btn'),
+            inboxTriageResults: document.getElementById('inbox-triage-results'),
+            inboxTriageQueueBtn: document.getElementById('inbox-triage-queue-btn'),
+            // Batch queue section
+            batchQueueSection: document.getElementById('batch-queue-section'),
+            batchToneSelect: document.getElementById('batch-tone'),
+            batchQueueList: document.getElementById('batch-queue-list'),
+            batchClearBtn: document.getElementById('batch-clear-btn'),
+            // Compose section
+            composeMode: document.getElementById('compose-mode'),
+            composeRecipient: document.getElementById('compose-recipient'),
+            composePurpose: document.getElementById('compose-purpose'),
+            composeTone: document.getElementById('compose-tone'),
+            composeLength: document.getElementById('compose-length'),
+            composeIncludeThread: document.getElementById('compose-include-thread'),
+            composeGenerateBtn: document.getElementById('compose-generate-btn'),
+            composeResult: document.getElementById('compose-result'),
+            composeSubject: document.getElementById('compose-subject'),
+            composeBody: document.getElementById('compose-body'),
+            composeOpenBtn: document.getElementById('compose-open-btn'),
+            // History section
+            historySearchInput: document.getElementById('history-search'),
+            historyResults: document.getElementById('history-results'),
+            historyQueueBtn: document.getElementById('history-queue-btn')
         };
         
         // Initialize voice recognition
@@ -708,11 +886,20 @@ class InboxTriageSidePanel {
         this.elements.extractBtn.addEventListener('click', () => this.extractCurrentThread());
         this.elements.generateDraftsBtn.addEventListener('click', () => this.generateReplyDrafts());
         this.elements.toneSelector.addEventListener('change', () => this.onToneChange());
+        this.elements.cancelOperationBtn?.addEventListener('click', () => this.cancelActiveOperations());
         
         // Initialize modules
         this.translationUI.initialize();
         this.voiceInput.initialize();
         this.settingsManager.initialize();
+        this.composeUI.initialize();
+        this.actionItemsUI.initialize();
+        this.inboxTriageUI.initialize();
+        this.batchQueueUI.initialize();
+        this.usageUI.initialize();
+        this.cloudPreviewUI.initialize();
+        this.cloudConsentUI.initialize();
+        this.historyUI.initialize();
         
         // Attachment modal event listeners
         if (this.elements.attachmentModalClose) {
@@ -1080,6 +1267,7 @@ class InboxTriageSidePanel {
                 if (!this.currentThread || !this.currentThread.messages) {
                     throw new Error('Invalid thread data received from content script');
                 }
+                this.composeUI.updateThreadOption();
                 
                 const messageCount = this.currentThread.messages.length;
                 const attachmentCount = this.currentThread.attachments?.length || 0;
@@ -1087,6 +1275,9 @@ class InboxTriageSidePanel {
                 this.updateStatus(`Extracted ${messageCount} message${messageCount !== 1 ? 's' : ''}, ${attachmentCount} attachment${attachmentCount !== 1 ? 's' : ''}`, 'loading');
                 console.log('Thread extracted:', messageCount, 'messages');
                 
+                // Classify alongside summarization; the badge appears when it is ready
+                this.triageUI.classify(this.currentThread);
+                
                 // Try to generate summary - catch errors to avoid leaving button disabled
                 try {
                     await this.generateSummary();
@@ -1158,7 +1349,7 @@ class InboxTriageSidePanel {
             this.updateStatus('Preparing content for AI analysis...', 'loading');
             
             // Check if we're in an extension context
-            if (!chrome?.runtime?.sendMessage) {
+            if (!chrome?.runtime?.connect) {
                 throw new Error('Chrome extension API not available. Please load this as a Chrome extension.');
             }
             
@@ -1166,16 +1357,38 @@ class InboxTriageSidePanel {
             
             this.updateStatus('Generating summary...', 'loading');
             
-            // Request summary generation from background script
-            const response = await chrome.runtime.sendMessage({
+            // Request summary generation from background script, rendering tokens as they stream in
+            let streamedSummary = '';
+            const response = await this.requestWithCloudConsent((cloudConsent) => this.requestStream({
                 action: 'generateSummary',
                 thread: this.currentThread,
-                userSettings
-            });
+                userSettings,
+                cloudConsent
+            }, (partial) => {
+                if (partial.field === 'summary') {
+                    streamedSummary = partial.text;
+                    this.displaySummary(streamedSummary, null, true);
+                } else if (partial.field === 'keyPoints') {
+                    this.displaySummary(streamedSummary, partial.keyPoints, true);
+                }
+            }));
             
-            if (response && response.success) {
+            if (response?.cancelled) {
+                // Put back the summary that was showing before the cancelled run
+                this.elements.summary.removeAttribute('aria-busy');
+                if (this.currentSummary) {
+                    this.elements.summary.textContent = this.currentSummary;
+                } else {
+                    this.elements.summary.textContent = '';
+                    this.hideSection(this.elements.summarySection);
+                    this.hideSection(this.elements.keyPointsSection);
+                }
+                this.updateStatus('Summary cancelled', 'info');
+            } else if (response && response.success) {
                 this.updateStatus('Rendering summary...', 'loading');
                 this.currentSummary = response.summary; // Store summary
+                // Key points are saved with the thread, which is where search and restore read them
+                this.currentThread.keyPoints = response.keyPoints || [];
                 this.displaySummary(response.summary, response.keyPoints);
                 this.addProcessingIndicator('summarization', response.usedFallback || false);
                 
@@ -1184,20 +1397,166 @@ class InboxTriageSidePanel {
                 
                 // Show final status
                 this.updateStatus('✓ Summary generated', 'success');
+                
+                // Pull out action items and meeting times in the background; they save state once rendered
+                this.actionItemsUI.extract(this.currentThread);
+                this.meetingsUI.detect(this.currentThread);
             } else {
                 // Error message is already sanitized by the service worker
                 throw new Error(response?.error || 'Failed to generate summary');
             }
         } catch (error) {
             console.error('Error generating summary:', error);
+            this.elements.summary.removeAttribute('aria-busy');
             // Display the sanitized error message from the service worker
             this.updateStatus(`Summary error: ${error.message}`, 'error');
         }
     }
     
-    displaySummary(summary, keyPoints) {
+    /**
+     * Send a generation request over a streaming port
+     * 
+     * Reference: utils/stream-utils.js - streaming message protocol
+     * 
+     * @param {Object} message - Request message (same shape as the one-shot runtime message)
+     * @param {Function} onPartial - Called with each partial update ({field, ...})
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeoutSeconds] - Give up after this many seconds; disconnecting the
+     *   port makes the service worker cancel the operation, so no more partial updates arrive
+     * @param {string} [options.timeoutMessage] - Error message when the request times out
+     * @returns {Promise<Object>} Final response from the service worker
+     */
+    requestStream(message, onPartial, { timeoutSeconds, timeoutMessage } = {}) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+            const operationId = crypto.randomUUID();
+            let settled = false;
+            let timer = null;
+            
+            this.activeOperations.add(operationId);
+            this.updateCancelButton();
+            const finish = () => {
+                settled = true;
+                clearTimeout(timer);
+                this.activeOperations.delete(operationId);
+                this.updateCancelButton();
+            };
+            
+            if (timeoutSeconds) {
+                timer = setTimeout(() => {
+                    if (!settled) {
+                        finish();
+                        port.disconnect();
+                        reject(new Error(timeoutMessage || `Request timed out after ${timeoutSeconds} seconds. Please try again.`));
+                    }
+                }, timeoutSeconds * 1000);
+            }
+            
+            port.onMessage.addListener((payload) => {
+                if (payload.type === StreamMessageTypes.PARTIAL) {
+                    try {
+                        onPartial(payload);
+                    } catch (error) {
+                        // Rendering problems must not abort generation
+                        console.warn('Failed to render partial output:', error);
+                    }
+                } else if (payload.type === StreamMessageTypes.RESULT) {
+                    finish();
+                    port.disconnect();
+                    resolve(payload.response);
+                }
+            });
+            
+            port.onDisconnect.addListener(() => {
+                if (!settled) {
+                    finish();
+                    reject(new Error('Lost connection to the extension background. Please try again.'));
+                }
+            });
+            
+            port.postMessage({ ...message, operationId });
+        });
+    }
+    
+    /**
+     * Send a summary or draft request, asking for consent if hybrid mode wants to use the cloud
+     * 
+     * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+     * 
+     * The service worker answers `errorType: 'consent'` without sending anything when the request
+     * would fall back to a cloud provider. The request is then sent again with the user's answer:
+     * `cloudConsent: true` to use the provider, false to stay on-device. Closing the dialog cancels it.
+     * 
+     * @param {Function} send - Sends the request with the given cloudConsent and resolves to the response
+     * @returns {Promise<Object>} Final response from the service worker
+     */
+    async requestWithCloudConsent(send) {
+        const response = await send(undefined);
+        if (response?.errorType !== 'consent' || !response.fallback) {
+            return response;
+        }
+        
+        this.updateStatus(`Waiting for permission to use ${response.fallback.provider}...`, 'info');
+        const cloudConsent = await this.cloudConsentUI.ask(response.fallback);
+        if (cloudConsent === null) {
+            return { success: false, cancelled: true, error: 'Operation cancelled' };
+        }
+        
+        this.updateStatus(cloudConsent ? `Sending to ${response.fallback.provider}...` : 'Processing on-device...', 'loading');
+        return send(cloudConsent);
+    }
+    
+    /**
+     * Cancel every in-flight summary and draft request
+     * The service worker aborts the model or API call and responds with `cancelled: true`
+     */
+    async cancelActiveOperations() {
+        const operationIds = [...this.activeOperations];
+        if (operationIds.length === 0) return;
+        
+        this.updateStatus('Cancelling...', 'loading');
+        await Promise.all(operationIds.map(async (operationId) => {
+            try {
+                await chrome.runtime.sendMessage({ action: 'cancelOperation', operationId });
+            } catch (error) {
+                console.warn('Failed to cancel operation:', error);
+            }
+        }));
+    }
+    
+    /**
+     * Show the cancel button while a summary or draft request is in flight
+     */
+    updateCancelButton() {
+        const button = this.elements.cancelOperationBtn;
+        if (button) {
+            button.classList.toggle('hidden', this.activeOperations.size === 0);
+        }
+    }
+    
+    /**
+     * Display the summary and key points
+     * @param {string} summary - TL;DR summary text
+     * @param {Array<string>} keyPoints - Key points
+     * @param {boolean} isPartial - True while the summary is still streaming in
+     */
+    displaySummary(summary, keyPoints, isPartial = false) {
+        if (isPartial) {
+            // Progressive update: render what has arrived, defer translation and persistence
+            if (summary) {
+                this.elements.summary.textContent = summary;
+                this.elements.summary.setAttribute('aria-busy', 'true');
+                this.showSection(this.elements.summarySection);
+            }
+            if (keyPoints && keyPoints.length > 0) {
+                this.displayKeyPoints(keyPoints);
+            }
+            return;
+        }
+        
         // Display summary
         this.elements.summary.textContent = summary;
+        this.elements.summary.removeAttribute('aria-busy');
         this.showSection(this.elements.summarySection);
         
         // Store summary in instance variable
@@ -1318,7 +1677,7 @@ class InboxTriageSidePanel {
             };
             
             // Check if we're in an extension context
-            if (!chrome?.runtime?.sendMessage) {
+            if (!chrome?.runtime?.connect) {
                 throw new Error('Chrome extension API not available. Please load this as a Chrome extension.');
             }
             
@@ -1332,28 +1691,47 @@ class InboxTriageSidePanel {
             ensureButtonDisabled(); // Ensure button stays disabled
             
             // Add timeout to prevent hanging (draft generation can take 30-60 seconds)
-            const response = await Promise.race([
-                chrome.runtime.sendMessage({
-                    action: 'generateDrafts',
-                    thread: this.currentThread,
-                    tone: tone,
-                    guidance: guidance,
-                    userSettings
-                }),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Draft generation timed out after 90 seconds. Please try again.')), 90000)
-                )
-            ]);
+            // The provider's own timeout is allowed to expire first so its error is shown
+            // Drafts are rendered field by field as the JSON streams in
+            // The consent dialog is not part of the timeout: each request gets its own
+            const timeoutSeconds = Math.max(90, (this.settingsManager.getRequestTimeoutSeconds() || 0) + 30);
+            const response = await this.requestWithCloudConsent((cloudConsent) => this.requestStream({
+                action: 'generateDrafts',
+                thread: this.currentThread,
+                tone: tone,
+                guidance: guidance,
+                userSettings,
+                cloudConsent
+            }, (partial) => {
+                if (partial.field === 'drafts') {
+                    this.draftRenderer.render(partial.drafts, null, true);
+                }
+            }, {
+                timeoutSeconds,
+                timeoutMessage: `Draft generation timed out after ${timeoutSeconds} seconds. Please try again.`
+            }));
             
             console.log('Draft generation response received:', response?.success ? 'success' : 'error');
             ensureButtonDisabled(); // Ensure button stays disabled after async call
             
-            if (response && response.success) {
+            if (response?.cancelled) {
+                // Replace any partially streamed drafts with the previous drafts (if any)
+                if (this.elements.replyDrafts.classList.contains('streaming')) {
+                    this.draftRenderer.render(this.currentDrafts);
+                }
+                if (!this.regenerateAfterCancel) {
+                    this.updateStatus('Draft generation cancelled', 'info');
+                }
+            } else if (response && response.success) {
                 ensureButtonDisabled(); // Ensure button stays disabled
                 
                 const drafts = response.drafts || [];
                 this.currentDrafts = drafts;
                 
+                if (response.repairs) {
+                    console.info('Draft output needed JSON repairs:', response.repairs);
+                }
+                
                 // Calculate draft count before any operations that might fail
                 const draftCount = drafts.length;
                 
@@ -1390,6 +1768,11 @@ class InboxTriageSidePanel {
         } catch (error) {
             console.error('Error generating drafts:', error);
             
+            // Replace any partially streamed drafts with the previous drafts (if any)
+            if (this.elements.replyDrafts.classList.contains('streaming')) {
+                this.draftRenderer.render(this.currentDrafts);
+            }
+            
             // Display the sanitized error message from the service worker
             this.updateStatus(`Draft error: ${error.message}`, 'error');
             generationSucceeded = false;
@@ -1412,6 +1795,12 @@ class InboxTriageSidePanel {
                 // Generation succeeded - extract button should stay disabled since thread is already extracted
                 console.log('Generate drafts button remains disabled after successful generation');
             }
+            
+            // The tone changed mid-generation: start again with the new tone
+            if (this.regenerateAfterCancel) {
+                this.regenerateAfterCancel = false;
+                this.generateReplyDrafts();
+            }
         }
     }
     
@@ -1614,6 +2003,14 @@ class InboxTriageSidePanel {
     }
     
     onToneChange() {
+        if (this.isGenerating) {
+            // Drop the drafts being written in the old tone and regenerate once the cancel lands
+            this.regenerateAfterCancel = true;
+            this.updateStatus('Switching tone...', 'loading');
+            this.cancelActiveOperations();
+            return;
+        }
+        
         if (this.currentThread && this.currentDrafts.length > 0) {
             // Show immediate feedback that tone is being applied
             this.updateStatus('Regenerating drafts with new tone...', 'loading');
@@ -1639,6 +2036,18 @@ class InboxTriageSidePanel {
     updateModelStatus(type, capabilities) {
         console.log('Model status update:', type, capabilities);
         
+        // Batch job progress is shown in the queue view and doesn't affect the extract button
+        if (type === 'batchJob') {
+            this.batchQueueUI.handleStatus(capabilities);
+            return;
+        }
+        
+        // Periodic API key checks are shown in the API settings section
+        if (type === 'apiKeyHealth') {
+            this.settingsManager.setApiKeyHealth(capabilities);
+            return;
+        }
+        
         // Track model download state for button management
         const isDownloading = capabilities?.status === 'downloading' || 
                             capabilities?.available === 'after-download';
@@ -1684,6 +2093,13 @@ class InboxTriageSidePanel {
                 this.handleSummarizingProgress(capabilities);
                 break;
                 
+            case 'drafting':
+                // Draft progress is streamed; only retries of cloud requests are reported here
+                if (capabilities?.stage === 'retrying' && this.isGenerating) {
+                    this.updateStatus(capabilities.message, 'loading');
+                }
+                break;
+                
             default:
                 console.log('Unknown model status type:', type);
         }
@@ -1730,12 +2146,18 @@ class InboxTriageSidePanel {
         if (!capabilities) return;
         
         switch (capabilities.stage) {
+            case 'summarizing_chunk':
+                this.updateStatus(`Summarizing long thread: chunk ${capabilities.chunk} of ${capabilities.totalChunks}...`, 'loading');
+                break;
             case 'generating_tldr':
                 this.updateStatus('Generating TL;DR summary...', 'loading');
                 break;
             case 'generating_key_points':
                 this.updateStatus('Extracting key points...', 'loading');
                 break;
+            case 'retrying':
+                this.updateStatus(capabilities.message, 'loading');
+                break;
             case 'completed':
                 // Don't update status here - let the generateSummary method handle success
                 break;
@@ -2004,6 +2426,7 @@ class InboxTriageSidePanel {
      */
     async loadUserSettings() {
         await this.settingsManager.load();
+        await this.threadHistory.setMaxEntries(this.settingsManager.settings.historyLimit);
         await this.translationUI.loadSettings();
     }
     
@@ -2025,7 +2448,7 @@ class InboxTriageSidePanel {
         }
         
         if (this.elements.apiKeySection) {
-            this.elements.apiKeySection.style.display = settings.useApiKey ? 'block' : 'none';
+            this.elements.apiKeySection.style.display = settings.useApiKey || settings.processingMode === 'hybrid' ? 'block' : 'none';
         }
         
         if (this.elements.apiKeyInput && settings.apiKey) {
@@ -0,0 +1,125 @@
+/**
+ * Triage UI Module
+ * Classifies the current thread and shows the category, urgency and rationale as a badge
+ * at the top of the side panel, mirrored on the extension action badge
+ *
+ * Reference: background/triage-service.js
+ */
+
+const CATEGORY_LABELS = {
+    'needs-reply': 'Needs reply',
+    'fyi': 'FYI',
+    'waiting-on-others': 'Waiting on others',
+    'urgent': 'Urgent'
+};
+
+export class TriageUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     * @param {Function} getTabId - Returns the ID of the tab showing the thread
+     * @param {Function} onChange - Called when the triage result changes, to persist it
+     */
+    constructor(elements, updateStatusCallback, getTabId, onChange) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.getTabId = getTabId;
+        this.onChange = onChange;
+        this.triage = null;
+    }
+
+    /**
+     * Get the current triage result
+     * @returns {Object|null} Triage result ({category, urgency, rationale, method})
+     */
+    getTriage() {
+        return this.triage;
+    }
+
+    /**
+     * Classify a thread via the background service, which also sets the action badge
+     * @param {Object} thread - Extracted email thread
+     */
+    async classify(thread) {
+        if (!thread) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'classifyThread',
+                thread,
+                tabId: this.getTabId()
+            });
+
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to classify thread');
+            }
+
+            this.triage = response.triage;
+            this.render();
+            this.onChange();
+        } catch (error) {
+            // Triage is supplementary; log it without replacing the extraction status
+            console.error('Error classifying thread:', error);
+        }
+    }
+
+    /**
+     * Show a saved triage result and restore the action badge for it
+     * @param {Object|null} triage - Triage result
+     */
+    setTriage(triage) {
+        this.triage = triage || null;
+        this.render();
+        this.syncActionBadge();
+    }
+
+    /**
+     * Hide the badge and clear the action badge
+     */
+    clear() {
+        const hadTriage = !!this.triage;
+        this.triage = null;
+        this.render();
+        if (hadTriage) {
+            this.syncActionBadge();
+        }
+    }
+
+    /**
+     * Ask the service worker to set (or clear) the action badge for the current result
+     */
+    async syncActionBadge() {
+        try {
+            await chrome.runtime.sendMessage({
+                action: 'updateTriageBadge',
+                triage: this.triage,
+                tabId: this.getTabId()
+            });
+        } catch (error) {
+            console.warn('Failed to update triage badge:', error);
+        }
+    }
+
+    /**
+     * Render the badge
+     */
+    render() {
+        const badge = this.elements.triageBadge;
+        if (!badge) return;
+
+        if (!this.triage) {
+            badge.classList.add('hidden');
+            badge.removeAttribute('data-category');
+            return;
+        }
+
+        const { category, urgency, rationale } = this.triage;
+        badge.dataset.category = category;
+        this.elements.triageCategory.textContent = CATEGORY_LABELS[category] || category;
+        this.elements.triageUrgency.textContent = `Urgency ${urgency}/100`;
+        this.elements.triageRationale.textContent = rationale;
+        badge.setAttribute('aria-label', `Triage: ${CATEGORY_LABELS[category] || category}, urgency ${urgency} out of 100. ${rationale}`);
+        badge.classList.remove('hidden');
+    }
+}
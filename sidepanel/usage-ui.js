@@ -0,0 +1,257 @@
+/**
+ * API Usage UI Module
+ * Shows this month's token usage and cost per provider and model in the settings panel,
+ * with the monthly budget and the editable price table
+ *
+ * Reference: background/usage-tracker.js
+ */
+
+export class UsageUI {
+    /**
+     * @param {Object} elements - Side panel DOM elements
+     * @param {Function} updateStatusCallback - Status bar callback (message, type)
+     */
+    constructor(elements, updateStatusCallback) {
+        this.elements = elements;
+        this.updateStatus = updateStatusCallback;
+        this.usage = null;
+    }
+
+    /**
+     * Initialize usage UI event listeners
+     * Usage is loaded each time the settings panel opens, so it includes requests made since
+     */
+    initialize() {
+        this.elements.settingsToggleBtn?.addEventListener('click', () => this.refresh());
+        this.elements.saveBudgetBtn?.addEventListener('click', () => this.saveBudget());
+        this.elements.savePricesBtn?.addEventListener('click', () => this.savePrices());
+        this.elements.addPriceBtn?.addEventListener('click', () => {
+            const row = this.createPriceRow('', { input: 0, output: 0 });
+            this.elements.usagePriceRows?.appendChild(row);
+            row.querySelector('input')?.focus();
+        });
+    }
+
+    /**
+     * Load this month's usage from the service worker
+     */
+    async refresh() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getUsageSummary' });
+            if (response?.success) {
+                this.usage = response.usage;
+                this.render();
+            }
+        } catch (error) {
+            console.error('Failed to load API usage:', error);
+        }
+    }
+
+    /**
+     * Save the monthly budget (empty for no budget)
+     */
+    async saveBudget() {
+        const value = this.elements.monthlyBudgetInput?.value.trim() || '';
+        if (value && !(Number(value) > 0)) {
+            this.updateStatus('Enter a budget above $0, or leave it empty for no limit', 'error');
+            return;
+        }
+        const saved = await this.saveSettings({ monthlyBudget: value || null });
+        if (saved) {
+            const budget = this.usage.budget;
+            this.updateStatus(budget === null ? '✓ Monthly budget removed' : `✓ Monthly budget set to ${this.formatCost(budget)}`, 'success');
+        }
+    }
+
+    /**
+     * Save the price table as edited in the settings panel
+     */
+    async savePrices() {
+        const priceTable = {};
+        this.elements.usagePriceRows?.querySelectorAll('tr').forEach(row => {
+            const [model, input, output] = row.querySelectorAll('input');
+            if (model.value.trim()) {
+                priceTable[model.value.trim()] = { input: input.value, output: output.value };
+            }
+        });
+        const saved = await this.saveSettings({ priceTable });
+        if (saved) {
+            this.updateStatus('✓ Prices saved', 'success');
+        }
+    }
+
+    /**
+     * Send usage settings to the service worker and show the updated summary
+     * @param {Object} settings - {monthlyBudget} and/or {priceTable}
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveSettings(settings) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'saveUsageSettings', ...settings });
+            if (!response?.success) {
+                // Error message is already sanitized by the service worker
+                throw new Error(response?.error || 'Failed to save usage settings');
+            }
+            this.usage = response.usage;
+            this.render();
+            return true;
+        } catch (error) {
+            console.error('Failed to save usage settings:', error);
+            this.updateStatus(`Failed to save: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Render the summary, budget and price table
+     */
+    render() {
+        if (!this.usage) return;
+
+        this.renderSummary();
+
+        if (this.elements.monthlyBudgetInput) {
+            this.elements.monthlyBudgetInput.value = this.usage.budget ?? '';
+        }
+
+        const rows = this.elements.usagePriceRows;
+        if (rows) {
+            rows.innerHTML = '';
+            Object.entries(this.usage.priceTable)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .forEach(([model, price]) => rows.appendChild(this.createPriceRow(model, price)));
+        }
+    }
+
+    /**
+     * Render this month's usage per provider and model, the total and the budget status
+     */
+    renderSummary() {
+        const container = this.elements.usageSummary;
+        if (!container) return;
+
+        const { month, rows, totals, budget, remaining, exceeded } = this.usage;
+        container.innerHTML = '';
+
+        const heading = document.createElement('div');
+        heading.className = 'usage-month';
+        heading.textContent = new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        container.appendChild(heading);
+
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'placeholder';
+            empty.textContent = 'No requests to external providers this month.';
+            container.appendChild(empty);
+        } else {
+            const table = document.createElement('table');
+            table.className = 'usage-table';
+            table.innerHTML = '<thead><tr><th scope="col">Model</th><th scope="col">Requests</th><th scope="col">Tokens in / out</th><th scope="col">Cost</th></tr></thead>';
+
+            const body = document.createElement('tbody');
+            rows.forEach(row => {
+                const tr = document.createElement('tr');
+                const model = document.createElement('td');
+                model.textContent = row.model;
+                model.title = row.providerLabel;
+                tr.appendChild(model);
+                tr.appendChild(this.createCell(row.requests.toLocaleString()));
+                tr.appendChild(this.createCell(`${row.inputTokens.toLocaleString()} / ${row.outputTokens.toLocaleString()}`));
+                tr.appendChild(this.createCell(row.priced ? this.formatCost(row.cost) : 'No price'));
+                body.appendChild(tr);
+            });
+            table.appendChild(body);
+            container.appendChild(table);
+        }
+
+        const total = document.createElement('p');
+        total.className = 'usage-total';
+        total.textContent = budget === null
+            ? `Total: ${this.formatCost(totals.cost)}`
+            : `Total: ${this.formatCost(totals.cost)} of ${this.formatCost(budget)} budget (${this.formatCost(remaining)} left)`;
+        container.appendChild(total);
+
+        if (exceeded) {
+            const warning = document.createElement('p');
+            warning.className = 'usage-budget-exceeded';
+            warning.setAttribute('role', 'alert');
+            warning.textContent = 'Budget reached: cloud providers are blocked until next month. Raise the budget or use Chrome\'s built-in AI.';
+            container.appendChild(warning);
+        }
+    }
+
+    /**
+     * Create an editable price table row
+     * @param {string} model - Model ID prefix
+     * @param {{input: number, output: number}} price - Price per million tokens
+     * @returns {HTMLTableRowElement} Row with model, input and output price inputs
+     */
+    createPriceRow(model, price) {
+        const row = document.createElement('tr');
+        const modelInput = this.createInput('text', model, 'Model');
+        modelInput.placeholder = 'e.g. gpt-4o';
+        const inputPrice = this.createInput('number', price.input, `Input price for ${model || 'new model'}`);
+        const outputPrice = this.createInput('number', price.output, `Output price for ${model || 'new model'}`);
+
+        [modelInput, inputPrice, outputPrice].forEach(input => {
+            const cell = document.createElement('td');
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        const removeCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'usage-price-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove price for ${model || 'new model'}`);
+        removeBtn.addEventListener('click', () => row.remove());
+        removeCell.appendChild(removeBtn);
+        row.appendChild(removeCell);
+
+        return row;
+    }
+
+    /**
+     * Create a price table input
+     * @param {string} type - Input type
+     * @param {string|number} value - Initial value
+     * @param {string} label - Accessible label
+     * @returns {HTMLInputElement} Input
+     */
+    createInput(type, value, label) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.className = 'provider-field-input';
+        input.setAttribute('aria-label', label);
+        if (type === 'number') {
+            input.min = '0';
+            input.step = 'any';
+        }
+        return input;
+    }
+
+    /**
+     * Create a table cell
+     * @param {string} text - Cell text
+     * @returns {HTMLTableCellElement} Cell
+     */
+    createCell(text) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+    }
+
+    /**
+     * Format a cost in US dollars, showing small non-zero amounts as "<$0.01"
+     * @param {number} cost - Cost in US dollars
+     * @returns {string} Formatted cost
+     */
+    formatCost(cost) {
+        if (cost > 0 && cost < 0.01) {
+            return '<$0.01';
+        }
+        return `$${cost.toFixed(2)}`;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Tests for structured action item extraction
+ * Covers due date normalization, Prompt API item normalization, the heuristic fallback
+ * and persisted checkbox state
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Action Items', () => {
+  test('resolves relative due dates against the message date', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const dates = await sidePanelPage.evaluate(async () => {
+      const { parseDueDate } = await import('/utils/timestamp-parser.js');
+      // Wednesday 14 October 2026
+      const reference = new Date(2026, 9, 14, 9, 0).getTime();
+      return {
+        weekday: parseDueDate('by Friday', reference),
+        nextWeekday: parseDueDate('by next Friday', reference),
+        nextMonday: parseDueDate('next Monday', reference),
+        nextWednesday: parseDueDate('next Wednesday', reference),
+        tomorrow: parseDueDate('tomorrow', reference),
+        relative: parseDueDate('in 2 weeks', reference),
+        monthDay: parseDueDate('March 5', reference),
+        vague: parseDueDate('asap', reference)
+      };
+    });
+
+    expect(dates.weekday).toBe('2026-10-16');
+    // "next" means the day in the following week, which for Monday is the same as "Monday"
+    expect(dates.nextWeekday).toBe('2026-10-23');
+    expect(dates.nextMonday).toBe('2026-10-19');
+    expect(dates.nextWednesday).toBe('2026-10-21');
+    expect(dates.tomorrow).toBe('2026-10-15');
+    expect(dates.relative).toBe('2026-10-28');
+    expect(dates.monthDay).toBe('2027-03-05');
+    expect(dates.vague).toBeNull();
+  });
+
+  test('resolves "next" weekdays from a Monday into the following week', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const dates = await sidePanelPage.evaluate(async () => {
+      const { parseDueDate, parseProposedTime } = await import('/utils/timestamp-parser.js');
+      // Monday 19 October 2026
+      const reference = new Date(2026, 9, 19, 9, 0).getTime();
+      const meeting = new Date(parseProposedTime('next Monday', '3pm', reference)!);
+      return {
+        monday: parseDueDate('Monday', reference),
+        nextMonday: parseDueDate('next Monday', reference),
+        nextFriday: parseDueDate('by next Friday', reference),
+        nextWeek: parseDueDate('next week', reference),
+        meeting: [meeting.getMonth() + 1, meeting.getDate(), meeting.getHours()]
+      };
+    });
+
+    expect(dates.monday).toBe('2026-10-26');
+    expect(dates.nextMonday).toBe('2026-10-26');
+    expect(dates.nextFriday).toBe('2026-10-30');
+    expect(dates.nextWeek).toBe('2026-10-26');
+    expect(dates.meeting).toEqual([10, 26, 15]);
+  });
+
+  test('falls back to heuristics when the Prompt API is unavailable', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ActionItemService } = await import('/background/action-item-service.js');
+      const service = new ActionItemService({ aiCapabilities: { promptApi: { available: 'no' } } });
+      return service.extractActionItems({
+        subject: 'Q3 report',
+        messages: [
+          { content: 'Sam, can you send the budget numbers by Friday?', sender: { name: 'Alice' }, timestamp: 'Oct 14, 2026, 9:00 AM' },
+          { content: 'I will finish the slides before October 20.', sender: { name: 'Sam' }, timestamp: 'Oct 14, 2026, 11:00 AM' }
+        ]
+      });
+    });
+
+    expect(result.method).toBe('heuristic');
+    expect(result.actionItems).toEqual([
+      expect.objectContaining({ owner: 'Sam', dueDate: '2026-10-16', sourceMessageIndex: 0, done: false }),
+      expect.objectContaining({ owner: 'Sam', dueDate: '2026-10-20', sourceMessageIndex: 1, done: false })
+    ]);
+  });
+
+  test('normalizes Prompt API items and falls back when the response is unusable', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ActionItemService, MAX_ACTION_ITEMS } = await import('/background/action-item-service.js');
+      const constraints: any[] = [];
+      let destroyed = 0;
+      let response = '';
+      (window as any).LanguageModel = {
+        create: async () => ({
+          prompt: async (_text: string, options: any) => {
+            constraints.push(options.responseConstraint);
+            return response;
+          },
+          destroy: () => { destroyed++; }
+        })
+      };
+
+      const thread = {
+        subject: 'Launch',
+        messages: [
+          { content: 'Kickoff notes.', sender: { name: 'Alice' }, timestamp: 'Oct 14, 2026, 9:00 AM' },
+          { content: 'Please send the deck.', sender: { name: 'Bob' }, timestamp: 'Oct 21, 2026, 9:00 AM' }
+        ]
+      };
+      const service = new ActionItemService({ aiCapabilities: { promptApi: { available: 'available' } } });
+
+      response = JSON.stringify({
+        actionItems: [
+          { task: 'Send the deck', owner: 'Bob', dueDate: 'tomorrow', sourceMessageIndex: 9 },
+          { task: 'send the DECK!', owner: '', dueDate: '', sourceMessageIndex: 1 },
+          { task: '  ', owner: 'Alice', dueDate: '', sourceMessageIndex: 0 },
+          ...Array.from({ length: 12 }, (_, i) => ({ task: `Task number ${i}`, owner: '', dueDate: '', sourceMessageIndex: 0 }))
+        ]
+      });
+      const fromModel = await service.extractActionItems(thread);
+
+      response = 'I could not find any tasks.';
+      const fallback = await service.extractActionItems(thread);
+
+      let emptyThread = '';
+      try {
+        await service.extractActionItems({ subject: 'Empty', messages: [] });
+      } catch (error) {
+        emptyThread = (error as Error).message;
+      }
+
+      return { fromModel, fallback, constraints, destroyed, emptyThread, max: MAX_ACTION_ITEMS };
+    });
+
+    expect(result.fromModel.method).toBe('prompt-api');
+    expect(result.constraints[0].properties.actionItems.maxItems).toBe(result.max);
+    // Out-of-range indexes are clamped and the due date resolves against that message's date
+    expect(result.fromModel.actionItems[0]).toEqual({
+      task: 'Send the deck', owner: 'Bob', dueDate: '2026-10-22', dueDateText: 'tomorrow', sourceMessageIndex: 1, done: false
+    });
+    // Duplicates and blank tasks are dropped, unknown owners are null, and the list is capped
+    expect(result.fromModel.actionItems[1]).toMatchObject({ task: 'Task number 0', owner: null, dueDate: null });
+    expect(result.fromModel.actionItems).toHaveLength(result.max);
+    // An unparseable response falls back to heuristics; sessions are always destroyed
+    expect(result.fallback.method).toBe('heuristic');
+    expect(result.fallback.actionItems[0]).toMatchObject({ task: 'Please send the deck.', sourceMessageIndex: 1 });
+    expect(result.destroyed).toBe(2);
+    expect(result.emptyThread).toBe('No messages to extract action items from');
+  });
+
+  test('ticked items are saved with the thread analysis', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const saved = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      const url = 'https://mail.google.com/mail/u/0/#inbox/th400';
+      sidePanel.currentContext.url = url;
+      sidePanel.currentThread = { subject: 'Launch', messages: [] };
+      sidePanel.actionItemsUI.setItems([
+        { task: 'Send the launch plan', owner: 'Sam', dueDate: null, dueDateText: null, sourceMessageIndex: 0, done: false }
+      ]);
+
+      const checkbox = document.querySelector('#action-items input[type="checkbox"]') as HTMLInputElement;
+      checkbox.click();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const record = await sidePanel.threadHistory.get(url);
+      return {
+        sectionVisible: !document.getElementById('action-items-section')!.classList.contains('hidden'),
+        done: record?.actionItems?.[0]?.done
+      };
+    });
+
+    expect(saved.sectionVisible).toBe(true);
+    expect(saved.done).toBe(true);
+  });
+});
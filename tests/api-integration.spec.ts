@@ -82,6 +82,763 @@ test.describe('API Integration Tests', () => {
     const inputType = await apiKeyInput.getAttribute('type');
     expect(inputType).toBe('password');
   });
-});
 
+  test('Local server provider shows endpoint fields and sends OpenAI-compatible requests', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+    
+    await sidePanelPage.locator('#settings-toggle-btn').click();
+    await sidePanelPage.waitForSelector('#settings-panel.active', { timeout: 2000 });
+    await sidePanelPage.locator('#use-api-key').check();
+    
+    // Fields are generated from provider metadata once it arrives from the service worker
+    await sidePanelPage.waitForSelector('#provider-field-model', { state: 'attached', timeout: 5000 });
+    await expect(sidePanelPage.locator('#provider-field-baseUrl')).toHaveCount(0);
+    await sidePanelPage.locator('#api-provider').selectOption('local');
+    await expect(sidePanelPage.locator('#provider-field-baseUrl')).toHaveValue('http://localhost:11434/v1');
+    await expect(sidePanelPage.locator('#api-key-label')).toHaveText('API Key (optional):');
+    
+    const request = await sidePanelPage.evaluate(async () => {
+      const { LocalAPI } = await import('/background/api-integrations.js');
+      const originalFetch = window.fetch;
+      let captured: any = null;
+      window.fetch = async (url: any, options: any) => {
+        captured = { url, headers: options.headers, body: JSON.parse(options.body) };
+        const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => ({ type, subject: 'Re: Budget', body: `${type} reply` }));
+        return new Response(JSON.stringify({ choices: [{ message: { content: JSON.stringify({ drafts }) } }] }));
+      };
+      try {
+        const result = await LocalAPI.generateDrafts('Can you confirm the budget?', 'Budget', 'neutral', '', '', null, {
+          baseUrl: 'http://localhost:11434/v1/',
+          model: 'llama3.1'
+        });
+        return { ...captured, draftCount: result.drafts.length };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(request.url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(request.body.model).toBe('llama3.1');
+    expect(request.body.messages[0].role).toBe('system');
+    expect(request.draftCount).toBe(3);
+  });
+
+  test('local server settings are validated and connection failures name the server', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { LocalAPI } = await import('/background/api-integrations.js');
+      const { normalizeLocalBaseUrl, getLocalHostPermission } = await import('/utils/local-endpoint.js');
+      const errorOf = async (run: () => any) => {
+        try {
+          await run();
+          return null;
+        } catch (error) {
+          return (error as Error).message;
+        }
+      };
+      
+      const originalFetch = window.fetch;
+      const requests: any[] = [];
+      try {
+        window.fetch = async (url: any, options: any) => {
+          requests.push({ url, authorization: options.headers.Authorization });
+          throw new TypeError('Failed to fetch');
+        };
+        const unreachable = await LocalAPI.validateKey('local-key', { baseUrl: 'http://127.0.0.1:1234/v1' });
+        
+        // A server that never answers fails once the configured timeout passes, without retrying
+        window.fetch = (_url: any, options: any) => new Promise((_resolve, reject) => {
+          requests.push({ url: _url });
+          options.signal.addEventListener('abort', () => reject(options.signal.reason));
+        });
+        const timeout = await errorOf(() => LocalAPI.summarize('The budget was approved.', '', {
+          baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', timeoutSeconds: 1
+        }));
+        
+        return {
+          normalized: normalizeLocalBaseUrl(' http://localhost:1234/v1/?debug=1 '),
+          permission: getLocalHostPermission('http://localhost:1234/v1'),
+          empty: await errorOf(() => normalizeLocalBaseUrl('  ')),
+          invalid: await errorOf(() => normalizeLocalBaseUrl('localhost:11434')),
+          notHttp: await errorOf(() => normalizeLocalBaseUrl('ftp://localhost/v1')),
+          localNetwork: ['http://127.0.0.1:1234/v1', 'http://[::1]:8080/v1', 'http://192.168.1.20:11434/v1', 'http://172.20.0.5/v1', 'http://gpu-box.local:1234/v1']
+            .map(url => normalizeLocalBaseUrl(url)),
+          remote: await errorOf(() => normalizeLocalBaseUrl('https://api.example.com/v1')),
+          remoteIp: await errorOf(() => normalizeLocalBaseUrl('http://172.32.0.5/v1')),
+          lookalike: await errorOf(() => normalizeLocalBaseUrl('http://localhost.example.com/v1')),
+          noModel: await errorOf(() => LocalAPI.summarize('text', '', { baseUrl: 'http://localhost:11434/v1', model: '' })),
+          unreachable,
+          timeout,
+          requests
+        };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.normalized).toBe('http://localhost:1234/v1');
+    // Host permissions without a port cover every port on the host
+    expect(result.permission).toBe('http://localhost/*');
+    expect(result.empty).toBe('Enter the base URL of your local model server');
+    expect(result.invalid).toBe('The server URL must start with http:// or https://');
+    expect(result.notHttp).toBe('The server URL must start with http:// or https://');
+    expect(result.localNetwork).toEqual(['http://127.0.0.1:1234/v1', 'http://[::1]:8080/v1', 'http://192.168.1.20:11434/v1', 'http://172.20.0.5/v1', 'http://gpu-box.local:1234/v1']);
+    // Text for the local server is not redacted, so servers on the internet are refused
+    expect(result.remote).toBe('api.example.com is not on this computer or your local network. Use a cloud provider for remote servers.');
+    expect(result.remoteIp).toContain('172.32.0.5 is not on this computer');
+    expect(result.lookalike).toContain('localhost.example.com is not on this computer');
+    expect(result.noModel).toBe('Enter the model name to use on your local model server');
+    expect(result.unreachable).toMatchObject({ valid: false, errorType: 'network' });
+    expect(result.unreachable.error).toContain('Could not reach the local model server at http://127.0.0.1:1234');
+    expect(result.requests[0]).toEqual({ url: 'http://127.0.0.1:1234/v1/models', authorization: 'Bearer local-key' });
+    expect(result.timeout).toBe('The local model server did not respond within 1 seconds. Try again or increase the timeout in API Settings.');
+    expect(result.requests).toHaveLength(2);
+  });
+  
+  test('provider registry describes every provider and resolves the configured one', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { createDefaultProviderRegistry } = await import('/background/ai-providers.js');
+      const registry = createDefaultProviderRegistry({ summaryService: { aiCapabilities: {} } });
+      const resolve = (settings: any) => registry.resolve(settings).provider.id;
+      
+      let duplicateError = '';
+      try {
+        registry.register(registry.get('openai'));
+      } catch (error: any) {
+        duplicateError = error.message;
+      }
+      
+      return {
+        providers: registry.describe().map((provider: any) => ({ id: provider.id, kind: provider.kind, hasWarning: !!provider.dataEgressWarning })),
+        withoutKey: resolve({ useApiKey: true, apiProvider: 'openai', apiKey: '' }),
+        withKey: resolve({ useApiKey: true, apiProvider: 'openai', apiKey: 'sk-test' }),
+        disabled: resolve({ useApiKey: false, apiProvider: 'openai', apiKey: 'sk-test' }),
+        localWithoutModel: resolve({ useApiKey: true, apiProvider: 'local' }),
+        localConfig: registry.resolve({ useApiKey: true, apiProvider: 'local', providerSettings: { local: { model: 'llama3.1' } } }).config,
+        duplicateError
+      };
+    });
+    
+    expect(result.providers).toEqual([
+      { id: 'chrome-built-in', kind: 'on-device', hasWarning: false },
+      { id: 'openai', kind: 'cloud', hasWarning: true },
+      { id: 'anthropic', kind: 'cloud', hasWarning: true },
+      { id: 'google', kind: 'cloud', hasWarning: true },
+      { id: 'local', kind: 'local', hasWarning: true }
+    ]);
+    expect(result.withoutKey).toBe('chrome-built-in');
+    expect(result.withKey).toBe('openai');
+    expect(result.disabled).toBe('chrome-built-in');
+    expect(result.localWithoutModel).toBe('chrome-built-in');
+    expect(result.localConfig).toEqual({
+      baseUrl: 'http://localhost:11434/v1',
+      model: 'llama3.1',
+      apiKey: '',
+      temperature: 0.7,
+      maxTokens: null,
+      timeoutSeconds: 120
+    });
+    expect(result.duplicateError).toContain('already registered');
+  });
+
+  test('a registered provider handles summaries without changes to the summary service', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ProviderRegistry, CHROME_BUILT_IN_PROVIDER_ID } = await import('/background/provider-registry.js');
+      const { createChromeBuiltInProvider, openAIProvider } = await import('/background/ai-providers.js');
+      const { SummaryService } = await import('/background/summary-service.js');
+      
+      const registry = new ProviderRegistry();
+      const service = new SummaryService({
+        aiCapabilities: {},
+        broadcastModelStatus: () => {},
+        shouldUseCloudFallback: () => ({ shouldFallback: false }),
+        providerRegistry: registry
+      });
+      registry.register(createChromeBuiltInProvider({ summaryService: service }));
+      registry.register(openAIProvider);
+      
+      const calls: any[] = [];
+      registry.register({
+        id: 'team-server',
+        metadata: {
+          label: 'Team server',
+          kind: 'local',
+          fields: [{ id: 'endpoint', label: 'Endpoint', type: 'url', required: true }]
+        },
+        capabilities: () => ({ available: true, summarize: true, drafts: false, streaming: false, reason: null }),
+        summarize: async ({ text }: any, config: any) => {
+          calls.push({ text, config });
+          return { summary: 'Budget approved.', keyPoints: ['Approved'] };
+        },
+        generateDrafts: async () => { throw new Error('Not supported'); },
+        validateKey: async () => ({ valid: true, status: 200, error: null })
+      });
+      
+      const errorOf = (run: () => any) => {
+        try {
+          run();
+          return null;
+        } catch (error) {
+          return (error as Error).message;
+        }
+      };
+      
+      let response: any = null;
+      await service.generateSummary(
+        { subject: 'Budget', messages: [{ sender: { name: 'Sam' }, content: 'The budget for next quarter was approved by finance today.' }] },
+        (r: any) => { response = r; },
+        { useApiKey: true, apiProvider: 'team-server', providerSettings: { 'team-server': { endpoint: 'http://10.0.0.5:8080' } } }
+      );
+      
+      return {
+        response,
+        calls,
+        incomplete: errorOf(() => registry.register({ id: 'broken', metadata: {}, summarize: () => {} })),
+        noMetadata: errorOf(() => registry.register({ id: 'bare' })),
+        unknown: errorOf(() => registry.get('missing')),
+        missingEndpoint: registry.resolve({ useApiKey: true, apiProvider: 'team-server' }).provider.id,
+        locked: errorOf(() => registry.resolve({ useApiKey: true, apiProvider: 'openai', apiKey: null, apiKeyLocked: true })),
+        // Hybrid fallback only goes to a configured cloud provider
+        fallbackLocal: registry.resolveFallback({ apiProvider: 'team-server', providerSettings: { 'team-server': { endpoint: 'http://10.0.0.5:8080' } } }),
+        fallbackCloud: registry.resolveFallback({ apiProvider: 'openai', apiKey: 'sk-test' })?.provider.id,
+        builtIn: CHROME_BUILT_IN_PROVIDER_ID
+      };
+    });
+    
+    expect(result.response).toMatchObject({ success: true, summary: 'Budget approved.', keyPoints: ['Approved'] });
+    expect(result.calls).toHaveLength(1);
+    expect(result.calls[0].config).toEqual({ endpoint: 'http://10.0.0.5:8080' });
+    expect(result.calls[0].text).toContain('approved by finance');
+    expect(result.incomplete).toBe('Provider "broken" does not implement: capabilities, generateDrafts, validateKey');
+    expect(result.noMetadata).toBe('Providers need an id and metadata');
+    expect(result.unknown).toBe('Unsupported API provider: missing');
+    expect(result.missingEndpoint).toBe(result.builtIn);
+    expect(result.locked).toContain('API key is locked');
+    expect(result.fallbackLocal).toBeNull();
+    expect(result.fallbackCloud).toBe('openai');
+  });
+
+  test('per-provider generation settings are clamped, sent and reported with the model', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { createDefaultProviderRegistry } = await import('/background/ai-providers.js');
+      const registry = createDefaultProviderRegistry({
+        summaryService: { aiCapabilities: { promptApi: { available: 'available', params: { defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 8 } } } }
+      });
+      
+      const anthropic = registry.resolve({
+        useApiKey: true,
+        apiProvider: 'anthropic',
+        apiKey: 'sk-ant-test',
+        providerSettings: { anthropic: { model: 'claude-3-5-haiku-20241022', temperature: '1.5', maxTokens: '800', timeoutSeconds: '' } }
+      });
+      const onDevice = registry.resolve({ useApiKey: false, providerSettings: { 'chrome-built-in': { topK: 40 } } });
+      
+      const originalFetch = window.fetch;
+      let body: any = null;
+      window.fetch = async (_url: any, options: any) => {
+        body = JSON.parse(options.body);
+        return new Response(JSON.stringify({
+          model: 'claude-3-5-haiku-20241022',
+          content: [{ type: 'text', text: 'TL;DR: Budget approved.\nKey points:\n- Approved' }]
+        }));
+      };
+      try {
+        const summary = await anthropic.provider.summarize({ text: 'The budget was approved.' }, anthropic.config);
+        return { config: anthropic.config, body, model: summary.model, onDeviceConfig: onDevice.config };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.config).toMatchObject({ temperature: 1, maxTokens: 800, timeoutSeconds: 60 });
+    expect(result.body).toMatchObject({ model: 'claude-3-5-haiku-20241022', temperature: 1, max_tokens: 800 });
+    expect(result.model).toBe('claude-3-5-haiku-20241022');
+    expect(result.onDeviceConfig).toEqual({ temperature: 0.7, topK: 8 });
+  });
+  
+  test('on-device drafts use the saved sampling settings and are labelled with the model', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { normalizeProviderFieldValue } = await import('/utils/provider-fields.js');
+      const { SummaryService } = await import('/background/summary-service.js');
+      const { DraftService } = await import('/background/draft-service.js');
+      const { ON_DEVICE_MODEL_LABEL } = await import('/background/ai-providers.js');
+      
+      const sessions: any[] = [];
+      const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => ({ type, subject: 'Re: Budget', body: `${type} reply` }));
+      (window as any).LanguageModel = {
+        create: async (options: any) => {
+          sessions.push({ temperature: options.temperature, topK: options.topK });
+          return { prompt: async () => JSON.stringify({ drafts }), destroy: () => {} };
+        }
+      };
+      const aiCapabilities = { promptApi: { available: 'available', params: { defaultTemperature: 1, maxTemperature: 1.5, defaultTopK: 3, maxTopK: 8 } } };
+      const summaryService = new SummaryService({ aiCapabilities, broadcastModelStatus: () => {}, shouldUseCloudFallback: () => ({ shouldFallback: false }) });
+      const draftService = new DraftService({ aiCapabilities, summaryService, broadcastModelStatus: () => {} });
+      
+      let response: any = null;
+      await draftService.generateReplyDrafts(
+        { subject: 'Budget', messages: [{ sender: { name: 'Sam' }, content: 'Can you confirm the budget numbers by Friday?' }] },
+        'neutral', '', (r: any) => { response = r; },
+        { useApiKey: false, providerSettings: { 'chrome-built-in': { temperature: '3', topK: '4.6' } } }
+      );
+      
+      const temperature = { type: 'number', min: 0, max: 2, step: 0.1, default: 0.7 };
+      const maxTokens = { type: 'number', min: 1, max: 32000, step: 1 };
+      return {
+        sessions,
+        models: response.drafts.map((draft: any) => draft.model),
+        label: ON_DEVICE_MODEL_LABEL,
+        fields: {
+          emptyWithDefault: normalizeProviderFieldValue(temperature, ' '),
+          notANumber: normalizeProviderFieldValue(temperature, 'warm'),
+          decimal: normalizeProviderFieldValue(temperature, '0.35'),
+          emptyWithoutDefault: normalizeProviderFieldValue(maxTokens, ''),
+          rounded: normalizeProviderFieldValue(maxTokens, '99.6'),
+          clamped: normalizeProviderFieldValue(maxTokens, '-5'),
+          text: normalizeProviderFieldValue({ type: 'model', default: 'gpt-4o' }, '')
+        }
+      };
+    });
+    
+    // Values above the limits the Prompt API reports are clamped to them
+    expect(result.sessions).toEqual([{ temperature: 1.5, topK: 5 }]);
+    expect(result.models).toEqual([result.label, result.label, result.label]);
+    expect(result.fields).toEqual({
+      emptyWithDefault: 0.7,
+      notANumber: 0.7,
+      decimal: 0.35,
+      emptyWithoutDefault: null,
+      rounded: 100,
+      clamped: 1,
+      text: 'gpt-4o'
+    });
+  });
+  
+  test('reads the Prompt API limits only when the model reports them', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { readLanguageModelParams } = await import('/background/ai-providers.js');
+      const withParams = (params: any) => readLanguageModelParams({ params });
+      return {
+        reported: await withParams(async () => ({ defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 128, extra: true })),
+        missing: await withParams(undefined),
+        empty: await withParams(async () => null),
+        failing: await withParams(async () => { throw new Error('Model not downloaded'); })
+      };
+    });
+    
+    expect(result.reported).toEqual({ defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 128 });
+    expect(result.missing).toBeNull();
+    expect(result.empty).toBeNull();
+    expect(result.failing).toBeNull();
+  });
+
+  test('rate-limited and overloaded requests are retried and failures are classified', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { AnthropicAPI, OpenAIAPI } = await import('/background/api-integrations.js');
+      const { createErrorResponseForService } = await import('/utils/response-utils.js');
+      const originalFetch = window.fetch;
+      const reply = (status: number, body: any, headers: Record<string, string> = {}) =>
+        new Response(JSON.stringify(body), { status, headers });
+      
+      try {
+        const responses = [
+          reply(429, { error: { message: 'Rate limit reached' } }, { 'retry-after': '0' }),
+          reply(529, { error: { type: 'overloaded_error', message: 'Overloaded' } }, { 'retry-after': '0' }),
+          reply(200, { model: 'claude-3-5-haiku-20241022', content: [{ type: 'text', text: 'TL;DR: Approved.\nKey points:\n- Budget approved' }] })
+        ];
+        let calls = 0;
+        window.fetch = async () => responses[calls++];
+        const retries: any[] = [];
+        const summary = await AnthropicAPI.summarize('The budget was approved.', 'sk-ant-test', {
+          onRetry: (retry: any) => retries.push(retry)
+        });
+        
+        window.fetch = async () => reply(429, { error: { code: 'insufficient_quota', message: 'You exceeded your current quota, please check your plan and billing details.' } });
+        let quota: any = null;
+        try {
+          await OpenAIAPI.summarize('The budget was approved.', 'sk-test');
+        } catch (error) {
+          quota = createErrorResponseForService(error, 'Summary generation');
+        }
+        
+        window.fetch = async () => reply(401, { error: { message: 'Incorrect API key provided' } });
+        const keyCheck = await OpenAIAPI.validateKey('sk-wrong');
+        
+        return { calls, summary: summary.summary, retries: retries.map(retry => [retry.errorType, retry.attempt]), quota, keyCheck };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.calls).toBe(3);
+    expect(result.summary).toBe('Approved.');
+    expect(result.retries).toEqual([['rate_limit', 2], ['server', 3]]);
+    expect(result.quota.errorType).toBe('quota');
+    expect(result.quota.error).toContain('no quota or credit left');
+    expect(result.keyCheck).toMatchObject({ valid: false, status: 401, errorType: 'auth' });
+  });
+
+  test('only explicit quota codes turn a 429 into a quota error', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { classifyHttpError } = await import('/background/api-request.js');
+      const { GoogleAIAPI } = await import('/background/api-integrations.js');
+      const gemini429 = (quotaId: string) => JSON.stringify({
+        error: {
+          code: 429,
+          message: 'You exceeded your current quota, please check your plan and billing details.',
+          status: 'RESOURCE_EXHAUSTED',
+          details: [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId }] }]
+        }
+      });
+      const typeOf = (status: number, body: string) => classifyHttpError('Provider', { status, detail: JSON.parse(body).error.message, body }).type;
+      
+      const originalFetch = window.fetch;
+      let calls = 0;
+      window.fetch = async () => {
+        calls++;
+        return calls === 1
+          ? new Response(gemini429('GenerateRequestsPerMinutePerProjectPerModel-FreeTier'), { status: 429, headers: { 'retry-after': '0' } })
+          : new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: 'TL;DR: Approved.\nKey points:\n- Budget approved' }] } }] }));
+      };
+      try {
+        const summary = await GoogleAIAPI.summarize('The budget was approved.', 'key');
+        return {
+          perMinute: typeOf(429, gemini429('GenerateRequestsPerMinutePerProjectPerModel-FreeTier')),
+          perDay: typeOf(429, gemini429('GenerateRequestsPerDayPerProjectPerModel-FreeTier')),
+          openAIQuota: typeOf(429, JSON.stringify({ error: { code: 'insufficient_quota', message: 'You exceeded your current quota, please check your plan and billing details.' } })),
+          openAIRate: typeOf(429, JSON.stringify({ error: { code: 'rate_limit_exceeded', message: 'Rate limit reached for requests' } })),
+          anthropicCredit: typeOf(400, JSON.stringify({ error: { type: 'invalid_request_error', message: 'Your credit balance is too low to access the Anthropic API.' } })),
+          paymentRequired: typeOf(402, JSON.stringify({ error: { message: 'Payment required' } })),
+          retriedCalls: calls,
+          retriedSummary: summary.summary
+        };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    // Gemini sends the same billing wording with per-minute limits, which reset on their own
+    expect(result.perMinute).toBe('rate_limit');
+    expect(result.perDay).toBe('quota');
+    expect(result.openAIQuota).toBe('quota');
+    expect(result.openAIRate).toBe('rate_limit');
+    expect(result.anthropicCredit).toBe('quota');
+    expect(result.paymentRequired).toBe('quota');
+    expect(result.retriedCalls).toBe(2);
+    expect(result.retriedSummary).toBe('Approved.');
+  });
+
+  test('token usage is recorded per model and the monthly budget blocks cloud requests', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { UsageTracker } = await import('/background/usage-tracker.js');
+      const { openAIProvider, localProvider } = await import('/background/ai-providers.js');
+      const { createErrorResponseForService } = await import('/utils/response-utils.js');
+      const memoryStorage = () => {
+        const data: Record<string, any> = {};
+        return {
+          get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+          set: async (items: Record<string, any>) => { Object.assign(data, items); },
+          remove: async (key: string) => { delete data[key]; }
+        };
+      };
+      const tracker = new UsageTracker({ storage: memoryStorage(), settingsStorage: memoryStorage() });
+      const originalFetch = window.fetch;
+      
+      try {
+        let calls = 0;
+        window.fetch = async () => {
+          calls++;
+          return new Response(JSON.stringify({
+            model: 'gpt-4o-mini-2024-07-18',
+            choices: [{ message: { content: 'TL;DR: Approved.\nKey points:\n- Budget approved' } }],
+            usage: { prompt_tokens: 1000000, completion_tokens: 500000 }
+          }), { status: 200 });
+        };
+        const summarize = () => openAIProvider.summarize({ text: 'The budget was approved.' }, { apiKey: 'sk-test', model: 'gpt-4o-mini' });
+        const first = await tracker.track(openAIProvider, summarize);
+        await tracker.track(openAIProvider, summarize);
+        
+        await tracker.saveSettings({ monthlyBudget: '0.50' });
+        let blocked: any = null;
+        try {
+          await tracker.track(openAIProvider, summarize);
+        } catch (error) {
+          blocked = createErrorResponseForService(error, 'Summary generation');
+        }
+        // Local servers are recorded but not blocked by the budget
+        await tracker.track(localProvider, () => localProvider.summarize({ text: 'The budget was approved.' }, { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }));
+        
+        return { calls, usage: first.usage, summary: await tracker.getMonthlySummary(), blocked };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.calls).toBe(3);
+    expect(result.usage).toEqual({ inputTokens: 1000000, outputTokens: 500000 });
+    const [cloud, local] = result.summary.rows;
+    expect(cloud).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', requests: 2, inputTokens: 2000000, priced: true });
+    expect(cloud.cost).toBeCloseTo(0.9);
+    expect(local).toMatchObject({ provider: 'local', requests: 1 });
+    expect(result.summary.exceeded).toBe(true);
+    expect(result.blocked.errorType).toBe('budget');
+    expect(result.blocked.error).toContain('$0.50');
+  });
+
+  test('concurrent cloud requests reserve their estimated cost and unpriced models use the requested price', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { UsageTracker, DEFAULT_PRICE_TABLE, findModelPrice, estimateRequestUsage } = await import('/background/usage-tracker.js');
+      const { createErrorResponseForService } = await import('/utils/response-utils.js');
+      const memoryStorage = () => {
+        const data: Record<string, any> = {};
+        return {
+          get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+          set: async (items: Record<string, any>) => { Object.assign(data, items); },
+          remove: async (key: string) => { delete data[key]; }
+        };
+      };
+      const tracker = new UsageTracker({ storage: memoryStorage(), settingsStorage: memoryStorage() });
+      const provider = { id: 'openai', metadata: { kind: 'cloud', label: 'OpenAI (GPT-4)' } };
+      // $0.40 at $10 / $30 per million tokens
+      const estimate = { model: 'gpt-4-turbo', inputTokens: 10000, outputTokens: 10000 };
+      const reply = { model: 'gpt-4-0125-preview', usage: { inputTokens: 10000, outputTokens: 10000 } };
+      const pending: Array<(value: any) => void> = [];
+      const call = () => new Promise(resolve => pending.push(resolve));
+      const blockedResponse = async (request: Promise<any>) => {
+        try {
+          await request;
+          return null;
+        } catch (error) {
+          return createErrorResponseForService(error, 'Summary generation');
+        }
+      };
+      
+      await tracker.saveSettings({ priceTable: { 'gpt-4-turbo': { input: 10, output: 30 } }, monthlyBudget: 1 });
+      const first = tracker.track(provider, call, estimate);
+      const second = tracker.track(provider, call, estimate);
+      const third = await blockedResponse(tracker.track(provider, call, estimate));
+      const reservedInFlight = tracker.reservedCost;
+      
+      pending.forEach(resolve => resolve(reply));
+      await Promise.all([first, second]);
+      const summary = await tracker.getMonthlySummary();
+      const afterRecorded = await blockedResponse(tracker.track(provider, async () => reply, estimate));
+      
+      return {
+        third,
+        reservedInFlight,
+        reservedAfter: tracker.reservedCost,
+        calls: pending.length,
+        row: summary.rows[0],
+        afterRecorded,
+        defaults: ['gpt-4-0125-preview', 'gpt-4-1106-preview', 'gpt-4-0613', 'gpt-4o-2024-08-06'].map(model => findModelPrice(DEFAULT_PRICE_TABLE, model)),
+        estimated: estimateRequestUsage('gpt-4o', ['a'.repeat(38), null], 500)
+      };
+    });
+    
+    // The third request would take the reserved $0.80 over the $1.00 budget, so it is never sent
+    expect(result.calls).toBe(2);
+    expect(result.reservedInFlight).toBeCloseTo(0.8);
+    expect(result.third.errorType).toBe('budget');
+    expect(result.third.error).toContain('would go over');
+    expect(result.third.error).toContain('$1.00');
+    // Reservations are released once the usage is recorded
+    expect(result.reservedAfter).toBe(0);
+    // The preview model is not in the user's table, so it is priced as the requested gpt-4-turbo
+    expect(result.row).toMatchObject({ model: 'gpt-4-0125-preview', requests: 2, priced: true });
+    expect(result.row.cost).toBeCloseTo(0.8);
+    expect(result.row.requestedModel).toBeUndefined();
+    expect(result.afterRecorded.errorType).toBe('budget');
+    expect(result.defaults).toEqual([
+      { input: 10, output: 30 },
+      { input: 10, output: 30 },
+      { input: 30, output: 60 },
+      { input: 2.5, output: 10 }
+    ]);
+    expect(result.estimated).toEqual({ model: 'gpt-4o', inputTokens: 10, outputTokens: 500 });
+  });
+
+  test('hybrid mode asks for consent before falling back to the configured cloud provider', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SummaryService } = await import('/background/summary-service.js');
+      const thread = {
+        subject: 'Contract renewal',
+        messages: [{ sender: { name: 'Sarah Chen', email: 'sarah@example.com' }, content: 'Hi Tom,\nThe contract renews next month. Can you confirm the new price by Friday?\nThanks,\nSarah' }]
+      };
+      const settings = { processingMode: 'hybrid', useApiKey: false, apiProvider: 'openai', apiKey: 'sk-test' };
+      const service = new SummaryService({
+        aiCapabilities: {},
+        broadcastModelStatus: () => {},
+        shouldUseCloudFallback: () => ({ shouldFallback: true, reason: 'summarization API not available in this browser', trigger: 'model_unavailable' })
+      });
+      const originalFetch = window.fetch;
+      
+      try {
+        const sent: string[] = [];
+        window.fetch = async (_url, init: any) => {
+          sent.push(JSON.parse(init.body).messages[1].content);
+          return new Response(JSON.stringify({
+            model: 'gpt-4o-mini',
+            choices: [{ message: { content: 'TL;DR: [PERSON_1] asks to confirm the price.\nKey points:\n- Reply by Friday' } }]
+          }), { status: 200 });
+        };
+        const run = (userSettings: any, options?: any) => new Promise<any>(resolve =>
+          service.generateSummary(thread, resolve, userSettings, null, undefined, options));
+        
+        const asked = await run(settings);
+        const sentBeforeConsent = sent.length;
+        const consented = await run(settings, { cloudConsent: true });
+        const noProvider = await run({ ...settings, apiKey: '' });
+        
+        return { asked, sentBeforeConsent, consented, noProvider, sent };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.asked).toMatchObject({ success: false, errorType: 'consent' });
+    expect(result.asked.fallback).toMatchObject({ trigger: 'model_unavailable', provider: 'OpenAI (GPT-4)' });
+    expect(result.asked.fallback.payloadChars).toBeGreaterThan(50);
+    expect(result.sentBeforeConsent).toBe(0);
+    expect(result.consented).toMatchObject({ success: true, usedFallback: true, summary: 'Sarah Chen asks to confirm the price.' });
+    expect(result.sent[0]).not.toContain('Sarah');
+    expect(result.noProvider.errorType).toBeUndefined();
+    expect(result.sent).toHaveLength(1);
+  });
+  
+  test('saved keys are checked with the provider and the result is classified', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ProviderRegistry } = await import('/background/provider-registry.js');
+      const { registerDefaultProviders } = await import('/background/ai-providers.js');
+      const { KeyHealthChecker } = await import('/background/key-health.js');
+      const registry = new ProviderRegistry();
+      registerDefaultProviders(registry, { summaryService: {}, draftService: {} });
+      const data: Record<string, any> = {};
+      const storage = {
+        get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+        set: async (items: Record<string, any>) => { Object.assign(data, items); },
+        remove: async (key: string | string[]) => { [key].flat().forEach(k => delete data[k]); }
+      };
+      let settings: any = { useApiKey: true, apiProvider: 'openai', apiKey: 'sk-test', providerSettings: {} };
+      const checker = new KeyHealthChecker({ providerRegistry: registry, storage, loadUserSettings: async () => settings });
+      const originalFetch = window.fetch;
+      const reply = (status: number, body: any) => async () => new Response(JSON.stringify(body), { status });
+      
+      try {
+        const statuses: string[] = [];
+        const checks = [
+          reply(200, { data: [] }),
+          reply(401, { error: { message: 'Incorrect API key provided' } }),
+          reply(429, { error: { code: 'insufficient_quota', message: 'You exceeded your current quota, please check your plan and billing details.' } }),
+          async () => { throw new TypeError('Failed to fetch'); }
+        ];
+        for (const check of checks) {
+          window.fetch = check as typeof fetch;
+          statuses.push((await checker.check())!.status);
+        }
+        const stored = await checker.getLastResult();
+        
+        let requests = 0;
+        window.fetch = async () => { requests++; return new Response('{}'); };
+        settings = { useApiKey: false, processingMode: 'device-only', apiProvider: 'openai', apiKey: 'sk-test' };
+        const notInUse = await checker.check();
+        
+        return { statuses, stored, notInUse, requests, cleared: await checker.getLastResult() };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+    
+    expect(result.statuses).toEqual(['valid', 'invalid', 'no_quota', 'network']);
+    expect(result.stored).toMatchObject({ provider: 'openai', providerLabel: 'OpenAI (GPT-4)', status: 'network' });
+    expect(result.notInUse).toBeNull();
+    expect(result.requests).toBe(0);
+    expect(result.cleared).toBeNull();
+  });
+
+  test('the hourly alarm re-checks the key, keeps the last result while locked and broadcasts it', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
 
+    await serviceWorker.evaluate(() => {
+      (self as any).keyCheckRequests = 0;
+      self.fetch = async () => {
+        (self as any).keyCheckRequests++;
+        return new Response(JSON.stringify({ error: { message: 'Incorrect API key provided' } }), { status: 401 });
+      };
+    });
+
+    const { name, minutes } = await sidePanelPage.evaluate(async () => {
+      const { KEY_HEALTH_ALARM, KEY_HEALTH_CHECK_MINUTES } = await import('/background/key-health.js');
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const broadcasts: any[] = [];
+      (window as any).keyHealthBroadcasts = broadcasts;
+      chrome.runtime.onMessage.addListener((message: any) => {
+        if (message.action === 'modelStatus' && message.type === 'apiKeyHealth') {
+          broadcasts.push(message.capabilities?.status ?? null);
+        }
+      });
+      await chrome.storage.sync.set({ useApiKey: true, apiProvider: 'openai' });
+      (window as any).keyVault = new ApiKeyVault({ storage: chrome.storage.sync, sessionStorage: chrome.storage.session });
+      await (window as any).keyVault.save('sk-test', 'correct horse battery');
+      return { name: KEY_HEALTH_ALARM, minutes: KEY_HEALTH_CHECK_MINUTES };
+    });
+
+    // The worker schedules the check when it starts
+    const alarm = await sidePanelPage.evaluate((alarmName) => chrome.alarms.get(alarmName), name);
+    expect(alarm).toMatchObject({ name, periodInMinutes: minutes });
+
+    const fireAlarm = () => sidePanelPage.evaluate((alarmName) => chrome.alarms.create(alarmName, { when: Date.now() }), name);
+    const getHealth = () => sidePanelPage.evaluate(async () => (await chrome.runtime.sendMessage({ action: 'getApiKeyHealth' })).health);
+    const broadcasts = () => sidePanelPage.evaluate(() => (window as any).keyHealthBroadcasts);
+
+    await fireAlarm();
+    await expect.poll(broadcasts).toEqual(['invalid']);
+    const afterAlarm = await getHealth();
+
+    // A locked key is not sent; the last result stays for the settings panel
+    await sidePanelPage.evaluate(() => (window as any).keyVault.lock());
+    await fireAlarm();
+    await expect.poll(broadcasts).toEqual(['invalid', null]);
+    const whileLocked = await getHealth();
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { classifyKeyCheck } = await import('/background/key-health.js');
+      return [
+        classifyKeyCheck({ valid: false, errorType: 'rate_limit' }),
+        classifyKeyCheck({ valid: false, errorType: 'server' }),
+        classifyKeyCheck(null)
+      ];
+    });
+
+    expect(await serviceWorker.evaluate(() => (self as any).keyCheckRequests)).toBe(1);
+    expect(afterAlarm).toMatchObject({ provider: 'openai', status: 'invalid', httpStatus: 401 });
+    expect(whileLocked).toEqual(afterAlarm);
+    // A rate-limited check means the key was accepted; other failures say nothing about the key
+    expect(result).toEqual(['valid', 'network', 'network']);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for passphrase encryption of the stored API key
+ * Covers utils/api-key-vault.js: migration of a plaintext key, lock and unlock, rejected passphrases and
+ * damaged records, encrypting the saved key from the settings, and locked keys in the provider registry
+ * and the service worker
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('API Key Encryption', () => {
+  test('encrypts a plaintext key, locks it and unlocks it with the passphrase', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const memoryStorage = () => {
+        const data: Record<string, any> = {};
+        return {
+          data,
+          get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+          set: async (items: Record<string, any>) => { Object.assign(data, items); },
+          remove: async (key: string | string[]) => { [key].flat().forEach(k => delete data[k]); }
+        };
+      };
+      const storage = memoryStorage();
+      const sessionStorage = memoryStorage();
+      storage.data.apiKey = 'sk-test-123';
+      const vault = new ApiKeyVault({ storage, sessionStorage });
+
+      const before = await vault.getState();
+      await vault.save(await vault.getApiKey(), 'correct horse battery');
+      const stored = JSON.stringify(storage.data);
+      const unlocked = await vault.getApiKey();
+
+      await vault.lock();
+      const locked = { state: await vault.getState(), apiKey: await vault.getApiKey() };
+      let wrongPassphrase = '';
+      try {
+        await vault.unlock('wrong horse battery');
+      } catch (error) {
+        wrongPassphrase = (error as Error).message;
+      }
+      const reopened = await vault.unlock('correct horse battery');
+
+      return { before, stored, unlocked, locked, wrongPassphrase, reopened };
+    });
+
+    expect(result.before).toEqual({ hasKey: true, encrypted: false, locked: false });
+    expect(result.stored).not.toContain('sk-test-123');
+    expect(result.stored).toContain('apiKeyEncrypted');
+    expect(result.unlocked).toBe('sk-test-123');
+    expect(result.locked).toEqual({ state: { hasKey: true, encrypted: true, locked: true }, apiKey: '' });
+    expect(result.wrongPassphrase).toContain('Wrong passphrase');
+    expect(result.reopened).toBe('sk-test-123');
+  });
+
+  test('a locked key stops requests instead of falling back to built-in AI', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ProviderRegistry } = await import('/background/provider-registry.js');
+      const { registerDefaultProviders } = await import('/background/ai-providers.js');
+      const registry = new ProviderRegistry();
+      registerDefaultProviders(registry, { summaryService: {}, draftService: {} });
+
+      let error = '';
+      try {
+        registry.resolve({ useApiKey: true, apiProvider: 'anthropic', apiKey: '', apiKeyLocked: true });
+      } catch (e) {
+        error = (e as Error).message;
+      }
+      return {
+        error,
+        fallback: registry.resolveFallback({ processingMode: 'hybrid', apiProvider: 'anthropic', apiKey: '', apiKeyLocked: true })
+      };
+    });
+
+    expect(result.error).toContain('API key is locked');
+    expect(result.fallback).toBeNull();
+  });
+
+  test('rejects short passphrases and damaged records, and can go back to a plaintext key', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ApiKeyVault, MIN_PASSPHRASE_LENGTH, ENCRYPTED_API_KEY_STORAGE_KEY } = await import('/utils/api-key-vault.js');
+      const memoryStorage = () => {
+        const data: Record<string, any> = {};
+        return {
+          data,
+          get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+          set: async (items: Record<string, any>) => { Object.assign(data, items); },
+          remove: async (key: string | string[]) => { [key].flat().forEach(k => delete data[k]); }
+        };
+      };
+      const storage = memoryStorage();
+      const sessionStorage = memoryStorage();
+      const vault = new ApiKeyVault({ storage, sessionStorage });
+      const errorOf = async (action: () => Promise<unknown>) => {
+        try {
+          await action();
+          return '';
+        } catch (error) {
+          return (error as Error).message;
+        }
+      };
+
+      const noRecord = await errorOf(() => vault.unlock('correct horse battery'));
+      const shortPassphrase = await errorOf(() => vault.save('sk-test-123', 'short'));
+      const afterShort = { ...storage.data };
+
+      await vault.save('sk-test-123', 'correct horse battery');
+      const record = storage.data[ENCRYPTED_API_KEY_STORAGE_KEY];
+      await vault.lock();
+
+      // A changed ciphertext fails authentication like a wrong passphrase
+      const bytes = Uint8Array.from(atob(record.ciphertext), char => char.charCodeAt(0));
+      bytes[0] ^= 1;
+      storage.data[ENCRYPTED_API_KEY_STORAGE_KEY] = { ...record, ciphertext: btoa(String.fromCharCode(...bytes)) };
+      const tampered = await errorOf(() => vault.unlock('correct horse battery'));
+      storage.data[ENCRYPTED_API_KEY_STORAGE_KEY] = { ...record, version: 99 };
+      const unknownVersion = await errorOf(() => vault.unlock('correct horse battery'));
+      const stillLocked = await vault.getState();
+
+      // Saving without a passphrase replaces the encrypted record with the plain key
+      await vault.save('sk-plain-456');
+      const plain = { state: await vault.getState(), apiKey: await vault.getApiKey(), keys: Object.keys(storage.data) };
+      await vault.save('');
+      const removed = await vault.getState();
+
+      return { min: MIN_PASSPHRASE_LENGTH, noRecord, shortPassphrase, afterShort, tampered, unknownVersion, stillLocked, plain, removed };
+    });
+
+    expect(result.noRecord).toBe('No encrypted API key is saved');
+    expect(result.shortPassphrase).toContain(`at least ${result.min} characters`);
+    expect(result.afterShort).toEqual({});
+    expect(result.tampered).toContain('Wrong passphrase');
+    expect(result.unknownVersion).toContain('Enter the key again');
+    expect(result.stillLocked).toEqual({ hasKey: true, encrypted: true, locked: true });
+    expect(result.plain).toEqual({ state: { hasKey: true, encrypted: false, locked: false }, apiKey: 'sk-plain-456', keys: ['apiKey'] });
+    expect(result.removed).toEqual({ hasKey: false, encrypted: false, locked: false });
+  });
+
+  test('entering only a passphrase encrypts the saved key instead of deleting it', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SettingsManager } = await import('/sidepanel/settings-manager.js');
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const memoryStorage = () => {
+        const data: Record<string, any> = {};
+        return {
+          data,
+          get: async (key: string | string[]) => Object.fromEntries([key].flat().filter(k => k in data).map(k => [k, data[k]])),
+          set: async (items: Record<string, any>) => { Object.assign(data, items); },
+          remove: async (key: string | string[]) => { [key].flat().forEach(k => delete data[k]); }
+        };
+      };
+      const storage = memoryStorage();
+      storage.data.apiKey = 'sk-test-123';
+      const statuses: string[] = [];
+      const elements = {
+        apiKeyInput: { value: '' },
+        apiKeyPassphraseInput: { value: 'correct horse battery' },
+        apiProviderSelect: { value: 'openai' }
+      };
+      const manager = new SettingsManager(elements, (message: string) => statuses.push(message));
+      manager.apiKeyVault = new ApiKeyVault({ storage, sessionStorage: memoryStorage() });
+      manager.save = async () => {};
+      manager.checkApiKey = async () => {};
+      manager.settings.useApiKey = false;
+      manager.settings.apiKey = await manager.apiKeyVault.getApiKey();
+      manager.apiKeyState = await manager.apiKeyVault.getState();
+
+      await manager.saveApiKey();
+      return {
+        state: manager.apiKeyState,
+        apiKey: await manager.apiKeyVault.getApiKey(),
+        stored: JSON.stringify(storage.data),
+        passphraseCleared: elements.apiKeyPassphraseInput.value === '',
+        statuses
+      };
+    });
+
+    expect(result.state).toEqual({ hasKey: true, encrypted: true, locked: false });
+    expect(result.apiKey).toBe('sk-test-123');
+    expect(result.stored).not.toContain('sk-test-123');
+    expect(result.passphraseCleared).toBe(true);
+    expect(result.statuses).toEqual(['✓ API key encrypted and saved']);
+  });
+
+  test('the service worker sends no key until the side panel unlocks it', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    await serviceWorker.evaluate(() => {
+      const authorizations: string[] = [];
+      (self as any).keyCheckAuthorizations = authorizations;
+      self.fetch = async (_url: any, options: any) => {
+        authorizations.push(options.headers.Authorization);
+        return new Response(JSON.stringify({ data: [] }), { status: 200 });
+      };
+    });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const vault = new ApiKeyVault({ storage: chrome.storage.sync, sessionStorage: chrome.storage.session });
+      await chrome.storage.sync.set({ useApiKey: true, apiProvider: 'openai' });
+      await vault.save('sk-test-123', 'correct horse battery');
+      await vault.lock();
+      const locked = await chrome.runtime.sendMessage({ action: 'checkApiKey' });
+      await vault.unlock('correct horse battery');
+      const unlocked = await chrome.runtime.sendMessage({ action: 'checkApiKey' });
+      return { locked: locked.health, unlocked: unlocked.health };
+    });
+    const authorizations = await serviceWorker.evaluate(() => (self as any).keyCheckAuthorizations);
+
+    expect(result.locked).toBeNull();
+    expect(result.unlocked).toMatchObject({ provider: 'openai', status: 'valid' });
+    // Only the unlocked key was sent
+    expect(authorizations).toEqual(['Bearer sk-test-123']);
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Tests for the batch processing queue
+ * Covers sequential processing, cancel/retry, resuming after a worker restart (and giving up on
+ * jobs that keep stopping it), the wake-up alarm, the on-device lock shared with side panel
+ * requests, jobs run by the service worker and hybrid mode's cloud fallback in queued jobs
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Batch Queue', () => {
+  test('runs jobs one at a time and supports cancel and retry', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { BatchQueue, MAX_BATCH_JOB_ATTEMPTS } = await import('/background/batch-queue.js');
+      const stored: Record<string, any> = {};
+      const storage = {
+        get: async (key: string) => ({ [key]: stored[key] }),
+        set: async (items: Record<string, any>) => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+      };
+
+      let running = 0;
+      let maxRunning = 0;
+      let failNext = true;
+      let queue: any;
+      const stages: string[] = [];
+      queue = new BatchQueue({
+        storage,
+        broadcastStatus: (_type: string, status: any) => stages.push(`${status.job.subject}:${status.stage}`),
+        runJob: async (job: any, { reportStage }: any) => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await reportStage('generating');
+          await new Promise(resolve => setTimeout(resolve, 10));
+          running--;
+          if (job.subject === 'Invoice' && failNext) {
+            failNext = false;
+            throw new Error('Model unavailable');
+          }
+          if (job.subject === 'Offsite') {
+            await queue.cancel(job.id);
+          }
+        }
+      });
+
+      await queue.enqueue([
+        { threadUrl: 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZaaaa', subject: 'Budget' },
+        { threadUrl: 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZbbbb', subject: 'Invoice' },
+        { threadUrl: 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZcccc', subject: 'Offsite' },
+        { threadUrl: 'https://mail.google.com/mail/u/0/#label/Work/FMfcgzQXJWDsKmzZaaaa', subject: 'Budget again' }
+      ]);
+      await queue.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const firstRun = (await queue.getJobs()).map((job: any) => job.status);
+
+      const invoice = (await queue.getJobs()).find((job: any) => job.subject === 'Invoice');
+      await queue.retry(invoice.id);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const afterRetry = (await queue.getJobs()).find((job: any) => job.subject === 'Invoice');
+
+      // A job that was running when the worker stopped is queued again on load
+      stored.batchJobQueue[0].status = 'running';
+      const restarted = new BatchQueue({ storage, runJob: async () => {}, broadcastStatus: () => {} });
+      const resumed = (await restarted.getJobs())[0].status;
+
+      // ...until it has been started MAX_BATCH_JOB_ATTEMPTS times
+      stored.batchJobQueue[0].attempts = MAX_BATCH_JOB_ATTEMPTS;
+      const crashedAgain = new BatchQueue({ storage, runJob: async () => {}, broadcastStatus: () => {} });
+      const exhausted = (await crashedAgain.getJobs())[0];
+
+      return { firstRun, afterRetry, maxRunning, stages, resumed, exhausted };
+    });
+
+    expect(result.firstRun).toEqual(['done', 'failed', 'cancelled']);
+    expect(result.maxRunning).toBe(1);
+    expect(result.afterRetry).toMatchObject({ status: 'done', attempts: 2, error: null });
+    expect(result.stages).toContain('Budget:generating');
+    expect(result.stages).toContain('Invoice:error');
+    expect(result.resumed).toBe('queued');
+    expect(result.exhausted).toMatchObject({ status: 'failed', stage: 'error' });
+    expect(result.exhausted.error).toContain('Processing stopped before finishing 3 times');
+  });
+
+  test('keeps a wake-up alarm while jobs are pending and skips threads already queued', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { BatchQueue, BATCH_QUEUE_ALARM } = await import('/background/batch-queue.js');
+      const stored: Record<string, any> = {};
+      const alarmCalls: string[] = [];
+      let alarm: any = null;
+      const alarms = {
+        get: async () => alarm,
+        create: async (name: string, info: any) => { alarm = { name, ...info }; alarmCalls.push(`create:${name}`); },
+        clear: async (name: string) => { alarm = null; alarmCalls.push(`clear:${name}`); }
+      };
+
+      let release: () => void = () => {};
+      const queue = new BatchQueue({
+        storage: {
+          get: async (key: string) => ({ [key]: stored[key] }),
+          set: async (items: Record<string, any>) => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+        },
+        broadcastStatus: () => {},
+        alarms,
+        runJob: () => new Promise<void>(resolve => { release = resolve; })
+      });
+      await queue.start();
+      // Starting with nothing pending clears any alarm left from an earlier worker
+      const onStart = alarmCalls.splice(0);
+
+      const url = 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZdddd';
+      const added = await queue.enqueue([{ threadUrl: url, subject: 'Budget' }, { threadUrl: 'https://mail.google.com/mail/u/0/#label/Work/FMfcgzQXJWDsKmzZdddd', subject: 'Budget' }]);
+      const duplicate = await queue.enqueue([{ threadUrl: url, subject: 'Budget' }]);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const whileRunning = alarm;
+
+      release();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      let noTasks = '';
+      try {
+        await queue.enqueue([{ threadUrl: url, subject: 'Budget' }], { tasks: [] });
+      } catch (error) {
+        noTasks = (error as Error).message;
+      }
+
+      return { onStart, added: added.length, duplicate: duplicate.length, whileRunning, alarmCalls, afterDrain: alarm, noTasks, name: BATCH_QUEUE_ALARM };
+    });
+
+    expect(result.onStart).toEqual([`clear:${result.name}`]);
+    expect(result.added).toBe(1);
+    expect(result.duplicate).toBe(0);
+    expect(result.whileRunning).toEqual({ name: result.name, periodInMinutes: 1 });
+    // The alarm is created once and cleared when nothing is pending
+    expect(result.alarmCalls).toEqual([`create:${result.name}`, `clear:${result.name}`]);
+    expect(result.afterDrain).toBeNull();
+    expect(result.noTasks).toBe('Choose at least one task to run');
+  });
+
+  test('on-device summaries, drafts and action items take turns with one model session', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { OnDeviceLock } = await import('/background/on-device-lock.js');
+      const { SummaryService } = await import('/background/summary-service.js');
+      const { DraftService } = await import('/background/draft-service.js');
+      const { ActionItemService } = await import('/background/action-item-service.js');
+
+      let active = 0;
+      let maxActive = 0;
+      let created = 0;
+      const createSession = (reply: string) => {
+        active++;
+        created++;
+        maxActive = Math.max(maxActive, active);
+        const answer = async () => {
+          await new Promise(resolve => setTimeout(resolve, 20));
+          return reply;
+        };
+        return { summarize: answer, prompt: answer, destroy: () => { active--; } };
+      };
+      (window as any).Summarizer = { create: async () => createSession('- Budget approved') };
+      (window as any).LanguageModel = { create: async () => createSession('{"drafts": [], "actionItems": []}') };
+
+      // The service worker hands the same lock to every service
+      const onDeviceLock = new OnDeviceLock();
+      const aiCapabilities = { summarizer: { available: 'available' }, promptApi: { available: 'available' } };
+      const summaryService = new SummaryService({ aiCapabilities, broadcastModelStatus: () => {}, shouldUseCloudFallback: () => ({}), onDeviceLock });
+      const draftService = new DraftService({ aiCapabilities, shouldUseCloudFallback: () => ({}), summaryService, onDeviceLock });
+      const actionItemService = new ActionItemService({ aiCapabilities, onDeviceLock });
+      const thread = { subject: 'Budget', messages: [{ sender: { name: 'Ann' }, content: 'Can you approve the budget?' }] };
+
+      // A request cancelled while it waits for the lock never creates a session
+      const cancelled = new AbortController();
+      const waiting = draftService.generateDraftsOnDevice({ text: 'Later', subject: 'Budget', tone: 'neutral' }, { signal: cancelled.signal })
+        .then(() => 'finished', (error: Error) => error.name);
+      const work = Promise.all([
+        summaryService.summarizeOnDevice({ thread, text: 'Batch job thread' }),
+        draftService.generateDraftsOnDevice({ text: 'Side panel thread', subject: 'Budget', tone: 'neutral' }),
+        actionItemService.extractActionItems(thread),
+        summaryService.summarizeOnDevice({ thread, text: 'Side panel thread' })
+      ]);
+      const createdBeforeCancel = created;
+      cancelled.abort();
+
+      await work;
+      return { maxActive, created, createdBeforeCancel, waiting: await waiting, active };
+    });
+
+    expect(result.maxActive).toBe(1);
+    // Two summaries of two Summarizer sessions each, one draft and one action item session
+    expect(result.created).toBe(6);
+    expect(result.createdBeforeCancel).toBe(0);
+    expect(result.waiting).toBe('AbortError');
+    expect(result.active).toBe(0);
+  });
+
+  test('the service worker runs queued jobs and saves the results to history', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    // OpenAI answers the Budget thread and rejects the Offsite thread
+    await serviceWorker.evaluate(() => {
+      const requests: string[] = [];
+      (self as any).batchRequests = requests;
+      const reply = (status: number, body: any) => new Response(JSON.stringify(body), { status });
+      self.fetch = async (_url: any, options: any) => {
+        const body = JSON.parse(options.body);
+        const drafting = !!body.response_format;
+        requests.push(`${drafting ? 'drafts' : 'summary'}: ${body.messages[0].content.includes('formal in tone') ? 'formal' : ''}`.trim());
+        if (body.messages[1].content.includes('Offsite')) {
+          return reply(400, { error: { message: 'Context length exceeded' } });
+        }
+        const content = drafting
+          ? JSON.stringify({ drafts: ['Quick', 'Details', 'Next Steps'].map(type => ({ type, subject: 'Re: Budget', body: 'Thanks!' })) })
+          : 'Budget approved.\n\nKey points:\n- Approved';
+        return reply(200, { model: 'gpt-4o', choices: [{ message: { content } }] });
+      };
+    });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ThreadHistoryStore } = await import('/utils/thread-history.js');
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const okUrl = 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZeeee';
+      const failUrl = 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZffff';
+      const thread = (subject: string) => ({ subject, messages: [{ sender: { name: 'Sam' }, content: `${subject} details for the team. Please reply by Friday with your numbers.` }] });
+      // Saved threads are processed without opening a tab; the worker reads the same history
+      const history = new ThreadHistoryStore();
+      await history.save(okUrl, { thread: thread('Budget') });
+      await history.save(failUrl, { thread: thread('Offsite') });
+      await chrome.storage.sync.set({ useApiKey: true, apiProvider: 'openai' });
+      await new ApiKeyVault({ storage: chrome.storage.sync, sessionStorage: chrome.storage.session }).save('sk-test');
+
+      const empty = await chrome.runtime.sendMessage({ action: 'enqueueBatchJobs', threads: [] });
+      const response = await chrome.runtime.sendMessage({
+        action: 'enqueueBatchJobs',
+        threads: [{ threadUrl: okUrl, subject: 'Budget' }, { threadUrl: failUrl, subject: 'Offsite' }],
+        tasks: ['summary', 'drafts'],
+        tone: 'formal'
+      });
+
+      const ids = response.added.map((job: any) => job.id);
+      let jobs: any[] = [];
+      for (let i = 0; i < 100; i++) {
+        jobs = (await chrome.runtime.sendMessage({ action: 'getBatchQueue' })).jobs.filter((job: any) => ids.includes(job.id));
+        if (jobs.every((job: any) => job.status !== 'queued' && job.status !== 'running')) break;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      const saved = await history.get(okUrl);
+      return {
+        empty,
+        statuses: jobs.map((job: any) => [job.subject, job.status, job.error]),
+        saved: { summary: saved.summary, keyPoints: saved.thread.keyPoints, drafts: saved.drafts.length },
+        failedSummary: (await history.get(failUrl)).summary
+      };
+    });
+    const requests = await serviceWorker.evaluate(() => (self as any).batchRequests);
+
+    expect(result.empty).toMatchObject({ success: false });
+    expect(result.empty.error).toContain('No threads selected');
+    expect(result.statuses[0]).toEqual(['Budget', 'done', null]);
+    expect(result.statuses[1].slice(0, 2)).toEqual(['Offsite', 'failed']);
+    // The job error is the user-facing message for the failure
+    expect(result.statuses[1][2]).toContain('Context length exceeded');
+    // Drafts are written in the queued tone, and not at all once the summary failed
+    expect(requests).toEqual(['summary', 'drafts: formal', 'summary']);
+    expect(result.saved).toEqual({ summary: 'Budget approved.', keyPoints: ['Approved'], drafts: 3 });
+    // A failed job leaves the saved analysis untouched
+    expect(result.failedSummary).toBeNull();
+  });
+
+  test('queued jobs stay on-device and fail clearly when hybrid mode would need cloud consent', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    await serviceWorker.evaluate(() => {
+      (self as any).batchRequests = 0;
+      self.fetch = async () => {
+        (self as any).batchRequests++;
+        return new Response('{}');
+      };
+    });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ThreadHistoryStore } = await import('/utils/thread-history.js');
+      const { ApiKeyVault } = await import('/utils/api-key-vault.js');
+      const threadUrl = 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmzZgggg';
+      await new ThreadHistoryStore().save(threadUrl, {
+        thread: { subject: 'Lunch', messages: [{ sender: { name: 'Sam' }, content: 'Lunch on Friday? The new place on Main Street opens at noon.' }] }
+      });
+      await chrome.storage.sync.set({ processingMode: 'hybrid', useApiKey: false, apiProvider: 'openai' });
+      await new ApiKeyVault({ storage: chrome.storage.sync, sessionStorage: chrome.storage.session }).save('sk-test');
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'enqueueBatchJobs',
+        threads: [{ threadUrl, subject: 'Lunch' }],
+        tasks: ['summary', 'drafts'],
+        tone: 'neutral'
+      });
+
+      const id = response.added[0].id;
+      let job: any = null;
+      for (let i = 0; i < 100; i++) {
+        job = (await chrome.runtime.sendMessage({ action: 'getBatchQueue' })).jobs.find((candidate: any) => candidate.id === id);
+        if (job.status !== 'queued' && job.status !== 'running') break;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return { status: job.status, error: job.error };
+    });
+
+    // The test browser has no on-device models, so hybrid mode would fall back to the cloud
+    expect(result.status).toBe('failed');
+    expect(result.error).toContain('so this thread would be sent to OpenAI');
+    expect(result.error).toContain('open the thread in the side panel to approve it');
+    // Nothing is sent without consent
+    expect(await serviceWorker.evaluate(() => (self as any).batchRequests)).toBe(0);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for meeting time detection and iCalendar export
+ * Covers proposal parsing and normalization, VEVENT attendees, VTODO due dates,
+ * line folding, text escaping and dates that do not exist
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Calendar Export', () => {
+  test('detects proposed meeting times relative to the message date', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const proposals = await sidePanelPage.evaluate(async () => {
+      const { MeetingDetectionService } = await import('/background/meeting-service.js');
+      const service = new MeetingDetectionService({ aiCapabilities: { promptApi: { available: 'no' } } });
+      const { proposals } = await service.detectMeetingProposals({
+        subject: 'Q3 planning',
+        messages: [
+          { content: 'Can we do a 45 min call? Tuesday 3pm or Thursday 10am?', sender: { name: 'Alice', email: 'alice@example.com' }, timestamp: 'Oct 14, 2026, 9:00 AM' },
+          { content: 'We have 10 people joining, so 2pm on Friday is better.', sender: { name: 'Bob', email: 'bob@example.com' }, timestamp: 'Oct 14, 2026, 11:00 AM' }
+        ]
+      });
+      return proposals.map((p: any) => {
+        const start = new Date(p.start);
+        return {
+          day: start.getDate(),
+          hour: start.getHours(),
+          minutes: (p.end - p.start) / 60000,
+          source: p.sourceMessageIndex
+        };
+      });
+    });
+
+    expect(proposals).toEqual([
+      { day: 15, hour: 10, minutes: 45, source: 0 },
+      { day: 16, hour: 14, minutes: 30, source: 1 },
+      { day: 20, hour: 15, minutes: 45, source: 0 }
+    ]);
+  });
+
+  test('rejects days the month does not have instead of rolling them over', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { parseDueDate, parseProposedTime } = await import('/utils/timestamp-parser.js');
+      // Wednesday 14 October 2026, and the same day a year later (before a leap year)
+      const reference = new Date(2026, 9, 14, 9, 0).getTime();
+      const beforeLeapYear = new Date(2027, 9, 14, 9, 0).getTime();
+      return {
+        february30: parseDueDate('Feb 30', reference),
+        april31: parseDueDate('31 April', reference),
+        isoDate: parseDueDate('2026-11-31', reference),
+        meeting: parseProposedTime('April 31', '3pm', reference),
+        leapDay: parseDueDate('Feb 29', reference),
+        nextLeapDay: parseDueDate('Feb 29', beforeLeapYear),
+        lastDay: parseDueDate('April 30', reference)
+      };
+    });
+
+    expect(result.february30).toBeNull();
+    expect(result.april31).toBeNull();
+    expect(result.isoDate).toBeNull();
+    expect(result.meeting).toBeNull();
+    expect(result.leapDay).toBeNull();
+    expect(result.nextLeapDay).toBe('2028-02-29');
+    expect(result.lastDay).toBe('2027-04-30');
+  });
+
+  test('builds VEVENT and VTODO files', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const ics = await sidePanelPage.evaluate(async () => {
+      const { buildCalendar, buildEvent, buildTodo } = await import('/utils/ical.js');
+      const start = Date.UTC(2026, 9, 20, 15, 0);
+      return {
+        event: buildCalendar([buildEvent({
+          title: 'Budget review, Q3',
+          start,
+          end: start + 30 * 60 * 1000,
+          attendees: [
+            { name: 'Alice', email: 'alice@example.com' },
+            { name: 'No Email', email: '' }
+          ]
+        })]),
+        todo: buildCalendar([buildTodo({ task: 'Send the numbers', dueDate: '2026-10-16' })])
+      };
+    });
+
+    expect(ics.event).toContain('BEGIN:VEVENT');
+    expect(ics.event).toContain('DTSTART:20261020T150000Z');
+    expect(ics.event).toContain('SUMMARY:Budget review\\, Q3');
+    // Attendee lines are long enough to be folded
+    expect(ics.event.replace(/\r\n /g, '')).toContain('mailto:alice@example.com');
+    expect(ics.event.match(/^ATTENDEE/gm)).toHaveLength(1);
+    expect(ics.event.split('\r\n').every((line: string) => line.length <= 75)).toBe(true);
+    expect(ics.todo).toContain('DUE;VALUE=DATE:20261016');
+    expect(ics.todo).toContain('STATUS:NEEDS-ACTION');
+  });
+
+  test('folds long lines on character boundaries and escapes text values', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { buildCalendar, buildTodo, foldLine, escapeText, createIcsFilename } = await import('/utils/ical.js');
+      const line = `DESCRIPTION:${'Réunion café ☕ '.repeat(12)}`;
+      const folded = foldLine(line);
+      return {
+        octets: folded.split('\r\n').map(part => new TextEncoder().encode(part).length),
+        unfolded: folded.replace(/\r\n /g, ''),
+        line,
+        escaped: escapeText('a;b,c\\d\r\ne'),
+        done: buildCalendar([buildTodo({ task: 'Send', dueDate: '2026-10-16', done: true })]),
+        filenames: [createIcsFilename('Re: Q3 planning!'), createIcsFilename('!!!', 'task')]
+      };
+    });
+
+    expect(result.octets.every((length: number) => length <= 75)).toBe(true);
+    expect(result.unfolded).toBe(result.line);
+    expect(result.escaped).toBe('a\\;b\\,c\\\\d\\ne');
+    expect(result.done).toContain('STATUS:COMPLETED');
+    expect(result.done.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(result.filenames).toEqual(['q3-planning.ics', 'task.ics']);
+  });
+
+  test('normalizes Prompt API proposals and drops unparseable or repeated times', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { MeetingDetectionService, DEFAULT_MEETING_DURATION_MINUTES } = await import('/background/meeting-service.js');
+      (window as any).LanguageModel = {
+        create: async () => ({
+          prompt: async () => JSON.stringify({
+            proposals: [
+              { date: 'Tuesday', time: '3pm', durationMinutes: 0, sourceMessageIndex: 0 },
+              { date: 'tuesday', time: '15:00', durationMinutes: 60, sourceMessageIndex: 0 },
+              { date: 'sometime soon', time: 'later', durationMinutes: 0, sourceMessageIndex: 0 },
+              { date: 'Thursday', time: '', durationMinutes: 0, sourceMessageIndex: 0 }
+            ]
+          }),
+          destroy: () => {}
+        })
+      };
+      const service = new MeetingDetectionService({ aiCapabilities: { promptApi: { available: 'available' } } });
+      const sender = { name: 'Alice', email: 'alice@example.com' };
+      const { proposals, method } = await service.detectMeetingProposals({
+        subject: 'Sync',
+        messages: [{ content: 'How about Tuesday at 3pm?', sender, timestamp: 'Oct 14, 2026, 9:00 AM' }]
+      });
+
+      let emptyThread = '';
+      try {
+        await service.detectMeetingProposals({ subject: 'Empty', messages: [] });
+      } catch (error) {
+        emptyThread = (error as Error).message;
+      }
+
+      return {
+        method,
+        proposals: proposals.map((p: any) => ({
+          day: new Date(p.start).getDate(),
+          hour: new Date(p.start).getHours(),
+          minutes: (p.end - p.start) / 60000,
+          label: p.label,
+          proposedBy: p.proposedBy
+        })),
+        defaultDuration: DEFAULT_MEETING_DURATION_MINUTES,
+        emptyThread
+      };
+    });
+
+    expect(result.method).toBe('prompt-api');
+    // The same start time given twice is kept once, with the default duration of the first mention
+    expect(result.proposals).toEqual([
+      { day: 20, hour: 15, minutes: result.defaultDuration, label: 'Tuesday 3pm', proposedBy: { name: 'Alice', email: 'alice@example.com' } }
+    ]);
+    expect(result.emptyThread).toBe('No messages to detect meeting times in');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for cancelling in-flight summary and draft generation
+ * Covers AbortSignal handling in the services, the cancelOperation message and the side panel reset
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Operation Cancellation', () => {
+  test('aborting the signal stops summarization and reports it as cancelled', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SummaryService } = await import('/background/summary-service.js');
+      let destroyed = 0;
+      (window as any).Summarizer = {
+        create: async () => ({
+          summarize: (_text: string, { signal }: any = {}) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve('Too late'), 1000);
+            signal?.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(new DOMException('The operation was aborted.', 'AbortError'));
+            });
+          }),
+          destroy: () => { destroyed++; }
+        })
+      };
+
+      const stages: string[] = [];
+      const service = new SummaryService({
+        aiCapabilities: { summarizer: { available: 'available' } },
+        broadcastModelStatus: (_type: string, status: any) => stages.push(status.stage),
+        shouldUseCloudFallback: () => ({ shouldFallback: false })
+      });
+
+      const controller = new AbortController();
+      let response: any = null;
+      const pending = service.generateSummary(
+        { messages: [{ sender: { name: 'Sam' }, content: 'Please review the attached budget before Friday. '.repeat(5) }] },
+        (r: any) => { response = r; },
+        null,
+        null,
+        controller.signal
+      );
+      setTimeout(() => controller.abort(), 20);
+      await pending;
+
+      return { response, stages, destroyed };
+    });
+
+    expect(result.response).toMatchObject({ success: false, cancelled: true });
+    expect(result.stages).toContain('cancelled');
+    expect(result.stages).not.toContain('error');
+    expect(result.destroyed).toBe(1);
+  });
+
+  test('a cancelOperation message aborts the matching draft request', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    // The OpenAI request hangs until its signal is aborted
+    await serviceWorker.evaluate(() => {
+      const requests: any = { started: 0, aborted: 0 };
+      (self as any).draftRequests = requests;
+      self.fetch = (_url: any, options: any) => new Promise((_resolve, reject) => {
+        requests.started++;
+        options.signal.addEventListener('abort', () => {
+          requests.aborted++;
+          reject(options.signal.reason);
+        });
+      });
+    });
+
+    await sidePanelPage.evaluate(() => {
+      (window as any).pendingDrafts = chrome.runtime.sendMessage({
+        action: 'generateDrafts',
+        operationId: 'op-drafts',
+        thread: { subject: 'Budget', messages: [{ sender: { name: 'Sam' }, content: 'Can you confirm the budget numbers by Friday?' }] },
+        tone: 'neutral',
+        guidance: '',
+        userSettings: { useApiKey: true, apiProvider: 'openai', apiKey: 'sk-test', providerSettings: {} }
+      });
+    });
+    await expect.poll(() => serviceWorker.evaluate(() => (self as any).draftRequests.started)).toBe(1);
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const cancel = await chrome.runtime.sendMessage({ action: 'cancelOperation', operationId: 'op-drafts' });
+      const draftsResponse = await (window as any).pendingDrafts;
+      const cancelAgain = await chrome.runtime.sendMessage({ action: 'cancelOperation', operationId: 'op-drafts' });
+      return { cancel, draftsResponse, cancelAgain };
+    });
+    const requests = await serviceWorker.evaluate(() => (self as any).draftRequests);
+
+    expect(result.cancel).toMatchObject({ success: true, cancelled: true });
+    expect(result.draftsResponse).toMatchObject({ success: false, cancelled: true });
+    // The request is aborted, not retried
+    expect(requests).toEqual({ started: 1, aborted: 1 });
+    // Finished operations are forgotten, so a second cancel has nothing to stop
+    expect(result.cancelAgain).toMatchObject({ success: true, cancelled: false });
+  });
+
+  test('a cancelled draft request resets the generating state', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const state = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      sidePanel.currentThread = { subject: 'Budget', messages: [{ content: 'Can you confirm?' }] };
+      sidePanel.requestStream = async () => ({ success: false, cancelled: true, error: 'Operation cancelled' });
+
+      await sidePanel.generateReplyDrafts();
+
+      return {
+        isGenerating: sidePanel.isGenerating,
+        buttonDisabled: sidePanel.elements.generateDraftsBtn.disabled,
+        status: document.getElementById('status-text')!.textContent,
+        cancelHidden: document.getElementById('cancel-operation-btn')!.classList.contains('hidden')
+      };
+    });
+
+    expect(state.isGenerating).toBe(false);
+    expect(state.buttonDisabled).toBe(false);
+    expect(state.status).toBe('Draft generation cancelled');
+    expect(state.cancelHidden).toBe(true);
+  });
+});
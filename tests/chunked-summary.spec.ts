@@ -0,0 +1,93 @@
+/**
+ * Tests for summarizing threads longer than the on-device limit
+ * Covers packing messages into chunks and the map-reduce pass in SummaryService
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Chunked Summarization', () => {
+  test('packs messages into chunks on message boundaries', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SummaryService } = await import('/background/summary-service.js');
+      const service = new SummaryService({ aiCapabilities: {}, broadcastModelStatus: () => {}, shouldUseCloudFallback: () => ({}) });
+
+      const messages = ['A'.repeat(40), 'B'.repeat(40), 'C'.repeat(40)];
+      const oversized = Array.from({ length: 6 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+      return {
+        whole: service.splitIntoChunks(messages, 100),
+        oversized: service.splitIntoChunks([oversized], 60)
+      };
+    });
+
+    // Two messages and their separator fit in one chunk; the third starts the next
+    expect(result.whole).toHaveLength(2);
+    expect(result.whole[0]).toContain('A'.repeat(40));
+    expect(result.whole[0]).toContain('B'.repeat(40));
+    expect(result.whole[1]).toBe('C'.repeat(40));
+    expect(result.oversized.every((chunk: string) => chunk.length <= 60)).toBe(true);
+    expect(result.oversized.join(' ').replace(/\s+/g, ' ')).toContain('Sentence number 5 is here.');
+  });
+
+  test('summarizes every chunk of a long thread and builds the summary from the partials', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SummaryService, MAX_ON_DEVICE_CONTENT_LENGTH } = await import('/background/summary-service.js');
+      const calls: { type: string, text: string }[] = [];
+      (window as any).Summarizer = {
+        create: async (options: any) => ({
+          summarize: async (text: string) => {
+            calls.push({ type: options.type, text });
+            if (options.type === 'key-points') {
+              return '- Budget approved\n- Offsite moved';
+            }
+            // Each chunk's summary names the last message it saw
+            return `Covered ${text.match(/Message \d+/g)?.pop() || 'partials'}`;
+          },
+          destroy: () => {}
+        })
+      };
+
+      const progress: any[] = [];
+      const service = new SummaryService({
+        aiCapabilities: { summarizer: { available: 'available' } },
+        broadcastModelStatus: (_type: string, status: any) => progress.push(status),
+        shouldUseCloudFallback: () => ({ shouldFallback: false })
+      });
+
+      const messages = Array.from({ length: 8 }, (_, i) => ({
+        sender: { name: `Person ${i}` },
+        content: `Message ${i}: ${'Details about the budget and the offsite. '.repeat(250)}`
+      }));
+      let response: any = null;
+      await service.generateSummary({ subject: 'Budget', messages }, (r: any) => { response = r; });
+
+      return {
+        response,
+        limit: MAX_ON_DEVICE_CONTENT_LENGTH,
+        threadLength: messages.reduce((total, message) => total + message.content.length, 0),
+        chunkCalls: calls.filter(call => call.type === 'tldr' && call.text.startsWith('From: ')),
+        finalInput: calls.find(call => call.type === 'tldr' && call.text.startsWith('Part 1 of'))?.text,
+        chunkProgress: progress.filter(status => status.stage === 'summarizing_chunk')
+      };
+    });
+
+    expect(result.threadLength).toBeGreaterThan(result.limit);
+    expect(result.response.success).toBe(true);
+    expect(result.response.keyPoints).toEqual(['Budget approved', 'Offsite moved']);
+    // No chunk exceeds the limit and no message is dropped
+    expect(result.chunkCalls.length).toBeGreaterThan(1);
+    expect(result.chunkCalls.every((call: any) => call.text.length <= result.limit)).toBe(true);
+    const seen = result.chunkCalls.map((call: any) => call.text).join('\n');
+    for (let i = 0; i < 8; i++) {
+      expect(seen).toContain(`Message ${i}:`);
+    }
+    // The final TL;DR is generated from the labelled partial summaries
+    expect(result.finalInput).toContain(`Part 1 of ${result.chunkCalls.length}:`);
+    expect(result.finalInput).toContain('Covered Message 7');
+    expect(result.chunkProgress.map((status: any) => status.chunk)).toEqual(result.chunkCalls.map((_: any, i: number) => i + 1));
+    expect(result.chunkProgress[0]).toMatchObject({ totalChunks: result.chunkCalls.length, pass: 1 });
+  });
+});
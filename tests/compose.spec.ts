@@ -0,0 +1,144 @@
+/**
+ * Tests for Writer API compose mode
+ * Covers WriterService prompts, subjects and errors, new emails, forwards of the current thread,
+ * and the compose request sent to the background
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Compose Mode', () => {
+  test('writes new emails with a generated subject and forwards with the thread subject', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { WriterService, MAX_WRITER_CONTEXT_LENGTH } = await import('/background/writer-service.js');
+      const calls: any[] = [];
+      (window as any).Writer = {
+        availability: async () => 'available',
+        create: async (options: any) => ({
+          write: async (prompt: string, writeOptions?: any) => {
+            calls.push({ tone: options.tone, length: options.length, prompt, context: writeOptions?.context ?? null });
+            return prompt.startsWith('Write only a subject line')
+              ? '\nSubject: "Budget review on Friday"\nAlternative: Budget'
+              : ' Hi Sam, can we review the budget on Friday? ';
+          },
+          destroy: () => {}
+        })
+      };
+
+      const service = new WriterService();
+      const newEmail = await service.compose({ mode: 'new', purpose: 'ask to review the budget', recipientRole: 'my manager', tone: 'formal' });
+      const forward = await service.compose({
+        mode: 'forward',
+        purpose: 'for the incident review',
+        threadSubject: 'Fwd: Outage report',
+        threadContext: 'x'.repeat(MAX_WRITER_CONTEXT_LENGTH * 2)
+      });
+
+      let badMode = '';
+      try {
+        await service.compose({ mode: 'reply', purpose: 'anything' });
+      } catch (error) {
+        badMode = (error as Error).message;
+      }
+
+      return { newEmail, forward, calls, badMode, maxContext: MAX_WRITER_CONTEXT_LENGTH };
+    });
+
+    expect(result.newEmail).toEqual({ subject: 'Budget review on Friday', body: 'Hi Sam, can we review the budget on Friday?' });
+    expect(result.calls[0]).toMatchObject({ tone: 'formal', length: 'medium', context: null });
+    expect(result.calls[0].prompt).toContain('my manager');
+    // Subjects are written short, in the email's tone
+    expect(result.calls[1]).toMatchObject({ tone: 'formal', length: 'short' });
+    // Forwards keep a single Fwd: prefix and pass the thread as truncated context
+    expect(result.forward.subject).toBe('Fwd: Outage report');
+    expect(result.calls).toHaveLength(3);
+    expect(result.calls[2].prompt).toContain('forwarded email thread');
+    expect(result.calls[2].context.startsWith('Email thread "Fwd: Outage report":')).toBe(true);
+    expect(result.calls[2].context.length).toBeLessThanOrEqual(result.maxContext);
+    expect(result.badMode).toBe('Unsupported compose mode: reply');
+  });
+
+  test('the service worker rejects compose requests without a purpose or a thread to forward', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const responses = await sidePanelPage.evaluate(async () => {
+      const compose = (message: any) => chrome.runtime.sendMessage({ action: 'composeEmail', ...message });
+      return {
+        noPurpose: await compose({ mode: 'new', purpose: '  ' }),
+        noThread: await compose({ mode: 'forward', purpose: 'for the incident review' })
+      };
+    });
+
+    expect(responses.noPurpose).toMatchObject({ success: false });
+    expect(responses.noPurpose.error).toContain('Describe the purpose');
+    expect(responses.noThread).toMatchObject({ success: false });
+    expect(responses.noThread.error).toContain('Extract the thread');
+  });
+
+  test('compose section offers new email and forward modes', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const controls = await sidePanelPage.evaluate(() => ({
+      modes: [...document.querySelectorAll('#compose-mode option')].map(o => (o as HTMLOptionElement).value),
+      tones: [...document.querySelectorAll('#compose-tone option')].map(o => (o as HTMLOptionElement).value),
+      lengths: [...document.querySelectorAll('#compose-length option')].map(o => (o as HTMLOptionElement).value),
+      // No thread has been extracted, so thread context is unavailable
+      includeThreadDisabled: (document.getElementById('compose-include-thread') as HTMLInputElement).disabled,
+      resultHidden: document.getElementById('compose-result')!.classList.contains('hidden')
+    }));
+
+    expect(controls.modes).toEqual(['new', 'forward']);
+    expect(controls.tones).toEqual(['neutral', 'formal', 'casual']);
+    expect(controls.lengths).toEqual(['short', 'medium', 'long']);
+    expect(controls.includeThreadDisabled).toBe(true);
+    expect(controls.resultHidden).toBe(true);
+  });
+
+  test('forwarding sends the current thread and shows the written note', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const panel = (window as any).sidePanelInstance;
+      panel.currentThread = { subject: 'Outage report', messages: [{ sender: { name: 'Ops' }, content: 'The API was down for 20 minutes.' }] };
+      panel.currentSummary = 'API outage lasted 20 minutes.';
+
+      // Stub the background response so the test does not depend on the on-device model
+      let request: any = null;
+      (chrome.runtime as any).sendMessage = async (message: any) => {
+        request = message;
+        return { success: true, mode: 'forward', subject: 'Fwd: Outage report', body: 'Sharing this for the incident review.' };
+      };
+
+      (document.getElementById('compose-mode') as HTMLSelectElement).value = 'forward';
+      document.getElementById('compose-mode')!.dispatchEvent(new Event('change'));
+      (document.getElementById('compose-recipient') as HTMLInputElement).value = 'the platform team';
+      (document.getElementById('compose-purpose') as HTMLTextAreaElement).value = 'review in the incident meeting';
+
+      await panel.composeUI.compose();
+
+      return {
+        request,
+        includeThreadChecked: (document.getElementById('compose-include-thread') as HTMLInputElement).checked,
+        subject: (document.getElementById('compose-subject') as HTMLInputElement).value,
+        body: (document.getElementById('compose-body') as HTMLTextAreaElement).value,
+        resultHidden: document.getElementById('compose-result')!.classList.contains('hidden')
+      };
+    });
+
+    expect(result.request).toMatchObject({
+      action: 'composeEmail',
+      mode: 'forward',
+      recipientRole: 'the platform team',
+      purpose: 'review in the incident meeting',
+      summary: 'API outage lasted 20 minutes.'
+    });
+    expect(result.request.thread.subject).toBe('Outage report');
+    expect(result.includeThreadChecked).toBe(true);
+    expect(result.subject).toBe('Fwd: Outage report');
+    expect(result.body).toBe('Sharing this for the incident review.');
+    expect(result.resultHidden).toBe(false);
+  });
+});
@@ -1,10 +1,11 @@
-import { test as baseTest, chromium, BrowserContext, Page } from '@playwright/test';
+import { test as baseTest, chromium, BrowserContext, Page, Worker } from '@playwright/test';
 import path from 'path';
 
 interface ExtensionFixtures {
   context: BrowserContext;
   extensionId: string;
   backgroundPage: Page;
+  serviceWorker: Worker;
   sidePanelPage: Page;
 }
 
@@ -191,6 +192,16 @@ export const test = baseTest.extend<ExtensionFixtures>({
     await use(backgroundPage);
   },
 
+  serviceWorker: async ({ context }, use) => {
+    // Manifest V3 runs the background script as a service worker, not a background page
+    let [worker] = context.serviceWorkers();
+    if (!worker) {
+      worker = await context.waitForEvent('serviceworker', { timeout: 10000 });
+    }
+    
+    await use(worker);
+  },
+
   sidePanelPage: async ({ context, extensionId }, use) => {
     // Open side panel page directly
     const sidePanelUrl = `chrome-extension://${extensionId}/sidepanel/sidepanel.html`;
@@ -0,0 +1,171 @@
+/**
+ * Tests for the searchable thread history archive
+ * Covers tokenizing, ranking, keeping the index in step with saves and deletes,
+ * key points of summaries generated in the side panel, and links back to the thread
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('History Search', () => {
+  test('finds saved analyses by participant, summary and draft text', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const results = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      const store = sidePanel.threadHistory;
+      await store.clear();
+
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th100', {
+        thread: {
+          subject: 'Acme renewal',
+          messages: [{ sender: { name: 'Jane Doe', email: 'jane@acme.com' }, content: 'Renewal terms' }],
+          keyPoints: ['Renewal is due in May']
+        },
+        summary: 'Acme asked for a 10% discount on the annual renewal.',
+        drafts: [{ type: 'Quick Response', body: 'We can offer 5% if you sign this quarter.' }]
+      });
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th200', {
+        thread: {
+          subject: 'Team lunch',
+          messages: [{ sender: { name: 'Bob', email: 'bob@example.com' }, content: 'Lunch on Friday' }]
+        },
+        summary: 'Lunch is booked for Friday.',
+        drafts: []
+      });
+
+      const keys = async (query: string) => (await store.search(query)).map((r: any) => r.record.threadKey);
+      return {
+        byParticipant: await keys('jane'),
+        bySummaryPrefix: await keys('disc'),
+        byDraft: await keys('quarter'),
+        allWordsRequired: await keys('acme friday'),
+        snippetField: (await store.search('discount'))[0].snippet.field
+      };
+    });
+
+    expect(results.byParticipant).toEqual(['thread:100']);
+    expect(results.bySummaryPrefix).toEqual(['thread:100']);
+    expect(results.byDraft).toEqual(['thread:100']);
+    expect(results.allWordsRequired).toEqual([]);
+    expect(results.snippetField).toBe('summary');
+  });
+
+  test('ranks subject matches first and keeps the index in step with saves and deletes', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const results = await sidePanelPage.evaluate(async () => {
+      const { ThreadHistoryStore } = await import('/utils/thread-history.js');
+      const { tokenize } = await import('/utils/history-search.js');
+      const store = new ThreadHistoryStore();
+      await store.clear();
+
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th1', {
+        thread: { subject: 'Invoice overdue', messages: [] },
+        summary: 'Payment reminder.',
+        drafts: []
+      });
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th2', {
+        thread: { subject: 'Catch up', messages: [] },
+        summary: 'General notes.',
+        drafts: [{ type: 'Quick Response', body: 'I will send the invoice tomorrow.' }]
+      });
+
+      const keys = async (query: string) => (await store.search(query)).map((r: any) => r.record.threadKey);
+      const ranked = await keys('invoice');
+
+      // Re-saving a thread replaces its terms; deleting one removes them
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th1', {
+        thread: { subject: 'Contract signed', messages: [] },
+        summary: 'Payment received.',
+        drafts: []
+      });
+      const afterResave = { old: await keys('overdue'), updated: await keys('contract') };
+      await store.delete('https://mail.google.com/mail/u/0/#inbox/th2');
+
+      return {
+        tokens: tokenize('Café, the RÉSUMÉ and a Q3 plan'),
+        ranked,
+        afterResave,
+        afterDelete: await keys('invoice'),
+        stopWordsOnly: await keys('the and of'),
+        empty: await keys('   ')
+      };
+    });
+
+    // Accents and case are folded; stop words and single characters are dropped
+    expect(results.tokens).toEqual(['cafe', 'resume', 'q3', 'plan']);
+    expect(results.ranked).toEqual(['thread:1', 'thread:2']);
+    expect(results.afterResave).toEqual({ old: [], updated: ['thread:1'] });
+    expect(results.afterDelete).toEqual([]);
+    expect(results.stopWordsOnly).toEqual([]);
+    expect(results.empty).toEqual([]);
+  });
+
+  test('key points of a summary generated in the side panel are searchable', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      const url = 'https://mail.google.com/mail/u/0/#inbox/th500';
+      await sidePanel.threadHistory.clear();
+      sidePanel.currentContext.url = url;
+      sidePanel.currentThread = {
+        subject: 'Office move',
+        messages: [{ sender: { name: 'Ann Lee', email: 'ann@example.com' }, content: 'We move next month.' }]
+      };
+      sidePanel.actionItemsUI.extract = async () => {};
+      sidePanel.meetingsUI.detect = async () => {};
+      sidePanel.requestStream = async () => ({
+        success: true,
+        summary: 'The office is moving.',
+        keyPoints: ['Movers arrive on the 3rd floor loading dock']
+      });
+
+      await sidePanel.generateSummary();
+
+      // generateSummary saves the thread without waiting for it
+      let results = [];
+      for (let i = 0; i < 20 && results.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        results = await sidePanel.threadHistory.search('loading dock');
+      }
+
+      const record = await sidePanel.threadHistory.get(url);
+      return {
+        keys: results.map((r: any) => r.record.threadKey),
+        snippetField: results[0]?.snippet.field,
+        savedKeyPoints: record?.thread?.keyPoints
+      };
+    });
+
+    expect(result.keys).toEqual(['thread:500']);
+    expect(result.snippetField).toBe('keyPoints');
+    expect(result.savedKeyPoints).toEqual(['Movers arrive on the 3rd floor loading dock']);
+  });
+
+  test('search results link to the saved thread URL', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const link = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      await sidePanel.threadHistory.clear();
+      await sidePanel.threadHistory.save('https://mail.google.com/mail/u/0/#inbox/th300', {
+        thread: { subject: 'Quarterly report', messages: [] },
+        summary: 'Numbers are up this quarter.',
+        drafts: []
+      });
+
+      (document.getElementById('history-search') as HTMLInputElement).value = 'quarterly';
+      await sidePanel.historyUI.refresh();
+
+      const anchor = document.querySelector('#history-results .history-result-link') as HTMLAnchorElement;
+      return { text: anchor.textContent, href: anchor.getAttribute('href') };
+    });
+
+    expect(link.text).toBe('Quarterly report');
+    expect(link.href).toBe('https://mail.google.com/mail/u/0/#inbox/th300');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for tolerant JSON repair of model output
+ * Covers utils/json-repair.js repairs applied before draft validation and how DraftService reports them
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('JSON Repair', () => {
+  test('repairs prose, code fences, trailing commas and raw newlines', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { repairJson } = await import('/utils/json-repair.js');
+      return {
+        fenced: repairJson('Here you go:\n```json\n{"drafts":[{"type":"a","body":"b",},]}\n```'),
+        prose: repairJson('Sure! {"drafts":[{"type":"a","body":"line 1\nline 2"}]} Hope this helps.')
+      };
+    });
+
+    expect(result.fenced.value.drafts[0]).toEqual({ type: 'a', body: 'b' });
+    expect(result.fenced.repairs).toEqual(['stripped_code_fence', 'removed_trailing_commas']);
+    expect(result.prose.value.drafts[0].body).toBe('line 1\nline 2');
+    expect(result.prose.repairs).toEqual(['extracted_json_object', 'escaped_control_characters']);
+  });
+
+  test('closes truncated output', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { repairJson } = await import('/utils/json-repair.js');
+      return repairJson('{"drafts":[{"type":"a","body":"done"},{"type":"b","body":"cut off mid');
+    });
+
+    expect(result.value.drafts).toHaveLength(2);
+    expect(result.value.drafts[1].body).toBe('cut off mid');
+    expect(result.repairs).toContain('closed_truncated_output');
+  });
+
+  test('completes true, false and null cut off mid-word', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { repairJson } = await import('/utils/json-repair.js');
+      return {
+        inObject: repairJson('{"done": tru'),
+        inArray: repairJson('{"flags": [true, f'),
+        nested: repairJson('{"drafts":[{"type":"a","body":"b","note":nu')
+      };
+    });
+
+    expect(result.inObject).toEqual({ value: { done: true }, repairs: ['closed_truncated_output'] });
+    expect(result.inArray.value).toEqual({ flags: [true, false] });
+    expect(result.nested.value.drafts[0]).toEqual({ type: 'a', body: 'b', note: null });
+  });
+
+  test('falls back to splitting on draft headings', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { repairDraftsResponse } = await import('/utils/json-repair.js');
+      return repairDraftsResponse([
+        'Draft 1: Quick Response',
+        'Subject: Re: Budget',
+        'Thanks, I will review it today.',
+        '',
+        'Draft 2: Next Steps',
+        'Let us meet on Monday to finalize.'
+      ].join('\n'));
+    });
+
+    expect(result.repairs).toEqual(['split_on_draft_headings']);
+    expect(result.drafts).toHaveLength(2);
+    expect(result.drafts[0]).toEqual({ type: 'Quick Response', subject: 'Re: Budget', body: 'Thanks, I will review it today.' });
+    expect(result.drafts[1].type).toBe('Next Steps');
+  });
+
+  test('keeps numbered lists inside a draft body', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { repairDraftsResponse } = await import('/utils/json-repair.js');
+      return repairDraftsResponse([
+        '1. Quick Response',
+        'Sure. Steps:',
+        '1. Review doc',
+        '2. Send it',
+        '',
+        '**2. Next Steps**',
+        'Let us meet on Monday to finalize.'
+      ].join('\n'));
+    });
+
+    expect(result.drafts).toHaveLength(2);
+    expect(result.drafts[0]).toEqual({ type: 'Quick Response', subject: '', body: 'Sure. Steps:\n1. Review doc\n2. Send it' });
+    expect(result.drafts[1]).toEqual({ type: 'Next Steps', subject: '', body: 'Let us meet on Monday to finalize.' });
+  });
+
+  test('reports the repairs with the drafts, including when the template fallback is used', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { SummaryService } = await import('/background/summary-service.js');
+      const { DraftService } = await import('/background/draft-service.js');
+      const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => `{"type":"${type}","subject":"Re: Budget","body":"${type} reply",}`);
+      const responses = [
+        `\`\`\`json\n{"drafts":[${drafts.join(',')}]}\n\`\`\``,
+        // Cut off after the first draft: too few drafts to use
+        `{"drafts":[${drafts[0]},{"type":"Detailed","subject":"Re: Bu`
+      ];
+      (window as any).LanguageModel = {
+        create: async () => ({ prompt: async () => responses.shift(), destroy: () => {} })
+      };
+
+      const capabilities = { promptApi: { available: 'available' }, summarizer: { available: 'available' } };
+      const summaryService = new SummaryService({ aiCapabilities: capabilities, shouldUseCloudFallback: () => ({ shouldFallback: false }) });
+      const service = new DraftService({ aiCapabilities: capabilities, shouldUseCloudFallback: () => ({ shouldFallback: false }), summaryService });
+      const thread = { subject: 'Budget', messages: [{ sender: { name: 'Sam' }, content: 'Can you confirm the budget by Friday?' }] };
+
+      const generate = () => new Promise<any>(resolve => service.generateReplyDrafts(thread, 'neutral', '', resolve));
+      return { repaired: await generate(), fallback: await generate() };
+    });
+
+    expect(result.repaired.success).toBe(true);
+    expect(result.repaired.drafts).toHaveLength(3);
+    expect(result.repaired.repairs).toEqual(['stripped_code_fence', 'removed_trailing_commas']);
+    expect(result.fallback.success).toBe(true);
+    expect(result.fallback.warning).toContain('fallback');
+    expect(result.fallback.drafts).toHaveLength(3);
+    expect(result.fallback.repairs).toContain('closed_truncated_output');
+  });
+});
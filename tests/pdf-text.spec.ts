@@ -0,0 +1,141 @@
+/**
+ * Tests for the built-in PDF reader
+ * Covers utils/pdf-text.js: page order, FlateDecode content streams, ToUnicode CMaps, damaged and unreadable
+ * files, the text limit, and the messages AttachmentService gives for them
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('PDF Text Extraction', () => {
+  test('reads compressed pages in page order with ToUnicode fonts', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { extractPdfText } = await import('/utils/pdf-text.js');
+      const encoder = new TextEncoder();
+      const deflate = async (text: string) =>
+        new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+
+      // Page 2 is object 4 and listed first in the file; the Kids array decides the order
+      const toUnicode = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap\n' +
+        '1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+        '2 beginbfchar <0001> <0048> <0002> <00E9> endbfchar\n' +
+        '1 beginbfrange <0003> <0004> [<006C> <006F>] endbfrange\n' +
+        'endcmap end end';
+      const objects: (string | Uint8Array)[][] = [
+        ['<< /Type /Catalog /Pages 2 0 R >>'],
+        ['<< /Type /Pages /Kids [5 0 R 4 0 R] /Count 2 >>'],
+        ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'],
+        ['<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 3 0 R /F2 7 0 R >> >> /Contents 8 0 R >>'],
+        ['<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 3 0 R >> >> /Contents 6 0 R >>']
+      ];
+      const page1 = await deflate('BT /F1 12 Tf 72 720 Td (First page) Tj 0 -14 Td [(Second) -250 (line)] TJ ET');
+      objects.push([`<< /Length ${page1.length} /Filter /FlateDecode >>\nstream\n`, page1, '\nendstream']);
+      const cmap = await deflate(toUnicode);
+      objects.push(['<< /Type /Font /Subtype /Type0 /BaseFont /Sans /Encoding /Identity-H /ToUnicode 9 0 R ' +
+        '/DescendantFonts [<< /Type /Font /Subtype /CIDFontType2 /DW 600 >>] >>']);
+      const page2 = await deflate('BT /F2 12 Tf 72 720 Td <00010002000300030004> Tj ET');
+      objects.push([`<< /Length ${page2.length} /Filter /FlateDecode >>\nstream\n`, page2, '\nendstream']);
+      objects.push([`<< /Length ${cmap.length} /Filter /FlateDecode >>\nstream\n`, cmap, '\nendstream']);
+
+      const parts: Uint8Array[] = [encoder.encode('%PDF-1.4\n')];
+      let length = parts[0].length;
+      const offsets: number[] = [];
+      const write = (part: string | Uint8Array) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        parts.push(bytes);
+        length += bytes.length;
+      };
+      objects.forEach((body, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n`);
+        body.forEach(write);
+        write('\nendobj\n');
+      });
+      const xrefOffset = length;
+      write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      const pdf = await extractPdfText(await new Blob(parts).arrayBuffer());
+      let notPdf = '';
+      try {
+        await extractPdfText(encoder.encode('Hello, this is plain text'));
+      } catch (error) {
+        notPdf = (error as Error).message;
+      }
+      return { pdf, notPdf };
+    });
+
+    expect(result.pdf.pageCount).toBe(2);
+    expect(result.pdf.pages).toEqual(['First page\nSecond line', 'Héllo']);
+    expect(result.notPdf).toBe('The file is not a PDF');
+  });
+
+  test('rebuilds damaged cross-references, skips unreadable pages and reports files it cannot read', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { extractPdfText } = await import('/utils/pdf-text.js');
+      const { AttachmentService } = await import('/background/attachment-service.js');
+      const encoder = new TextEncoder();
+      const contentStream = (text: string, filter = '') => `<< /Length ${text.length}${filter} >>\nstream\n${text}\nendstream`;
+      const buildPdf = (pageContents: string[], { trailer = '', startxref = null as number | null } = {}) => {
+        const pageCount = pageContents.length;
+        const objects = [
+          '<< /Type /Catalog /Pages 2 0 R >>',
+          `<< /Type /Pages /Kids [${pageContents.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+          '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+        ];
+        pageContents.forEach((content, i) => {
+          objects.push(`<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+          objects.push(content);
+        });
+        let body = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+          const offset = body.length;
+          body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+          return offset;
+        });
+        const xrefOffset = body.length;
+        body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+          offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+          `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${trailer} >>\nstartxref\n${startxref ?? xrefOffset}\n%%EOF\n`;
+        return encoder.encode(body);
+      };
+      const page = (text: string) => contentStream(`BT /F1 12 Tf 72 720 Td (${text}) Tj ET`);
+      const errorOf = async (data: Uint8Array) => {
+        try {
+          await extractPdfText(data);
+          return '';
+        } catch (error) {
+          return (error as Error).message;
+        }
+      };
+      const service = new AttachmentService({ aiCapabilities: {} });
+      const describe = (data: Uint8Array) => service.extractPDFText(new Blob([data]), { name: 'report.pdf' });
+
+      return {
+        // startxref points into the header, so the objects are found by scanning
+        rebuilt: await extractPdfText(buildPdf([page('Quarterly report'), page('Appendix')], { startxref: 3 })),
+        // An unsupported filter loses that page only
+        unsupported: await extractPdfText(buildPdf([contentStream('garbage', ' /Filter /LZWDecode'), page('Readable page')])),
+        limited: await extractPdfText(buildPdf([page('First page'), page('Second page')]), { maxChars: 5 }),
+        encrypted: await errorOf(buildPdf([page('Secret')], { trailer: ' /Encrypt << /Filter /Standard >>' })),
+        noPages: await errorOf(buildPdf([])),
+        scannedMessage: await describe(buildPdf([contentStream('q 100 0 0 100 0 0 cm /Im1 Do Q')])),
+        encryptedMessage: await describe(buildPdf([page('Secret')], { trailer: ' /Encrypt << /Filter /Standard >>' })),
+        textMessage: await describe(buildPdf([page('Quarterly report')]))
+      };
+    });
+
+    expect(result.rebuilt).toEqual({ pageCount: 2, pages: ['Quarterly report', 'Appendix'] });
+    expect(result.unsupported).toEqual({ pageCount: 2, pages: ['', 'Readable page'] });
+    expect(result.limited).toEqual({ pageCount: 2, pages: ['First page'] });
+    expect(result.encrypted).toBe('The PDF is encrypted');
+    expect(result.noPages).toBe('The PDF has no pages');
+    expect(result.scannedMessage).toBe('PDF file report.pdf: No text found in 1 page. The PDF may be a scanned document.');
+    expect(result.encryptedMessage).toBe('Error extracting text from PDF report.pdf: The PDF is encrypted');
+    expect(result.textMessage).toBe('Extracted text from report.pdf (1 page):\n\n[Page 1]\nQuarterly report');
+  });
+});
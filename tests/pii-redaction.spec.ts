@@ -0,0 +1,131 @@
+/**
+ * Tests for reversible PII redaction of cloud requests
+ * Covers utils/pii-redaction.js placeholders and restoring them in provider output,
+ * phone numbers in national, international and E.164 formats or confused with year ranges,
+ * dates and amounts, and first names and surnames restored exactly as written
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+const THREAD = {
+  subject: 'Refund for order 4821-99',
+  messages: [
+    {
+      sender: { name: 'Sarah Chen', email: 'sarah.chen@example.com' },
+      content: 'Hi Tom,\nMy order #48213 never arrived. Please refund to GB82 WEST 1234 5698 7654 32 or call +44 20 7946 0958. We met on 2024-03-15.\nThanks,\nSarah'
+    },
+    {
+      sender: { name: 'Tom Baker', email: 'tom@shop.example' },
+      content: 'Dear Sarah,\nSorry about that. Reply to tom@shop.example and we will sort it out.\nBest regards,\nTom'
+    }
+  ]
+};
+
+test.describe('PII Redaction', () => {
+  test('replaces personal data with stable placeholders and restores them', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { createThreadRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = createThreadRedactor(thread, {});
+      const redacted = thread.messages.map((message: any) => redactor.redact(message.content));
+      return {
+        redacted,
+        restored: redactor.restore('[PERSON_1] asked PERSON_2 to refund [ORDER_1] to [IBAN_1]; call [PHONE_1] or write to [EMAIL_1]. [PERSON_9]'),
+        replacements: redactor.getReplacements().length
+      };
+    }, THREAD);
+
+    expect(result.redacted[0]).toBe('Hi [PERSON_1],\nMy order #[ORDER_1] never arrived. Please refund to [IBAN_1] or call [PHONE_1]. We met on 2024-03-15.\nThanks,\n[PERSON_2]');
+    expect(result.redacted[1]).toBe('Dear [PERSON_2],\nSorry about that. Reply to [EMAIL_1] and we will sort it out.\nBest regards,\n[PERSON_1]');
+    expect(result.restored).toBe('Tom asked Sarah to refund 48213 to GB82 WEST 1234 5698 7654 32; call +44 20 7946 0958 or write to tom@shop.example. [PERSON_9]');
+    expect(result.replacements).toBe(6);
+  });
+
+  test('skips categories that are turned off and IBANs with a bad checksum', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { createThreadRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = createThreadRedactor(thread, { person: false, phone: false });
+      return redactor.redact('Sarah, call +44 20 7946 0958 about GB82 WEST 1234 5698 7654 33 or mail sarah.chen@example.com');
+    }, THREAD);
+
+    expect(result).toBe('Sarah, call +44 20 7946 0958 about GB82 WEST 1234 5698 7654 33 or mail [EMAIL_1]');
+  });
+
+  test('keeps year ranges and gives one number written two ways the same placeholder', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { createThreadRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = createThreadRedactor(thread, {});
+      const redacted = redactor.redact('The 2023-2024 budget and the Q3 2024-2025 plan are approved. Call +1 415 555 0100 or 415-555-0100, or the office on 020 7946 0958.');
+      return {
+        redacted,
+        later: redactor.redact('London: +44 20 7946 0958, 0044 20 7946 0958. Fax: 415-555-0199.'),
+        restored: redactor.restore('[PHONE_1] / [PHONE_2]')
+      };
+    }, THREAD);
+
+    expect(result.redacted).toBe('The 2023-2024 budget and the Q3 2024-2025 plan are approved. Call [PHONE_1] or [PHONE_1], or the office on [PHONE_2].');
+    expect(result.later).toBe('London: [PHONE_2], [PHONE_2]. Fax: [PHONE_3].');
+    // The first way a number was written is the one restored
+    expect(result.restored).toBe('+1 415 555 0100 / 020 7946 0958');
+  });
+
+  test('restores first names as written and leaves bare surnames in street and company names', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { createThreadRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = createThreadRedactor(thread, {});
+      const text = 'Hi Tom, Tom Baker here from Baker Street. Sarah Chen of Chen Industries wrote to Mr Baker and Ms. Chen.';
+      const redacted = redactor.redact(text);
+      return { redacted, restored: redactor.restore(redacted), text };
+    }, THREAD);
+
+    expect(result.redacted).toBe('Hi [PERSON_1], [PERSON_2] here from Baker Street. [PERSON_3] of Chen Industries wrote to Mr [PERSON_4] and Ms. [PERSON_5].');
+    expect(result.restored).toBe(result.text);
+  });
+
+  test('redacts national, international and unseparated E.164 phone numbers', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { PiiRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = new PiiRedactor();
+      return [
+        '+44 7700 900123',
+        '07700 900123',
+        '+49 30 1234567',
+        '030 1234567',
+        '+33 6 12 34 56 78',
+        '+353 87 1234567',
+        '+14155550132'
+      ].map(number => redactor.redact(`Call ${number} today.`));
+    }, THREAD);
+
+    expect(result).toEqual([
+      'Call [PHONE_1] today.',
+      'Call [PHONE_1] today.',
+      'Call [PHONE_2] today.',
+      'Call [PHONE_2] today.',
+      'Call [PHONE_3] today.',
+      'Call [PHONE_4] today.',
+      'Call [PHONE_5] today.'
+    ]);
+  });
+
+  test('does not take amounts, IDs or dates with times for phone numbers', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async (thread) => {
+      const { createThreadRedactor } = await import('/utils/pii-redaction.js');
+      const redactor = createThreadRedactor(thread, {});
+      return redactor.redact('Budget 12 500 000 approved, total 1.250.000 EUR. Released 2024.10.19 12:00 and 19.10.2024 10 30. Batch 4821 9931 2210, serial 4155550100. Office: (020) 7946 0958.');
+    }, THREAD);
+
+    expect(result).toBe('Budget 12 500 000 approved, total 1.250.000 EUR. Released 2024.10.19 12:00 and 19.10.2024 10 30. Batch 4821 9931 2210, serial 4155550100. Office: [PHONE_1].');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for Proofreader API integration in reply drafts
+ * Covers ProofreaderService corrections and errors, and inline correction review with accept/reject controls
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Draft Proofreading', () => {
+  test('returns non-overlapping corrections in input order and recovers from failures', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ProofreaderService } = await import('/background/proofreader-service.js');
+      const text = 'I has recieved teh file.';
+      let sessions = 0;
+      let failNext = false;
+      (window as any).Proofreader = {
+        availability: async () => 'available',
+        create: async () => {
+          sessions++;
+          return {
+            proofread: async () => {
+              if (failNext) {
+                failNext = false;
+                throw new Error('Model crashed');
+              }
+              return {
+                correctedInput: 'I have received the file.',
+                corrections: [
+                  { startIndex: 15, endIndex: 18, correction: 'the' },
+                  { startIndex: 2, endIndex: 5, correction: 'have', types: ['grammar'] },
+                  // Overlaps the correction before it
+                  { startIndex: 4, endIndex: 8, correction: 'x' },
+                  { startIndex: 6, endIndex: 14, correction: 'received', type: 'spelling' },
+                  // Outside the text
+                  { startIndex: 30, endIndex: 32, correction: 'y' }
+                ]
+              };
+            },
+            destroy: () => {}
+          };
+        }
+      };
+
+      const service = new ProofreaderService();
+      const first = await service.proofread(text);
+      failNext = true;
+      let failure = '';
+      try {
+        await service.proofread(text);
+      } catch (error) {
+        failure = (error as Error).message;
+      }
+      await service.proofread(text);
+
+      delete (window as any).Proofreader;
+      let unavailable = '';
+      try {
+        await new ProofreaderService().proofread(text);
+      } catch (error) {
+        unavailable = (error as Error).message;
+      }
+
+      return { first, failure, sessions, unavailable };
+    });
+
+    expect(result.first.correctedText).toBe('I have received the file.');
+    expect(result.first.corrections).toEqual([
+      { startIndex: 2, endIndex: 5, original: 'has', correction: 'have', type: 'grammar', explanation: null },
+      { startIndex: 6, endIndex: 14, original: 'recieved', correction: 'received', type: 'spelling', explanation: null },
+      { startIndex: 15, endIndex: 18, original: 'teh', correction: 'the', type: null, explanation: null }
+    ]);
+    expect(result.failure).toBe('Proofreading failed: Model crashed');
+    // The session is reused until a failure, then created again
+    expect(result.sessions).toBe(2);
+    expect(result.unavailable).toContain('not available');
+  });
+
+  test('the service worker rejects empty text', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const response = await sidePanelPage.evaluate(() => {
+      return chrome.runtime.sendMessage({ action: 'proofreadText', text: '   ' });
+    });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toContain('Invalid text for proofreading');
+  });
+
+  test('drafts are editable and expose a proofread action', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const state = await sidePanelPage.evaluate(() => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      renderer.render([{ type: 'Quick Response', subject: 'Re: Test', body: 'Thanks for the update.' }]);
+
+      const body = document.querySelector('#reply-drafts .draft-text') as HTMLElement;
+      return {
+        editable: body.contentEditable,
+        hasProofreadButton: !!document.querySelector('#reply-drafts .proofread-draft-btn')
+      };
+    });
+
+    expect(state.editable).toBe('plaintext-only');
+    expect(state.hasProofreadButton).toBe(true);
+  });
+
+  test('applies accepted corrections and keeps rejected text', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(() => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      const text = 'I has recieved teh file.';
+      const draft = { type: 'Quick Response', subject: 'Re: Test', body: text };
+      renderer.render([draft]);
+
+      const draftDiv = document.querySelector('#reply-drafts .draft') as HTMLElement;
+      const button = draftDiv.querySelector('.proofread-draft-btn') as HTMLElement;
+
+      renderer.showCorrections(draftDiv, text, [
+        { startIndex: 2, endIndex: 5, original: 'has', correction: 'have' },
+        { startIndex: 6, endIndex: 14, original: 'recieved', correction: 'received' },
+        { startIndex: 15, endIndex: 18, original: 'teh', correction: 'the' }
+      ], button);
+
+      const pendingBefore = draftDiv.querySelectorAll('.proofread-correction').length;
+      const buttons = () => draftDiv.querySelectorAll('.proofread-correction');
+
+      (buttons()[0].querySelector('.correction-accept-btn') as HTMLElement).click();
+      (buttons()[0].querySelector('.correction-reject-btn') as HTMLElement).click();
+      (buttons()[0].querySelector('.correction-accept-btn') as HTMLElement).click();
+
+      const body = draftDiv.querySelector('.draft-text') as HTMLElement;
+      return {
+        pendingBefore,
+        pendingAfter: buttons().length,
+        text: body.textContent,
+        draftBody: (draftDiv as any)._draftData.body,
+        editable: body.contentEditable,
+        proofread: (draftDiv as any)._draftData.proofread
+      };
+    });
+
+    expect(result.pendingBefore).toBe(3);
+    expect(result.pendingAfter).toBe(0);
+    expect(result.text).toBe('I have recieved the file.');
+    expect(result.draftBody).toBe('I have recieved the file.');
+    expect(result.editable).toBe('plaintext-only');
+    expect(result.proofread).toBe(true);
+  });
+});
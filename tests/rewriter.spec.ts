@@ -0,0 +1,167 @@
+/**
+ * Tests for per-draft Rewriter API actions
+ * Covers RewriterService sessions and errors, rewrite presets, replacing the draft body, and undo
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Draft Rewriting', () => {
+  test('reuses one rewriter per preset and passes the instruction as context', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { RewriterService } = await import('/background/rewriter-service.js');
+      const created: any[] = [];
+      const calls: any[] = [];
+      let failNext = false;
+      (window as any).Rewriter = {
+        availability: async () => 'available',
+        create: async (options: any) => {
+          created.push({ tone: options.tone, length: options.length });
+          return {
+            rewrite: async (text: string, rewriteOptions?: any) => {
+              if (failNext) {
+                failNext = false;
+                throw new Error('Model crashed');
+              }
+              calls.push({ preset: `${options.tone}/${options.length}`, context: rewriteOptions?.context ?? null });
+              return `  ${text.toUpperCase()}  `;
+            },
+            destroy: () => {}
+          };
+        }
+      };
+
+      const service = new RewriterService();
+      const errorOf = async (run: () => Promise<any>) => {
+        try {
+          await run();
+          return '';
+        } catch (error) {
+          return (error as Error).message;
+        }
+      };
+
+      const shorter = await service.rewrite('thanks', { length: 'shorter', instruction: '  less apologetic ' });
+      await service.rewrite('thanks', { length: 'shorter' });
+      await service.rewrite('thanks', { tone: 'more-formal' });
+      failNext = true;
+      const failure = await errorOf(() => service.rewrite('thanks', { tone: 'more-formal' }));
+      await service.rewrite('thanks', { tone: 'more-formal' });
+      const badTone = await errorOf(() => service.rewrite('thanks', { tone: 'angrier' }));
+
+      return { shorter, created, calls, failure, badTone };
+    });
+
+    expect(result.shorter).toBe('THANKS');
+    expect(result.calls[0]).toEqual({ preset: 'as-is/shorter', context: 'less apologetic' });
+    expect(result.calls[1]).toEqual({ preset: 'as-is/shorter', context: null });
+    // The failed more-formal session is replaced; as-is/shorter is reused
+    expect(result.created).toEqual([
+      { tone: 'as-is', length: 'shorter' },
+      { tone: 'more-formal', length: 'as-is' },
+      { tone: 'more-formal', length: 'as-is' }
+    ]);
+    expect(result.failure).toBe('Rewrite failed: Model crashed');
+    expect(result.badTone).toBe('Unsupported rewrite tone: angrier');
+  });
+
+  test('a failed rewrite keeps the draft and reports the error', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      const original = 'Sorry, so sorry for the delay.';
+      renderer.render([{ type: 'Quick Response', subject: 'Re: Test', body: original }]);
+      (chrome.runtime as any).sendMessage = async () => ({ success: false, error: 'Rewriter API not available' });
+
+      const draftDiv = document.querySelector('#reply-drafts .draft') as HTMLElement;
+      const applyBtn = draftDiv.querySelector('.apply-rewrite-btn') as HTMLButtonElement;
+      await renderer.rewriteDraft(draftDiv, { tone: 'more-formal', length: 'as-is', instruction: '' }, applyBtn);
+
+      return {
+        text: draftDiv.querySelector('.draft-text')!.textContent,
+        undoHidden: (draftDiv.querySelector('.undo-rewrite-btn') as HTMLButtonElement).hidden,
+        buttonDisabled: applyBtn.disabled,
+        status: document.getElementById('status-text')!.textContent,
+        original
+      };
+    });
+
+    expect(result.text).toBe(result.original);
+    expect(result.undoHidden).toBe(true);
+    expect(result.buttonDisabled).toBe(false);
+    expect(result.status).toContain('Rewrite failed: Rewriter API not available');
+  });
+
+  test('each draft has rewrite presets and a free-text instruction', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const controls = await sidePanelPage.evaluate(() => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      renderer.render([{ type: 'Quick Response', subject: 'Re: Test', body: 'Sorry, so sorry for the delay.' }]);
+
+      const panel = document.querySelector('#reply-drafts .draft-rewrite-panel') as HTMLElement;
+      return {
+        tones: [...panel.querySelectorAll('.rewrite-tone option')].map(o => (o as HTMLOptionElement).value),
+        lengths: [...panel.querySelectorAll('.rewrite-length option')].map(o => (o as HTMLOptionElement).value),
+        hasInstruction: !!panel.querySelector('.rewrite-instruction'),
+        panelHidden: panel.classList.contains('hidden'),
+        undoHidden: (document.querySelector('#reply-drafts .undo-rewrite-btn') as HTMLButtonElement).hidden
+      };
+    });
+
+    expect(controls.tones).toEqual(['as-is', 'more-casual', 'more-formal']);
+    expect(controls.lengths).toEqual(['as-is', 'shorter', 'longer']);
+    expect(controls.hasInstruction).toBe(true);
+    expect(controls.panelHidden).toBe(true);
+    expect(controls.undoHidden).toBe(true);
+  });
+
+  test('rewrite replaces the draft and undo restores the original', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      const original = 'Sorry, so sorry for the delay.';
+      renderer.render([{ type: 'Quick Response', subject: 'Re: Test', body: original }]);
+
+      // Stub the background response so the test does not depend on the on-device model
+      let request: any = null;
+      (chrome.runtime as any).sendMessage = async (message: any) => {
+        request = message;
+        return { success: true, rewrittenText: 'Thanks for your patience.' };
+      };
+
+      const draftDiv = document.querySelector('#reply-drafts .draft') as HTMLElement;
+      const applyBtn = draftDiv.querySelector('.apply-rewrite-btn') as HTMLElement;
+      await renderer.rewriteDraft(draftDiv, { tone: 'as-is', length: 'shorter', instruction: 'less apologetic' }, applyBtn);
+
+      const afterRewrite = {
+        text: draftDiv.querySelector('.draft-text')!.textContent,
+        undoHidden: (draftDiv.querySelector('.undo-rewrite-btn') as HTMLButtonElement).hidden
+      };
+
+      renderer.undoRewrite(draftDiv);
+
+      return {
+        request,
+        afterRewrite,
+        afterUndo: draftDiv.querySelector('.draft-text')!.textContent,
+        draftBody: (draftDiv as any)._draftData.body,
+        undoHidden: (draftDiv.querySelector('.undo-rewrite-btn') as HTMLButtonElement).hidden,
+        original
+      };
+    });
+
+    expect(result.request).toMatchObject({ action: 'rewriteText', length: 'shorter', instruction: 'less apologetic' });
+    expect(result.afterRewrite.text).toBe('Thanks for your patience.');
+    expect(result.afterRewrite.undoHidden).toBe(false);
+    expect(result.afterUndo).toBe(result.original);
+    expect(result.draftBody).toBe(result.original);
+    expect(result.undoHidden).toBe(true);
+  });
+});
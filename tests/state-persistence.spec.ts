@@ -5,7 +5,7 @@ import { test, expect } from './fixtures/extension.js';
  * Tests for:
  * 1. State saving when thread extracted, summary generated, drafts created
  * 2. State restoration when returning to same thread URL
- * 3. State clearing when navigating to different thread
+ * 3. Separate per-thread analyses with LRU eviction
  */
 test.describe('State Persistence', () => {
   test('saves state after thread extraction', async ({ sidePanelPage }) => {
@@ -13,7 +13,7 @@ test.describe('State Persistence', () => {
     await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
 
     // Mock thread extraction
-    await sidePanelPage.evaluate(() => {
+    await sidePanelPage.evaluate(async () => {
       const sidePanel = (window as any).sidePanelInstance;
       if (sidePanel) {
         sidePanel.currentThread = {
@@ -23,19 +23,85 @@ test.describe('State Persistence', () => {
           attachments: []
         };
         sidePanel.currentContext.url = 'https://mail.google.com/mail/u/0/#inbox/th123';
-        sidePanel.saveState();
+        await sidePanel.saveState();
       }
     });
 
-    // Check if state was saved
+    // Check if state was saved to the per-thread history
     const stateSaved = await sidePanelPage.evaluate(async () => {
-      const result = await chrome.storage.local.get('inboxTriageState');
-      return result.inboxTriageState !== undefined;
+      const sidePanel = (window as any).sidePanelInstance;
+      const record = await sidePanel.threadHistory.get('https://mail.google.com/mail/u/0/#inbox/th123');
+      return record?.thread?.subject === 'Test Thread';
     });
 
     expect(stateSaved).toBe(true);
   });
 
+  test('keeps a separate analysis per thread and evicts least recently used', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ThreadHistoryStore } = await import('/utils/thread-history.js');
+      // Every save and read is a tick later, so the least recently used thread is never a tie
+      let clock = 1000;
+      const store = new ThreadHistoryStore({ maxEntries: 5, now: () => ++clock });
+      await store.clear();
+
+      for (let i = 1; i <= 5; i++) {
+        await store.save(`https://mail.google.com/mail/u/0/#inbox/th${i}`, { summary: `Summary ${i}` });
+      }
+
+      // Reading thread 1 makes it recently used, so thread 2 is evicted next
+      const first = await store.get('https://mail.google.com/mail/u/0/#inbox/th1?tab=rm');
+      await store.save('https://mail.google.com/mail/u/0/#inbox/th6', { summary: 'Summary 6' });
+
+      return {
+        firstSummary: first?.summary,
+        keys: (await store.list()).map((record: any) => record.threadKey).sort(),
+        evicted: await store.get('https://mail.google.com/mail/u/0/#inbox/th2')
+      };
+    });
+
+    expect(result.firstSummary).toBe('Summary 1');
+    expect(result.keys).toEqual(['thread:1', 'thread:3', 'thread:4', 'thread:5', 'thread:6']);
+    expect(result.evicted).toBeNull();
+  });
+
+  test('lowering the history limit evicts the oldest threads and their search entries', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { ThreadHistoryStore, MIN_HISTORY_LIMIT } = await import('/utils/thread-history.js');
+      let clock = 1000;
+      const store = new ThreadHistoryStore({ maxEntries: 20, now: () => ++clock });
+      await store.clear();
+
+      for (let i = 1; i <= 8; i++) {
+        await store.save(`https://mail.google.com/mail/u/0/#inbox/th${i}`, { summary: `Quarterly budget note ${i}` });
+      }
+
+      // Limits below the minimum are clamped
+      await store.setMaxEntries(1);
+      const keysAfterLimit = (await store.list()).map((record: any) => record.threadKey).sort();
+
+      return {
+        maxEntries: store.maxEntries,
+        minimum: MIN_HISTORY_LIMIT,
+        keysAfterLimit,
+        searchKeys: (await store.search('budget')).map((entry: any) => entry.record.threadKey).sort(),
+        evictedAgain: await store.evict()
+      };
+    });
+
+    expect(result.maxEntries).toBe(result.minimum);
+    expect(result.keysAfterLimit).toEqual(['thread:4', 'thread:5', 'thread:6', 'thread:7', 'thread:8']);
+    // Evicted threads no longer turn up in search
+    expect(result.searchKeys).toEqual(result.keysAfterLimit);
+    // A store within its cap evicts nothing
+    expect(result.evictedAgain).toEqual([]);
+  });
+
   test('restores state when returning to same thread URL', async ({ sidePanelPage }) => {
     await sidePanelPage.waitForLoadState('domcontentloaded');
     await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
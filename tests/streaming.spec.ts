@@ -0,0 +1,135 @@
+/**
+ * Tests for streaming summary and draft output
+ * Covers chunk accumulation, partial JSON draft parsing, the stream port in the service worker
+ * and progressive rendering in the side panel
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Streaming Output', () => {
+  test('parses partial draft JSON field by field', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const results = await sidePanelPage.evaluate(async () => {
+      const { parsePartialDrafts } = await import('/utils/stream-utils.js');
+      const full = '{"drafts":[{"type":"Quick Response","subject":"Re: Hi","body":"Thanks!\\nSee you"},{"type":"Next Steps","subject":"Re: Hi","body":"Done"}]}';
+
+      return {
+        empty: parsePartialDrafts('{"dra'),
+        midBody: parsePartialDrafts(full.slice(0, full.indexOf('See'))),
+        secondStarted: parsePartialDrafts(full.slice(0, full.indexOf('Next') + 2)),
+        complete: parsePartialDrafts(full)
+      };
+    });
+
+    expect(results.empty).toEqual([]);
+    expect(results.midBody).toEqual([{ type: 'Quick Response', subject: 'Re: Hi', body: 'Thanks!\n' }]);
+    expect(results.secondStarted).toHaveLength(2);
+    expect(results.secondStarted[1].type).toBe('Ne');
+    expect(results.complete[1]).toEqual({ type: 'Next Steps', subject: 'Re: Hi', body: 'Done' });
+  });
+
+  test('decides once whether stream chunks are deltas or cumulative', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const results = await sidePanelPage.evaluate(async () => {
+      const { readTextStream } = await import('/utils/stream-utils.js');
+      const stream = async function* (chunks: string[]) {
+        yield* chunks;
+      };
+      const cumulativeUpdates: string[] = [];
+
+      return {
+        cumulative: await readTextStream(stream(['Hel', 'Hello', '', 'Hello world']), (text: string) => cumulativeUpdates.push(text)),
+        cumulativeUpdates,
+        // The third delta starts with the text so far and must still be appended
+        delta: await readTextStream(stream(['ab', 'c', 'abc', 'd'])),
+        single: await readTextStream(stream(['Only chunk']))
+      };
+    });
+
+    expect(results.cumulative).toBe('Hello world');
+    expect(results.cumulativeUpdates).toEqual(['Hel', 'Hello', 'Hello world']);
+    expect(results.delta).toBe('abcabcd');
+    expect(results.single).toBe('Only chunk');
+  });
+
+  test('closing the stream port cancels the request it started', async ({ sidePanelPage, serviceWorker }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    // The OpenAI request hangs until its signal is aborted
+    await serviceWorker.evaluate(() => {
+      const requests: any = { started: 0, aborted: 0 };
+      (self as any).summaryRequests = requests;
+      self.fetch = (_url: any, options: any) => new Promise((_resolve, reject) => {
+        requests.started++;
+        options.signal.addEventListener('abort', () => {
+          requests.aborted++;
+          reject(options.signal.reason);
+        });
+      });
+    });
+
+    await sidePanelPage.evaluate(async () => {
+      const { STREAM_PORT_NAME } = await import('/utils/stream-utils.js');
+      const port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+      (window as any).streamPort = port;
+      port.postMessage({
+        action: 'generateSummary',
+        operationId: 'stream-op-1',
+        thread: { subject: 'Budget', messages: [{ sender: { name: 'Sam' }, content: 'Please review the attached budget before Friday. '.repeat(5) }] },
+        userSettings: { useApiKey: true, apiProvider: 'openai', apiKey: 'sk-test', providerSettings: {} }
+      });
+    });
+    await expect.poll(() => serviceWorker.evaluate(() => (self as any).summaryRequests.started)).toBe(1);
+
+    await sidePanelPage.evaluate(() => (window as any).streamPort.disconnect());
+    await expect.poll(() => serviceWorker.evaluate(() => (self as any).summaryRequests.aborted)).toBe(1);
+
+    // The cancelled operation is forgotten, so there is nothing left to cancel
+    const cancel = await sidePanelPage.evaluate(() => {
+      return chrome.runtime.sendMessage({ action: 'cancelOperation', operationId: 'stream-op-1' });
+    });
+    expect(cancel).toMatchObject({ success: true, cancelled: false });
+  });
+
+  test('updates draft elements in place while streaming', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const state = await sidePanelPage.evaluate(() => {
+      const renderer = (window as any).sidePanelInstance.draftRenderer;
+      const container = document.getElementById('reply-drafts')!;
+
+      renderer.render([{ type: 'Quick', body: 'Hel' }], null, true);
+      const first = container.children[0];
+      renderer.render([{ type: 'Quick', body: 'Hello there' }, { type: 'Med' }], null, true);
+
+      const streaming = {
+        sameElement: container.children[0] === first,
+        count: container.children.length,
+        body: container.querySelector('.draft-text')?.textContent,
+        busy: container.getAttribute('aria-busy'),
+        actionsDisabled: (container.querySelector('.copy-draft-btn') as HTMLButtonElement).disabled
+      };
+
+      renderer.render([{ type: 'Quick', subject: 'Re: x', body: 'Hello there, final' }]);
+
+      return {
+        streaming,
+        finalCount: container.children.length,
+        finalStreamingClass: container.classList.contains('streaming'),
+        finalActionsDisabled: (container.querySelector('.copy-draft-btn') as HTMLButtonElement).disabled
+      };
+    });
+
+    expect(state.streaming.sameElement).toBe(true);
+    expect(state.streaming.count).toBe(2);
+    expect(state.streaming.body).toBe('Hello there');
+    expect(state.streaming.busy).toBe('true');
+    expect(state.streaming.actionsDisabled).toBe(true);
+    expect(state.finalCount).toBe(1);
+    expect(state.finalStreamingClass).toBe(false);
+    expect(state.finalActionsDisabled).toBe(false);
+  });
+});
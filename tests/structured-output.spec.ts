@@ -0,0 +1,138 @@
+/**
+ * Tests for constraining reply drafts to the JSON schema
+ * Covers the structured-output request of each provider and the JSON mode fallback for
+ * models and local servers without json_schema support
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Structured Draft Output', () => {
+  test('each provider requests drafts in the reply drafts schema', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { OpenAIAPI, AnthropicAPI, GoogleAIAPI } = await import('/background/api-integrations.js');
+      const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => ({ type, subject: 'Re: Budget', body: `${type} reply` }));
+      const bodies: any[] = [];
+      const originalFetch = window.fetch;
+      window.fetch = async (url: any, options: any) => {
+        bodies.push(JSON.parse(options.body));
+        const reply = String(url).includes('anthropic')
+          ? { content: [{ type: 'tool_use', name: 'submit_reply_drafts', input: { drafts } }] }
+          : String(url).includes('googleapis')
+            ? { candidates: [{ content: { parts: [{ text: JSON.stringify({ drafts }) }] } }] }
+            : { choices: [{ message: { content: JSON.stringify({ drafts }) } }] };
+        return new Response(JSON.stringify(reply));
+      };
+      try {
+        const counts = [
+          (await OpenAIAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', 'sk-test')).drafts.length,
+          (await OpenAIAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', 'sk-test', null, { model: 'gpt-4-turbo' })).drafts.length,
+          (await AnthropicAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', 'sk-ant')).drafts.length,
+          (await GoogleAIAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', 'key')).drafts.length
+        ];
+        return { counts, bodies };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+
+    const [openAIDefault, openAILegacy, anthropic, gemini] = result.bodies;
+    expect(result.counts).toEqual([3, 3, 3, 3]);
+    // Strict mode cannot carry length limits; validateDraftsSchema enforces them afterwards
+    expect(openAIDefault.model).toBe('gpt-4o');
+    expect(openAIDefault.response_format.type).toBe('json_schema');
+    expect(openAIDefault.response_format.json_schema.strict).toBe(true);
+    expect(JSON.stringify(openAIDefault.response_format.json_schema.schema)).not.toContain('maxLength');
+    // Models from before structured outputs only accept JSON mode
+    expect(openAILegacy.response_format).toEqual({ type: 'json_object' });
+    expect(anthropic.tool_choice).toEqual({ type: 'tool', name: 'submit_reply_drafts' });
+    expect(anthropic.tools[0].input_schema.required).toContain('drafts');
+    expect(gemini.generationConfig.responseMimeType).toBe('application/json');
+    expect(gemini.generationConfig.responseSchema.type).toBe('OBJECT');
+    expect(JSON.stringify(gemini.generationConfig.responseSchema)).not.toContain('additionalProperties');
+  });
+
+  test('each OpenAI model family gets the response format it accepts', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { OpenAIAPI } = await import('/background/api-integrations.js');
+      const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => ({ type, subject: 'Re: Budget', body: `${type} reply` }));
+      const models = ['gpt-4o', 'gpt-4o-2024-05-13', 'gpt-4-turbo', 'gpt-3.5-turbo-1106', 'gpt-4', 'gpt-4-0613', 'gpt-3.5-turbo-0613'];
+      const formats: Record<string, any> = {};
+      const originalFetch = window.fetch;
+      window.fetch = async (_url: any, options: any) => {
+        const body = JSON.parse(options.body);
+        formats[body.model] = 'response_format' in body ? body.response_format.type : 'none';
+        // Models without a response format may wrap the JSON in prose
+        return new Response(JSON.stringify({ choices: [{ message: { content: `Here you go:\n${JSON.stringify({ drafts })}` } }] }));
+      };
+      try {
+        const counts = [];
+        for (const model of models) {
+          counts.push((await OpenAIAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', 'sk-test', null, { model })).drafts.length);
+        }
+        return { counts, formats };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+
+    expect(result.counts).toEqual([3, 3, 3, 3, 3, 3, 3]);
+    expect(result.formats).toEqual({
+      'gpt-4o': 'json_schema',
+      'gpt-4o-2024-05-13': 'json_object',
+      'gpt-4-turbo': 'json_object',
+      'gpt-3.5-turbo-1106': 'json_object',
+      'gpt-4': 'none',
+      'gpt-4-0613': 'none',
+      'gpt-3.5-turbo-0613': 'none'
+    });
+  });
+
+  test('a local server that rejects the schema is asked again in JSON mode', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { LocalAPI } = await import('/background/api-integrations.js');
+      const drafts = ['Quick', 'Detailed', 'Next steps'].map(type => ({ type, subject: 'Re: Budget', body: `${type} reply` }));
+      const originalFetch = window.fetch;
+      const run = async (rejection: { status: number, error: string }) => {
+        const formats: any[] = [];
+        window.fetch = async (_url: any, options: any) => {
+          const { response_format } = JSON.parse(options.body);
+          formats.push(response_format);
+          if (response_format.type === 'json_schema') {
+            return new Response(JSON.stringify({ error: rejection.error }), { status: rejection.status });
+          }
+          return new Response(JSON.stringify({ choices: [{ message: { content: JSON.stringify({ drafts }) } }] }));
+        };
+        try {
+          const response = await LocalAPI.generateDrafts('Can you confirm?', 'Budget', 'neutral', '', '', null, {
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3.1'
+          });
+          return { formats, draftCount: response.drafts.length };
+        } catch (error) {
+          return { formats, error: (error as Error).message };
+        }
+      };
+
+      try {
+        return {
+          oldServer: await run({ status: 400, error: 'invalid response_format type: json_schema' }),
+          // Other failures are not a schema problem and are not sent again
+          unauthorized: await run({ status: 401, error: 'invalid api key' })
+        };
+      } finally {
+        window.fetch = originalFetch;
+      }
+    });
+
+    expect(result.oldServer.formats.map((format: any) => format.type)).toEqual(['json_schema', 'json_object']);
+    expect(result.oldServer.draftCount).toBe(3);
+    expect(result.unauthorized.formats).toHaveLength(1);
+    expect(result.unauthorized.error).toBeTruthy();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for triage classification
+ * Covers Prompt API results, the heuristic fallback, the action and side panel badges,
+ * and ranking message list rows
+ */
+
+import { test, expect } from './fixtures/extension.js';
+
+test.describe('Triage Classification', () => {
+  test('classifies threads heuristically when the Prompt API is unavailable', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const categories = await sidePanelPage.evaluate(async () => {
+      const { TriageService } = await import('/background/triage-service.js');
+      const service = new TriageService({ aiCapabilities: { promptApi: { available: 'no' } } });
+      const classify = async (content: string) => service.classifyThread({
+        subject: 'Q3 budget',
+        messages: [{ content, sender: { name: 'Sam', email: 'sam@example.com' } }]
+      });
+
+      return {
+        question: await classify('Can you review the budget numbers before the meeting?'),
+        urgent: await classify('URGENT: the invoice run failed and payroll is blocked.'),
+        waiting: await classify("Thanks, I'll get back to you once finance confirms."),
+        fyi: await classify('Please find attached the minutes from the planning meeting.')
+      };
+    });
+
+    expect(categories.question).toMatchObject({ category: 'needs-reply', method: 'heuristic' });
+    expect(categories.urgent.category).toBe('urgent');
+    expect(categories.urgent.urgency).toBeGreaterThan(categories.question.urgency);
+    expect(categories.waiting.category).toBe('waiting-on-others');
+    expect(categories.fyi.category).toBe('fyi');
+    expect(categories.fyi.rationale).toBeTruthy();
+  });
+
+  test('clamps Prompt API results and falls back when the category is invalid', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { TriageService } = await import('/background/triage-service.js');
+      const prompts: string[] = [];
+      let response: any = null;
+      (window as any).LanguageModel = {
+        create: async () => ({
+          prompt: async (text: string) => {
+            prompts.push(text);
+            return JSON.stringify(response);
+          },
+          destroy: () => {}
+        })
+      };
+      const service = new TriageService({ aiCapabilities: { promptApi: { available: 'available' } } });
+      const thread = {
+        subject: 'Contract',
+        messages: [
+          { content: `Background. ${'Old context. '.repeat(1000)}`, sender: { name: 'Dana' } },
+          { content: 'Can you sign the contract today?', sender: { name: 'Dana' } }
+        ]
+      };
+
+      response = { category: 'urgent', urgency: 140, rationale: 'Contract\n  must be signed today.' };
+      const fromModel = await service.classifyThread(thread);
+      response = { category: 'spam', urgency: 10, rationale: 'Looks like spam.' };
+      const fallback = await service.classifyThread(thread);
+
+      let emptyThread = '';
+      try {
+        await service.classifyThread({ subject: 'Empty', messages: [] });
+      } catch (error) {
+        emptyThread = (error as Error).message;
+      }
+
+      return { fromModel, fallback, prompt: prompts[0], emptyThread };
+    });
+
+    expect(result.fromModel).toEqual({ category: 'urgent', urgency: 100, rationale: 'Contract must be signed today.', method: 'prompt-api' });
+    // Long threads keep the latest message in the prompt
+    expect(result.prompt).toContain('[Latest message] From: Dana\nCan you sign the contract today?');
+    expect(result.prompt.length).toBeLessThan(7000);
+    expect(result.fallback).toMatchObject({ category: 'needs-reply', method: 'heuristic' });
+    expect(result.emptyThread).toBe('No messages to classify');
+  });
+
+  test('sets and clears the action badge for a tab', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const calls = await sidePanelPage.evaluate(async () => {
+      const { applyTriageBadge } = await import('/background/triage-service.js');
+      const action = chrome.action as any;
+      const originals = { text: action.setBadgeText, color: action.setBadgeBackgroundColor, title: action.setTitle };
+      const calls: any[] = [];
+      action.setBadgeText = async (details: any) => { calls.push(['text', details]); };
+      action.setBadgeBackgroundColor = async (details: any) => { calls.push(['color', details]); };
+      action.setTitle = async (details: any) => { calls.push(['title', details]); };
+      try {
+        await applyTriageBadge({ category: 'waiting-on-others', urgency: 30, rationale: 'Waiting.' }, 7);
+        await applyTriageBadge(null, 7);
+      } finally {
+        action.setBadgeText = originals.text;
+        action.setBadgeBackgroundColor = originals.color;
+        action.setTitle = originals.title;
+      }
+      return calls;
+    });
+
+    expect(calls.slice(0, 3)).toEqual([
+      ['text', { tabId: 7, text: 'WAIT' }],
+      ['color', { tabId: 7, color: '#f57c00' }],
+      ['title', { tabId: 7, title: 'Inbox Triage: Waiting on others (urgency 30/100)' }]
+    ]);
+    // Clearing removes the text and restores the default title
+    expect(calls[3]).toEqual(['text', { tabId: 7, text: '' }]);
+    expect(calls[4][0]).toBe('title');
+    expect(calls).toHaveLength(5);
+  });
+
+  test('shows the triage badge and saves it with the thread', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#extract-btn', { timeout: 5000 });
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const sidePanel = (window as any).sidePanelInstance;
+      const url = 'https://mail.google.com/mail/u/0/#inbox/th500';
+      sidePanel.currentContext.url = url;
+      sidePanel.currentThread = { subject: 'Contract', messages: [] };
+      sidePanel.triageUI.setTriage({ category: 'urgent', urgency: 90, rationale: 'Contract expires today.' });
+      await sidePanel.saveState();
+
+      const badge = document.getElementById('triage-badge')!;
+      const record = await sidePanel.threadHistory.get(url);
+      return {
+        visible: !badge.classList.contains('hidden'),
+        category: badge.dataset.category,
+        text: badge.textContent,
+        saved: record?.triage
+      };
+    });
+
+    expect(result.visible).toBe(true);
+    expect(result.category).toBe('urgent');
+    expect(result.text).toContain('Contract expires today.');
+    expect(result.saved).toMatchObject({ category: 'urgent', urgency: 90 });
+  });
+
+  test('ranks message list rows by what to handle first', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const ranked = await sidePanelPage.evaluate(async () => {
+      const { TriageService } = await import('/background/triage-service.js');
+      const service = new TriageService({ aiCapabilities: { promptApi: { available: 'no' } } });
+      const { rows, method } = await service.classifyInboxRows([
+        { index: 0, sender: { name: 'Newsletter' }, subject: 'Weekly digest', snippet: 'Top stories this week', date: 'Oct 18, 2026, 9:00 AM', unread: true },
+        { index: 1, sender: { name: 'Dana' }, subject: 'Urgent: contract', snippet: 'Needs to be signed today', date: 'Oct 18, 2026, 8:00 AM', unread: false },
+        { index: 2, sender: { name: 'Sam' }, subject: 'Budget', snippet: 'Can you send the numbers?', date: 'Oct 17, 2026, 8:00 AM', unread: true }
+      ]);
+      return { method, rows: rows.map((row: any) => [row.rank, row.index, row.triage.category]) };
+    });
+
+    expect(ranked.method).toBe('heuristic');
+    expect(ranked.rows).toEqual([
+      [1, 1, 'urgent'],
+      [2, 2, 'needs-reply'],
+      [3, 0, 'fyi']
+    ]);
+  });
+
+  test('classifies rows in one Prompt API call and falls back for rows the model skipped', async ({ sidePanelPage }) => {
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+
+    const result = await sidePanelPage.evaluate(async () => {
+      const { TriageService } = await import('/background/triage-service.js');
+      const constraints: any[] = [];
+      (window as any).LanguageModel = {
+        create: async () => ({
+          prompt: async (_text: string, options: any) => {
+            constraints.push(options.responseConstraint);
+            return JSON.stringify({
+              rows: [
+                { index: 0, category: 'fyi', urgency: 20, rationale: 'Receipt.' },
+                { index: 1, category: 'unknown', urgency: 99, rationale: 'Not a category.' },
+                { index: 7, category: 'urgent', urgency: 99, rationale: 'No such row.' },
+                { index: 3, category: 'fyi', urgency: 20, rationale: 'Receipt.' }
+              ]
+            });
+          },
+          destroy: () => {}
+        })
+      };
+      const service = new TriageService({ aiCapabilities: { promptApi: { available: 'available' } } });
+      const { rows, method } = await service.classifyInboxRows([
+        { index: 0, sender: { name: 'Shop' }, subject: 'Receipt', snippet: 'Thanks for your order', date: 'Oct 17, 2026, 9:00 AM', unread: false },
+        { index: 1, sender: { name: 'Sam' }, subject: 'Budget', snippet: 'Can you send the numbers?', date: 'Oct 17, 2026, 8:00 AM', unread: true },
+        { index: 2, sender: { name: 'Lee' }, subject: 'Notes', snippet: 'Minutes from today', date: 'Oct 18, 2026, 8:00 AM', unread: false },
+        { index: 3, sender: { name: 'Shop' }, subject: 'Receipt', snippet: 'Thanks for your order', date: 'Oct 18, 2026, 9:00 AM', unread: false }
+      ]);
+
+      let noRows = '';
+      try {
+        await service.classifyInboxRows([]);
+      } catch (error) {
+        noRows = (error as Error).message;
+      }
+
+      return {
+        method,
+        constraint: constraints[0],
+        calls: constraints.length,
+        rows: rows.map((row: any) => [row.rank, row.index, row.triage.category]),
+        noRows
+      };
+    });
+
+    expect(result.method).toBe('prompt-api');
+    expect(result.calls).toBe(1);
+    expect(result.constraint.properties.rows.maxItems).toBe(4);
+    expect(result.constraint.properties.rows.items.properties.index.maximum).toBe(3);
+    // Row 1 had an invalid category and row 2 was skipped, so both use the heuristics;
+    // rows with equal urgency are ordered newest first
+    expect(result.rows).toEqual([
+      [1, 1, 'needs-reply'],
+      [2, 3, 'fyi'],
+      [3, 0, 'fyi'],
+      [4, 2, 'fyi']
+    ]);
+    expect(result.noRows).toBe('No message list rows to classify');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * API key storage with optional passphrase encryption
+ * Without a passphrase the key is stored as before, in `apiKey`. With one it is encrypted with
+ * AES-GCM under a key derived from the passphrase with PBKDF2 and stored in `apiKeyEncrypted`;
+ * the decrypted key is cached in chrome.storage.session, which Chrome clears when the browser
+ * closes, until the user locks it again.
+ *
+ * Reference: https://developer.mozilla.org/en-US/docs/Web/API/SubtleCrypto
+ * Reference: docs/spec.md - API Key Encryption
+ */
+
+/**
+ * Storage keys: plaintext key and encrypted record (synced settings), unlocked key (session)
+ */
+export const API_KEY_STORAGE_KEY = 'apiKey';
+export const ENCRYPTED_API_KEY_STORAGE_KEY = 'apiKeyEncrypted';
+export const UNLOCKED_API_KEY_STORAGE_KEY = 'unlockedApiKey';
+
+/**
+ * Shortest passphrase accepted for encrypting the key
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * PBKDF2 iterations for new records (OWASP recommendation for PBKDF2-HMAC-SHA256)
+ * Stored with each record so it can be raised without breaking existing keys
+ */
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const RECORD_VERSION = 1;
+
+/**
+ * Encode bytes as base64 for storage
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 from storage
+ * @param {string} text - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the record
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt an API key with a passphrase
+ * @param {string} apiKey - API key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Record to store ({version, iterations, salt, iv, ciphertext})
+ */
+export async function encryptApiKey(apiKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+    return {
+        version: RECORD_VERSION,
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an API key record
+ * @param {Object} record - Record from encryptApiKey
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} API key
+ * @throws {Error} If the passphrase is wrong or the record is damaged
+ */
+export async function decryptApiKey(record, passphrase) {
+    if (record?.version !== RECORD_VERSION) {
+        throw new Error('The encrypted API key was saved in a format this version cannot read. Enter the key again.');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.ciphertext));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        // AES-GCM authentication fails the same way for a wrong passphrase and a changed record
+        throw new Error('Wrong passphrase. The API key stays locked.');
+    }
+}
+
+/**
+ * Stores and unlocks the shared API key
+ */
+export class ApiKeyVault {
+    /**
+     * @param {Object} dependencies - Storage areas
+     * @param {chrome.storage.StorageArea} dependencies.storage - Where the key or its encrypted record is kept (chrome.storage.sync)
+     * @param {chrome.storage.StorageArea} dependencies.sessionStorage - Where the unlocked key is cached (chrome.storage.session)
+     */
+    constructor({ storage, sessionStorage }) {
+        this.storage = storage;
+        this.sessionStorage = sessionStorage;
+    }
+
+    /**
+     * Describe how the key is stored
+     * @returns {Promise<{hasKey: boolean, encrypted: boolean, locked: boolean}>} Key state; `locked`
+     *   means it is encrypted and not unlocked in this browser session
+     */
+    async getState() {
+        const stored = await this.storage.get([API_KEY_STORAGE_KEY, ENCRYPTED_API_KEY_STORAGE_KEY]);
+        if (stored[ENCRYPTED_API_KEY_STORAGE_KEY]) {
+            const session = await this.sessionStorage.get(UNLOCKED_API_KEY_STORAGE_KEY);
+            return { hasKey: true, encrypted: true, locked: !session[UNLOCKED_API_KEY_STORAGE_KEY] };
+        }
+        return { hasKey: Boolean(stored[API_KEY_STORAGE_KEY]), encrypted: false, locked: false };
+    }
+
+    /**
+     * Get the key requests are made with
+     * @returns {Promise<string>} API key, or an empty string if there is none or it is locked
+     */
+    async getApiKey() {
+        const stored = await this.storage.get([API_KEY_STORAGE_KEY, ENCRYPTED_API_KEY_STORAGE_KEY]);
+        if (!stored[ENCRYPTED_API_KEY_STORAGE_KEY]) {
+            return stored[API_KEY_STORAGE_KEY] || '';
+        }
+        const session = await this.sessionStorage.get(UNLOCKED_API_KEY_STORAGE_KEY);
+        return session[UNLOCKED_API_KEY_STORAGE_KEY] || '';
+    }
+
+    /**
+     * Save the key, encrypted when a passphrase is given
+     * Saving a plaintext key with a passphrase is how existing keys are migrated
+     * @param {string} apiKey - API key (empty to remove it)
+     * @param {string} [passphrase] - Passphrase to encrypt with; omit to store the key as is
+     * @throws {Error} If the passphrase is too short
+     */
+    async save(apiKey, passphrase = '') {
+        if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        if (!apiKey) {
+            await this.storage.remove([API_KEY_STORAGE_KEY, ENCRYPTED_API_KEY_STORAGE_KEY]);
+            await this.lock();
+        } else if (passphrase) {
+            await this.storage.set({ [ENCRYPTED_API_KEY_STORAGE_KEY]: await encryptApiKey(apiKey, passphrase) });
+            // Only remove the plaintext key once the encrypted one is stored
+            await this.storage.remove(API_KEY_STORAGE_KEY);
+            await this.sessionStorage.set({ [UNLOCKED_API_KEY_STORAGE_KEY]: apiKey });
+        } else {
+            await this.storage.set({ [API_KEY_STORAGE_KEY]: apiKey });
+            await this.storage.remove(ENCRYPTED_API_KEY_STORAGE_KEY);
+            await this.lock();
+        }
+    }
+
+    /**
+     * Decrypt the key and cache it for the rest of the browser session
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} API key
+     * @throws {Error} If no encrypted key is stored or the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const stored = await this.storage.get(ENCRYPTED_API_KEY_STORAGE_KEY);
+        const record = stored[ENCRYPTED_API_KEY_STORAGE_KEY];
+        if (!record) {
+            throw new Error('No encrypted API key is saved');
+        }
+
+        const apiKey = await decryptApiKey(record, passphrase);
+        await this.sessionStorage.set({ [UNLOCKED_API_KEY_STORAGE_KEY]: apiKey });
+        return apiKey;
+    }
+
+    /**
+     * Forget the unlocked key; requests need the passphrase again
+     */
+    async lock() {
+        await this.sessionStorage.remove(UNLOCKED_API_KEY_STORAGE_KEY);
+    }
+}
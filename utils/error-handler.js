@@ -91,6 +91,200 @@ export function sanitizeErrorMessage(errorMessage) {
     return safeMessage.charAt(0).toUpperCase() + safeMessage.slice(1);
 }
 
+/**
+ * Check if an error was raised by aborting an operation through an AbortSignal
+ * 
+ * Chrome's built-in AI APIs and fetch both reject with a DOMException named
+ * 'AbortError' when their signal is aborted.
+ * 
+ * @param {*} error - Caught error
+ * @returns {boolean} True if the operation was cancelled rather than failed
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Kinds of failure reported by external AI providers
+ * Reference: background/api-request.js - classification of HTTP and network failures
+ */
+export const ApiErrorTypes = {
+    AUTH: 'auth',
+    QUOTA: 'quota',
+    RATE_LIMIT: 'rate_limit',
+    SERVER: 'server',
+    NETWORK: 'network',
+    REQUEST: 'request',
+    BUDGET: 'budget',
+    CONSENT: 'consent'
+};
+
+/**
+ * Error from an external AI provider whose message is already written for the user
+ * 
+ * The message names the provider and says what to do next, so it is shown as is
+ * instead of going through sanitizeErrorMessage.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {Object} details - Error details
+     * @param {string} [details.type] - ApiErrorTypes value
+     * @param {string} [details.provider] - Provider name, e.g. "OpenAI"
+     * @param {number|null} [details.status] - HTTP status, if the provider answered
+     * @param {string|null} [details.detail] - Error detail from the response body (logged, not shown)
+     * @param {number|null} [details.retryAfterMs] - Wait requested by the provider's Retry-After header
+     */
+    constructor(message, { type = ApiErrorTypes.REQUEST, provider = '', status = null, detail = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.provider = provider;
+        this.status = status;
+        this.detail = detail;
+        this.retryAfterMs = retryAfterMs;
+    }
+    
+    /**
+     * Whether sending the same request again may succeed
+     * @returns {boolean} True for rate limits, server errors and network failures
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * The provider rejected the API key (401, 403)
+ */
+export class AuthError extends ApiError {
+    constructor(provider, details = {}) {
+        super(`${provider} rejected the API key. Check the key in API Settings.`, { ...details, provider, type: ApiErrorTypes.AUTH });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * The account has no quota or credit left; retrying does not help
+ */
+export class QuotaError extends ApiError {
+    constructor(provider, details = {}) {
+        super(`${provider} reports that your account has no quota or credit left. Check your plan and billing with ${provider}.`, { ...details, provider, type: ApiErrorTypes.QUOTA });
+        this.name = 'QuotaError';
+    }
+}
+
+/**
+ * Too many requests (429); retried after the provider's Retry-After or a backoff delay
+ */
+export class RateLimitError extends ApiError {
+    constructor(provider, details = {}) {
+        super(`${provider} is limiting how often requests can be made. Wait a minute and try again.`, { ...details, provider, type: ApiErrorTypes.RATE_LIMIT });
+        this.name = 'RateLimitError';
+    }
+    
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The provider failed or is overloaded (5xx, including Anthropic's 529)
+ */
+export class ServerError extends ApiError {
+    constructor(provider, details = {}) {
+        const status = details.status ? ` (${details.status})` : '';
+        super(`${provider} is temporarily unavailable${status}. Please try again in a few minutes.`, { ...details, provider, type: ApiErrorTypes.SERVER });
+        this.name = 'ServerError';
+    }
+    
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The provider could not be reached or did not answer in time
+ * Timeouts are not retried: the user chose how long to wait
+ */
+export class NetworkError extends ApiError {
+    /**
+     * @param {string} provider - Provider name
+     * @param {Object} details - Error details, plus `timeoutSeconds` for timeouts and an optional `message`
+     */
+    constructor(provider, { timeoutSeconds = null, message = null, ...details } = {}) {
+        const defaultMessage = timeoutSeconds
+            ? `${provider} did not respond within ${timeoutSeconds} seconds. Try again or increase the timeout in API Settings.`
+            : `Could not reach ${provider}. Check your internet connection and try again.`;
+        super(message || defaultMessage, { ...details, provider, type: ApiErrorTypes.NETWORK });
+        this.name = 'NetworkError';
+        this.timeoutSeconds = timeoutSeconds;
+    }
+    
+    get retryable() {
+        return !this.timeoutSeconds;
+    }
+}
+
+/**
+ * The monthly budget set in API Usage is spent, or a request would go over it, so cloud requests are blocked
+ * Reference: background/usage-tracker.js - monthly budget check
+ */
+export class BudgetExceededError extends ApiError {
+    /**
+     * @param {string} provider - Provider name
+     * @param {Object} details - Error details, plus `spent` (including requests in flight), `budget`
+     *   and the `requested` estimate in US dollars
+     */
+    constructor(provider, { spent = 0, budget = 0, requested = 0, ...details } = {}) {
+        const reason = spent >= budget
+            ? `This month's API budget of $${budget.toFixed(2)} has been used ($${spent.toFixed(2)} spent)`
+            : `This request (about $${requested.toFixed(2)}) would go over this month's API budget of $${budget.toFixed(2)} ($${spent.toFixed(2)} spent or in progress)`;
+        super(`${reason}, so nothing was sent to ${provider}. Raise the budget in API Usage or switch to Chrome's built-in AI.`, { ...details, provider, type: ApiErrorTypes.BUDGET });
+        this.name = 'BudgetExceededError';
+        this.spent = spent;
+        this.budget = budget;
+        this.requested = requested;
+    }
+}
+
+/**
+ * Hybrid mode would fall back to a cloud provider, which needs the user's consent for this request
+ * Nothing has been sent; the side panel asks with the reason and payload size, then sends the
+ * request again with `cloudConsent` set
+ * Reference: docs/spec.md - Hybrid Fallback Decision Rules
+ */
+export class CloudConsentRequiredError extends ApiError {
+    /**
+     * @param {string} provider - Provider name
+     * @param {Object} fallback - What would be sent and why
+     * @param {string} fallback.reason - Why on-device processing is not used
+     * @param {string} fallback.trigger - Fallback decision trigger, e.g. 'content_size_limit'
+     * @param {number} fallback.payloadChars - Characters that would be sent
+     * @param {number} fallback.payloadBytes - UTF-8 size of what would be sent
+     * @param {number} fallback.estimatedTokens - Approximate input tokens (4 characters per token)
+     */
+    constructor(provider, fallback) {
+        const reason = fallback.reason.charAt(0).toUpperCase() + fallback.reason.slice(1);
+        super(`${reason}. Sending this thread to ${provider} needs your consent.`, { provider, type: ApiErrorTypes.CONSENT });
+        this.name = 'CloudConsentRequiredError';
+        this.fallback = { ...fallback, provider };
+    }
+}
+
+/**
+ * Get the message to show the user for an error
+ * Provider errors already carry a user-facing message; everything else is sanitized
+ * @param {Error|string} error - Caught error or message
+ * @returns {string} User-friendly error message
+ */
+export function getUserErrorMessage(error) {
+    if (error instanceof ApiError) {
+        return error.message;
+    }
+    return sanitizeErrorMessage(error instanceof Error ? error.message : String(error));
+}
+
 /**
  * Create a user-friendly error object for API responses
  * 
@@ -0,0 +1,139 @@
+/**
+ * Full-text search helpers for the thread history archive
+ * Builds the terms indexed for each saved thread and scores/snippets search results.
+ *
+ * Reference: utils/thread-history.js - ThreadHistoryStore.search()
+ */
+
+/**
+ * Shortest token that is indexed
+ */
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Characters of context shown either side of the first match in a snippet
+ */
+const SNIPPET_RADIUS = 70;
+
+/**
+ * Common words that would match almost every thread
+ */
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'he', 'her', 'his', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+    'our', 're', 'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'us',
+    'was', 'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Fields that are searched, in the order they are checked for snippets
+ * Weights favour matches in the subject and participants over draft bodies
+ */
+export const SEARCH_FIELDS = {
+    subject: 3,
+    participants: 3,
+    summary: 2,
+    keyPoints: 2,
+    drafts: 1
+};
+
+/**
+ * Split text into lowercase, accent-free search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens, in order, with stop words removed
+ */
+export function tokenize(text) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(token));
+}
+
+/**
+ * Get the searchable text of a saved thread, field by field
+ * @param {Object} record - Thread history record ({thread, summary, drafts})
+ * @returns {Object} Map of field name to text
+ */
+export function getSearchableFields(record) {
+    const thread = record?.thread || {};
+
+    const participants = new Set();
+    (thread.messages || []).forEach(message => {
+        if (message.sender?.name && message.sender.name !== 'Unknown') {
+            participants.add(message.sender.name);
+        }
+        if (message.sender?.email) {
+            participants.add(message.sender.email);
+        }
+    });
+
+    return {
+        subject: thread.subject || '',
+        participants: [...participants].join(', '),
+        summary: record?.summary || '',
+        keyPoints: (thread.keyPoints || []).join('\n'),
+        drafts: (record?.drafts || []).map(draft => draft.body || '').join('\n\n')
+    };
+}
+
+/**
+ * Build the weighted term frequencies indexed for a saved thread
+ * @param {Object} record - Thread history record
+ * @returns {Map<string, number>} Term to weighted frequency
+ */
+export function buildTermFrequencies(record) {
+    const frequencies = new Map();
+    const fields = getSearchableFields(record);
+
+    for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+        for (const token of tokenize(fields[field])) {
+            frequencies.set(token, (frequencies.get(token) || 0) + weight);
+        }
+    }
+
+    return frequencies;
+}
+
+/**
+ * Build a short snippet around the first query match, checking fields in SEARCH_FIELDS order
+ * @param {Object} record - Thread history record
+ * @param {string[]} queryTokens - Tokens from the search query
+ * @returns {Object} Snippet with the matching field and text ({field, text})
+ */
+export function buildSnippet(record, queryTokens) {
+    const fields = getSearchableFields(record);
+
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+        const text = fields[field];
+        if (!text) continue;
+
+        const lowerText = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const matchIndex = queryTokens
+            .map(token => lowerText.indexOf(token))
+            .filter(index => index >= 0)
+            .sort((a, b) => a - b)[0];
+
+        if (matchIndex !== undefined) {
+            const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+            const end = Math.min(text.length, matchIndex + SNIPPET_RADIUS);
+            const snippet = text.substring(start, end).replace(/\s+/g, ' ').trim();
+            return {
+                field,
+                text: `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`
+            };
+        }
+    }
+
+    // No literal match (e.g. accent differences); fall back to the start of the summary
+    const summary = (fields.summary || '').replace(/\s+/g, ' ').trim();
+    return {
+        field: 'summary',
+        text: summary.length > SNIPPET_RADIUS * 2 ? `${summary.substring(0, SNIPPET_RADIUS * 2)}…` : summary
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * iCalendar (.ics) Utilities
+ * Builds VEVENT files for proposed meetings and VTODO files for dated action items
+ *
+ * Reference: https://datatracker.ietf.org/doc/html/rfc5545
+ */
+
+const PRODUCT_ID = '-//Inbox Triage//Inbox Triage Extension//EN';
+
+/**
+ * Maximum line length in octets before folding (RFC 5545 3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value (RFC 5545 3.3.11)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * Splits on code points so multi-byte characters are never broken
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+export function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME (e.g. 20261020T150000Z)
+ * @param {number|Date} time - Timestamp or Date
+ * @returns {string} UTC date-time value
+ */
+export function formatDateTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a calendar date (YYYY-MM-DD) as a DATE value (e.g. 20261020)
+ * @param {string} calendarDate - Calendar date
+ * @returns {string} DATE value
+ */
+export function formatDate(calendarDate) {
+    return calendarDate.replace(/-/g, '');
+}
+
+/**
+ * Build a unique component ID
+ * @param {string} prefix - Component kind, e.g. 'event' or 'todo'
+ * @returns {string} UID value
+ */
+function createUid(prefix) {
+    const random = globalThis.crypto?.randomUUID
+        ? globalThis.crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    return `${prefix}-${random}@inbox-triage`;
+}
+
+/**
+ * Build an ATTENDEE or ORGANIZER property from sender data ({name, email})
+ * @param {string} property - Property name
+ * @param {Object} person - Person with name and email
+ * @returns {string|null} Content line, or null when there is no email address
+ */
+function formatCalAddress(property, person) {
+    if (!person?.email) return null;
+
+    const params = [];
+    if (person.name && person.name !== 'Unknown') {
+        // Parameter values with separators must be quoted; quotes themselves are not allowed
+        params.push(`CN="${person.name.replace(/"/g, "'")}"`);
+    }
+    if (property === 'ATTENDEE') {
+        params.push('ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE');
+    }
+
+    return `${[property, ...params].join(';')}:mailto:${person.email}`;
+}
+
+/**
+ * Build the lines of a VEVENT component
+ * @param {Object} event - Event details
+ * @param {string} event.title - Event summary
+ * @param {number} event.start - Start timestamp
+ * @param {number} event.end - End timestamp
+ * @param {string} [event.description] - Event description
+ * @param {Array<{name: string, email: string}>} [event.attendees] - Attendees
+ * @param {{name: string, email: string}} [event.organizer] - Organizer
+ * @returns {string[]} Content lines
+ */
+export function buildEvent({ title, start, end, description = '', attendees = [], organizer = null }) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${createUid('event')}`,
+        `DTSTAMP:${formatDateTime(Date.now())}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(title)}`
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+
+    const organizerLine = formatCalAddress('ORGANIZER', organizer);
+    if (organizerLine) {
+        lines.push(organizerLine);
+    }
+
+    attendees
+        .map(attendee => formatCalAddress('ATTENDEE', attendee))
+        .filter(Boolean)
+        .forEach(line => lines.push(line));
+
+    lines.push('STATUS:TENTATIVE', 'END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build the lines of a VTODO component
+ * @param {Object} todo - Task details
+ * @param {string} todo.task - Task summary
+ * @param {string} todo.dueDate - Calendar due date (YYYY-MM-DD)
+ * @param {string} [todo.description] - Task description
+ * @param {boolean} [todo.done] - Whether the task is already completed
+ * @returns {string[]} Content lines
+ */
+export function buildTodo({ task, dueDate, description = '', done = false }) {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:${createUid('todo')}`,
+        `DTSTAMP:${formatDateTime(Date.now())}`,
+        `DUE;VALUE=DATE:${formatDate(dueDate)}`,
+        `SUMMARY:${escapeText(task)}`
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+
+    lines.push(`STATUS:${done ? 'COMPLETED' : 'NEEDS-ACTION'}`, 'END:VTODO');
+    return lines;
+}
+
+/**
+ * Wrap components in a VCALENDAR and serialize with folding and CRLF line endings
+ * @param {Array<string[]>} components - Component lines from buildEvent/buildTodo
+ * @returns {string} iCalendar file content
+ */
+export function buildCalendar(components) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...components.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a file name from a title, e.g. "Q3 planning" -> "q3-planning.ics"
+ * @param {string} title - Title to base the name on
+ * @param {string} fallback - Name used when the title has no usable characters
+ * @returns {string} File name
+ */
+export function createIcsFilename(title, fallback = 'event') {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/^(re|fwd?):\s*/i, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60);
+    return `${slug || fallback}.ics`;
+}
+
+/**
+ * Offer an iCalendar file as a download (side panel only; needs a document)
+ * @param {string} filename - File name
+ * @param {string} content - iCalendar content
+ */
+export function downloadCalendarFile(filename, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke after the click has been handled so the download can start
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,355 @@
+/**
+ * JSON Repair Utility
+ * Tolerant parsing for malformed JSON returned by language models
+ *
+ * Models occasionally wrap JSON in prose or code fences, leave trailing commas,
+ * emit raw newlines inside strings, or stop mid-output. This module repairs those
+ * cases before drafts reach validateAndFormatDrafts, and reports each repair so
+ * callers can surface how often it happens.
+ *
+ * Reference: utils/validation.js - validateAndFormatDrafts
+ */
+
+/**
+ * Repair identifiers recorded in the `repairs` array
+ */
+export const JsonRepairs = {
+    STRIPPED_CODE_FENCE: 'stripped_code_fence',
+    EXTRACTED_OBJECT: 'extracted_json_object',
+    ESCAPED_CONTROL_CHARACTERS: 'escaped_control_characters',
+    REMOVED_TRAILING_COMMAS: 'removed_trailing_commas',
+    CLOSED_TRUNCATED_OUTPUT: 'closed_truncated_output',
+    SPLIT_ON_DRAFT_HEADINGS: 'split_on_draft_headings'
+};
+
+/**
+ * Parse possibly malformed JSON, repairing common model output errors
+ *
+ * @param {string} text - Raw model output
+ * @returns {{value: *, repairs: Array<string>}} Parsed value and the repairs applied
+ * @throws {Error} If the text cannot be repaired into valid JSON
+ */
+export function repairJson(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('No JSON object found in response');
+    }
+
+    const repairs = [];
+    let candidate = text.trim();
+
+    try {
+        return { value: JSON.parse(candidate), repairs };
+    } catch (error) {
+        // Fall through to repairs
+    }
+
+    // Remove markdown code fences
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
+        repairs.push(JsonRepairs.STRIPPED_CODE_FENCE);
+    }
+
+    try {
+        return { value: JSON.parse(candidate), repairs };
+    } catch (error) {
+        // Fall through to repairs
+    }
+
+    // Pull out the largest JSON object, dropping prose around it
+    const extracted = extractLargestObject(candidate);
+    if (extracted === null) {
+        throw new Error('No JSON object found in response');
+    }
+    if (extracted !== candidate) {
+        candidate = extracted;
+        repairs.push(JsonRepairs.EXTRACTED_OBJECT);
+    }
+
+    const escaped = escapeControlCharactersInStrings(candidate);
+    if (escaped !== candidate) {
+        candidate = escaped;
+        repairs.push(JsonRepairs.ESCAPED_CONTROL_CHARACTERS);
+    }
+
+    const closed = closeTruncatedJson(candidate);
+    if (closed !== candidate) {
+        candidate = closed;
+        repairs.push(JsonRepairs.CLOSED_TRUNCATED_OUTPUT);
+    }
+
+    const withoutTrailingCommas = removeTrailingCommas(candidate);
+    if (withoutTrailingCommas !== candidate) {
+        candidate = withoutTrailingCommas;
+        repairs.push(JsonRepairs.REMOVED_TRAILING_COMMAS);
+    }
+
+    return { value: JSON.parse(candidate), repairs };
+}
+
+/**
+ * Parse a reply drafts response, repairing JSON or splitting on draft headings
+ *
+ * @param {string} text - Raw model output
+ * @returns {{drafts: Array<Object>, repairs: Array<string>}} Drafts (unvalidated) and the repairs applied
+ * @throws {Error} If no drafts could be recovered
+ */
+export function repairDraftsResponse(text) {
+    try {
+        const { value, repairs } = repairJson(text);
+        const drafts = Array.isArray(value) ? value : value?.drafts;
+        if (Array.isArray(drafts) && drafts.length > 0) {
+            return { drafts, repairs };
+        }
+    } catch (error) {
+        console.warn('JSON repair failed, trying draft headings:', error.message);
+    }
+
+    const drafts = splitOnDraftHeadings(text);
+    if (drafts.length === 0) {
+        throw new Error('No drafts found in response');
+    }
+
+    return { drafts, repairs: [JsonRepairs.SPLIT_ON_DRAFT_HEADINGS] };
+}
+
+/**
+ * Find the largest balanced JSON object in text
+ *
+ * An unbalanced object that runs to the end of the text (truncated output) is
+ * returned as-is when no balanced object is found, so it can be closed later.
+ *
+ * @param {string} text - Text containing JSON
+ * @returns {string|null} JSON object text or null if there is no '{'
+ */
+function extractLargestObject(text) {
+    let best = null;
+
+    for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+        const end = findMatchingBrace(text, start);
+        if (end === -1) {
+            // Truncated: everything after the first unmatched '{' belongs to it
+            if (best === null) {
+                best = text.substring(start);
+            }
+            break;
+        }
+
+        const objectText = text.substring(start, end + 1);
+        if (best === null || objectText.length > best.length) {
+            best = objectText;
+        }
+        start = end; // Skip nested objects of this candidate
+    }
+
+    return best;
+}
+
+/**
+ * Find the index of the brace closing the object that starts at `start`
+ * @param {string} text - Source text
+ * @param {number} start - Index of an opening '{'
+ * @returns {number} Index of the matching '}' or -1 if the object is not closed
+ */
+function findMatchingBrace(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Escape raw newlines, carriage returns and tabs inside string literals
+ * @param {string} text - JSON text
+ * @returns {string} JSON text with control characters escaped
+ */
+function escapeControlCharactersInStrings(text) {
+    const replacements = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+    let result = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString && char === '\\') {
+            result += char + (text[i + 1] ?? '');
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            inString = !inString;
+        }
+
+        result += inString && replacements[char] ? replacements[char] : char;
+    }
+
+    return result;
+}
+
+/**
+ * Remove commas directly before a closing brace or bracket
+ * @param {string} text - JSON text
+ * @returns {string} JSON text without trailing commas
+ */
+function removeTrailingCommas(text) {
+    let result = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            result += char;
+            if (char === '\\') {
+                result += text[i + 1] ?? '';
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === ',' && /^\s*[}\]]/.test(text.substring(i + 1))) {
+            continue;
+        }
+
+        result += char;
+    }
+
+    return result;
+}
+
+/**
+ * Literals a truncated value can be completed to
+ */
+const JSON_LITERALS = ['true', 'false', 'null'];
+
+/**
+ * Close an unterminated string and any open arrays/objects at the end of the text
+ *
+ * A literal cut off mid-word ("done": tru) is completed, and a dangling key without
+ * a value is dropped so the closed object stays valid.
+ *
+ * @param {string} text - JSON text, possibly truncated
+ * @returns {string} Closed JSON text (unchanged if already balanced)
+ */
+function closeTruncatedJson(text) {
+    const stack = [];
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        }
+    }
+
+    if (!inString && stack.length === 0) {
+        return text;
+    }
+
+    let closed = text;
+    if (inString) {
+        // Drop a half-written escape sequence before closing the string
+        closed = closed.replace(/\\u?[0-9a-fA-F]{0,3}$/, '') + '"';
+    } else {
+        const partial = closed.match(/[:,[]\s*([tfn][a-z]{0,3})$/)?.[1];
+        const literal = partial && JSON_LITERALS.find(candidate => candidate.startsWith(partial));
+        if (literal) {
+            closed += literal.slice(partial.length);
+        }
+    }
+
+    // A key with no value ("body": or "body") cannot be closed meaningfully
+    closed = closed
+        .replace(/,\s*"[^"]*"\s*:?\s*$/, '')
+        .replace(/([{[])\s*"[^"]*"\s*:?\s*$/, '$1')
+        .replace(/[,:]\s*$/, '');
+
+    return closed + stack.reverse().join('');
+}
+
+/**
+ * Recover drafts from prose output by splitting on draft headings
+ *
+ * Recognises headings such as "Draft 1:", "1. Quick Response", "**Next Steps**"
+ * and "### Acknowledgment", with an optional "Subject:" line after each heading.
+ * A numbered line only starts a draft when it names a draft, reply, option or response,
+ * or is bold or a markdown heading, so numbered lists inside a draft body stay in it.
+ *
+ * @param {string} text - Raw model output
+ * @returns {Array<Object>} Drafts with type, subject (if found), and body
+ */
+function splitOnDraftHeadings(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+
+    const headingPattern = new RegExp([
+        // "Draft 1: Quick Response", "**Option 2**"
+        /^\s*(?:#{1,6}\s*|\*\*)?(?:draft|reply|option|response)\s*#?\d+\s*[:.\-–]?\s*(.*?)(?:\*\*)?\s*$/.source,
+        // "1. Quick Response"
+        /^\s*\d+[.)]\s*((?=[^\n]*\b(?:draft|reply|option|response)\b)[^\n]*?)(?:\*\*)?\s*$/.source,
+        // "**1. Next Steps**", "### 2) Follow-up"
+        /^\s*(?:#{1,6}\s*|\*\*)\d+[.)]\s*(.*?)(?:\*\*)?\s*$/.source,
+        // "**Next Steps**", "### Acknowledgment"
+        /^\s*(?:#{1,6}\s+|\*\*)([^*\n]{2,50}?)(?:\*\*)?:?\s*$/.source
+    ].join('|'), 'gim');
+    const headings = [...text.matchAll(headingPattern)];
+
+    return headings
+        .map((match, index) => {
+            const sectionStart = match.index + match[0].length;
+            const sectionEnd = index + 1 < headings.length ? headings[index + 1].index : text.length;
+            let section = text.substring(sectionStart, sectionEnd).trim();
+
+            let subject = '';
+            const subjectMatch = section.match(/^\s*\**subject\**\s*:\s*(.+)$/im);
+            if (subjectMatch) {
+                subject = subjectMatch[1].trim();
+                section = section.replace(subjectMatch[0], '').trim();
+            }
+
+            const body = section.replace(/^\s*\**body\**\s*:\s*/i, '').trim();
+            const type = (match.slice(1).find(Boolean) || '').replace(/[*#:]/g, '').trim();
+
+            return { type: type || `Draft ${index + 1}`, subject, body };
+        })
+        .filter(draft => draft.body.length > 0)
+        .slice(0, 3);
+}
@@ -0,0 +1,81 @@
+/**
+ * Local Endpoint Utilities
+ * Validation for the user-configured OpenAI-compatible server (Ollama, LM Studio, llama.cpp)
+ *
+ * Shared by the side panel, which requests host permission for the server when settings are
+ * saved, and the service worker, which sends requests to it.
+ *
+ * Reference: docs/spec.md - Local Model Server
+ * Reference: https://developer.chrome.com/docs/extensions/reference/api/permissions
+ */
+
+/**
+ * Default base URL (Ollama's OpenAI-compatible API)
+ */
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Private IPv4 ranges: loopback (127/8), RFC 1918 (10/8, 172.16/12, 192.168/16) and link-local (169.254/16)
+ */
+const PRIVATE_IPV4_PATTERN = /^(?:127\.|10\.|172\.(?:1[6-9]|2\d|3[01])\.|192\.168\.|169\.254\.)\d{1,3}\.\d{1,3}(?:\.\d{1,3})?$/;
+
+/**
+ * Private IPv6 addresses as URL hostnames: loopback, unique local (fc00::/7) and link-local (fe80::/10)
+ */
+const PRIVATE_IPV6_PATTERN = /^\[(?:::1|f[cd][0-9a-f]{0,2}:.*|fe[89ab][0-9a-f]:.*)\]$/;
+
+/**
+ * Check whether a host is on this computer or the local network
+ * Text sent to the local provider skips PII redaction and cloud consent, so it must not be
+ * able to reach a server on the internet
+ * @param {string} hostname - URL hostname (IPv4 addresses are already normalized by URL)
+ * @returns {boolean} True for localhost, .local names and private IP addresses
+ */
+function isLocalNetworkHost(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return host === 'localhost' ||
+        host.endsWith('.localhost') ||
+        host.endsWith('.local') ||
+        PRIVATE_IPV4_PATTERN.test(host) ||
+        PRIVATE_IPV6_PATTERN.test(host);
+}
+
+/**
+ * Normalize a base URL: trim it and drop trailing slashes, query and fragment
+ * @param {string} value - Base URL entered by the user
+ * @returns {string} Normalized base URL
+ * @throws {Error} If the value is not an http(s) URL or the server is not on the local network
+ */
+export function normalizeLocalBaseUrl(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new Error('Enter the base URL of your local model server');
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch {
+        throw new Error(`Invalid server URL: ${text}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('The server URL must start with http:// or https://');
+    }
+
+    if (!isLocalNetworkHost(url.hostname)) {
+        throw new Error(`${url.hostname} is not on this computer or your local network. Use a cloud provider for remote servers.`);
+    }
+
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Get the host permission pattern that covers a base URL
+ * @param {string} baseUrl - Server base URL
+ * @returns {string} Match pattern, e.g. "http://localhost/*" (a pattern without a port matches every port)
+ */
+export function getLocalHostPermission(baseUrl) {
+    const url = new URL(normalizeLocalBaseUrl(baseUrl));
+    return `${url.protocol}//${url.hostname}/*`;
+}
@@ -0,0 +1,1602 @@
+/**
+ * PDF Text Extraction
+ * Small built-in PDF reader that returns the text of each page, in page order
+ *
+ * Reads the cross-reference table or stream (falling back to scanning the file for objects when
+ * it is damaged), objects packed in object streams, and the page tree. Content streams are
+ * inflated with the native DecompressionStream and the text-showing operators (Tj, TJ, ' and ")
+ * are interpreted with each font's encoding, Differences array or ToUnicode CMap. Line breaks and
+ * spaces come from glyph positions, using the font's widths. Encrypted PDFs and filters other than
+ * FlateDecode, ASCIIHexDecode and ASCII85Decode are not supported; text drawn as images (scans)
+ * cannot be read, and neither can Identity-encoded fonts without a ToUnicode CMap, whose codes
+ * are glyph IDs.
+ *
+ * Reference: https://opensource.adobe.com/dc-acrobat-sdk-docs/pdfstandards/PDF32000_2008.pdf
+ * Reference: https://developer.mozilla.org/en-US/docs/Web/API/DecompressionStream
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+const EOF = Symbol('EOF');
+const ARRAY_START = Symbol('[');
+const ARRAY_END = Symbol(']');
+const DICT_START = Symbol('<<');
+const DICT_END = Symbol('>>');
+
+/**
+ * Bytes fed to DecompressionStream at a time
+ */
+const INFLATE_CHUNK_BYTES = 16 * 1024;
+
+/**
+ * Nesting limit for form XObjects drawn inside each other
+ */
+const MAX_FORM_DEPTH = 8;
+
+/**
+ * Horizontal gap, as a fraction of the font size, that separates two words
+ */
+const WORD_GAP = 0.2;
+
+/**
+ * Vertical moves, as fractions of the font size, that start a new line or paragraph
+ */
+const LINE_GAP = 0.5;
+const PARAGRAPH_GAP = 2;
+
+/**
+ * Glyph widths of the standard Helvetica and Times-Roman fonts for codes 32-126, used when a
+ * font has no Widths array (the standard 14 fonts need not include one)
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const TIMES_WIDTHS = [
+    250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+    921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+    556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+    333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+    500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+];
+const DEFAULT_GLYPH_WIDTH = 500;
+
+/**
+ * Glyph names of codes 32-126 and 0xA1-0xBF, in code order
+ */
+const ASCII_GLYPH_NAMES = [
+    'space', 'exclam', 'quotedbl', 'numbersign', 'dollar', 'percent', 'ampersand', 'quotesingle',
+    'parenleft', 'parenright', 'asterisk', 'plus', 'comma', 'hyphen', 'period', 'slash',
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'colon', 'semicolon', 'less', 'equal', 'greater', 'question', 'at',
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    'bracketleft', 'backslash', 'bracketright', 'asciicircum', 'underscore', 'grave',
+    ...'abcdefghijklmnopqrstuvwxyz',
+    'braceleft', 'bar', 'braceright', 'asciitilde'
+];
+const LATIN1_GLYPH_NAMES = [
+    'exclamdown', 'cent', 'sterling', 'currency', 'yen', 'brokenbar', 'section', 'dieresis',
+    'copyright', 'ordfeminine', 'guillemotleft', 'logicalnot', 'sfthyphen', 'registered', 'macron', 'degree',
+    'plusminus', 'twosuperior', 'threesuperior', 'acute', 'mu', 'paragraph', 'periodcentered', 'cedilla',
+    'onesuperior', 'ordmasculine', 'guillemotright', 'onequarter', 'onehalf', 'threequarters', 'questiondown'
+];
+
+/**
+ * Glyph names that are not built from a base letter and an accent
+ */
+const OTHER_GLYPHS = {
+    quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+    quotesinglbase: '‚', quotedblbase: '„', guilsinglleft: '‹', guilsinglright: '›',
+    endash: '–', emdash: '—', bullet: '•', ellipsis: '…', dagger: '†',
+    daggerdbl: '‡', perthousand: '‰', trademark: '™', Euro: '€', fraction: '⁄',
+    florin: 'ƒ', circumflex: 'ˆ', tilde: '˜', breve: '˘', dotaccent: '˙',
+    ring: '˚', hungarumlaut: '˝', ogonek: '˛', caron: 'ˇ', minus: '−',
+    nbspace: '\u00A0', AE: 'Æ', ae: 'æ', OE: 'Œ', oe: 'œ', Oslash: 'Ø',
+    oslash: 'ø', Eth: 'Ð', eth: 'ð', Thorn: 'Þ', thorn: 'þ',
+    germandbls: 'ß', multiply: '×', divide: '÷', dotlessi: 'ı',
+    Lslash: 'Ł', lslash: 'ł',
+    // Ligatures are spelled out so the text reads as plain words
+    ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl'
+};
+
+/**
+ * Accent glyph name suffixes by combining mark, e.g. "eacute" is e + U+0301
+ */
+const ACCENT_NAMES = {
+    '\u0300': 'grave', '\u0301': 'acute', '\u0302': 'circumflex', '\u0303': 'tilde', '\u0304': 'macron',
+    '\u0306': 'breve', '\u0307': 'dotaccent', '\u0308': 'dieresis', '\u030A': 'ring', '\u030B': 'hungarumlaut',
+    '\u030C': 'caron', '\u0326': 'commaaccent', '\u0327': 'cedilla', '\u0328': 'ogonek'
+};
+
+const GLYPH_NAMES = buildGlyphNames();
+
+/**
+ * StandardEncoding codes above 127 by glyph name (codes 39 and 96 are curly quotes)
+ */
+const STANDARD_HIGH_CODES = {
+    0xA1: 'exclamdown', 0xA2: 'cent', 0xA3: 'sterling', 0xA4: 'fraction', 0xA5: 'yen', 0xA6: 'florin',
+    0xA7: 'section', 0xA8: 'currency', 0xA9: 'quotesingle', 0xAA: 'quotedblleft', 0xAB: 'guillemotleft',
+    0xAC: 'guilsinglleft', 0xAD: 'guilsinglright', 0xAE: 'fi', 0xAF: 'fl', 0xB1: 'endash', 0xB2: 'dagger',
+    0xB3: 'daggerdbl', 0xB4: 'periodcentered', 0xB6: 'paragraph', 0xB7: 'bullet', 0xB8: 'quotesinglbase',
+    0xB9: 'quotedblbase', 0xBA: 'quotedblright', 0xBB: 'guillemotright', 0xBC: 'ellipsis', 0xBD: 'perthousand',
+    0xBF: 'questiondown', 0xC1: 'grave', 0xC2: 'acute', 0xC3: 'circumflex', 0xC4: 'tilde', 0xC5: 'macron',
+    0xC6: 'breve', 0xC7: 'dotaccent', 0xC8: 'dieresis', 0xCA: 'ring', 0xCB: 'cedilla', 0xCD: 'hungarumlaut',
+    0xCE: 'ogonek', 0xCF: 'caron', 0xD0: 'emdash', 0xE1: 'AE', 0xE3: 'ordfeminine', 0xE8: 'Lslash',
+    0xE9: 'Oslash', 0xEA: 'OE', 0xEB: 'ordmasculine', 0xF1: 'ae', 0xF5: 'dotlessi', 0xF8: 'lslash',
+    0xF9: 'oslash', 0xFA: 'oe', 0xFB: 'germandbls'
+};
+const WIN_ANSI_80_9F = '€\u0000‚ƒ„…†‡ˆ‰Š‹Œ\u0000Ž\u0000\u0000‘’“”•–—˜™š›œ\u0000žŸ';
+const MAC_ROMAN_80_FF = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»…\u00A0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uF8FFÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+const ENCODINGS = buildEncodings();
+
+class PdfName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PdfKeyword {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+class PdfStream {
+    /**
+     * @param {Map} dict - Stream dictionary
+     * @param {Uint8Array} bytes - Raw (still encoded) stream data
+     */
+    constructor(dict, bytes) {
+        this.dict = dict;
+        this.bytes = bytes;
+    }
+}
+
+/**
+ * Map each glyph name to its text
+ * @returns {Map<string, string>} Glyph names
+ */
+function buildGlyphNames() {
+    const names = new Map();
+    ASCII_GLYPH_NAMES.forEach((name, index) => names.set(name, String.fromCharCode(32 + index)));
+    LATIN1_GLYPH_NAMES.forEach((name, index) => names.set(name, String.fromCharCode(0xA1 + index)));
+    Object.entries(OTHER_GLYPHS).forEach(([name, text]) => names.set(name, text));
+    for (let code = 0xC0; code <= 0x17F; code++) {
+        const char = String.fromCharCode(code);
+        const [base, accent, ...rest] = char.normalize('NFD');
+        if (accent && rest.length === 0 && ACCENT_NAMES[accent] && !names.has(base + ACCENT_NAMES[accent])) {
+            names.set(base + ACCENT_NAMES[accent], char);
+        }
+    }
+    return names;
+}
+
+/**
+ * Build the 256-entry tables of the predefined simple font encodings
+ * @returns {Object<string, string[]>} Tables keyed by encoding name
+ */
+function buildEncodings() {
+    const ascii = Array.from({ length: 256 }, (_, code) => (code >= 32 && code < 127 ? String.fromCharCode(code) : ''));
+
+    const standard = [...ascii];
+    standard[0x27] = '’';
+    standard[0x60] = '‘';
+    Object.entries(STANDARD_HIGH_CODES).forEach(([code, name]) => {
+        standard[code] = GLYPH_NAMES.get(name) || '';
+    });
+
+    const winAnsi = ascii.map((char, code) => {
+        if (code >= 0x80 && code <= 0x9F) return WIN_ANSI_80_9F[code - 0x80].replace('\u0000', '');
+        return code >= 0xA0 ? String.fromCharCode(code) : char;
+    });
+
+    const macRoman = ascii.map((char, code) => (code >= 0x80 ? MAC_ROMAN_80_FF[code - 0x80] : char));
+
+    return { StandardEncoding: standard, WinAnsiEncoding: winAnsi, MacRomanEncoding: macRoman };
+}
+
+/**
+ * Get the text of a glyph name, e.g. "eacute", "uni00E9", "f_f_i" or "a.sc"
+ * @param {string} name - Glyph name
+ * @returns {string} Text, or an empty string for names without a meaning (e.g. "g42")
+ */
+function glyphNameToText(name) {
+    if (GLYPH_NAMES.has(name)) {
+        return GLYPH_NAMES.get(name);
+    }
+    const base = name.split('.')[0];
+    if (base !== name) {
+        return base ? glyphNameToText(base) : '';
+    }
+    if (name.includes('_')) {
+        return name.split('_').map(glyphNameToText).join('');
+    }
+
+    const uni = /^uni((?:[0-9A-F]{4})+)$/.exec(name);
+    if (uni) {
+        return String.fromCharCode(...uni[1].match(/.{4}/g).map(hex => parseInt(hex, 16)));
+    }
+    const codePoint = /^u([0-9A-F]{4,6})$/.exec(name);
+    if (codePoint && parseInt(codePoint[1], 16) <= 0x10FFFF) {
+        return String.fromCodePoint(parseInt(codePoint[1], 16));
+    }
+    return '';
+}
+
+/**
+ * Convert bytes to a string with one character per byte
+ * @param {Uint8Array|number[]} bytes - Bytes
+ * @returns {string} Binary string
+ */
+function toBinaryString(bytes) {
+    let text = '';
+    for (let offset = 0; offset < bytes.length; offset += 8192) {
+        text += String.fromCharCode(...bytes.slice(offset, offset + 8192));
+    }
+    return text;
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} chunks - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Find a keyword in bytes
+ * @param {Uint8Array} bytes - Bytes to search
+ * @param {string} keyword - ASCII keyword
+ * @param {number} from - Offset to start at
+ * @returns {number} Offset of the keyword, or -1
+ */
+function indexOfKeyword(bytes, keyword, from) {
+    const first = keyword.charCodeAt(0);
+    for (let i = from; i <= bytes.length - keyword.length; i++) {
+        if (bytes[i] !== first) continue;
+        let j = 1;
+        while (j < keyword.length && bytes[i + j] === keyword.charCodeAt(j)) j++;
+        if (j === keyword.length) return i;
+    }
+    return -1;
+}
+
+/**
+ * Get the name of a PDF name object
+ * @param {*} value - Parsed value
+ * @returns {string|null} Name without the slash, or null if the value is not a name
+ */
+function nameOf(value) {
+    return value instanceof PdfName ? value.name : null;
+}
+
+/**
+ * Read a number operand
+ * @param {*} value - Parsed value
+ * @param {number} [fallback] - Value used when it is not a finite number
+ * @returns {number} Number
+ */
+function toNumber(value, fallback = 0) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Multiply two PDF transformation matrices ([a b c d e f])
+ * @param {number[]} m - First matrix
+ * @param {number[]} n - Second matrix
+ * @returns {number[]} m × n
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Tokenizer shared by objects, content streams and CMaps
+ */
+class Lexer {
+    /**
+     * @param {Uint8Array} bytes - Data to read
+     * @param {number} [position] - Offset to start at
+     */
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.pos = position;
+    }
+
+    skipWhitespace() {
+        const { bytes } = this;
+        while (this.pos < bytes.length) {
+            const byte = bytes[this.pos];
+            if (WHITESPACE.has(byte)) {
+                this.pos++;
+            } else if (byte === 0x25) {
+                // Comment: runs to the end of the line
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0A && bytes[this.pos] !== 0x0D) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Read the next token
+     * @returns {*} Number, binary string, boolean, null, PdfName, PdfKeyword, a structure symbol or EOF
+     */
+    nextToken() {
+        this.skipWhitespace();
+        const { bytes } = this;
+        if (this.pos >= bytes.length) return EOF;
+
+        const byte = bytes[this.pos];
+        switch (byte) {
+            case 0x28: // (
+                return this.readLiteralString();
+            case 0x3C: // <
+                if (bytes[this.pos + 1] === 0x3C) {
+                    this.pos += 2;
+                    return DICT_START;
+                }
+                return this.readHexString();
+            case 0x3E: // >
+                this.pos += bytes[this.pos + 1] === 0x3E ? 2 : 1;
+                return DICT_END;
+            case 0x5B: // [
+                this.pos++;
+                return ARRAY_START;
+            case 0x5D: // ]
+                this.pos++;
+                return ARRAY_END;
+            case 0x2F: // /
+                this.pos++;
+                return new PdfName(this.readRegular().replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+            default: {
+                if (DELIMITERS.has(byte)) {
+                    // Stray ), { or }: PostScript braces in CMaps and damaged data
+                    this.pos++;
+                    return new PdfKeyword(String.fromCharCode(byte));
+                }
+                const word = this.readRegular();
+                if (NUMBER_PATTERN.test(word)) return parseFloat(word);
+                if (word === 'true') return true;
+                if (word === 'false') return false;
+                if (word === 'null') return null;
+                return new PdfKeyword(word);
+            }
+        }
+    }
+
+    readRegular() {
+        const { bytes } = this;
+        const start = this.pos;
+        while (this.pos < bytes.length && !WHITESPACE.has(bytes[this.pos]) && !DELIMITERS.has(bytes[this.pos])) this.pos++;
+        return toBinaryString(bytes.subarray(start, this.pos));
+    }
+
+    readLiteralString() {
+        const { bytes } = this;
+        const chars = [];
+        let depth = 1;
+        this.pos++;
+        while (this.pos < bytes.length) {
+            const byte = bytes[this.pos++];
+            if (byte === 0x5C) {
+                const next = bytes[this.pos++];
+                const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+                if (next in escapes) {
+                    chars.push(escapes[next]);
+                } else if (next >= 0x30 && next <= 0x37) {
+                    let value = next - 0x30;
+                    for (let digits = 1; digits < 3 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; digits++) {
+                        value = value * 8 + bytes[this.pos++] - 0x30;
+                    }
+                    chars.push(value & 0xFF);
+                } else if (next === 0x0D) {
+                    // Backslash at the end of a line continues the string
+                    if (bytes[this.pos] === 0x0A) this.pos++;
+                } else if (next !== 0x0A && next !== undefined) {
+                    chars.push(next);
+                }
+            } else if (byte === 0x28) {
+                depth++;
+                chars.push(byte);
+            } else if (byte === 0x29) {
+                if (--depth === 0) break;
+                chars.push(byte);
+            } else if (byte === 0x0D) {
+                if (bytes[this.pos] === 0x0A) this.pos++;
+                chars.push(0x0A);
+            } else {
+                chars.push(byte);
+            }
+        }
+        return toBinaryString(chars);
+    }
+
+    readHexString() {
+        const { bytes } = this;
+        let hex = '';
+        this.pos++;
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x3E) {
+            const char = String.fromCharCode(bytes[this.pos++]);
+            if (/[0-9A-Fa-f]/.test(char)) hex += char;
+        }
+        this.pos++;
+        if (hex.length % 2 === 1) hex += '0';
+        return toBinaryString(hex.match(/../g)?.map(pair => parseInt(pair, 16)) || []);
+    }
+
+    /**
+     * Skip the data of an inline image, up to and including EI
+     * Called after the ID operator
+     */
+    skipInlineImageData() {
+        const { bytes } = this;
+        this.pos++;
+        for (let i = this.pos; i < bytes.length - 1; i++) {
+            if (bytes[i] === 0x45 && bytes[i + 1] === 0x49 && WHITESPACE.has(bytes[i - 1])
+                && (i + 2 >= bytes.length || WHITESPACE.has(bytes[i + 2]))) {
+                this.pos = i + 2;
+                return;
+            }
+        }
+        this.pos = bytes.length;
+    }
+}
+
+/**
+ * Parse the value starting with a token
+ * @param {Lexer} lexer - Lexer positioned after the token
+ * @param {*} token - First token of the value
+ * @param {boolean} allowRefs - Whether "num gen R" is read as a reference (not in content streams)
+ * @returns {*} Parsed value: number, binary string, boolean, null, PdfName, PdfRef, Array, Map or a keyword
+ */
+function parseValue(lexer, token, allowRefs) {
+    if (token === ARRAY_START) {
+        const items = [];
+        for (let next = lexer.nextToken(); next !== ARRAY_END && next !== EOF; next = lexer.nextToken()) {
+            items.push(parseValue(lexer, next, allowRefs));
+        }
+        return items;
+    }
+    if (token === DICT_START) {
+        const dict = new Map();
+        for (let key = lexer.nextToken(); key !== DICT_END && key !== EOF; key = lexer.nextToken()) {
+            if (key instanceof PdfName) {
+                dict.set(key.name, parseValue(lexer, lexer.nextToken(), allowRefs));
+            }
+        }
+        return dict;
+    }
+    if (allowRefs && Number.isInteger(token) && token >= 0) {
+        const saved = lexer.pos;
+        const gen = lexer.nextToken();
+        if (Number.isInteger(gen)) {
+            const keyword = lexer.nextToken();
+            if (keyword instanceof PdfKeyword && keyword.value === 'R') {
+                return new PdfRef(token, gen);
+            }
+        }
+        lexer.pos = saved;
+    }
+    return token;
+}
+
+/**
+ * Parse the next object
+ * @param {Lexer} lexer - Lexer
+ * @param {boolean} [allowRefs] - Whether references are allowed
+ * @returns {*} Parsed value
+ */
+function parseObject(lexer, allowRefs = true) {
+    return parseValue(lexer, lexer.nextToken(), allowRefs);
+}
+
+/**
+ * Inflate zlib data with DecompressionStream
+ * @param {Uint8Array} bytes - Compressed data
+ * @param {string} format - "deflate" or "deflate-raw"
+ * @param {boolean} salvage - Let the output be read before the stream is closed, so the data
+ *   inflated before an error at the end (a truncated stream or a bad checksum) is kept
+ * @returns {Promise<{data: Uint8Array, failure: Error|null}>} Inflated data and the error that stopped it
+ */
+async function runDecompression(bytes, format, salvage) {
+    const stream = new DecompressionStream(format);
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let failure = null;
+
+    const reading = (async () => {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            chunks.push(value);
+        }
+    })().catch(error => {
+        failure = failure || error;
+    });
+
+    try {
+        for (let offset = 0; offset < bytes.length; offset += INFLATE_CHUNK_BYTES) {
+            await writer.write(bytes.subarray(offset, offset + INFLATE_CHUNK_BYTES));
+        }
+        if (salvage) {
+            // Closing errors the stream and drops output that has not been read yet
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        await writer.close();
+    } catch (error) {
+        failure = error;
+    }
+    await reading;
+    return { data: concatBytes(chunks), failure };
+}
+
+/**
+ * Decode FlateDecode data
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Inflated data
+ * @throws {Error} If nothing could be inflated
+ */
+async function inflate(bytes) {
+    let result = await runDecompression(bytes, 'deflate', false);
+    if (!result.failure) {
+        return result.data;
+    }
+
+    let end = bytes.length;
+    while (end > 0 && WHITESPACE.has(bytes[end - 1])) end--;
+    const attempts = [
+        // A stream Length that includes the end-of-line marker leaves junk after the compressed data
+        ...(end < bytes.length ? [[bytes.subarray(0, end), 'deflate', false]] : []),
+        [bytes, 'deflate', true],
+        // Some writers leave out the zlib header
+        [bytes, 'deflate-raw', true]
+    ];
+    for (const [data, format, salvage] of attempts) {
+        const retry = await runDecompression(data, format, salvage);
+        if (!retry.failure) return retry.data;
+        if (retry.data.length > result.data.length) result = retry;
+    }
+
+    if (result.data.length === 0) {
+        throw result.failure;
+    }
+    return result.data;
+}
+
+/**
+ * Undo a PNG predictor (Predictor 10-15), used by xref streams and some images
+ * @param {Uint8Array} data - Predicted data
+ * @param {Map|null} parms - DecodeParms
+ * @returns {Uint8Array} Original data
+ */
+function applyPredictor(data, parms) {
+    const predictor = toNumber(parms?.get('Predictor'), 1);
+    if (predictor < 10) {
+        return data;
+    }
+
+    const colors = toNumber(parms.get('Colors'), 1);
+    const bitsPerComponent = toNumber(parms.get('BitsPerComponent'), 8);
+    const columns = toNumber(parms.get('Columns'), 1);
+    const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowLength = Math.ceil(columns * colors * bitsPerComponent / 8);
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = new Uint8Array(rows * rowLength);
+
+    for (let row = 0; row < rows; row++) {
+        const filter = data[row * (rowLength + 1)];
+        const input = row * (rowLength + 1) + 1;
+        const start = row * rowLength;
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? output[start + i - bytesPerPixel] : 0;
+            const up = row > 0 ? output[start + i - rowLength] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? output[start + i - rowLength - bytesPerPixel] : 0;
+            let predicted = 0;
+            if (filter === 1) predicted = left;
+            else if (filter === 2) predicted = up;
+            else if (filter === 3) predicted = (left + up) >> 1;
+            else if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                predicted = distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? up : upLeft;
+            }
+            output[start + i] = (data[input + i] + predicted) & 0xFF;
+        }
+    }
+    return output;
+}
+
+/**
+ * Decode ASCIIHexDecode data
+ * @param {Uint8Array} data - Encoded data
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeAsciiHex(data) {
+    const hex = toBinaryString(data).split('>')[0].replace(/[^0-9A-Fa-f]/g, '');
+    return Uint8Array.from((hex.length % 2 ? `${hex}0` : hex).match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+/**
+ * Decode ASCII85Decode data
+ * @param {Uint8Array} data - Encoded data
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeAscii85(data) {
+    const text = toBinaryString(data).split('~>')[0].replace(/\s/g, '').replace(/^<~/, '');
+    const output = [];
+    let group = [];
+    for (const char of text) {
+        if (char === 'z' && group.length === 0) {
+            output.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(char.charCodeAt(0) - 33);
+        if (group.length === 5) {
+            const value = group.reduce((total, digit) => total * 85 + digit, 0);
+            output.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+            group = [];
+        }
+    }
+    if (group.length > 1) {
+        const missing = 5 - group.length;
+        const value = [...group, ...Array(missing).fill(84)].reduce((total, digit) => total * 85 + digit, 0);
+        output.push(...[(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].slice(0, 4 - missing));
+    }
+    return Uint8Array.from(output);
+}
+
+/**
+ * Read a ToUnicode (or encoding) CMap
+ * @param {Uint8Array} data - Decoded CMap stream
+ * @returns {{map: Map<number, string>, codespace: Object[]}} Text by character code, and the
+ *   codespace ranges ({bytes, low, high}) that say how many bytes each code takes
+ */
+function parseCMap(data) {
+    const lexer = new Lexer(data);
+    const map = new Map();
+    const codespace = [];
+    const codeOf = bytes => [...bytes].reduce((code, char) => code * 256 + char.charCodeAt(0), 0);
+    const unitsOf = bytes => {
+        if (bytes.length < 2) return [...bytes].map(char => char.charCodeAt(0));
+        const units = [];
+        for (let i = 0; i + 1 < bytes.length; i += 2) units.push(bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1));
+        return units;
+    };
+    const isEnd = token => token === EOF || token instanceof PdfKeyword;
+
+    for (let token = lexer.nextToken(); token !== EOF; token = lexer.nextToken()) {
+        if (!(token instanceof PdfKeyword)) continue;
+
+        if (token.value === 'begincodespacerange') {
+            for (let low = lexer.nextToken(); !isEnd(low); low = lexer.nextToken()) {
+                const high = lexer.nextToken();
+                if (typeof low === 'string' && typeof high === 'string') {
+                    codespace.push({ bytes: low.length, low: codeOf(low), high: codeOf(high) });
+                }
+            }
+        } else if (token.value === 'beginbfchar') {
+            for (let source = lexer.nextToken(); !isEnd(source); source = lexer.nextToken()) {
+                const target = lexer.nextToken();
+                if (typeof source === 'string' && typeof target === 'string') {
+                    map.set(codeOf(source), String.fromCharCode(...unitsOf(target)));
+                }
+            }
+        } else if (token.value === 'beginbfrange') {
+            for (let low = lexer.nextToken(); !isEnd(low); low = lexer.nextToken()) {
+                const high = lexer.nextToken();
+                const target = parseObject(lexer, false);
+                if (typeof low !== 'string' || typeof high !== 'string') continue;
+
+                const first = codeOf(low);
+                const last = Math.min(codeOf(high), first + 0xFFFF);
+                for (let code = first; code <= last; code++) {
+                    if (Array.isArray(target)) {
+                        if (typeof target[code - first] === 'string') {
+                            map.set(code, String.fromCharCode(...unitsOf(target[code - first])));
+                        }
+                    } else if (typeof target === 'string') {
+                        const units = unitsOf(target);
+                        units[units.length - 1] += code - first;
+                        map.set(code, String.fromCharCode(...units));
+                    }
+                }
+            }
+        }
+    }
+    return { map, codespace };
+}
+
+/**
+ * A font as far as text extraction needs it: how to split strings into codes, what text each code
+ * stands for and how far it moves the pen
+ */
+class PdfFont {
+    /**
+     * @param {Object} options - Font data
+     * @param {Object[]|null} options.codespace - Multi-byte code ranges (Type0 fonts); null for one byte per code
+     * @param {Map<number, string>|null} options.toUnicode - ToUnicode mapping
+     * @param {string[]|null} options.encoding - Text by code for simple fonts
+     * @param {Function} options.getWidth - Glyph width by code, in glyph space units
+     * @param {number} options.widthScale - Glyph space to text space (0.001 except for Type3 fonts)
+     */
+    constructor({ codespace, toUnicode, encoding, getWidth, widthScale }) {
+        this.codespace = codespace;
+        this.toUnicode = toUnicode;
+        this.encoding = encoding;
+        this.getWidth = getWidth;
+        this.widthScale = widthScale;
+    }
+
+    /**
+     * Split a string operand into glyphs
+     * @param {string} bytes - Binary string from Tj or TJ
+     * @returns {{text: string, width: number, isSpace: boolean}[]} Glyphs
+     */
+    decode(bytes) {
+        const glyphs = [];
+        for (let i = 0; i < bytes.length;) {
+            const [code, length] = this.codespace ? this.readCode(bytes, i) : [bytes.charCodeAt(i), 1];
+            i += length;
+            const text = this.toUnicode?.get(code) ?? this.encoding?.[code] ?? '';
+            glyphs.push({ text, width: this.getWidth(code), isSpace: length === 1 && code === 32 });
+        }
+        return glyphs;
+    }
+
+    /**
+     * Read one multi-byte code, taking the shortest codespace range it falls in
+     * @param {string} bytes - Binary string
+     * @param {number} start - Offset of the code
+     * @returns {number[]} Code and its length in bytes
+     */
+    readCode(bytes, start) {
+        let code = 0;
+        const maxBytes = Math.max(...this.codespace.map(range => range.bytes));
+        for (let length = 1; length <= maxBytes && start + length <= bytes.length; length++) {
+            code = code * 256 + bytes.charCodeAt(start + length - 1);
+            if (this.codespace.some(range => range.bytes === length && code >= range.low && code <= range.high)) {
+                return [code, length];
+            }
+        }
+        const length = Math.min(maxBytes, bytes.length - start);
+        return [[...bytes.slice(start, start + length)].reduce((value, char) => value * 256 + char.charCodeAt(0), 0), length];
+    }
+}
+
+/**
+ * Collects the text of a page, adding spaces and line breaks from glyph positions
+ */
+class PageText {
+    constructor() {
+        this.parts = [];
+        this.last = null;
+    }
+
+    /**
+     * Add the text of one string operand
+     * @param {string} text - Decoded text
+     * @param {{x: number, y: number, size: number}} start - Where it starts, in device space
+     * @param {{x: number, y: number}} end - Where the pen is after it
+     */
+    add(text, start, end) {
+        if (this.last && text) {
+            const dx = start.x - this.last.x;
+            const dy = Math.abs(start.y - this.last.y);
+            if (dy > start.size * PARAGRAPH_GAP) {
+                this.parts.push('\n\n');
+            } else if (dy > start.size * LINE_GAP) {
+                this.parts.push('\n');
+            } else if (dx > start.size * WORD_GAP || dx < -start.size) {
+                this.parts.push(' ');
+            }
+        }
+        if (text) {
+            this.parts.push(text);
+        }
+        this.last = end;
+    }
+
+    toString() {
+        return this.parts.join('')
+            .replace(/[\t\u00A0]/g, ' ')
+            .replace(/[\u0000-\u0008\u000B-\u001F\u007F\u00AD]/g, '')
+            .replace(/[\uFB00-\uFB04]/g, char => ['ff', 'fi', 'fl', 'ffi', 'ffl'][char.charCodeAt(0) - 0xFB00])
+            .split('\n')
+            .map(line => line.replace(/ {2,}/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+/**
+ * Cross-reference table, object loading and stream decoding
+ */
+class PdfDocument {
+    /**
+     * @param {Uint8Array} bytes - PDF file
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.entries = new Map();
+        this.trailer = new Map();
+        this.cache = new Map();
+        this.loading = new Set();
+        this.objectStreams = new Map();
+    }
+
+    /**
+     * Read the cross-reference data, rebuilding it from the objects in the file if it is damaged
+     */
+    async load() {
+        try {
+            await this.readXrefChain(this.findStartXref());
+            if (!(await this.resolve(this.trailer.get('Root')) instanceof Map)) {
+                throw new Error('No document catalog');
+            }
+        } catch (error) {
+            console.debug('PDF cross-reference data is damaged, scanning for objects:', error.message);
+            this.entries.clear();
+            this.trailer.clear();
+            this.cache.clear();
+            this.objectStreams.clear();
+            await this.rebuildXref();
+        }
+    }
+
+    findStartXref() {
+        const tailStart = Math.max(0, this.bytes.length - 4096);
+        const tail = toBinaryString(this.bytes.subarray(tailStart));
+        const match = /startxref\s+(\d+)/.exec(tail.slice(tail.lastIndexOf('startxref')));
+        if (!match) {
+            throw new Error('No startxref');
+        }
+        return parseInt(match[1], 10);
+    }
+
+    /**
+     * Read a cross-reference section and the older ones it points to with /Prev
+     * Entries already read (from newer sections) win
+     * @param {number} offset - Offset of the newest section
+     */
+    async readXrefChain(offset) {
+        const visited = new Set();
+        let next = offset;
+        while (Number.isInteger(next) && !visited.has(next)) {
+            visited.add(next);
+            const trailer = await this.readXrefSection(next);
+            trailer.forEach((value, key) => {
+                if (!this.trailer.has(key)) this.trailer.set(key, value);
+            });
+
+            // Hybrid files list compressed objects in a separate xref stream
+            const xrefStream = trailer.get('XRefStm');
+            if (Number.isInteger(xrefStream) && !visited.has(xrefStream)) {
+                visited.add(xrefStream);
+                await this.readXrefSection(xrefStream);
+            }
+            next = trailer.get('Prev');
+        }
+    }
+
+    /**
+     * Read one cross-reference table or stream
+     * @param {number} offset - Offset of "xref" or of the xref stream object
+     * @returns {Promise<Map>} Trailer dictionary
+     */
+    async readXrefSection(offset) {
+        const lexer = new Lexer(this.bytes, offset);
+        const token = lexer.nextToken();
+
+        if (token instanceof PdfKeyword && token.value === 'xref') {
+            for (;;) {
+                const start = lexer.nextToken();
+                if (start instanceof PdfKeyword && start.value === 'trailer') {
+                    const trailer = parseObject(lexer);
+                    if (!(trailer instanceof Map)) throw new Error('Damaged trailer');
+                    return trailer;
+                }
+                const count = lexer.nextToken();
+                if (!Number.isInteger(start) || !Number.isInteger(count)) {
+                    throw new Error('Damaged xref table');
+                }
+                for (let i = 0; i < count; i++) {
+                    const entryOffset = lexer.nextToken();
+                    const gen = lexer.nextToken();
+                    const type = lexer.nextToken();
+                    if (!this.entries.has(start + i)) {
+                        this.entries.set(start + i, type?.value === 'n' ? { type: 1, offset: entryOffset, gen } : { type: 0 });
+                    }
+                }
+            }
+        }
+
+        const stream = await this.parseIndirectObjectAt(offset);
+        if (!(stream instanceof PdfStream) || nameOf(stream.dict.get('Type')) !== 'XRef') {
+            throw new Error(`No cross-reference data at offset ${offset}`);
+        }
+        await this.readXrefStream(stream);
+        return stream.dict;
+    }
+
+    /**
+     * Read the entries of a cross-reference stream
+     * @param {PdfStream} stream - XRef stream
+     */
+    async readXrefStream(stream) {
+        const data = await this.decodeStream(stream);
+        const [typeWidth, offsetWidth, extraWidth] = stream.dict.get('W') || [];
+        const index = stream.dict.get('Index') || [0, stream.dict.get('Size')];
+        const entryWidth = typeWidth + offsetWidth + extraWidth;
+        let position = 0;
+        const read = width => {
+            let value = 0;
+            for (let i = 0; i < width; i++) value = value * 256 + data[position++];
+            return value;
+        };
+
+        for (let i = 0; i + 1 < index.length; i += 2) {
+            for (let j = 0; j < index[i + 1] && position + entryWidth <= data.length; j++) {
+                const type = typeWidth ? read(typeWidth) : 1;
+                const field2 = read(offsetWidth);
+                const field3 = read(extraWidth);
+                const num = index[i] + j;
+                if (this.entries.has(num)) continue;
+                if (type === 1) this.entries.set(num, { type: 1, offset: field2, gen: field3 });
+                else if (type === 2) this.entries.set(num, { type: 2, stream: field2, index: field3 });
+                else this.entries.set(num, { type: 0 });
+            }
+        }
+    }
+
+    /**
+     * Rebuild the cross-reference data by scanning the file for "num gen obj"
+     */
+    async rebuildXref() {
+        const text = toBinaryString(this.bytes);
+        for (const match of text.matchAll(/(\d+)\s+(\d+)\s+obj\b/g)) {
+            this.entries.set(parseInt(match[1], 10), { type: 1, offset: match.index, gen: parseInt(match[2], 10) });
+        }
+
+        for (const match of text.matchAll(/trailer\s*<</g)) {
+            const trailer = parseObject(new Lexer(this.bytes, match.index + 'trailer'.length));
+            if (trailer instanceof Map) {
+                trailer.forEach((value, key) => this.trailer.set(key, value));
+            }
+        }
+
+        // Objects in object streams are not visible in the file, and the catalog may have to be found by type
+        for (const [num, entry] of [...this.entries]) {
+            if (entry.type !== 1) continue;
+            const value = await this.getObject(num);
+            if (value instanceof PdfStream && nameOf(value.dict.get('Type')) === 'ObjStm') {
+                const objectStream = await this.getObjectStream(num);
+                objectStream?.offsets.forEach(([objectNum], index) => {
+                    if (!this.entries.has(objectNum)) this.entries.set(objectNum, { type: 2, stream: num, index });
+                });
+            }
+        }
+        if (!(await this.resolve(this.trailer.get('Root')) instanceof Map)) {
+            for (const num of this.entries.keys()) {
+                const value = await this.getObject(num);
+                if (value instanceof Map && nameOf(value.get('Type')) === 'Catalog') {
+                    this.trailer.set('Root', new PdfRef(num, 0));
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse "num gen obj ... endobj" at an offset
+     * @param {number} offset - Byte offset
+     * @returns {Promise<*>} Object value (PdfStream for streams)
+     */
+    async parseIndirectObjectAt(offset) {
+        const lexer = new Lexer(this.bytes, offset);
+        const num = lexer.nextToken();
+        lexer.nextToken();
+        const keyword = lexer.nextToken();
+        if (!Number.isInteger(num) || !(keyword instanceof PdfKeyword) || keyword.value !== 'obj') {
+            throw new Error(`No object at offset ${offset}`);
+        }
+
+        const value = parseObject(lexer);
+        if (value instanceof Map) {
+            const next = lexer.nextToken();
+            if (next instanceof PdfKeyword && next.value === 'stream') {
+                return this.readStream(value, lexer.pos);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Read stream data, finding "endstream" when /Length is missing or wrong
+     * @param {Map} dict - Stream dictionary
+     * @param {number} position - Offset just after the "stream" keyword
+     * @returns {Promise<PdfStream>} Stream
+     */
+    async readStream(dict, position) {
+        const { bytes } = this;
+        let start = position;
+        if (bytes[start] === 0x0D) start++;
+        if (bytes[start] === 0x0A) start++;
+
+        const length = await this.resolve(dict.get('Length'));
+        let end = Number.isInteger(length) && length >= 0 ? start + length : -1;
+        const after = end >= 0 && end <= bytes.length ? new Lexer(bytes, end).nextToken() : null;
+        if (!(after instanceof PdfKeyword) || after.value !== 'endstream') {
+            const found = indexOfKeyword(bytes, 'endstream', start);
+            end = found === -1 ? bytes.length : found;
+            if (bytes[end - 1] === 0x0A) end--;
+            if (bytes[end - 1] === 0x0D) end--;
+        }
+        return new PdfStream(dict, bytes.subarray(start, Math.max(start, end)));
+    }
+
+    /**
+     * Load an object by number
+     * @param {number} num - Object number
+     * @returns {Promise<*>} Object value, or null if it is missing or damaged
+     */
+    async getObject(num) {
+        if (this.cache.has(num)) return this.cache.get(num);
+        // A reference back to an object being loaded (e.g. its own /Length) cannot be resolved
+        if (this.loading.has(num)) return null;
+
+        const entry = this.entries.get(num);
+        let value = null;
+        this.loading.add(num);
+        try {
+            if (entry?.type === 1) {
+                value = await this.parseIndirectObjectAt(entry.offset);
+            } else if (entry?.type === 2) {
+                value = await this.getCompressedObject(num, entry);
+            }
+        } catch (error) {
+            console.debug(`Skipping damaged PDF object ${num}:`, error.message);
+        } finally {
+            this.loading.delete(num);
+        }
+        this.cache.set(num, value);
+        return value;
+    }
+
+    /**
+     * Load and index an object stream
+     * @param {number} num - Object number of the stream
+     * @returns {Promise<{data: Uint8Array, first: number, offsets: number[][]}|null>} Decoded stream and [objectNum, offset] pairs
+     */
+    async getObjectStream(num) {
+        if (!this.objectStreams.has(num)) {
+            const stream = await this.getObject(num);
+            let objectStream = null;
+            if (stream instanceof PdfStream) {
+                const data = await this.decodeStream(stream);
+                const lexer = new Lexer(data);
+                const offsets = [];
+                for (let i = 0; i < toNumber(stream.dict.get('N')); i++) {
+                    offsets.push([lexer.nextToken(), lexer.nextToken()]);
+                }
+                objectStream = { data, first: toNumber(stream.dict.get('First')), offsets };
+            }
+            this.objectStreams.set(num, objectStream);
+        }
+        return this.objectStreams.get(num);
+    }
+
+    /**
+     * Load an object stored in an object stream
+     * @param {number} num - Object number
+     * @param {{stream: number, index: number}} entry - Cross-reference entry
+     * @returns {Promise<*>} Object value
+     */
+    async getCompressedObject(num, entry) {
+        const objectStream = await this.getObjectStream(entry.stream);
+        if (!objectStream) return null;
+
+        const pair = objectStream.offsets.find(([objectNum]) => objectNum === num) || objectStream.offsets[entry.index];
+        return pair ? parseObject(new Lexer(objectStream.data, objectStream.first + pair[1])) : null;
+    }
+
+    /**
+     * Follow references to a value
+     * @param {*} value - Value or reference
+     * @returns {Promise<*>} Value
+     */
+    async resolve(value) {
+        for (let depth = 0; value instanceof PdfRef && depth < 16; depth++) {
+            value = await this.getObject(value.num);
+        }
+        return value instanceof PdfRef ? null : value;
+    }
+
+    /**
+     * Decode a stream through its filters
+     * @param {PdfStream} stream - Stream
+     * @returns {Promise<Uint8Array>} Decoded data
+     * @throws {Error} If a filter is not supported or the data cannot be decoded
+     */
+    async decodeStream(stream) {
+        const filters = [await this.resolve(stream.dict.get('Filter'))].flat().filter(Boolean);
+        const parms = [await this.resolve(stream.dict.get('DecodeParms') ?? stream.dict.get('DP'))].flat();
+        let data = stream.bytes;
+
+        for (let i = 0; i < filters.length; i++) {
+            const filter = nameOf(await this.resolve(filters[i]));
+            const filterParms = await this.resolve(parms[i]);
+            switch (filter) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = applyPredictor(await inflate(data), filterParms instanceof Map ? filterParms : null);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = decodeAsciiHex(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = decodeAscii85(data);
+                    break;
+                default:
+                    throw new Error(`Unsupported PDF filter: ${filter}`);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * List the pages in reading order by walking the page tree
+     * @returns {Promise<{node: Map, resources: Map|null}[]>} Page dictionaries and their (inherited) resources
+     */
+    async getPages() {
+        const catalog = await this.resolve(this.trailer.get('Root'));
+        const pages = [];
+        const visited = new Set();
+
+        const walk = async (node, inheritedResources) => {
+            if (!(node instanceof Map) || visited.has(node)) return;
+            visited.add(node);
+
+            const resources = (await this.resolve(node.get('Resources'))) || inheritedResources;
+            const kids = await this.resolve(node.get('Kids'));
+            if (nameOf(node.get('Type')) !== 'Page' && Array.isArray(kids)) {
+                for (const kid of kids) {
+                    await walk(await this.resolve(kid), resources);
+                }
+            } else {
+                pages.push({ node, resources });
+            }
+        };
+
+        await walk(await this.resolve(catalog?.get('Pages')), null);
+        return pages;
+    }
+}
+
+/**
+ * Interprets page content streams and collects their text
+ */
+class TextExtractor {
+    /**
+     * @param {PdfDocument} document - Loaded document
+     */
+    constructor(document) {
+        this.document = document;
+        this.fonts = new Map();
+    }
+
+    /**
+     * Extract the text of a page
+     * @param {{node: Map, resources: Map|null}} page - Page from PdfDocument.getPages
+     * @returns {Promise<string>} Page text
+     */
+    async extractPage({ node, resources }) {
+        const contents = await this.document.resolve(node.get('Contents'));
+        const chunks = [];
+        for (const item of [contents].flat()) {
+            const stream = await this.document.resolve(item);
+            if (!(stream instanceof PdfStream)) continue;
+            try {
+                chunks.push(await this.document.decodeStream(stream), new Uint8Array([0x0A]));
+            } catch (error) {
+                console.debug('Skipping unreadable PDF content stream:', error.message);
+            }
+        }
+
+        const output = new PageText();
+        await this.runContent(concatBytes(chunks), resources, output, IDENTITY, 0);
+        return output.toString();
+    }
+
+    /**
+     * Run a content stream's text and graphics state operators
+     * @param {Uint8Array} data - Decoded content
+     * @param {Map|null} resources - Resources its names refer to
+     * @param {PageText} output - Where text goes
+     * @param {number[]} ctm - Current transformation matrix
+     * @param {number} depth - Form XObject nesting depth
+     */
+    async runContent(data, resources, output, ctm, depth) {
+        const lexer = new Lexer(data);
+        const stack = [];
+        let state = { ctm, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+        const text = { matrix: IDENTITY, lineMatrix: IDENTITY };
+        let operands = [];
+
+        const moveLine = (tx, ty) => {
+            text.lineMatrix = multiply([1, 0, 0, 1, tx, ty], text.lineMatrix);
+            text.matrix = text.lineMatrix;
+        };
+
+        for (let token = lexer.nextToken(); token !== EOF; token = lexer.nextToken()) {
+            if (!(token instanceof PdfKeyword)) {
+                operands.push(parseValue(lexer, token, false));
+                // Damaged content without operators should not grow without bound
+                if (operands.length > 64) operands.shift();
+                continue;
+            }
+
+            const [a, b, c] = operands;
+            switch (token.value) {
+                case 'q':
+                    stack.push({ ...state });
+                    break;
+                case 'Q':
+                    if (stack.length > 0) state = stack.pop();
+                    break;
+                case 'cm':
+                    if (operands.length >= 6) state.ctm = multiply(operands.slice(0, 6).map(value => toNumber(value)), state.ctm);
+                    break;
+                case 'BT':
+                    text.matrix = IDENTITY;
+                    text.lineMatrix = IDENTITY;
+                    break;
+                case 'Tf':
+                    state.font = await this.getFont(resources, a);
+                    state.fontSize = toNumber(b);
+                    break;
+                case 'Tc':
+                    state.charSpacing = toNumber(a);
+                    break;
+                case 'Tw':
+                    state.wordSpacing = toNumber(a);
+                    break;
+                case 'Tz':
+                    state.scale = toNumber(a, 100) / 100;
+                    break;
+                case 'TL':
+                    state.leading = toNumber(a);
+                    break;
+                case 'Td':
+                    moveLine(toNumber(a), toNumber(b));
+                    break;
+                case 'TD':
+                    state.leading = -toNumber(b);
+                    moveLine(toNumber(a), toNumber(b));
+                    break;
+                case 'Tm':
+                    text.lineMatrix = operands.slice(0, 6).map(value => toNumber(value));
+                    text.matrix = text.lineMatrix;
+                    break;
+                case 'T*':
+                    moveLine(0, -state.leading);
+                    break;
+                case 'Tj':
+                    await this.showText(a, state, text, output);
+                    break;
+                case '\'':
+                    moveLine(0, -state.leading);
+                    await this.showText(a, state, text, output);
+                    break;
+                case '"':
+                    state.wordSpacing = toNumber(a);
+                    state.charSpacing = toNumber(b);
+                    moveLine(0, -state.leading);
+                    await this.showText(c, state, text, output);
+                    break;
+                case 'TJ':
+                    for (const item of Array.isArray(a) ? a : []) {
+                        if (typeof item === 'number') {
+                            // Positive numbers move the next glyph left, in thousandths of the font size
+                            const tx = -item / 1000 * state.fontSize * state.scale;
+                            text.matrix = multiply([1, 0, 0, 1, tx, 0], text.matrix);
+                        } else {
+                            await this.showText(item, state, text, output);
+                        }
+                    }
+                    break;
+                case 'Do':
+                    await this.runForm(a, resources, output, state.ctm, depth);
+                    break;
+                case 'ID':
+                    lexer.skipInlineImageData();
+                    break;
+                default:
+                    break;
+            }
+            operands = [];
+        }
+    }
+
+    /**
+     * Show a string: decode it, add its text and advance the text matrix by its glyph widths
+     * @param {*} bytes - String operand
+     * @param {Object} state - Graphics and text state
+     * @param {{matrix: number[]}} text - Text matrices
+     * @param {PageText} output - Page text
+     */
+    async showText(bytes, state, text, output) {
+        if (typeof bytes !== 'string') return;
+        const font = state.font || await this.getDefaultFont();
+
+        const position = () => {
+            const matrix = multiply(text.matrix, state.ctm);
+            return { x: matrix[4], y: matrix[5], size: Math.abs(state.fontSize) * Math.hypot(matrix[2], matrix[3]) || 1 };
+        };
+
+        const start = position();
+        let content = '';
+        for (const glyph of font.decode(bytes)) {
+            content += glyph.text;
+            const advance = (glyph.width * font.widthScale * state.fontSize + state.charSpacing
+                + (glyph.isSpace ? state.wordSpacing : 0)) * state.scale;
+            text.matrix = multiply([1, 0, 0, 1, advance, 0], text.matrix);
+        }
+        output.add(content, start, position());
+    }
+
+    /**
+     * Run a form XObject drawn with Do; image XObjects have no text
+     * @param {*} name - XObject name operand
+     * @param {Map|null} resources - Resources of the calling content
+     * @param {PageText} output - Page text
+     * @param {number[]} ctm - Current transformation matrix
+     * @param {number} depth - Current nesting depth
+     */
+    async runForm(name, resources, output, ctm, depth) {
+        if (depth >= MAX_FORM_DEPTH) return;
+
+        const xObjects = await this.document.resolve(resources?.get('XObject'));
+        const form = await this.document.resolve(xObjects instanceof Map ? xObjects.get(nameOf(name)) : null);
+        if (!(form instanceof PdfStream) || nameOf(form.dict.get('Subtype')) !== 'Form') return;
+
+        let data;
+        try {
+            data = await this.document.decodeStream(form);
+        } catch (error) {
+            console.debug('Skipping unreadable PDF form:', error.message);
+            return;
+        }
+        const matrix = await this.document.resolve(form.dict.get('Matrix'));
+        const formCtm = Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix.map(value => toNumber(value)), ctm) : ctm;
+        const formResources = (await this.document.resolve(form.dict.get('Resources'))) || resources;
+        await this.runContent(data, formResources, output, formCtm, depth + 1);
+    }
+
+    /**
+     * Get the font a Tf operator selects
+     * @param {Map|null} resources - Current resources
+     * @param {*} name - Font name operand
+     * @returns {Promise<PdfFont>} Font (the default font when it is missing)
+     */
+    async getFont(resources, name) {
+        const fonts = await this.document.resolve(resources?.get('Font'));
+        const dict = await this.document.resolve(fonts instanceof Map ? fonts.get(nameOf(name)) : null);
+        if (!(dict instanceof Map)) {
+            return this.getDefaultFont();
+        }
+        if (!this.fonts.has(dict)) {
+            this.fonts.set(dict, await this.loadFont(dict));
+        }
+        return this.fonts.get(dict);
+    }
+
+    /**
+     * Font used when a content stream names one that does not exist
+     * @returns {Promise<PdfFont>} StandardEncoding font with Helvetica widths
+     */
+    async getDefaultFont() {
+        if (!this.defaultFont) {
+            this.defaultFont = await this.loadFont(new Map());
+        }
+        return this.defaultFont;
+    }
+
+    /**
+     * Build a PdfFont from a font dictionary
+     * @param {Map} dict - Font dictionary
+     * @returns {Promise<PdfFont>} Font
+     */
+    async loadFont(dict) {
+        const resolve = value => this.document.resolve(value);
+        const subtype = nameOf(dict.get('Subtype'));
+        const toUnicode = await this.loadCMap(dict.get('ToUnicode'));
+
+        if (subtype === 'Type0') {
+            const encoding = await resolve(dict.get('Encoding'));
+            let codespace = [];
+            if (encoding instanceof PdfStream) {
+                codespace = (await this.loadCMap(encoding))?.codespace || [];
+            } else if (!['Identity-H', 'Identity-V'].includes(nameOf(encoding))) {
+                codespace = toUnicode?.codespace || [];
+            }
+            const descendant = await resolve((await resolve(dict.get('DescendantFonts')))?.[0]);
+            return new PdfFont({
+                codespace: codespace.length > 0 ? codespace : [{ bytes: 2, low: 0, high: 0xFFFF }],
+                toUnicode: toUnicode?.map || null,
+                encoding: null,
+                getWidth: await this.loadCIDWidths(descendant instanceof Map ? descendant : new Map()),
+                widthScale: 0.001
+            });
+        }
+
+        const baseFont = (nameOf(dict.get('BaseFont')) || '').replace(/^[A-Z]{6}\+/, '');
+        const encodingValue = await resolve(dict.get('Encoding'));
+        const baseEncoding = nameOf(encodingValue instanceof Map ? encodingValue.get('BaseEncoding') : encodingValue);
+        const encoding = [...(ENCODINGS[baseEncoding] || (subtype === 'TrueType' ? ENCODINGS.WinAnsiEncoding : ENCODINGS.StandardEncoding))];
+        if (encodingValue instanceof Map) {
+            let code = 0;
+            for (const item of (await resolve(encodingValue.get('Differences'))) || []) {
+                if (typeof item === 'number') {
+                    code = item;
+                } else if (item instanceof PdfName && code < 256) {
+                    encoding[code++] = glyphNameToText(item.name);
+                }
+            }
+        }
+
+        const fontMatrix = await resolve(dict.get('FontMatrix'));
+        return new PdfFont({
+            codespace: null,
+            toUnicode: toUnicode?.map || null,
+            encoding,
+            getWidth: await this.loadSimpleWidths(dict, baseFont),
+            widthScale: subtype === 'Type3' && Array.isArray(fontMatrix) ? toNumber(fontMatrix[0], 0.001) : 0.001
+        });
+    }
+
+    /**
+     * Read the widths of a simple font, estimating them for standard fonts without a Widths array
+     * @param {Map} dict - Font dictionary
+     * @param {string} baseFont - Font name without the subset prefix
+     * @returns {Promise<Function>} Width by code
+     */
+    async loadSimpleWidths(dict, baseFont) {
+        const widths = await this.document.resolve(dict.get('Widths'));
+        if (Array.isArray(widths)) {
+            const firstChar = toNumber(dict.get('FirstChar'));
+            const descriptor = await this.document.resolve(dict.get('FontDescriptor'));
+            const missingWidth = toNumber(descriptor instanceof Map ? descriptor.get('MissingWidth') : 0);
+            return code => toNumber(widths[code - firstChar], missingWidth);
+        }
+
+        if (/Courier/i.test(baseFont)) {
+            return () => 600;
+        }
+        const table = /Times/i.test(baseFont) ? TIMES_WIDTHS : HELVETICA_WIDTHS;
+        return code => table[code - 32] ?? DEFAULT_GLYPH_WIDTH;
+    }
+
+    /**
+     * Read the widths of a CID font (DW and W)
+     * @param {Map} descendant - CIDFont dictionary
+     * @returns {Promise<Function>} Width by code (CID)
+     */
+    async loadCIDWidths(descendant) {
+        const defaultWidth = toNumber(descendant.get('DW'), 1000);
+        const list = await this.document.resolve(descendant.get('W'));
+        const widths = new Map();
+        if (Array.isArray(list)) {
+            for (let i = 0; i < list.length;) {
+                const first = toNumber(list[i]);
+                const next = await this.document.resolve(list[i + 1]);
+                if (Array.isArray(next)) {
+                    next.forEach((width, index) => widths.set(first + index, toNumber(width, defaultWidth)));
+                    i += 2;
+                } else {
+                    for (let cid = first; cid <= toNumber(next) && cid - first <= 0xFFFF; cid++) {
+                        widths.set(cid, toNumber(list[i + 2], defaultWidth));
+                    }
+                    i += 3;
+                }
+            }
+        }
+        return code => widths.get(code) ?? defaultWidth;
+    }
+
+    /**
+     * Read a CMap stream
+     * @param {*} value - Stream or reference (names of predefined CMaps are not read)
+     * @returns {Promise<{map: Map<number, string>, codespace: Object[]}|null>} Parsed CMap, or null
+     */
+    async loadCMap(value) {
+        const stream = await this.document.resolve(value);
+        if (!(stream instanceof PdfStream)) return null;
+        try {
+            return parseCMap(await this.document.decodeStream(stream));
+        } catch (error) {
+            console.debug('Skipping unreadable PDF CMap:', error.message);
+            return null;
+        }
+    }
+}
+
+/**
+ * Extract the text of a PDF, page by page
+ * @param {Uint8Array|ArrayBuffer} data - PDF file
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.maxChars] - Stop after the page that reaches this many characters
+ * @returns {Promise<{pageCount: number, pages: string[]}>} Number of pages in the document and the
+ *   text of each page read, in page order (empty for pages without text, such as scans)
+ * @throws {Error} If the data is not a PDF, is encrypted or has no pages
+ */
+export async function extractPdfText(data, { maxChars = Infinity } = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (indexOfKeyword(bytes.subarray(0, 1024), '%PDF-', 0) === -1) {
+        throw new Error('The file is not a PDF');
+    }
+
+    const document = new PdfDocument(bytes);
+    await document.load();
+    if (document.trailer.has('Encrypt')) {
+        throw new Error('The PDF is encrypted');
+    }
+
+    const pages = await document.getPages();
+    if (pages.length === 0) {
+        throw new Error('The PDF has no pages');
+    }
+
+    const extractor = new TextExtractor(document);
+    const texts = [];
+    let length = 0;
+    for (const page of pages) {
+        let text = '';
+        try {
+            text = await extractor.extractPage(page);
+        } catch (error) {
+            console.warn(`Could not read page ${texts.length + 1} of the PDF:`, error.message);
+        }
+        texts.push(text);
+        length += text.length;
+        if (length >= maxChars) break;
+    }
+    return { pageCount: pages.length, pages: texts };
+}
@@ -0,0 +1,416 @@
+/**
+ * PII Redaction
+ * Reversible redaction of personal data in text sent to cloud AI providers
+ *
+ * Names, email addresses, phone numbers, IBANs and order numbers are replaced with stable
+ * placeholders ([PERSON_1], [EMAIL_2]...) before a request leaves the device: the same value
+ * always gets the same placeholder, so the model can still tell who said what. The placeholders
+ * in the summary or drafts that come back are then replaced with the original values.
+ *
+ * Shared by the service worker, which redacts cloud requests, and the side panel, which
+ * renders the category toggles.
+ *
+ * Reference: docs/spec.md - PII Redaction
+ * Reference: background/summary-service.js - prepareContentForCloudProcessing
+ */
+
+/**
+ * Redaction categories, in the order overlapping matches are resolved
+ * (an email address wins over the name inside it)
+ */
+export const PII_CATEGORIES = [
+    { id: 'email', label: 'Email addresses', placeholder: 'EMAIL' },
+    { id: 'iban', label: 'IBANs', placeholder: 'IBAN' },
+    { id: 'orderNumber', label: 'Order, invoice and ticket numbers', placeholder: 'ORDER' },
+    { id: 'phone', label: 'Phone numbers', placeholder: 'PHONE' },
+    { id: 'person', label: 'Names of people in the thread', placeholder: 'PERSON' }
+];
+
+/**
+ * Every category is redacted until the user turns it off
+ */
+export const DEFAULT_REDACTION_SETTINGS = Object.fromEntries(PII_CATEGORIES.map(category => [category.id, true]));
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+/**
+ * Country code, check digits and 11-30 alphanumerics, optionally grouped in fours;
+ * candidates are confirmed with the ISO 13616 checksum
+ */
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+
+/**
+ * Identifier following a word such as "order", "invoice" or "ticket" (must contain a digit),
+ * or a "#12345" style reference
+ */
+const ORDER_NUMBER_PATTERN = /\b(?:order|invoice|ticket|case|booking|reservation|confirmation|tracking|reference|ref|account|customer|po)\b\.?(?:\s*(?:no\.?|number|num|nr\.?|id|#))?\s*[:#]?\s*(#?[A-Z0-9][A-Z0-9-]{3,})/dgi;
+const HASH_REFERENCE_PATTERN = /(?<![\w&#])#\d{4,}\b/g;
+
+/**
+ * Optional international prefix and area code, then groups of 2-8 digits (the first group may be
+ * a single digit after a country code, as in "+33 6 12 34 56 78"), or an unseparated E.164 number
+ * ("+14155550132"); candidates are confirmed with isPhoneNumber
+ */
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{7,15}|(?:\+\d{1,3}[\s.-]?(?:\(\d{1,5}\)[\s.-]?)?\d{1,8}|(?:\(\d{1,5}\)[\s.-]?)?\d{2,8})(?:[\s.-]\d{2,8}){0,5})(?!\w)/g;
+const DATE_PATTERN = /^(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})(?:\s|$)/;
+const YEAR_RANGE_PATTERN = /^(?:(?:19|20)\d{2}[\s./-])+(?:19|20)\d{2}$/;
+const GROUPED_AMOUNT_PATTERN = /^\d{1,3}(?:([\s.])\d{3})(?:\1\d{3})*$/;
+
+/**
+ * Shapes a phone number has to take: an international prefix ("+44", "0044"), an area code in
+ * brackets, a trunk prefix ("020 7946 0958") or the North American 3-3-4 grouping
+ */
+const INTERNATIONAL_PHONE_PATTERN = /^(?:\+|00[1-9])/;
+const AREA_CODE_PHONE_PATTERN = /^\(\d{1,5}\)/;
+const TRUNK_PHONE_PATTERN = /^0[1-9]/;
+const NANP_PHONE_PATTERN = /^\d{3}([\s.-])\d{3}\1\d{4}$/;
+const PHONE_MIN_DIGITS = 9;
+const PHONE_MAX_DIGITS = 15;
+
+/**
+ * The same number written with and without its country code or trunk prefix
+ * ("+1 415 555 0100", "415-555-0100") shares a placeholder when this many trailing digits match
+ */
+const PHONE_SUFFIX_MIN_DIGITS = 9;
+const PHONE_COUNTRY_CODE_MAX_DIGITS = 3;
+
+/**
+ * Names picked up from greetings ("Hi Sarah,") and sign-offs ("Thanks,\nTom")
+ */
+const GREETING_PATTERN = /\b(?:Hi|Hello|Hey|Dear|Morning|Afternoon|Evening)[ \t]+([A-Z][\p{L}'’-]+(?:[ \t]+[A-Z][\p{L}'’-]+)?)/gu;
+const SIGN_OFF_PATTERN = /\b(?:Thanks|Thank you|Regards|Best|Cheers|Sincerely|Best wishes|Kind regards|Best regards|Warm regards)[,!.]?[ \t]*\r?\n[ \t]*([A-Z][\p{L}'’-]+(?:[ \t]+[A-Z][\p{L}'’-]+)?)[ \t]*(?=\r?\n|$)/gu;
+
+/**
+ * Capitalized words that follow greetings or match a name part but are rarely names on their own
+ */
+const NOT_NAMES = new Set([
+    'all', 'team', 'everyone', 'there', 'folks', 'guys', 'both', 'again', 'so', 'for', 'you',
+    'sir', 'madam', 'regards', 'wishes', 'unknown', 'me', 'thanks', 'and', 'the', 'hi', 'hello',
+    'will', 'may', 'mark', 'bill', 'june', 'april', 'august', 'grace', 'hope', 'joy', 'frank',
+    'pat', 'max', 'rose', 'dawn', 'summer', 'drew', 'miles', 'chase', 'sales', 'support'
+]);
+
+/**
+ * Titles before a surname ("Mr Baker"); a surname on its own is too often part of a street or
+ * company name ("Baker Street", "Chen Industries") to be redacted
+ */
+const TITLES = ['Mr', 'Mrs', 'Ms', 'Miss', 'Mx', 'Dr', 'Prof'];
+const TITLE_LOOKBEHIND = `(?<=\\b(?:${TITLES.join('|')})\\.?[ \\t]+)`;
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[?\\b(${PII_CATEGORIES.map(category => category.placeholder).join('|')})_(\\d+)\\b\\]?`, 'g');
+
+/**
+ * Merge saved toggles over the defaults
+ * @param {Object} [settings] - Saved redaction settings keyed by category ID
+ * @returns {Object} Redaction settings with a boolean for every category
+ */
+export function normalizeRedactionSettings(settings) {
+    const normalized = { ...DEFAULT_REDACTION_SETTINGS };
+    Object.keys(normalized).forEach(id => {
+        if (typeof settings?.[id] === 'boolean') {
+            normalized[id] = settings[id];
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Check an IBAN candidate with the ISO 13616 mod-97 checksum
+ * @param {string} value - Candidate, possibly with spaces
+ * @returns {boolean} True if the checksum is valid
+ */
+export function isValidIban(value) {
+    const iban = value.replace(/\s+/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+    const digits = (iban.slice(4) + iban.slice(0, 4))
+        .split('')
+        .map(char => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+        .join('');
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Check a phone number candidate: 9-15 digits in a phone-like shape, and not a date or an amount
+ * grouped in thousands ("12 500 000")
+ * @param {string} value - Candidate matched by PHONE_PATTERN
+ * @returns {boolean} True if the candidate looks like a phone number
+ */
+export function isPhoneNumber(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < PHONE_MIN_DIGITS || digits.length > PHONE_MAX_DIGITS
+        || DATE_PATTERN.test(value) || YEAR_RANGE_PATTERN.test(value) || GROUPED_AMOUNT_PATTERN.test(value)) {
+        return false;
+    }
+    return INTERNATIONAL_PHONE_PATTERN.test(value) || AREA_CODE_PHONE_PATTERN.test(value)
+        || TRUNK_PHONE_PATTERN.test(value) || NANP_PHONE_PATTERN.test(value);
+}
+
+/**
+ * Collect the names of the people in a thread: message senders, plus names found in
+ * greetings and sign-offs
+ * @param {Object} thread - Email thread data
+ * @returns {string[]} Full names, longest first
+ */
+export function getThreadNames(thread) {
+    const names = new Set();
+    const addName = (name) => {
+        const cleaned = (name || '').replace(/["<>()]/g, ' ').replace(/\s+/g, ' ').trim();
+        if (cleaned && !cleaned.includes('@') && !NOT_NAMES.has(cleaned.toLowerCase())) {
+            names.add(cleaned);
+        }
+    };
+
+    (thread?.messages || []).forEach(message => {
+        addName(message.sender?.name);
+        const content = message.content || '';
+        for (const match of content.matchAll(GREETING_PATTERN)) {
+            addName(match[1]);
+        }
+        for (const match of content.matchAll(SIGN_OFF_PATTERN)) {
+            addName(match[1]);
+        }
+    });
+
+    return [...names].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class PiiRedactor {
+    /**
+     * @param {Object} [settings] - Redaction settings keyed by category ID (see PII_CATEGORIES)
+     * @param {Object} [options] - Options
+     * @param {string[]} [options.names] - Names of people to redact (see getThreadNames)
+     */
+    constructor(settings = DEFAULT_REDACTION_SETTINGS, { names = [] } = {}) {
+        this.settings = normalizeRedactionSettings(settings);
+        this.placeholders = new Map(); // normalized value -> placeholder
+        this.originals = new Map(); // placeholder -> original value
+        this.counts = {};
+        this.nameVariants = this.buildNameVariants(names);
+    }
+
+    /**
+     * Check if any category is redacted
+     * @returns {boolean} True if at least one category is on
+     */
+    get enabled() {
+        return Object.values(this.settings).some(Boolean);
+    }
+
+    /**
+     * List the ways each person may be written: the full name, the first name on its own, and
+     * the other name parts after a title ("Mr Baker")
+     * Each way gets its own placeholder, so restoring a placeholder gives back exactly what was
+     * written ("Hi Tom" stays "Hi Tom", not "Hi Tom Baker").
+     * @param {string[]} names - Full names
+     * @returns {Array<{variant: string, titled: boolean}>} Variants, longest first
+     */
+    buildNameVariants(names) {
+        const variants = new Map(); // variant -> only redacted after a title
+        const isNamePart = part => part.length >= 2 && /^\p{Lu}/u.test(part)
+            && !NOT_NAMES.has(part.toLowerCase()) && !TITLES.includes(part.replace(/\.$/, ''));
+        names.forEach(name => {
+            const [first, ...rest] = name.split(' ');
+            variants.set(name, false);
+            if (isNamePart(first)) {
+                variants.set(first, false);
+            }
+            rest.filter(part => isNamePart(part) && !variants.has(part)).forEach(part => variants.set(part, true));
+        });
+        return [...variants.entries()]
+            .map(([variant, titled]) => ({ variant, titled }))
+            .sort((a, b) => b.variant.length - a.variant.length);
+    }
+
+    /**
+     * Find the personal data in a text
+     * @param {string} text - Text to scan
+     * @returns {Array<{start: number, end: number, category: string, key: string, value: string}>} Non-overlapping matches in order
+     */
+    findMatches(text) {
+        const matches = [];
+        const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+        const add = (category, start, value, key = value.toLowerCase().replace(/\s+/g, ' '), original = value) => {
+            const end = start + value.length;
+            if (value && !overlaps(start, end)) {
+                matches.push({ start, end, category, key, value: original });
+            }
+        };
+
+        PII_CATEGORIES.filter(category => this.settings[category.id]).forEach(({ id }) => {
+            switch (id) {
+                case 'email':
+                    for (const match of text.matchAll(EMAIL_PATTERN)) {
+                        add(id, match.index, match[0]);
+                    }
+                    break;
+                case 'iban':
+                    for (const match of text.matchAll(IBAN_PATTERN)) {
+                        if (isValidIban(match[0])) {
+                            add(id, match.index, match[0], match[0].replace(/\s+/g, '').toUpperCase());
+                        }
+                    }
+                    break;
+                case 'orderNumber':
+                    for (const match of text.matchAll(ORDER_NUMBER_PATTERN)) {
+                        if (/\d/.test(match[1])) {
+                            add(id, match.indices[1][0], match[1], match[1].replace(/^#/, '').toUpperCase());
+                        }
+                    }
+                    for (const match of text.matchAll(HASH_REFERENCE_PATTERN)) {
+                        add(id, match.index, match[0], match[0].slice(1));
+                    }
+                    break;
+                case 'phone':
+                    for (const match of text.matchAll(PHONE_PATTERN)) {
+                        const value = match[0].trim();
+                        if (isPhoneNumber(value)) {
+                            add(id, match.index, value, value.replace(/\D/g, ''));
+                        }
+                    }
+                    break;
+                case 'person':
+                    this.nameVariants.forEach(({ variant, titled }) => {
+                        const pattern = new RegExp(`${titled ? TITLE_LOOKBEHIND : ''}(?<![\\p{L}\\p{N}])${escapeRegExp(variant)}(?![\\p{L}\\p{N}])`, 'gu');
+                        for (const match of text.matchAll(pattern)) {
+                            add(id, match.index, match[0]);
+                        }
+                    });
+                    break;
+            }
+        });
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Get the placeholder for a value, creating the next one for its category if needed
+     * @param {string} category - Category ID
+     * @param {string} key - Normalized value
+     * @param {string} value - Original value, restored later
+     * @returns {string} Placeholder, e.g. "[PERSON_1]"
+     */
+    getPlaceholder(category, key, value) {
+        const mapKey = `${category}:${category === 'phone' ? this.findPhoneKey(key) : key}`;
+        if (!this.placeholders.has(mapKey)) {
+            const prefix = PII_CATEGORIES.find(candidate => candidate.id === category).placeholder;
+            this.counts[prefix] = (this.counts[prefix] || 0) + 1;
+            const placeholder = `[${prefix}_${this.counts[prefix]}]`;
+            this.placeholders.set(mapKey, placeholder);
+            this.originals.set(placeholder, value);
+        }
+        return this.placeholders.get(mapKey);
+    }
+
+    /**
+     * Get the key of a phone number, reusing the key of a number already seen that differs only
+     * by a country code or trunk prefix
+     * @param {string} digits - Digits of the phone number
+     * @returns {string} Phone key
+     */
+    findPhoneKey(digits) {
+        // "0044 20..." and "020..." drop their international or trunk prefix
+        const number = digits.replace(/^0+/, '');
+        for (const mapKey of this.placeholders.keys()) {
+            if (!mapKey.startsWith('phone:')) {
+                continue;
+            }
+            const known = mapKey.slice('phone:'.length);
+            const [shorter, longer] = known.length <= number.length ? [known, number] : [number, known];
+            if (shorter.length >= PHONE_SUFFIX_MIN_DIGITS && longer.endsWith(shorter)
+                && longer.length - shorter.length <= PHONE_COUNTRY_CODE_MAX_DIGITS) {
+                return known;
+            }
+        }
+        return number;
+    }
+
+    /**
+     * Replace personal data with placeholders
+     * Placeholders are shared across every text redacted by this instance.
+     * @param {string} text - Text to redact
+     * @returns {string} Redacted text
+     */
+    redact(text) {
+        if (!text || typeof text !== 'string' || !this.enabled) {
+            return text;
+        }
+
+        let result = '';
+        let position = 0;
+        this.findMatches(text).forEach(match => {
+            result += text.slice(position, match.start) + this.getPlaceholder(match.category, match.key, match.value);
+            position = match.end;
+        });
+        return result + text.slice(position);
+    }
+
+    /**
+     * Put the original values back in place of placeholders
+     * Also accepts placeholders whose brackets the model dropped ("PERSON_1")
+     * @param {string} text - Text returned by the provider
+     * @returns {string} Text with the original values
+     */
+    restore(text) {
+        if (!text || typeof text !== 'string' || this.originals.size === 0) {
+            return text;
+        }
+        return text.replace(PLACEHOLDER_PATTERN, (placeholder, prefix, number) => {
+            return this.originals.get(`[${prefix}_${number}]`) ?? placeholder;
+        });
+    }
+
+    /**
+     * Restore every string in a value (string, array or plain object)
+     * @param {*} value - Provider output, e.g. a drafts array
+     * @returns {*} Copy with the original values restored
+     */
+    restoreAll(value) {
+        if (typeof value === 'string') {
+            return this.restore(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.restoreAll(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreAll(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * List what was redacted, for the side panel preview
+     * @returns {Array<{placeholder: string, category: string, value: string}>} Replacements in the order they were made
+     */
+    getReplacements() {
+        return [...this.placeholders.entries()].map(([mapKey, placeholder]) => ({
+            placeholder,
+            category: mapKey.slice(0, mapKey.indexOf(':')),
+            value: this.originals.get(placeholder)
+        }));
+    }
+}
+
+/**
+ * Create a redactor for a thread, with the names of its participants
+ * @param {Object} thread - Email thread data
+ * @param {Object} [settings] - Redaction settings keyed by category ID
+ * @returns {PiiRedactor} Redactor
+ */
+export function createThreadRedactor(thread, settings) {
+    return new PiiRedactor(settings, { names: getThreadNames(thread) });
+}
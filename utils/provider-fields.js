@@ -0,0 +1,33 @@
+/**
+ * Provider Field Utilities
+ * Normalization of the settings fields AI providers declare in their metadata
+ *
+ * Shared by the side panel, which normalizes values before saving them, and the provider
+ * registry, which builds each provider's configuration from the saved values.
+ *
+ * Reference: background/provider-registry.js - provider interface
+ * Reference: docs/spec.md - AI Provider Registry
+ */
+
+/**
+ * Normalize a value entered for a provider field
+ * Empty values fall back to the field's default. Number fields ({type: 'number', min, max})
+ * are parsed, rounded for whole-number steps and clamped, and are null when empty without a default
+ * @param {Object} field - Field metadata
+ * @param {*} value - Saved or entered value
+ * @returns {*} Value the provider is called with
+ */
+export function normalizeProviderFieldValue(field, value) {
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+    if (field.type === 'number') {
+        const parsed = isEmpty ? NaN : Number(value);
+        if (!Number.isFinite(parsed)) {
+            return field.default ?? null;
+        }
+        const stepped = Number.isInteger(field.step) ? Math.round(parsed) : parsed;
+        return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, stepped));
+    }
+
+    return isEmpty ? field.default ?? '' : value;
+}
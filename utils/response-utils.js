@@ -8,7 +8,7 @@
  * Reference: AGENTS.md - Code Quality and DRY Principles
  */
 
-import { sanitizeErrorMessage, createErrorResponse } from './error-handler.js';
+import { createErrorResponse, isAbortError, getUserErrorMessage, ApiError, CloudConsentRequiredError } from './error-handler.js';
 
 /**
  * Create a standardized success response
@@ -17,6 +17,7 @@ import { sanitizeErrorMessage, createErrorResponse } from './error-handler.js';
  * @param {Object} options - Additional options
  * @param {boolean} options.usedFallback - Whether cloud fallback was used
  * @param {string} options.warning - Optional warning message
+ * @param {Array<string>} options.repairs - JSON repairs applied to the AI output (utils/json-repair.js)
  * @returns {Object} Standardized success response
  */
 export function createSuccessResponse(data = {}, options = {}) {
@@ -33,13 +34,21 @@ export function createSuccessResponse(data = {}, options = {}) {
         response.warning = options.warning;
     }
     
+    if (options.repairs && options.repairs.length > 0) {
+        response.repairs = options.repairs;
+    }
+    
     return response;
 }
 
 /**
  * Create a standardized error response
  * 
- * Uses error-handler.js for consistent error sanitization.
+ * Uses error-handler.js for consistent error sanitization. Operations aborted
+ * through cancelOperation are reported with `cancelled: true` so callers can
+ * reset their UI without showing an error. Provider errors (ApiError) keep their
+ * own message and add `errorType`. Requests waiting for cloud fallback consent also
+ * carry `fallback` (reason, provider and payload size) for the consent dialog.
  * 
  * Reference: utils/error-handler.js - Error sanitization patterns
  * 
@@ -48,13 +57,32 @@ export function createSuccessResponse(data = {}, options = {}) {
  * @returns {Object} Standardized error response
  */
 export function createErrorResponseForService(error, context = '') {
-    const sanitized = sanitizeErrorMessage(error instanceof Error ? error.message : String(error));
+    if (isAbortError(error)) {
+        return {
+            success: false,
+            cancelled: true,
+            error: 'Operation cancelled'
+        };
+    }
+    
+    const sanitized = getUserErrorMessage(error);
     const errorMessage = context ? `${context}: ${sanitized}` : sanitized;
     
-    return {
+    const response = {
         success: false,
         error: errorMessage
     };
+    
+    // Provider errors say which kind of failure it was (auth, quota, rate_limit, ...)
+    if (error instanceof ApiError) {
+        response.errorType = error.type;
+    }
+    
+    if (error instanceof CloudConsentRequiredError) {
+        response.fallback = error.fallback;
+    }
+    
+    return response;
 }
 
 /**
@@ -81,11 +81,16 @@ export const StatusStages = {
     GENERATING: 'generating',
     GENERATING_TLDR: 'generating_tldr',
     GENERATING_KEY_POINTS: 'generating_key_points',
+    SUMMARIZING_CHUNK: 'summarizing_chunk',
     GENERATING_DRAFTS: 'generating_drafts',
     COMPLETED: 'completed',
     ERROR: 'error',
     DOWNLOADING: 'downloading',
-    ANALYZING: 'analyzing'
+    ANALYZING: 'analyzing',
+    QUEUED: 'queued',
+    EXTRACTING: 'extracting',
+    CANCELLED: 'cancelled',
+    RETRYING: 'retrying'
 };
 
 /**
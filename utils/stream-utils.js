@@ -0,0 +1,169 @@
+/**
+ * Streaming Utilities
+ * Shared helpers for streaming AI output from the service worker to the side panel
+ *
+ * The service worker streams tokens from the Summarizer and Prompt APIs over a
+ * long-lived runtime port so the side panel can render results progressively
+ * instead of waiting for the complete response.
+ *
+ * Reference: https://developer.chrome.com/docs/ai/streaming
+ * Reference: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
+ */
+
+/**
+ * Name of the runtime port used for streaming requests
+ */
+export const STREAM_PORT_NAME = 'inbox-triage-stream';
+
+/**
+ * Port message types sent from the service worker to the side panel
+ */
+export const StreamMessageTypes = {
+    PARTIAL: 'partial',
+    RESULT: 'result'
+};
+
+/**
+ * Read a streaming AI response to completion
+ *
+ * Chrome has shipped both delta chunks and cumulative chunks for
+ * summarizeStreaming/promptStreaming, so both forms are accepted and the
+ * accumulated text is always passed to the callback. The form is decided once,
+ * from the first two chunks: a delta chunk that happens to start with the text
+ * received so far must not be read as cumulative later in the stream.
+ *
+ * @param {ReadableStream<string>} stream - Stream returned by summarizeStreaming/promptStreaming
+ * @param {Function} onText - Called with the accumulated text after each chunk
+ * @returns {Promise<string>} Complete response text
+ */
+export async function readTextStream(stream, onText = null) {
+    let text = '';
+    let cumulative = null;
+
+    for await (const chunk of stream) {
+        if (typeof chunk !== 'string' || chunk.length === 0) {
+            continue;
+        }
+
+        if (text && cumulative === null) {
+            // Cumulative chunks repeat everything received so far
+            cumulative = chunk.length > text.length && chunk.startsWith(text);
+        }
+        text = cumulative ? chunk : text + chunk;
+
+        if (onText) {
+            onText(text);
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Parse drafts out of an incomplete JSON response
+ *
+ * Scans the `drafts` array of a partially received reply-drafts JSON object
+ * and returns every string field seen so far, including the field that is
+ * still being written. Used to render drafts field by field while streaming.
+ *
+ * Reference: utils/validation.js - getReplyDraftsSchema
+ *
+ * @param {string} text - Partial JSON text
+ * @returns {Array<Object>} Drafts with whichever of type/subject/body have arrived
+ */
+export function parsePartialDrafts(text) {
+    const drafts = [];
+    if (!text || typeof text !== 'string') {
+        return drafts;
+    }
+
+    const draftsKeyIndex = text.indexOf('"drafts"');
+    const arrayStart = draftsKeyIndex === -1 ? -1 : text.indexOf('[', draftsKeyIndex);
+    if (arrayStart === -1) {
+        return drafts;
+    }
+
+    let current = null;
+    let key = null;
+    let awaitingValue = false;
+
+    for (let i = arrayStart + 1; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '{' && !current) {
+            current = {};
+            drafts.push(current);
+            key = null;
+            awaitingValue = false;
+        } else if (char === '}' && current) {
+            current = null;
+        } else if (char === ']' && !current) {
+            break;
+        } else if (char === ':' && current && key) {
+            awaitingValue = true;
+        } else if (char === ',' && current) {
+            key = null;
+            awaitingValue = false;
+        } else if (char === '"' && current) {
+            const { value, end, complete } = readJsonString(text, i + 1);
+
+            if (awaitingValue && key) {
+                current[key] = value;
+                key = null;
+                awaitingValue = false;
+            } else if (complete) {
+                key = value;
+            }
+
+            if (!complete) {
+                break;
+            }
+            i = end;
+        }
+    }
+
+    return drafts;
+}
+
+/**
+ * Read a JSON string literal starting after its opening quote
+ * @param {string} text - Source text
+ * @param {number} start - Index of the first character inside the quotes
+ * @returns {{value: string, end: number, complete: boolean}} Decoded value, index of the closing quote, and whether it was closed
+ */
+function readJsonString(text, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+    let value = '';
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '"') {
+            return { value, end: i, complete: true };
+        }
+
+        if (char !== '\\') {
+            value += char;
+            continue;
+        }
+
+        const next = text[i + 1];
+        if (next === undefined) {
+            break; // Escape sequence cut off mid-stream
+        }
+
+        if (next === 'u') {
+            const hex = text.substring(i + 2, i + 6);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                break;
+            }
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            value += escapes[next] ?? next;
+            i += 1;
+        }
+    }
+
+    return { value, end: text.length, complete: false };
+}
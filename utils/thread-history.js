@@ -0,0 +1,493 @@
+/**
+ * Per-thread analysis history for Inbox Triage Extension
+ * Stores the extracted thread, summary and drafts for each thread in IndexedDB
+ * so returning to a thread restores its analysis instead of regenerating it.
+ * An inverted index over the saved analyses is kept in the same database for search.
+ *
+ * Reference: docs/spec.md - State Persistence
+ */
+
+import { tokenize, buildTermFrequencies, buildSnippet } from './history-search.js';
+
+export const THREAD_HISTORY_DB_NAME = 'inbox-triage-history';
+export const THREAD_HISTORY_STORE = 'threads';
+export const SEARCH_INDEX_STORE = 'terms';
+const THREAD_HISTORY_DB_VERSION = 2;
+
+/**
+ * Default and allowed range for the number of threads kept in history
+ */
+export const DEFAULT_HISTORY_LIMIT = 50;
+export const MIN_HISTORY_LIMIT = 5;
+export const MAX_HISTORY_LIMIT = 500;
+
+/**
+ * Query params that don't affect thread identity
+ */
+const IGNORED_URL_PARAMS = ['tab', 'view', 'refreshed'];
+
+/**
+ * Extract the thread/conversation ID from a Gmail or Outlook URL
+ * @param {string} url - Email client URL
+ * @returns {string|null} Thread ID, or null if the URL has none
+ */
+export function extractThreadId(url) {
+    if (!url) return null;
+
+    // Gmail: https://mail.google.com/mail/u/0/#inbox/th123 or ?th=thread-id
+    // Pattern: #inbox/th{id} or ?th={id}
+    const gmailHashMatch = url.match(/#inbox\/th([^&/?#]+)/);
+    if (gmailHashMatch) return gmailHashMatch[1];
+
+    const gmailQueryMatch = url.match(/[?&]th=([^&]+)/);
+    if (gmailQueryMatch) return gmailQueryMatch[1];
+
+    // Gmail thread opened from any label or search: #label/Work/FMfcgzQXJWDsKmzZ...
+    const gmailLabelMatch = url.match(/mail\.google\.com\/.*#.*\/([A-Za-z0-9]{16,})$/);
+    if (gmailLabelMatch) return gmailLabelMatch[1];
+
+    // Outlook: https://outlook.live.com/mail/0/inbox/conversation-id or /mail/id/...
+    const outlookMatch = url.match(/\/(?:conversation|id)\/([^/?#]+)/);
+    if (outlookMatch) return outlookMatch[1];
+
+    return null;
+}
+
+/**
+ * Normalize a URL for thread comparison when it carries no thread ID
+ * The hash is kept because Gmail encodes the open view in it
+ * @param {string} url - Email client URL
+ * @returns {string|null} Normalized URL, or null if unparseable
+ */
+function normalizeThreadUrl(url) {
+    try {
+        const parsed = new URL(url);
+        IGNORED_URL_PARAMS.forEach(param => parsed.searchParams.delete(param));
+        return parsed.origin + parsed.pathname + parsed.search + parsed.hash;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the history key for a thread URL: the thread ID when present, otherwise the normalized URL
+ * @param {string} url - Email client URL
+ * @returns {string|null} Thread key
+ */
+export function getThreadKey(url) {
+    if (!url) return null;
+    const threadId = extractThreadId(url);
+    return threadId ? `thread:${threadId}` : normalizeThreadUrl(url);
+}
+
+/**
+ * Check if two URLs point at the same thread/conversation
+ * Handles Gmail and Outlook URL variations
+ * @param {string} url1 - First URL
+ * @param {string} url2 - Second URL
+ * @returns {boolean} True if both URLs resolve to the same thread key
+ */
+export function urlsMatch(url1, url2) {
+    if (!url1 || !url2) return false;
+    if (url1 === url2) return true;
+
+    const key1 = getThreadKey(url1);
+    return key1 !== null && key1 === getThreadKey(url2);
+}
+
+/**
+ * Clamp a history limit to the allowed range
+ * @param {number|string} limit - Requested limit
+ * @returns {number} Limit within MIN_HISTORY_LIMIT..MAX_HISTORY_LIMIT
+ */
+export function normalizeHistoryLimit(limit) {
+    const parsed = parseInt(limit, 10);
+    if (!Number.isFinite(parsed)) {
+        return DEFAULT_HISTORY_LIMIT;
+    }
+    return Math.min(MAX_HISTORY_LIMIT, Math.max(MIN_HISTORY_LIMIT, parsed));
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Remove a thread's postings from the inverted index and add its new ones
+ * Must run inside a readwrite transaction covering SEARCH_INDEX_STORE
+ * @param {IDBObjectStore} termsStore - Inverted index store ({term, postings: {threadKey: weight}})
+ * @param {string} threadKey - Thread being (re)indexed
+ * @param {string[]} oldTerms - Terms previously indexed for the thread
+ * @param {Map<string, number>} newFrequencies - Terms to index now, with weights
+ */
+async function updatePostings(termsStore, threadKey, oldTerms, newFrequencies) {
+    const terms = new Set([...oldTerms, ...newFrequencies.keys()]);
+
+    for (const term of terms) {
+        const entry = await promisifyRequest(termsStore.get(term)) || { term, postings: {} };
+        delete entry.postings[threadKey];
+
+        if (newFrequencies.has(term)) {
+            entry.postings[threadKey] = newFrequencies.get(term);
+        }
+
+        if (Object.keys(entry.postings).length > 0) {
+            termsStore.put(entry);
+        } else {
+            termsStore.delete(term);
+        }
+    }
+}
+
+/**
+ * IndexedDB-backed store of per-thread analyses with least-recently-used eviction
+ */
+export class ThreadHistoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxEntries - Maximum number of threads kept before evicting
+     * @param {Function} [options.now] - Current time in milliseconds, for tests
+     */
+    constructor({ maxEntries = DEFAULT_HISTORY_LIMIT, now = Date.now } = {}) {
+        this.maxEntries = normalizeHistoryLimit(maxEntries);
+        this.now = now;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this context
+     * @returns {boolean} True if the store can be used
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create or upgrade) the history database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(THREAD_HISTORY_DB_NAME, THREAD_HISTORY_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(THREAD_HISTORY_STORE)) {
+                        const store = db.createObjectStore(THREAD_HISTORY_STORE, { keyPath: 'threadKey' });
+                        store.createIndex('lastAccessed', 'lastAccessed');
+                    }
+                    if (!db.objectStoreNames.contains(SEARCH_INDEX_STORE)) {
+                        db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: 'term' });
+                        this.reindexOnUpgrade(request.transaction);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Allow a later call to retry opening
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Build the search index for threads saved before the index existed
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     */
+    reindexOnUpgrade(transaction) {
+        const threadsStore = transaction.objectStore(THREAD_HISTORY_STORE);
+        const termsStore = transaction.objectStore(SEARCH_INDEX_STORE);
+        const postingsByTerm = new Map();
+
+        const cursorRequest = threadsStore.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                const record = cursor.value;
+                const frequencies = buildTermFrequencies(record);
+                for (const [term, weight] of frequencies) {
+                    if (!postingsByTerm.has(term)) {
+                        postingsByTerm.set(term, {});
+                    }
+                    postingsByTerm.get(term)[record.threadKey] = weight;
+                }
+                record.searchTerms = [...frequencies.keys()];
+                cursor.update(record);
+                cursor.continue();
+                return;
+            }
+
+            for (const [term, postings] of postingsByTerm) {
+                termsStore.put({ term, postings });
+            }
+        };
+    }
+
+    /**
+     * Get the saved analysis for a thread and mark it as recently used
+     * @param {string} threadUrl - URL of the thread
+     * @returns {Promise<Object|null>} Saved record, or null if the thread is unknown
+     */
+    async get(threadUrl) {
+        const threadKey = getThreadKey(threadUrl);
+        if (!threadKey || !this.isSupported()) {
+            return null;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction(THREAD_HISTORY_STORE, 'readwrite');
+        const store = transaction.objectStore(THREAD_HISTORY_STORE);
+        const record = await promisifyRequest(store.get(threadKey));
+
+        if (record) {
+            record.lastAccessed = this.now();
+            store.put(record);
+        }
+
+        await transactionDone(transaction);
+        return record || null;
+    }
+
+    /**
+     * Save the analysis for a thread, replacing any previous one, then evict old threads
+     * @param {string} threadUrl - URL of the thread
+     * @param {Object} state - Analysis to save ({thread, summary, drafts, actionItems, meetingProposals, triage})
+     * @returns {Promise<Object|null>} Saved record, or null if nothing was saved
+     */
+    async save(threadUrl, { thread = null, summary = null, drafts = [], actionItems = [], meetingProposals = [], triage = null, timestamp = this.now() } = {}) {
+        const threadKey = getThreadKey(threadUrl);
+        if (!threadKey || !this.isSupported()) {
+            return null;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([THREAD_HISTORY_STORE, SEARCH_INDEX_STORE], 'readwrite');
+        const store = transaction.objectStore(THREAD_HISTORY_STORE);
+        const existing = await promisifyRequest(store.get(threadKey));
+
+        const record = {
+            threadKey,
+            threadUrl,
+            thread,
+            summary,
+            drafts,
+            actionItems,
+            meetingProposals,
+            triage,
+            createdAt: existing?.createdAt || timestamp,
+            timestamp,
+            lastAccessed: this.now()
+        };
+
+        // Keep the inverted index in step with the saved analysis
+        const frequencies = buildTermFrequencies(record);
+        record.searchTerms = [...frequencies.keys()];
+        await updatePostings(
+            transaction.objectStore(SEARCH_INDEX_STORE),
+            threadKey,
+            existing?.searchTerms || [],
+            frequencies
+        );
+
+        store.put(record);
+        await transactionDone(transaction);
+
+        await this.evict();
+        return record;
+    }
+
+    /**
+     * Remove a single thread from history
+     * @param {string} threadUrl - URL of the thread
+     */
+    async delete(threadUrl) {
+        const threadKey = getThreadKey(threadUrl);
+        if (!threadKey || !this.isSupported()) {
+            return;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([THREAD_HISTORY_STORE, SEARCH_INDEX_STORE], 'readwrite');
+        const store = transaction.objectStore(THREAD_HISTORY_STORE);
+        const existing = await promisifyRequest(store.get(threadKey));
+
+        if (existing) {
+            await updatePostings(transaction.objectStore(SEARCH_INDEX_STORE), threadKey, existing.searchTerms || [], new Map());
+            store.delete(threadKey);
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * List all saved threads, most recently used first
+     * @returns {Promise<Object[]>} Saved records
+     */
+    async list() {
+        if (!this.isSupported()) {
+            return [];
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction(THREAD_HISTORY_STORE, 'readonly');
+        const records = await promisifyRequest(transaction.objectStore(THREAD_HISTORY_STORE).getAll());
+        return records.sort((a, b) => b.lastAccessed - a.lastAccessed);
+    }
+
+    /**
+     * Remove every thread from history
+     */
+    async clear() {
+        if (!this.isSupported()) {
+            return;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([THREAD_HISTORY_STORE, SEARCH_INDEX_STORE], 'readwrite');
+        transaction.objectStore(THREAD_HISTORY_STORE).clear();
+        transaction.objectStore(SEARCH_INDEX_STORE).clear();
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Full-text search over saved subjects, participants, summaries, key points and drafts
+     * Every query word must match; the last word also matches as a prefix so results update while typing
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Promise<Object[]>} Results, best first ({record, score, snippet})
+     */
+    async search(query, { limit = 20 } = {}) {
+        const queryTokens = [...new Set(tokenize(query))];
+        if (queryTokens.length === 0 || !this.isSupported()) {
+            return [];
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([THREAD_HISTORY_STORE, SEARCH_INDEX_STORE], 'readonly');
+        const termsStore = transaction.objectStore(SEARCH_INDEX_STORE);
+
+        let scores = null;
+        for (let i = 0; i < queryTokens.length; i++) {
+            const token = queryTokens[i];
+            const isLast = i === queryTokens.length - 1;
+            const range = isLast
+                ? IDBKeyRange.bound(token, `${token}\uffff`)
+                : IDBKeyRange.only(token);
+            const entries = await promisifyRequest(termsStore.getAll(range));
+
+            // Sum weights for this token across all matching terms; exact matches count double
+            const tokenScores = new Map();
+            for (const entry of entries) {
+                const multiplier = entry.term === token ? 2 : 1;
+                for (const [threadKey, weight] of Object.entries(entry.postings)) {
+                    tokenScores.set(threadKey, (tokenScores.get(threadKey) || 0) + weight * multiplier);
+                }
+            }
+
+            // Intersect with the threads matched by previous tokens
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                for (const threadKey of [...scores.keys()]) {
+                    if (tokenScores.has(threadKey)) {
+                        scores.set(threadKey, scores.get(threadKey) + tokenScores.get(threadKey));
+                    } else {
+                        scores.delete(threadKey);
+                    }
+                }
+            }
+
+            if (scores.size === 0) {
+                return [];
+            }
+        }
+
+        const threadsStore = transaction.objectStore(THREAD_HISTORY_STORE);
+        const results = [];
+        for (const [threadKey, score] of scores) {
+            const record = await promisifyRequest(threadsStore.get(threadKey));
+            if (record) {
+                results.push({ record, score, snippet: buildSnippet(record, queryTokens) });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || b.record.lastAccessed - a.record.lastAccessed)
+            .slice(0, limit);
+    }
+
+    /**
+     * Change the size cap and evict threads over the new limit
+     * @param {number} maxEntries - Maximum number of threads to keep
+     */
+    async setMaxEntries(maxEntries) {
+        this.maxEntries = normalizeHistoryLimit(maxEntries);
+        await this.evict();
+    }
+
+    /**
+     * Delete least recently used threads until the store is within the size cap
+     * @returns {Promise<string[]>} Keys of evicted threads
+     */
+    async evict() {
+        if (!this.isSupported()) {
+            return [];
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([THREAD_HISTORY_STORE, SEARCH_INDEX_STORE], 'readwrite');
+        const store = transaction.objectStore(THREAD_HISTORY_STORE);
+        const count = await promisifyRequest(store.count());
+        const evicted = [];
+        const evictedTerms = [];
+
+        if (count > this.maxEntries) {
+            let remaining = count - this.maxEntries;
+            // Walk the lastAccessed index oldest first
+            const cursorRequest = store.index('lastAccessed').openCursor();
+            await new Promise((resolve, reject) => {
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || remaining <= 0) {
+                        resolve();
+                        return;
+                    }
+                    evicted.push(cursor.primaryKey);
+                    evictedTerms.push(cursor.value.searchTerms || []);
+                    cursor.delete();
+                    remaining--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+
+            const termsStore = transaction.objectStore(SEARCH_INDEX_STORE);
+            for (let i = 0; i < evicted.length; i++) {
+                await updatePostings(termsStore, evicted[i], evictedTerms[i], new Map());
+            }
+        }
+
+        await transactionDone(transaction);
+        return evicted;
+    }
+}
@@ -162,3 +162,188 @@ export function normalizeTimestamp(timestampStr) {
     return normalized.trim() || null;
 }
 
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Format a Date as a local calendar date (YYYY-MM-DD)
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Calendar date string
+ */
+export function formatCalendarDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Build a local date, or null if the day does not exist in that month ("Feb 30", "April 31")
+ * 
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Date, or null instead of rolling over into the next month
+ */
+function createCalendarDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * Parse a due date phrase into a calendar date
+ * Unlike parseTimestamp, relative phrases point forward in time ("by Friday", "tomorrow",
+ * "in 2 weeks", "end of month") and are resolved against the time the message was sent.
+ * Absolute dates without a year ("March 5") resolve to the next occurrence; days a month
+ * does not have ("Feb 30") give null.
+ * 
+ * @param {string} dueDateStr - Due date phrase from an email or model output
+ * @param {number} referenceTime - Timestamp the phrase is relative to (defaults to now)
+ * @returns {string|null} Calendar date (YYYY-MM-DD), or null if no date could be found
+ */
+export function parseDueDate(dueDateStr, referenceTime = Date.now()) {
+    if (!dueDateStr || typeof dueDateStr !== 'string') return null;
+    
+    const lowerStr = dueDateStr.trim().toLowerCase();
+    const reference = new Date(referenceTime);
+    reference.setHours(0, 0, 0, 0);
+    const addDays = (days) => {
+        const result = new Date(reference);
+        result.setDate(result.getDate() + days);
+        return formatCalendarDate(result);
+    };
+    
+    // ISO calendar dates are taken as-is
+    const isoMatch = lowerStr.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (isoMatch) {
+        const valid = createCalendarDate(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+        return valid ? `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}` : null;
+    }
+    
+    if (/\b(today|tonight|eod|end of (the )?day|cob|close of business)\b/.test(lowerStr)) {
+        return addDays(0);
+    }
+    
+    if (/\btomorrow\b/.test(lowerStr)) {
+        return addDays(1);
+    }
+    
+    const inMatch = lowerStr.match(/\bin\s+(\d+)\s*(day|week|month)s?\b/);
+    if (inMatch) {
+        const amount = parseInt(inMatch[1], 10);
+        if (inMatch[2] === 'month') {
+            const result = new Date(reference);
+            result.setMonth(result.getMonth() + amount);
+            return formatCalendarDate(result);
+        }
+        return addDays(inMatch[2] === 'week' ? amount * 7 : amount);
+    }
+    
+    if (/\b(end of (the )?week|eow|this week)\b/.test(lowerStr)) {
+        // Friday of the current week (or today if it's already the weekend)
+        const daysUntilFriday = (5 - reference.getDay() + 7) % 7;
+        return addDays(reference.getDay() === 6 ? 0 : daysUntilFriday);
+    }
+    
+    if (/\bnext week\b/.test(lowerStr)) {
+        // Monday of the following week
+        return addDays(((1 - reference.getDay() + 7) % 7) || 7);
+    }
+    
+    if (/\b(end of (the )?month|eom)\b/.test(lowerStr)) {
+        return formatCalendarDate(new Date(reference.getFullYear(), reference.getMonth() + 1, 0));
+    }
+    
+    // Weekday names: "Friday" is the next Friday, never today; "next Friday" is the Friday of the
+    // following week (Monday to Sunday), so it only differs when Friday is still to come this week
+    const weekdayIndex = WEEKDAYS.findIndex(day => new RegExp(`\\b${day}\\b`).test(lowerStr));
+    if (weekdayIndex >= 0) {
+        const days = ((weekdayIndex - reference.getDay() + 7) % 7) || 7;
+        const daysUntilNextWeek = ((1 - reference.getDay() + 7) % 7) || 7;
+        const nextWeek = new RegExp(`\\bnext\\s+${WEEKDAYS[weekdayIndex]}\\b`).test(lowerStr) && days < daysUntilNextWeek;
+        return addDays(nextWeek ? days + 7 : days);
+    }
+    
+    // Month and day without a year: "March 5", "5 March", "Mar 5th"
+    const monthPattern = MONTHS.map(month => month.substring(0, 3) + `(?:${month.substring(3)})?`).join('|');
+    const monthDayMatch = lowerStr.match(new RegExp(`\\b(${monthPattern})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!,?\\s*\\d{4})`)) ||
+                          lowerStr.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})\\b(?!,?\\s*\\d{4})`));
+    if (monthDayMatch) {
+        const [monthText, dayText] = /^\d/.test(monthDayMatch[1])
+            ? [monthDayMatch[2], monthDayMatch[1]]
+            : [monthDayMatch[1], monthDayMatch[2]];
+        const month = MONTHS.findIndex(name => name.startsWith(monthText.substring(0, 3)));
+        const day = parseInt(dayText, 10);
+        if (month >= 0) {
+            // "Feb 29" may only exist next year
+            const candidate = [reference.getFullYear(), reference.getFullYear() + 1]
+                .map(year => createCalendarDate(year, month, day))
+                .find(date => date && date >= reference);
+            return candidate ? formatCalendarDate(candidate) : null;
+        }
+    }
+    
+    // Fully specified dates ("Jan 15, 2025", "01/15/2025 10:00") go through the regular parser
+    const timestamp = parseTimestamp(dueDateStr);
+    if (timestamp && /\d{4}/.test(dueDateStr)) {
+        return formatCalendarDate(new Date(timestamp));
+    }
+    
+    return null;
+}
+
+/**
+ * Parse a time of day ("3pm", "10:30 a.m.", "15:00", "noon")
+ * Bare hours without am/pm are not accepted because they are ambiguous.
+ * 
+ * @param {string} timeStr - Time phrase
+ * @returns {{hours: number, minutes: number}|null} Time of day, or null if not recognised
+ */
+export function parseTimeOfDay(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') return null;
+    
+    const lowerStr = timeStr.trim().toLowerCase();
+    
+    if (/\bnoon\b|\bmidday\b/.test(lowerStr)) {
+        return { hours: 12, minutes: 0 };
+    }
+    
+    const match = lowerStr.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?!\w)/);
+    if (!match || (!match[2] && !match[3])) {
+        return null;
+    }
+    
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3].replace(/\./g, '') : null;
+    
+    if (minutes > 59 || hours > 23 || (meridiem && (hours < 1 || hours > 12))) {
+        return null;
+    }
+    
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    
+    return { hours, minutes };
+}
+
+/**
+ * Resolve a proposed meeting date and time to a timestamp
+ * The date is resolved like a due date (forward from the message's sent time) and
+ * fully specified dates fall through to parseTimestamp via parseDueDate.
+ * 
+ * @param {string} dateStr - Date phrase ("Tuesday", "March 5", "2026-10-20")
+ * @param {string} timeStr - Time phrase ("3pm", "10:30")
+ * @param {number} referenceTime - Timestamp the phrase is relative to (defaults to now)
+ * @returns {number|null} Start time in milliseconds, or null if either part is missing
+ */
+export function parseProposedTime(dateStr, timeStr, referenceTime = Date.now()) {
+    const calendarDate = parseDueDate(dateStr, referenceTime);
+    const time = parseTimeOfDay(timeStr);
+    if (!calendarDate || !time) return null;
+    
+    const [year, month, day] = calendarDate.split('-').map(Number);
+    return new Date(year, month - 1, day, time.hours, time.minutes).getTime();
+}
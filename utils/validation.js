@@ -53,11 +53,47 @@ export function getReplyDraftsSchema() {
     };
 }
 
+/**
+ * Copy a JSON schema without the given keywords
+ * 
+ * Structured-output implementations each support a different subset of JSON Schema
+ * (e.g. OpenAI strict mode rejects length limits, Gemini rejects additionalProperties).
+ * Removed constraints are still enforced afterwards by validateDraftsSchema.
+ * 
+ * @param {Object} schema - JSON schema object
+ * @param {Array<string>} keywords - Keywords to remove at every level
+ * @returns {Object} New schema object without the keywords
+ */
+export function stripSchemaKeywords(schema, keywords) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => stripSchemaKeywords(item, keywords));
+    }
+    
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    
+    const result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (keywords.includes(key)) {
+            return;
+        }
+        // Property names are user data, not keywords, so only recurse into their schemas
+        result[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(value).map(([name, propertySchema]) => [name, stripSchemaKeywords(propertySchema, keywords)]))
+            : stripSchemaKeywords(value, keywords);
+    });
+    
+    return result;
+}
+
 /**
  * Validate reply drafts against JSON schema
  * 
  * Ensures drafts match the expected structure with exactly 3 drafts,
  * each containing type, subject, and body fields within length limits.
+ * Model output is already constrained to getReplyDraftsSchema() where the
+ * provider supports structured output, so this is the last line of defence.
  * 
  * @param {Object} drafts - The drafts object to validate
  * @returns {Object} Validation result with isValid flag and errors array